@@ -8,11 +8,18 @@ const fs = require('fs');
 const path = require('path');
 
 const config = require('./src/config');
-const aliyunASR = require('./src/lyrics/aliyun-asr-service');
+const asrProvider = require('./src/lyrics/asr-provider');
 const audioConverter = require('./src/lyrics/audio-converter');
 const lyricsSlicer = require('./src/lyrics/lyrics-slicer');
+const lyricsAligner = require('./src/lyrics/lyrics-aligner');
+const lrcParser = require('./src/mv/lrc-parser');
+const editHistory = require('./src/mv/edit-history');
+const storyboardVersions = require('./src/mv/storyboard-versions');
+const lyricsFormats = require('./src/lyrics/lyrics-formats');
 const { MVPipeline, ProjectStatus } = require('./src/mv/mv-pipeline');
 const imageGenerator = require('./src/mv/image-generator');
+const imageProvider = require('./src/mv/image-provider');
+const stylePresets = require('./src/mv/style-presets');
 
 const PORT = config.server.port;
 
@@ -27,6 +34,7 @@ const MIME_TYPES = {
     '.json': 'application/json',
     '.png': 'image/png',
     '.jpg': 'image/jpeg',
+    '.webp': 'image/webp',
     '.mp4': 'video/mp4',
     '.mp3': 'audio/mpeg',
     '.wav': 'audio/wav'
@@ -38,79 +46,6 @@ if (!fs.existsSync(TEMP_DIR)) {
     fs.mkdirSync(TEMP_DIR, { recursive: true });
 }
 
-/**
- * 解析手动输入的歌词（支持 LRC 格式和纯文本）
- * @param {string} text - 歌词文本
- * @param {number} audioDuration - 音频时长（秒）
- * @returns {array} 歌词数组
- */
-function parseLyricsInput(text, audioDuration = 180) {
-    const lines = text.split('\n').map(l => l.trim()).filter(l => l);
-    const lyrics = [];
-
-    // 检测是否为 LRC 格式
-    const lrcPattern = /^\[(\d{1,2}):(\d{2})(?:\.(\d{1,3}))?\](.*)$/;
-    let hasLrcFormat = false;
-
-    for (const line of lines) {
-        const match = line.match(lrcPattern);
-        if (match) {
-            hasLrcFormat = true;
-            const mins = parseInt(match[1]);
-            const secs = parseInt(match[2]);
-            const ms = match[3] ? parseInt(match[3].padEnd(3, '0')) / 1000 : 0;
-            const startTime = mins * 60 + secs + ms;
-            const text = match[4].trim();
-
-            if (text) {
-                lyrics.push({
-                    startTime,
-                    endTime: startTime + 5, // 临时值，后面会修正
-                    duration: 5,
-                    text
-                });
-            }
-        }
-    }
-
-    // 如果是 LRC 格式，修正结束时间
-    if (hasLrcFormat && lyrics.length > 0) {
-        for (let i = 0; i < lyrics.length - 1; i++) {
-            lyrics[i].endTime = lyrics[i + 1].startTime;
-            lyrics[i].duration = lyrics[i].endTime - lyrics[i].startTime;
-        }
-        // 最后一句
-        const last = lyrics[lyrics.length - 1];
-        last.endTime = Math.min(last.startTime + 10, audioDuration);
-        last.duration = last.endTime - last.startTime;
-
-        return lyrics;
-    }
-
-    // 纯文本格式：均匀分配时间
-    const textLines = lines.filter(l => !l.startsWith('['));
-    if (textLines.length === 0) {
-        return [];
-    }
-
-    const avgDuration = audioDuration / textLines.length;
-    let currentTime = 0;
-
-    for (const line of textLines) {
-        if (line.trim()) {
-            lyrics.push({
-                startTime: currentTime,
-                endTime: currentTime + avgDuration,
-                duration: avgDuration,
-                text: line.trim()
-            });
-            currentTime += avgDuration;
-        }
-    }
-
-    return lyrics;
-}
-
 /**
  * 解析请求体
  */
@@ -235,11 +170,11 @@ const server = http.createServer(async (req, res) => {
                         const hasAudio = fs.existsSync(path.join(projectDir, 'audio.mp3')) ||
                                         fs.existsSync(path.join(projectDir, 'audio.wav'));
 
-                        // 计算图片和视频数量
+                        // 计算图片和视频数量（不含图片的候选和历史版本）
                         const imagesDir = path.join(projectDir, 'images');
                         const videosDir = path.join(projectDir, 'videos');
                         const imageCount = fs.existsSync(imagesDir) ?
-                            fs.readdirSync(imagesDir).filter(f => f.endsWith('.png')).length : 0;
+                            fs.readdirSync(imagesDir).filter(f => /^image_\d+\.png$/.test(f)).length : 0;
                         const videoCount = fs.existsSync(videosDir) ?
                             fs.readdirSync(videosDir).filter(f => f.endsWith('.mp4')).length : 0;
 
@@ -248,8 +183,9 @@ const server = http.createServer(async (req, res) => {
                         const hasOutput = fs.existsSync(outputDir) &&
                             fs.readdirSync(outputDir).some(f => f.endsWith('.mp4'));
 
-                        // 获取歌词数量
+                        // 获取歌词数量（MV 生成前使用已保存的切片歌词）
                         const lyricsCount = projectData.data?.lyrics?.length ||
+                                           projectData.data?.slicedLyrics?.length ||
                                            projectData.data?.lrcSegments?.length || 0;
 
                         projects.push({
@@ -310,6 +246,12 @@ const server = http.createServer(async (req, res) => {
                 const pipeline = new MVPipeline(projectId);
                 pipeline.loadProjectData();
 
+                // 服务重启时正在进行的识别已中断，回到歌词来源选择
+                if (pipeline.status === ProjectStatus.RECOGNIZING_LYRICS) {
+                    pipeline.data.asrError = '识别过程被中断，请重新识别';
+                    pipeline.updateStatus(ProjectStatus.CREATED, 10);
+                }
+
                 // 查找音频文件
                 let originalAudioPath = path.join(projectDir, 'audio.mp3');
                 if (!fs.existsSync(originalAudioPath)) {
@@ -411,10 +353,22 @@ const server = http.createServer(async (req, res) => {
             return;
         }
 
-        // API: 开始 ASR 识别（阿里云 Qwen3-ASR-Flash 同步模式）
+        // API: 获取可用的 ASR 服务
+        if (url.pathname === '/api/asr-providers' && req.method === 'GET') {
+            sendJSON(res, { providers: asrProvider.listProviders() });
+            return;
+        }
+
+        // API: 获取可用的图片生成服务
+        if (url.pathname === '/api/image-providers' && req.method === 'GET') {
+            sendJSON(res, { providers: imageProvider.listProviders() });
+            return;
+        }
+
+        // API: 开始 ASR 识别（默认使用 ASR_PROVIDER 配置的服务）
         if (url.pathname === '/api/recognize' && req.method === 'POST') {
             const body = await parseBody(req);
-            const { projectId } = body;
+            const { projectId, provider: providerName } = body;
 
             const project = activeProjects.get(projectId);
             if (!project) {
@@ -422,37 +376,47 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
+            let provider;
+            try {
+                provider = asrProvider.getProvider(providerName || config.asr.provider);
+            } catch (e) {
+                sendError(res, e.message, 400);
+                return;
+            }
+
+            project.pipeline.setAsrError(null);
             project.pipeline.updateStatus(ProjectStatus.RECOGNIZING_LYRICS, 15);
 
             // 异步执行识别（不阻塞响应）
             (async () => {
                 try {
-                    console.log('开始阿里云 ASR 识别...');
+                    console.log(`开始 ASR 识别（${provider.label}）...`);
                     const tempDir = path.dirname(project.originalAudioPath);
-                    const result = await aliyunASR.recognizeAudio(project.originalAudioPath, tempDir);
+                    const result = await asrProvider.recognizeAudio(project.originalAudioPath, {
+                        tempDir,
+                        provider: provider.name
+                    });
 
                     // 智能切片
                     const slicedLyrics = lyricsSlicer.sliceLyrics(result.lyrics, project.duration);
-                    project.rawLyrics = result.lyrics;
-                    project.slicedLyrics = slicedLyrics;
-
-                    // 生成 LRC
-                    const lrcContent = lyricsSlicer.generateLRC(slicedLyrics);
-                    project.lrcContent = lrcContent;
-                    project.asrCompleted = true;
+                    // 记录未能识别的时间段，供编辑时提示手动补充
+                    project.pipeline.data.asrFailedRanges = result.failedRanges;
+                    project.pipeline.setLyrics(slicedLyrics, { rawLyrics: result.lyrics, source: editHistory.EditSource.ASR });
 
                     project.pipeline.updateStatus(ProjectStatus.LYRICS_READY, 25);
                     console.log(`ASR 识别完成，共 ${slicedLyrics.length} 句歌词`);
                 } catch (error) {
                     console.error('ASR 识别失败:', error);
-                    project.asrError = error.message;
-                    project.asrCompleted = true;
+                    project.pipeline.setAsrError(error.message);
+                    project.pipeline.updateStatus(ProjectStatus.CREATED, 10);
                 }
             })();
 
             sendJSON(res, {
                 projectId,
                 message: '识别已开始，请轮询获取结果',
+                provider: provider.name,
+                providerLabel: provider.label,
                 mode: 'async'
             });
             return;
@@ -469,20 +433,23 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
+            const { asrError, slicedLyrics, lrcContent, asrFailedRanges } = project.pipeline.data;
+
             // 检查识别是否完成
-            if (project.asrError) {
+            if (asrError) {
                 sendJSON(res, {
                     status: 'failed',
-                    error: project.asrError
+                    error: asrError
                 });
                 return;
             }
 
-            if (project.asrCompleted && project.slicedLyrics) {
+            if (project.pipeline.status !== ProjectStatus.RECOGNIZING_LYRICS && slicedLyrics) {
                 sendJSON(res, {
                     status: 'completed',
-                    lyrics: project.slicedLyrics,
-                    lrcContent: project.lrcContent
+                    lyrics: slicedLyrics,
+                    lrcContent,
+                    failedRanges: asrFailedRanges || []
                 });
             } else {
                 sendJSON(res, {
@@ -496,7 +463,7 @@ const server = http.createServer(async (req, res) => {
         // API: 更新歌词
         if (url.pathname === '/api/update-lyrics' && req.method === 'POST') {
             const body = await parseBody(req);
-            const { projectId, lyrics, lrcContent } = body;
+            const { projectId, lyrics, lrcContent, actor } = body;
 
             const project = activeProjects.get(projectId);
             if (!project) {
@@ -505,10 +472,10 @@ const server = http.createServer(async (req, res) => {
             }
 
             if (lyrics) {
-                project.slicedLyrics = lyrics;
+                project.pipeline.setLyrics(lyrics, { actor });
             }
             if (lrcContent) {
-                project.lrcContent = lrcContent;
+                project.pipeline.setLrcContent(lrcContent);
             }
 
             sendJSON(res, { success: true, message: '歌词已更新' });
@@ -518,7 +485,7 @@ const server = http.createServer(async (req, res) => {
         // API: 更新单条歌词
         if (url.pathname === '/api/update-lyric' && req.method === 'POST') {
             const body = await parseBody(req);
-            const { projectId, index, text } = body;
+            const { projectId, index, text, actor } = body;
 
             const project = activeProjects.get(projectId);
             if (!project) {
@@ -526,16 +493,14 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
-            if (!project.slicedLyrics || index < 0 || index >= project.slicedLyrics.length) {
+            const lyrics = project.pipeline.data.slicedLyrics;
+            if (!lyrics || index < 0 || index >= lyrics.length) {
                 sendError(res, '歌词索引无效', 400);
                 return;
             }
 
-            // 更新歌词文本
-            project.slicedLyrics[index].text = text;
-
-            // 重新生成 LRC
-            project.lrcContent = lyricsSlicer.generateLRC(project.slicedLyrics);
+            // 更新歌词文本并重新生成 LRC
+            project.pipeline.updateLyricText(index, text, { actor });
 
             console.log(`歌词 #${index} 已更新: "${text}"`);
 
@@ -551,7 +516,7 @@ const server = http.createServer(async (req, res) => {
         // API: 添加歌词行
         if (url.pathname === '/api/add-lyric' && req.method === 'POST') {
             const body = await parseBody(req);
-            const { projectId, afterIndex, lyric } = body;
+            const { projectId, afterIndex, lyric, actor } = body;
 
             const project = activeProjects.get(projectId);
             if (!project) {
@@ -559,10 +524,6 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
-            if (!project.slicedLyrics) {
-                project.slicedLyrics = [];
-            }
-
             // 验证歌词数据
             if (!lyric || typeof lyric.text !== 'string') {
                 sendError(res, '歌词数据无效', 400);
@@ -572,16 +533,13 @@ const server = http.createServer(async (req, res) => {
             // 插入位置
             const insertIndex = afterIndex + 1;
 
-            // 插入新歌词
-            project.slicedLyrics.splice(insertIndex, 0, {
+            // 插入新歌词并重新生成 LRC
+            project.pipeline.insertLyric(insertIndex, {
                 startTime: lyric.startTime || 0,
                 endTime: lyric.endTime || 5,
                 duration: lyric.duration || 5,
                 text: lyric.text
-            });
-
-            // 重新生成 LRC
-            project.lrcContent = lyricsSlicer.generateLRC(project.slicedLyrics);
+            }, { actor });
 
             console.log(`添加歌词 #${insertIndex}: "${lyric.text}"`);
 
@@ -589,7 +547,7 @@ const server = http.createServer(async (req, res) => {
                 success: true,
                 message: '歌词已添加',
                 insertedIndex: insertIndex,
-                totalCount: project.slicedLyrics.length
+                totalCount: project.pipeline.data.slicedLyrics.length
             });
             return;
         }
@@ -597,7 +555,7 @@ const server = http.createServer(async (req, res) => {
         // API: 删除单条歌词
         if (url.pathname === '/api/delete-lyric' && req.method === 'POST') {
             const body = await parseBody(req);
-            const { projectId, index } = body;
+            const { projectId, index, actor } = body;
 
             const project = activeProjects.get(projectId);
             if (!project) {
@@ -605,26 +563,21 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
-            if (!project.slicedLyrics || index < 0 || index >= project.slicedLyrics.length) {
+            const lyrics = project.pipeline.data.slicedLyrics;
+            if (!lyrics || index < 0 || index >= lyrics.length) {
                 sendError(res, '歌词索引无效', 400);
                 return;
             }
 
-            // 记录被删除的歌词
-            const deletedLyric = project.slicedLyrics[index];
+            // 从数组中移除并重新生成 LRC
+            const deletedLyric = project.pipeline.deleteLyric(index, { actor });
             console.log(`删除歌词 #${index}: "${deletedLyric.text}" (${deletedLyric.startTime}s - ${deletedLyric.endTime}s)`);
 
-            // 从数组中移除
-            project.slicedLyrics.splice(index, 1);
-
-            // 重新生成 LRC
-            project.lrcContent = lyricsSlicer.generateLRC(project.slicedLyrics);
-
             sendJSON(res, {
                 success: true,
                 message: '歌词已删除',
                 deletedIndex: index,
-                remainingCount: project.slicedLyrics.length
+                remainingCount: lyrics.length
             });
             return;
         }
@@ -632,7 +585,7 @@ const server = http.createServer(async (req, res) => {
         // API: 更新歌词时间戳
         if (url.pathname === '/api/update-lyric-time' && req.method === 'POST') {
             const body = await parseBody(req);
-            const { projectId, index, startTime, endTime } = body;
+            const { projectId, index, startTime, endTime, actor } = body;
 
             const project = activeProjects.get(projectId);
             if (!project) {
@@ -640,18 +593,14 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
-            if (!project.slicedLyrics || index < 0 || index >= project.slicedLyrics.length) {
+            const lyrics = project.pipeline.data.slicedLyrics;
+            if (!lyrics || index < 0 || index >= lyrics.length) {
                 sendError(res, '歌词索引无效', 400);
                 return;
             }
 
-            // 更新时间戳
-            project.slicedLyrics[index].startTime = startTime;
-            project.slicedLyrics[index].endTime = endTime;
-            project.slicedLyrics[index].duration = endTime - startTime;
-
-            // 重新生成 LRC
-            project.lrcContent = lyricsSlicer.generateLRC(project.slicedLyrics);
+            // 更新时间戳并重新生成 LRC
+            project.pipeline.updateLyricTime(index, startTime, endTime, { actor });
 
             console.log(`时间戳 #${index} 已更新: ${startTime}s - ${endTime}s`);
 
@@ -665,10 +614,49 @@ const server = http.createServer(async (req, res) => {
             return;
         }
 
+        // API: 整体平移歌词时间
+        if (url.pathname === '/api/shift-lyrics' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, offsetMs, actor } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            const lyrics = project.pipeline.data.slicedLyrics;
+            if (!lyrics || lyrics.length === 0) {
+                sendError(res, '暂无歌词', 400);
+                return;
+            }
+
+            const offset = Number(offsetMs);
+            if (!Number.isFinite(offset) || offset === 0) {
+                sendError(res, '平移量无效', 400);
+                return;
+            }
+
+            // 平移正文歌词后重新切片，前奏/间奏/尾奏随之更新
+            const shifted = lyricsSlicer.shiftLyrics(lyrics, offset / 1000, project.duration);
+            project.pipeline.setLyrics(lyricsSlicer.sliceLyrics(shifted, project.duration), { actor });
+
+            const shiftedLyrics = project.pipeline.data.slicedLyrics;
+            console.log(`歌词整体平移 ${offset}ms，共 ${shiftedLyrics.length} 句`);
+
+            sendJSON(res, {
+                success: true,
+                message: '歌词时间已平移',
+                offsetMs: offset,
+                lyrics: shiftedLyrics
+            });
+            return;
+        }
+
         // API: 导入歌词（手动输入）
         if (url.pathname === '/api/import-lyrics' && req.method === 'POST') {
             const body = await parseBody(req);
-            const { projectId, lyricsText, audioDuration } = body;
+            const { projectId, lyricsText, audioDuration, format = 'auto' } = body;
 
             const project = activeProjects.get(projectId);
             if (!project) {
@@ -681,33 +669,51 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
-            const duration = audioDuration || project.duration || 180;
+            const knownDuration = audioDuration || project.duration;
 
-            // 解析歌词（支持 LRC 格式和纯文本）
-            const lyrics = parseLyricsInput(lyricsText, duration);
+            // 解析歌词（支持 LRC / SRT / WebVTT / ASS / 纯文本）
+            let parsed;
+            try {
+                parsed = lyricsFormats.parseLyrics(lyricsText, { format, audioDuration: knownDuration });
+            } catch (e) {
+                sendError(res, e.message, 400);
+                return;
+            }
+            let lyrics = parsed.lyrics;
+
+            // 纯文本歌词没有时间戳，对齐到音频中的演唱区间
+            if (parsed.format === lyricsFormats.LyricsFormat.TEXT && lyrics.length > 0 &&
+                project.originalAudioPath && fs.existsSync(project.originalAudioPath)) {
+                try {
+                    lyrics = lyricsAligner.alignToAudio(lyrics.map(l => l.text), project.originalAudioPath);
+                } catch (e) {
+                    console.warn('歌词对齐失败，使用均匀分布:', e.message);
+                }
+            }
+
+            // 无音频时长时使用 LRC [length:] 标签
+            const duration = knownDuration || lrcParser.parseLengthTag(parsed.metadata.length) || 180;
 
             if (lyrics.length === 0) {
                 sendError(res, '无法解析歌词内容', 400);
                 return;
             }
 
-            // 智能切片
+            // 智能切片并生成 LRC
             const slicedLyrics = lyricsSlicer.sliceLyrics(lyrics, duration);
-            project.rawLyrics = lyrics;
-            project.slicedLyrics = slicedLyrics;
-
-            // 生成 LRC
-            const lrcContent = lyricsSlicer.generateLRC(slicedLyrics);
-            project.lrcContent = lrcContent;
+            project.pipeline.data.asrError = null;
+            project.pipeline.data.asrFailedRanges = [];
+            project.pipeline.setLyrics(slicedLyrics, { rawLyrics: lyrics, source: editHistory.EditSource.IMPORT });
 
             project.pipeline.updateStatus(ProjectStatus.LYRICS_READY, 25);
 
-            console.log(`手动导入歌词: ${slicedLyrics.length} 句`);
+            console.log(`手动导入歌词 (${parsed.format}): ${slicedLyrics.length} 句`);
 
             sendJSON(res, {
                 success: true,
+                format: parsed.format,
                 lyrics: slicedLyrics,
-                lrcContent: lrcContent
+                lrcContent: project.pipeline.data.lrcContent
             });
             return;
         }
@@ -717,7 +723,7 @@ const server = http.createServer(async (req, res) => {
             const projectId = url.searchParams.get('projectId');
 
             const project = activeProjects.get(projectId);
-            if (!project || !project.lrcContent) {
+            if (!project || !project.pipeline.data.lrcContent) {
                 sendError(res, 'LRC 内容不存在', 404);
                 return;
             }
@@ -726,7 +732,96 @@ const server = http.createServer(async (req, res) => {
                 'Content-Type': 'text/plain; charset=utf-8',
                 'Content-Disposition': `attachment; filename="lyrics_${projectId}.lrc"`
             });
-            res.end(project.lrcContent);
+            res.end(project.pipeline.data.lrcContent);
+            return;
+        }
+
+        // API: 导出歌词（lrc / srt / vtt / ass）
+        if (url.pathname === '/api/export-lyrics' && req.method === 'GET') {
+            const projectId = url.searchParams.get('projectId');
+            const format = url.searchParams.get('format') || 'lrc';
+
+            const project = activeProjects.get(projectId);
+            if (!project || !project.pipeline.data.slicedLyrics) {
+                sendError(res, '歌词内容不存在', 404);
+                return;
+            }
+
+            const formatInfo = lyricsFormats.FORMAT_INFO[format];
+            if (!formatInfo) {
+                sendError(res, `不支持的导出格式: ${format}`, 400);
+                return;
+            }
+
+            const content = lyricsFormats.serializeLyrics(project.pipeline.data.slicedLyrics, format, {
+                subtitleStyle: { karaoke: config.mvComposition.karaoke }
+            });
+
+            res.writeHead(200, {
+                'Content-Type': `${formatInfo.mimeType}; charset=utf-8`,
+                'Content-Disposition': `attachment; filename="lyrics_${projectId}.${formatInfo.extension}"`
+            });
+            res.end(content);
+            return;
+        }
+
+        // ==================== 编辑历史 API ====================
+
+        // API: 撤销 / 重做（scope: lyrics 歌词编辑，prompts 图片/视频 Prompt 编辑）
+        if ((url.pathname === '/api/undo' || url.pathname === '/api/redo') && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, scope = 'lyrics' } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            const redo = url.pathname === '/api/redo';
+            let entry;
+            try {
+                entry = redo ? project.pipeline.redoEdit(scope) : project.pipeline.undoEdit(scope);
+            } catch (error) {
+                sendError(res, error.message, 400);
+                return;
+            }
+
+            sendJSON(res, {
+                success: true,
+                scope,
+                entry,
+                lyrics: scope === 'lyrics' ? project.pipeline.data.slicedLyrics : undefined,
+                ...editHistory.getUndoState(project.pipeline.getEditHistory(), scope)
+            });
+            return;
+        }
+
+        // API: 获取编辑历史
+        if (url.pathname === '/api/edit-history' && req.method === 'GET') {
+            const projectId = url.searchParams.get('projectId');
+            const scope = url.searchParams.get('scope');
+            const index = url.searchParams.get('index');
+            const limit = parseInt(url.searchParams.get('limit'), 10) || 100;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            const history = project.pipeline.getEditHistory();
+
+            sendJSON(res, {
+                projectId,
+                entries: editHistory.listHistory(history, {
+                    scope,
+                    index: index === null ? null : parseInt(index, 10),
+                    limit
+                }),
+                lyrics: editHistory.getUndoState(history, 'lyrics'),
+                prompts: editHistory.getUndoState(history, 'prompts')
+            });
             return;
         }
 
@@ -743,14 +838,15 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
-            if (!project.lrcContent) {
+            if (!project.pipeline.data.lrcContent) {
                 sendError(res, '请先完成歌词识别', 400);
                 return;
             }
 
             // 异步启动生成流程（到图片确认环节）
             project.pipeline.runUntilImageConfirmation({
-                lrcContent: project.lrcContent,
+                lrcContent: project.pipeline.data.lrcContent,
+                lyrics: project.pipeline.data.slicedLyrics,
                 audioPath: project.originalAudioPath,
                 audioDuration: project.duration,
                 storyboardOptions: options.storyboard || {},
@@ -769,6 +865,65 @@ const server = http.createServer(async (req, res) => {
             return;
         }
 
+        // API: 音频节奏分析（BPM / 节拍 / 强拍 / 能量包络，结果缓存在项目中）
+        if (url.pathname === '/api/analyze-audio' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, force = false } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                const audioPath = project.pipeline.data.audioPath || project.originalAudioPath;
+                const analysis = project.pipeline.analyzeAudio(audioPath, { force });
+                sendJSON(res, { projectId, analysis });
+            } catch (error) {
+                sendError(res, '音频分析失败: ' + error.message);
+            }
+            return;
+        }
+
+        // API: 歌曲结构分析（主歌 / 导歌 / 副歌 / 桥段等）
+        if (url.pathname === '/api/analyze-structure' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            const data = project.pipeline.data;
+            // MV 生成后分析解析后的歌词，确认前分析正在编辑的歌词
+            const lyrics = data.lyrics && data.lyrics.length > 0 ? data.lyrics : data.slicedLyrics;
+            if (!lyrics || lyrics.length === 0) {
+                sendError(res, '没有歌词');
+                return;
+            }
+
+            // 尽量结合能量分析，失败时仅按歌词文本判断
+            const audioPath = data.audioPath || project.originalAudioPath;
+            if (!data.audioAnalysis && audioPath) {
+                try {
+                    project.pipeline.analyzeAudio(audioPath);
+                } catch (e) {
+                    console.warn('音频节奏分析失败:', e.message);
+                }
+            }
+
+            try {
+                const structure = project.pipeline.analyzeStructure(lyrics);
+                sendJSON(res, { projectId, ...structure });
+            } catch (error) {
+                sendError(res, '结构分析失败: ' + error.message);
+            }
+            return;
+        }
+
         // API: 获取项目状态
         if (url.pathname === '/api/project-status' && req.method === 'GET') {
             const projectId = url.searchParams.get('projectId');
@@ -806,15 +961,289 @@ const server = http.createServer(async (req, res) => {
                     total: images.length
                 },
                 globalStyle: project.pipeline.data.globalStyle,
-                characterDescription: project.pipeline.data.characterDescription
+                characterDescription: project.pipeline.data.characterDescription,
+                cast: project.pipeline.getCastSheet(),
+                imageCandidates: project.pipeline.getImageCandidates()
+            });
+            return;
+        }
+
+        // ==================== 角色表 API ====================
+
+        // API: 获取角色表
+        if (url.pathname === '/api/cast' && req.method === 'GET') {
+            const projectId = url.searchParams.get('projectId');
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            const cast = project.pipeline.getCastSheet();
+            sendJSON(res, { projectId, cast, allConfirmed: cast.every(m => m.confirmed) });
+            return;
+        }
+
+        // API: 修改角色（称呼、外貌描述、用某个片段的图片作为参考图）
+        if (url.pathname === '/api/update-cast-member' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, id, name, description, referenceIndex, actor } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                const result = project.pipeline.updateCastMember(id, { name, description, referenceIndex }, { actor });
+                sendJSON(res, { success: true, ...result });
+            } catch (error) {
+                sendError(res, error.message, 400);
+            }
+            return;
+        }
+
+        // API: 确认角色（不传 id 时确认全部）
+        if (url.pathname === '/api/confirm-cast' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, id = null } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                sendJSON(res, { success: true, ...project.pipeline.confirmCast(id) });
+            } catch (error) {
+                sendError(res, error.message, 400);
+            }
+            return;
+        }
+
+        // API: 重新生成角色设定图（返回使用旧参考图的片段，由前端询问是否重新生成）
+        if (url.pathname === '/api/regenerate-cast-sheet' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, id } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                const result = await project.pipeline.regenerateCastSheet(id);
+                sendJSON(res, { success: true, ...result });
+            } catch (error) {
+                sendError(res, error.message);
+            }
+            return;
+        }
+
+        // API: 按角色当前参考图重新生成其出场镜头的图片
+        if (url.pathname === '/api/regenerate-cast-images' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, id, actor } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                const results = await project.pipeline.regenerateCharacterImages(id, { actor });
+                sendJSON(res, { success: true, results });
+            } catch (error) {
+                sendError(res, error.message);
+            }
+            return;
+        }
+
+        // API: 确认角色后继续生成镜头图片
+        if (url.pathname === '/api/continue-after-cast' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, options = {} } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            if (!project.pipeline.getCast().every(m => m.confirmed)) {
+                sendError(res, '请先确认所有角色', 400);
+                return;
+            }
+
+            // 异步生成图片（完成后等待图片确认）
+            project.pipeline.continueAfterCastConfirmation({
+                imageOptions: options.image
+            }).then(result => {
+                console.log('图片生成完成，等待确认');
+            }).catch(error => {
+                console.error('图片生成失败:', error);
+            });
+
+            sendJSON(res, {
+                projectId,
+                message: '图片生成中，请等待'
+            });
+            return;
+        }
+
+        // ==================== 风格预设 API ====================
+
+        // API: 获取风格预设列表（传 projectId 时附带项目当前的预设）
+        if (url.pathname === '/api/presets' && req.method === 'GET') {
+            const projectId = url.searchParams.get('projectId');
+            const project = projectId ? activeProjects.get(projectId) : null;
+            const current = project?.pipeline.getStylePreset();
+
+            sendJSON(res, {
+                presets: stylePresets.listPresets(),
+                defaultPresetId: stylePresets.DEFAULT_PRESET_ID,
+                current: current ? { id: current.id, name: current.name, version: current.version } : null
+            });
+            return;
+        }
+
+        // API: 选择项目的风格预设（下次生成分镜时生效）
+        if (url.pathname === '/api/set-style-preset' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, presetId } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                const preset = project.pipeline.setStylePreset(presetId || null);
+                sendJSON(res, { success: true, preset });
+            } catch (error) {
+                sendError(res, error.message, 400);
+            }
+            return;
+        }
+
+        // ==================== 参考图上传 API ====================
+
+        // API: 获取参考图（角色照片、风格参考图）
+        if (url.pathname === '/api/references' && req.method === 'GET') {
+            const projectId = url.searchParams.get('projectId');
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            sendJSON(res, {
+                projectId,
+                cast: project.pipeline.getCastSheet(),
+                styleReferences: project.pipeline.listStyleReferences()
             });
             return;
         }
 
-        // API: 确认单张图片
+        // API: 上传角色参考照片（multipart: projectId, id, name, description, photo）
+        if (url.pathname === '/api/upload-cast-photo' && req.method === 'POST') {
+            const body = await parseBody(req);
+            if (!body.isMultipart) {
+                sendError(res, '请使用 multipart/form-data 上传', 400);
+                return;
+            }
+
+            const field = name => body.parts.find(p => p.name === name && !p.filename)?.data.toString().trim() || '';
+            const photoPart = body.parts.find(p => p.name === 'photo' && p.filename);
+
+            const project = activeProjects.get(field('projectId'));
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+            if (!photoPart) {
+                sendError(res, '未找到照片文件', 400);
+                return;
+            }
+
+            try {
+                const member = project.pipeline.uploadCastPhoto(field('id') || 'A', photoPart.data, {
+                    name: field('name'),
+                    description: field('description')
+                });
+                sendJSON(res, { success: true, member, cast: project.pipeline.getCastSheet() });
+            } catch (error) {
+                sendError(res, error.message, 400);
+            }
+            return;
+        }
+
+        // API: 上传风格参考图（multipart: projectId, images 可多张）
+        if (url.pathname === '/api/upload-style-reference' && req.method === 'POST') {
+            const body = await parseBody(req);
+            if (!body.isMultipart) {
+                sendError(res, '请使用 multipart/form-data 上传', 400);
+                return;
+            }
+
+            const projectId = body.parts.find(p => p.name === 'projectId')?.data.toString().trim();
+            const imageParts = body.parts.filter(p => p.name === 'images' && p.filename);
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+            if (imageParts.length === 0) {
+                sendError(res, '未找到图片文件', 400);
+                return;
+            }
+
+            if (imageParts.some(part => !imageGenerator.detectImageMimeType(part.data))) {
+                sendError(res, '仅支持 PNG、JPEG、WebP 格式的图片', 400);
+                return;
+            }
+
+            try {
+                const added = imageParts.map(part => project.pipeline.addStyleReference(part.data, part.filename));
+                sendJSON(res, { success: true, added, styleReferences: project.pipeline.listStyleReferences() });
+            } catch (error) {
+                sendError(res, error.message, 400);
+            }
+            return;
+        }
+
+        // API: 删除风格参考图
+        if (url.pathname === '/api/delete-style-reference' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, id } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                project.pipeline.deleteStyleReference(id);
+                sendJSON(res, { success: true, styleReferences: project.pipeline.listStyleReferences() });
+            } catch (error) {
+                sendError(res, error.message, 400);
+            }
+            return;
+        }
+
+        // API: 确认单张图片（传 variant 时确认所选版本）
         if (url.pathname === '/api/confirm-image' && req.method === 'POST') {
             const body = await parseBody(req);
-            const { projectId, index } = body;
+            const { projectId, index, variant } = body;
 
             const project = activeProjects.get(projectId);
             if (!project) {
@@ -822,8 +1251,58 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
-            const result = project.pipeline.confirmImage(index);
-            sendJSON(res, result);
+            if (variant === undefined || variant === null) {
+                const result = project.pipeline.confirmImage(index);
+                sendJSON(res, result);
+                return;
+            }
+
+            try {
+                const result = project.pipeline.selectImageVariant(index, variant, { confirm: true });
+                sendJSON(res, { ...result.confirmation, variant: result.variant, refreshed: result.refreshed });
+            } catch (error) {
+                sendError(res, error.message, 400);
+            }
+            return;
+        }
+
+        // API: 选择图片版本（候选图或历史版本），confirm 为 true 时同时确认
+        if (url.pathname === '/api/select-image-variant' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, index, variant, confirm } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                const result = project.pipeline.selectImageVariant(index, variant, { confirm: !!confirm });
+                sendJSON(res, { success: true, ...result });
+            } catch (error) {
+                sendError(res, error.message, 400);
+            }
+            return;
+        }
+
+        // API: 设置项目默认的每个镜头候选图片数量
+        if (url.pathname === '/api/image-candidates' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, candidates } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                const count = project.pipeline.setImageCandidates(candidates);
+                sendJSON(res, { success: true, candidates: count });
+            } catch (error) {
+                sendError(res, error.message, 400);
+            }
             return;
         }
 
@@ -843,10 +1322,10 @@ const server = http.createServer(async (req, res) => {
             return;
         }
 
-        // API: 重新生成图片
+        // API: 重新生成图片（可同时修改负面 Prompt、种子和候选数量）
         if (url.pathname === '/api/regenerate-image' && req.method === 'POST') {
             const body = await parseBody(req);
-            const { projectId, index, newPrompt } = body;
+            const { projectId, index, newPrompt, negativePrompt, seed, candidates, actor } = body;
 
             const project = activeProjects.get(projectId);
             if (!project) {
@@ -855,7 +1334,10 @@ const server = http.createServer(async (req, res) => {
             }
 
             try {
-                const result = await project.pipeline.regenerateImage(index, newPrompt);
+                if (negativePrompt !== undefined || seed !== undefined || candidates !== undefined) {
+                    project.pipeline.setImageParams(index, { negativePrompt, seed, candidates }, { actor });
+                }
+                const result = await project.pipeline.regenerateImage(index, newPrompt, { actor });
                 sendJSON(res, result);
             } catch (error) {
                 sendError(res, error.message);
@@ -863,10 +1345,30 @@ const server = http.createServer(async (req, res) => {
             return;
         }
 
+        // API: 更新图片的负面 Prompt、种子和候选数量（seed 为 null 时每次随机，candidates 为 null 时使用项目设置）
+        if (url.pathname === '/api/update-image-params' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, index, negativePrompt, seed, candidates, actor } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                const result = project.pipeline.setImageParams(index, { negativePrompt, seed, candidates }, { actor });
+                sendJSON(res, { success: true, ...result });
+            } catch (error) {
+                sendError(res, error.message, 400);
+            }
+            return;
+        }
+
         // API: 更新 Prompt
         if (url.pathname === '/api/update-prompt' && req.method === 'POST') {
             const body = await parseBody(req);
-            const { projectId, index, newPrompt } = body;
+            const { projectId, index, newPrompt, actor } = body;
 
             const project = activeProjects.get(projectId);
             if (!project) {
@@ -874,11 +1376,92 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
-            const result = project.pipeline.updatePrompt(index, newPrompt);
+            const result = project.pipeline.updatePrompt(index, newPrompt, { actor });
             sendJSON(res, result);
             return;
         }
 
+        // API: 重新生成部分镜头的分镜（按序号或时间范围，可附导演意见）
+        if (url.pathname === '/api/regenerate-storyboard' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, indices, startTime, endTime, note, actor } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                const result = await project.pipeline.regenerateStoryboard({ indices, startTime, endTime, note }, { actor });
+                sendJSON(res, { success: true, ...result });
+            } catch (error) {
+                sendError(res, error.message);
+            }
+            return;
+        }
+
+        // ==================== 分镜版本 API ====================
+
+        // API: 分镜版本列表
+        if (url.pathname === '/api/storyboard-versions' && req.method === 'GET') {
+            const projectId = url.searchParams.get('projectId');
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            const store = project.pipeline.getStoryboardVersions();
+            sendJSON(res, {
+                projectId,
+                currentId: store.currentId,
+                versions: storyboardVersions.listVersions(store)
+            });
+            return;
+        }
+
+        // API: 逐镜头对比两个分镜版本（to 缺省为当前版本）
+        if (url.pathname === '/api/storyboard-diff' && req.method === 'GET') {
+            const projectId = url.searchParams.get('projectId');
+            const from = parseInt(url.searchParams.get('from'), 10);
+            const to = url.searchParams.get('to');
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                sendJSON(res, project.pipeline.diffStoryboardVersions(from, to === null ? null : parseInt(to, 10)));
+            } catch (error) {
+                sendError(res, error.message, 404);
+            }
+            return;
+        }
+
+        // API: 将分镜版本恢复为当前版本
+        if (url.pathname === '/api/promote-storyboard-version' && req.method === 'POST') {
+            const body = await parseBody(req);
+            const { projectId, versionId, actor } = body;
+
+            const project = activeProjects.get(projectId);
+            if (!project) {
+                sendError(res, '项目不存在', 404);
+                return;
+            }
+
+            try {
+                const result = project.pipeline.promoteStoryboardVersion(versionId, { actor });
+                sendJSON(res, { success: true, ...result });
+            } catch (error) {
+                sendError(res, error.message, 404);
+            }
+            return;
+        }
+
         // API: 继续生成 MV（图片确认后）- 生成视频
         if (url.pathname === '/api/continue-mv' && req.method === 'POST') {
             const body = await parseBody(req);
@@ -978,7 +1561,7 @@ const server = http.createServer(async (req, res) => {
         // API: 重新生成单个视频
         if (url.pathname === '/api/regenerate-video' && req.method === 'POST') {
             const body = await parseBody(req);
-            const { projectId, index, videoPrompt } = body;
+            const { projectId, index, videoPrompt, actor } = body;
 
             const project = activeProjects.get(projectId);
             if (!project) {
@@ -987,7 +1570,7 @@ const server = http.createServer(async (req, res) => {
             }
 
             // 异步重新生成视频
-            project.pipeline.regenerateVideo(index, videoPrompt)
+            project.pipeline.regenerateVideo(index, videoPrompt, { actor })
                 .then(result => {
                     console.log(`视频 ${index} 重新生成完成:`, result.success);
                 })
@@ -1006,7 +1589,7 @@ const server = http.createServer(async (req, res) => {
         // API: 更新视频 Prompt
         if (url.pathname === '/api/update-video-prompt' && req.method === 'POST') {
             const body = await parseBody(req);
-            const { projectId, index, videoPrompt } = body;
+            const { projectId, index, videoPrompt, actor } = body;
 
             const project = activeProjects.get(projectId);
             if (!project) {
@@ -1014,7 +1597,7 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
-            const result = project.pipeline.updateVideoPrompt(index, videoPrompt);
+            const result = project.pipeline.updateVideoPrompt(index, videoPrompt, { actor });
             sendJSON(res, result);
             return;
         }
@@ -1119,19 +1702,32 @@ const server = http.createServer(async (req, res) => {
             sendJSON(res, {
                 status: 'ok',
                 ffmpeg: imageAnimator.checkFFmpeg(),
+                llm: require('./src/mv/llm-client').getProviderInfo(),
+                image: imageProvider.listProviders().find(p => p.isDefault) || null,
+                mock: require('./src/mock/simulator').getStatus(),
                 timestamp: new Date().toISOString()
             });
             return;
         }
 
+        // API: 重置模拟失败计数（MOCK_FAIL_TIMES 重新计数，无需重启服务即可再次测试重试和断点续传）
+        if (url.pathname === '/api/mock/reset-failures' && req.method === 'POST') {
+            const simulator = require('./src/mock/simulator');
+            simulator.resetFailures();
+            sendJSON(res, { success: true, mock: simulator.getStatus() });
+            return;
+        }
+
         // API: 测试图片生成 API
         if (url.pathname === '/api/test-image-api' && req.method === 'GET') {
             console.log('测试图片生成 API...');
             try {
                 const result = await imageGenerator.checkAPIConnection();
+                const provider = imageProvider.getProvider();
                 sendJSON(res, {
                     success: result,
-                    message: result ? 'API 连接正常' : 'API 连接失败，请检查控制台日志'
+                    provider: provider.name,
+                    message: result ? `${provider.label} 连接正常` : `${provider.label} 连接失败，请检查控制台日志`
                 });
             } catch (error) {
                 console.error('API 测试失败:', error);
@@ -22,6 +22,9 @@ if (fs.existsSync(envPath)) {
     });
 }
 
+// 离线模拟模式：ASR、LLM、图片和视频全部使用本地模拟服务（覆盖各 *_PROVIDER）
+const mockProviders = process.env.MOCK_PROVIDERS === 'true';
+
 module.exports = {
     // 服务器配置
     server: {
@@ -33,10 +36,27 @@ module.exports = {
         temp: 'temp',
         images: 'temp/images',
         videos: 'temp/videos',
-        output: 'temp/output'
+        output: 'temp/output',
+        stylePresets: process.env.STYLE_PRESETS_DIR || 'presets'  // 自定义风格预设目录（JSON 文件）
+    },
+
+    // 歌词识别服务配置
+    asr: {
+        provider: mockProviders ? 'mock' : (process.env.ASR_PROVIDER || 'aliyun'), // aliyun | tencent | local | mock
+        local: {
+            mode: process.env.LOCAL_ASR_MODE || 'cli',  // cli（whisper.cpp 命令行）| http（本地转写接口）
+            whisperBin: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+            whisperModel: process.env.WHISPER_CPP_MODEL || '',       // 如 models/ggml-large-v3.bin
+            threads: parseInt(process.env.WHISPER_CPP_THREADS) || 4,
+            endpoint: process.env.LOCAL_ASR_ENDPOINT || 'http://127.0.0.1:8080/v1/audio/transcriptions',
+            model: process.env.LOCAL_ASR_MODEL || 'whisper-1',
+            apiKey: process.env.LOCAL_ASR_API_KEY || '',
+            language: process.env.LOCAL_ASR_LANGUAGE || 'auto',
+            timeoutMs: parseInt(process.env.LOCAL_ASR_TIMEOUT_MS) || 30 * 60 * 1000
+        }
     },
 
-    // 腾讯云 ASR 配置 (歌词识别) - 已弃用
+    // 腾讯云 ASR 配置 (歌词识别，ASR_PROVIDER=tencent)
     tencent: {
         secretId: process.env.TENCENT_SECRET_ID || '',
         secretKey: process.env.TENCENT_SECRET_KEY || '',
@@ -50,35 +70,60 @@ module.exports = {
 
     // LLM 配置（分镜生成）
     llm: {
-        provider: process.env.LLM_PROVIDER || 'minimax', // openai | gemini | minimax
+        provider: mockProviders ? 'mock' : (process.env.LLM_PROVIDER || 'minimax'), // openai | gemini | minimax | openai_compatible | mock
+        timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 5 * 60 * 1000,
+        repairRetries: parseInt(process.env.STORYBOARD_REPAIR_RETRIES ?? '2', 10) || 0,  // 分镜校验失败时的修复重试次数
         openai: {
             apiKey: process.env.OPENAI_API_KEY || '',
-            model: 'gpt-4o',
-            baseUrl: 'https://api.openai.com/v1'
+            model: process.env.OPENAI_MODEL || 'gpt-4o',
+            baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
         },
         gemini: {
             apiKey: process.env.GEMINI_API_KEY || '',
-            model: 'gemini-2.0-flash'
+            model: process.env.GEMINI_MODEL || 'gemini-2.0-flash'
         },
         minimax: {
             apiKey: process.env.MINIMAX_LLM_API_KEY || '',
-            model: 'MiniMax-Text-01',
-            baseUrl: 'https://api.minimax.chat/v1'
+            model: process.env.MINIMAX_LLM_MODEL || 'MiniMax-Text-01',
+            baseUrl: process.env.MINIMAX_LLM_BASE_URL || 'https://api.minimax.chat/v1'
+        },
+        // OpenAI 兼容接口（Ollama、vLLM、LM Studio 等，支持 http 与自定义端口）
+        openaiCompatible: {
+            baseUrl: process.env.LLM_BASE_URL || 'http://127.0.0.1:11434/v1',  // Ollama 默认地址
+            model: process.env.LLM_MODEL || 'qwen2.5:14b',
+            apiKey: process.env.LLM_API_KEY || '',                  // 本地服务通常不需要
+            extraHeaders: process.env.LLM_EXTRA_HEADERS || '',      // JSON 或 "Name: value; Name2: value2"
+            maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 8000
         }
     },
 
     // 图片生成配置
     imageGeneration: {
-        provider: 'nano_banana',
+        provider: mockProviders ? 'mock' : (process.env.IMAGE_PROVIDER || 'nano_banana'),  // nano_banana | local | placeholder | mock
         aspectRatio: '16:9',
+        maxStyleReferences: parseInt(process.env.MAX_STYLE_REFERENCES) || 3,  // 每次生图附带的风格参考图上限
+        castSheetStep: process.env.CAST_SHEET_STEP !== 'false',             // 生图前先生成并确认角色设定图
+        candidates: parseInt(process.env.IMAGE_CANDIDATES) || 1,           // 每个镜头默认生成的候选图片数量（1-4）
         nanoBanana: {
             apiKey: process.env.NANO_BANANA_API_KEY || ''
+        },
+        // 本地 Stable Diffusion WebUI（AUTOMATIC1111 / Forge）或 ComfyUI（IMAGE_PROVIDER=local）
+        local: {
+            mode: process.env.LOCAL_IMAGE_MODE || 'a1111',  // a1111（/sdapi/v1/txt2img）| comfyui（/prompt 工作流）
+            endpoint: process.env.LOCAL_IMAGE_ENDPOINT ||
+                (process.env.LOCAL_IMAGE_MODE === 'comfyui' ? 'http://127.0.0.1:8188' : 'http://127.0.0.1:7860'),
+            workflow: process.env.COMFYUI_WORKFLOW || '',   // ComfyUI API 格式工作流 JSON 文件（含 {{prompt}} 等占位符）
+            referenceWorkflow: process.env.COMFYUI_REFERENCE_WORKFLOW || '',  // 带 {{reference_image}} 的参考图工作流（可选）
+            steps: parseInt(process.env.LOCAL_IMAGE_STEPS) || 30,
+            cfgScale: parseFloat(process.env.LOCAL_IMAGE_CFG_SCALE) || 7,
+            sampler: process.env.LOCAL_IMAGE_SAMPLER || '',  // 为空时使用 WebUI 默认采样器
+            timeoutMs: parseInt(process.env.LOCAL_IMAGE_TIMEOUT_MS) || 10 * 60 * 1000
         }
     },
 
     // 视频生成配置
     videoGeneration: {
-        provider: 'minimax',
+        provider: mockProviders ? 'mock' : 'minimax',  // minimax | mock
         concurrency: parseInt(process.env.VIDEO_CONCURRENCY) || 5,  // 并发数，RPM 60 建议 5-6
         delayMs: parseInt(process.env.VIDEO_DELAY_MS) || 2000,      // 批次间延迟(ms)
         minimax: {
@@ -89,12 +134,24 @@ module.exports = {
         }
     },
 
+    // 离线模拟模式（MOCK_PROVIDERS=true），用于不消耗额度地测试确认流程、断点续传和合成
+    mock: {
+        enabled: mockProviders,
+        latencyMs: parseInt(process.env.MOCK_LATENCY_MS) || 0,        // 每次模拟调用的延迟
+        failureRate: parseFloat(process.env.MOCK_FAILURE_RATE) || 0,  // 随机失败概率（0-1）
+        failOn: process.env.MOCK_FAIL_ON || '',                       // 指定失败，如 image:3,video:5,llm（不带序号时该阶段全部失败）
+        failTimes: parseInt(process.env.MOCK_FAIL_TIMES) || 0,        // 指定失败的前 N 次调用后恢复，0 表示一直失败
+        lyricsFile: process.env.MOCK_LYRICS_FILE || '',               // 模拟识别返回的歌词（LRC/SRT/纯文本），为空时使用内置示例
+        fontFile: process.env.MOCK_FONT_FILE || ''                    // 模拟图片绘制歌词的字体文件（中文需指定含中文字形的字体）
+    },
+
     // MV 合成配置
     mvComposition: {
         defaultResolution: '1920x1080',
         defaultFps: 30,
         transitionDuration: 0.5,
-        defaultTransition: 'crossfade'
+        defaultTransition: 'crossfade',
+        karaoke: process.env.SUBTITLE_KARAOKE || 'none' // 字幕卡拉OK 高亮: none | kf | k
     },
 
     // 智能分级阈值
@@ -118,6 +175,8 @@ module.exports = {
         RECOGNIZING_LYRICS: 'recognizing_lyrics',
         LYRICS_READY: 'lyrics_ready',
         GENERATING_STORYBOARD: 'generating_storyboard',
+        GENERATING_CAST_SHEETS: 'generating_cast_sheets',
+        AWAITING_CAST_CONFIRM: 'awaiting_cast_confirm',
         GENERATING_IMAGES: 'generating_images',
         AWAITING_IMAGE_CONFIRM: 'awaiting_image_confirm',
         GENERATING_VIDEOS: 'generating_videos',
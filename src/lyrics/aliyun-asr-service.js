@@ -8,6 +8,20 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const config = require('../config');
+const audioConverter = require('./audio-converter');
+const lyricsAligner = require('./lyrics-aligner');
+
+// 长音频分片参数（秒）
+const CHUNK_OPTIONS = {
+    targetLength: 60,   // 理想分片长度
+    minLength: 40,      // 切点最早位置
+    maxLength: 80,      // 切点最晚位置（单次请求时长上限）
+    overlap: 2          // 相邻分片的重叠时长
+};
+
+// 分片识别失败后的重试次数与间隔
+const MAX_CHUNK_RETRIES = 2;
+const RETRY_DELAY_MS = 3000;
 
 /**
  * 调用阿里云 DashScope Qwen3-ASR API
@@ -142,12 +156,12 @@ function parseASRResponse(response, offsetSeconds = 0, totalDuration = 60) {
                 for (const item of message.content) {
                     if (item.text && !item.transcription) {
                         // 纯文本结果，根据标点符号分句
-                        // 估算：假设歌词内容占音频的80%，前10%是前奏，后10%是尾奏
+                        // 估算：假设歌词内容占音频的80%，前10%是前奏，后10%是尾奏（之后由 refineEstimatedTimes 对齐到音频）
                         const estimatedStart = offsetSeconds + totalDuration * 0.1;
                         const estimatedEnd = offsetSeconds + totalDuration * 0.9;
                         console.log(`纯文本模式 - 估算时间范围: ${estimatedStart.toFixed(2)}s - ${estimatedEnd.toFixed(2)}s`);
                         const splitSentences = splitBySentence(item.text, estimatedStart, estimatedEnd);
-                        sentences.push(...splitSentences);
+                        sentences.push(...splitSentences.map(s => ({ ...s, estimated: true })));
                     }
                     if (item.transcription) {
                         // 带时间戳的转写结果
@@ -165,7 +179,7 @@ function parseASRResponse(response, offsetSeconds = 0, totalDuration = 60) {
                         } else if (trans.text) {
                             console.log('transcription.text 模式（无时间戳）');
                             const splitSentences = splitBySentence(trans.text, offsetSeconds, offsetSeconds + totalDuration);
-                            sentences.push(...splitSentences);
+                            sentences.push(...splitSentences.map(s => ({ ...s, estimated: true })));
                         }
                     }
                 }
@@ -178,6 +192,34 @@ function parseASRResponse(response, offsetSeconds = 0, totalDuration = 60) {
     return sentences;
 }
 
+/**
+ * 将估算时间的句子对齐到音频中的实际演唱区间
+ * 带时间戳的句子置信度为 1；对齐失败时保留估算时间，置信度为 0
+ * @param {array} lyrics - parseASRResponse 的结果
+ * @param {string} audioPath - 对应的音频文件（整曲或分片）
+ * @param {number} offsetSeconds - 音频文件在整曲中的起始时间
+ * @returns {array} 歌词数组（含 confidence）
+ */
+function refineEstimatedTimes(lyrics, audioPath, offsetSeconds = 0) {
+    const strip = ({ estimated, ...lyric }) => lyric;
+    const estimated = lyrics.filter(l => l.estimated);
+    const timed = lyrics.filter(l => !l.estimated).map(l => ({ ...strip(l), confidence: 1 }));
+
+    if (estimated.length === 0) {
+        return timed;
+    }
+
+    let aligned;
+    try {
+        aligned = lyricsAligner.alignToAudio(estimated.map(l => l.text), audioPath, { offset: offsetSeconds });
+    } catch (e) {
+        console.error('歌词对齐失败，保留估算时间:', e.message);
+        aligned = estimated.map(l => ({ ...strip(l), confidence: 0 }));
+    }
+
+    return [...timed, ...aligned].sort((a, b) => a.startTime - b.startTime);
+}
+
 /**
  * 转换音频为适合 ASR 的格式
  * @param {string} inputPath - 输入音频路径
@@ -226,41 +268,139 @@ function getAudioDuration(filePath) {
 }
 
 /**
- * 分割音频为多个片段
+ * 规划分片：切点优先落在静音区间中点，相邻分片前后各重叠 overlap 秒
+ * @param {number} duration - 音频总时长
+ * @param {array} silences - 静音区间 [{ start, end }]
+ * @param {object} options - 分片参数，见 CHUNK_OPTIONS
+ * @returns {array} 分片 [{ start, end, coreStart, coreEnd }]，core 为该分片负责的时间范围
+ */
+function planChunks(duration, silences = [], options = {}) {
+    const { targetLength, minLength, maxLength, overlap } = { ...CHUNK_OPTIONS, ...options };
+    const chunks = [];
+    let cursor = 0;
+
+    while (cursor < duration) {
+        let cut;
+        if (duration - cursor <= maxLength) {
+            cut = duration;
+        } else {
+            // 在允许范围内选择最接近理想长度的静音中点，没有则按理想长度硬切
+            const ideal = cursor + targetLength;
+            const candidates = silences
+                .map(s => (s.start + s.end) / 2)
+                .filter(t => t >= cursor + minLength && t <= cursor + maxLength);
+            cut = candidates.length > 0
+                ? candidates.reduce((best, t) => (Math.abs(t - ideal) < Math.abs(best - ideal) ? t : best))
+                : ideal;
+        }
+
+        chunks.push({
+            start: Math.max(cursor - overlap, 0),
+            end: Math.min(cut + overlap, duration),
+            coreStart: cursor,
+            coreEnd: cut
+        });
+        cursor = cut;
+    }
+
+    return chunks;
+}
+
+/**
+ * 截取音频片段
  * @param {string} inputPath - 输入音频路径
- * @param {string} outputDir - 输出目录
- * @param {number} segmentDuration - 每段时长（秒）
- * @returns {array} 片段信息数组
+ * @param {string} outputPath - 输出音频路径
+ * @param {number} start - 开始时间（秒）
+ * @param {number} end - 结束时间（秒）
  */
-function splitAudio(inputPath, outputDir, segmentDuration = 60) {
-    const segments = [];
-    try {
-        const duration = getAudioDuration(inputPath);
-        const segmentCount = Math.ceil(duration / segmentDuration);
-
-        for (let i = 0; i < segmentCount; i++) {
-            const startTime = i * segmentDuration;
-            const outputPath = path.join(outputDir, `segment_${i}_${Date.now()}.mp3`);
-            execSync(
-                `ffmpeg -y -i "${inputPath}" -ss ${startTime} -t ${segmentDuration} -ar 16000 -ac 1 -b:a 64k "${outputPath}"`,
-                { stdio: 'ignore' }
-            );
-            segments.push({
-                path: outputPath,
-                startTime: startTime
-            });
+function extractChunk(inputPath, outputPath, start, end) {
+    execSync(
+        `ffmpeg -y -ss ${start.toFixed(3)} -t ${(end - start).toFixed(3)} -i "${inputPath}" -ar 16000 -ac 1 -b:a 64k "${outputPath}"`,
+        { stdio: 'ignore' }
+    );
+}
+
+/**
+ * 归一化文本用于比较（去除标点和空白）
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return text.toLowerCase().replace(/[\s\p{P}]/gu, '');
+}
+
+/**
+ * 合并各分片的识别结果，去除重叠区域的重复句子
+ * 1. 时间：只保留中点落在分片 core 范围内的句子
+ * 2. 文本：接缝两侧时间重叠且文本相同/包含的句子只保留较完整的一句
+ * @param {array} chunkResults - [{ chunk, lyrics }]
+ * @returns {array} 歌词数组
+ */
+function mergeChunkLyrics(chunkResults) {
+    const merged = [];
+
+    for (const { chunk, lyrics } of chunkResults) {
+        const owned = lyrics.filter(l => {
+            const mid = (l.startTime + l.endTime) / 2;
+            return mid >= chunk.coreStart && mid < chunk.coreEnd;
+        });
+
+        for (const lyric of owned) {
+            const prev = merged[merged.length - 1];
+            if (prev && lyric.startTime < prev.endTime) {
+                const a = normalizeText(prev.text);
+                const b = normalizeText(lyric.text);
+                if (a && b && (a.includes(b) || b.includes(a))) {
+                    if (b.length > a.length) {
+                        merged[merged.length - 1] = lyric;
+                    }
+                    continue;
+                }
+            }
+            merged.push(lyric);
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * 识别单个分片，失败时重试
+ * @param {string} chunkPath - 分片音频路径
+ * @param {object} chunk - 分片信息
+ * @returns {Promise<array>} 歌词数组
+ */
+async function recognizeChunk(chunkPath, chunk) {
+    const base64Data = fs.readFileSync(chunkPath).toString('base64');
+    let lastError;
+
+    for (let attempt = 0; attempt <= MAX_CHUNK_RETRIES; attempt++) {
+        if (attempt > 0) {
+            console.log(`  重试第 ${attempt} 次...`);
+            await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * attempt));
+        }
+
+        try {
+            const result = await callDashScopeASR(base64Data, 'audio/mpeg');
+            if (result.code) {
+                throw new Error(result.message || 'ASR 调用失败');
+            }
+            const lyrics = parseASRResponse(result, chunk.start, chunk.end - chunk.start);
+            return refineEstimatedTimes(lyrics, chunkPath, chunk.start);
+        } catch (e) {
+            lastError = e;
+            console.error(`  片段 ${chunk.start.toFixed(1)}s - ${chunk.end.toFixed(1)}s 识别失败:`, e.message);
         }
-    } catch (e) {
-        console.error('分割音频失败:', e.message);
     }
-    return segments;
+
+    throw lastError;
 }
 
 /**
  * 同步识别音频（主入口）
  * @param {string} audioPath - 音频文件路径
  * @param {string} tempDir - 临时目录
- * @returns {Promise<object>} 识别结果
+ * @returns {Promise<object>} 识别结果 { lyrics, duration, failedRanges: 未能识别的时间范围 }
  */
 async function recognizeAudio(audioPath, tempDir) {
     console.log('使用阿里云 Qwen3-ASR-Flash 识别音频...');
@@ -277,36 +417,42 @@ async function recognizeAudio(audioPath, tempDir) {
     console.log(`音频时长: ${duration.toFixed(2)} 秒`);
 
     let allLyrics = [];
+    const failedRanges = [];
 
-    // 如果音频超过 2.5 分钟，分片处理
+    // 如果音频超过 2.5 分钟，按静音位置分片处理
     if (duration > 150) {
-        console.log('音频较长，分片处理...');
-        const segments = splitAudio(convertedPath, tempDir, 60);
+        const silences = audioConverter.detectSilences(convertedPath);
+        const chunks = planChunks(duration, silences);
+        console.log(`音频较长，分 ${chunks.length} 片处理（检测到 ${silences.length} 处静音）...`);
 
-        for (let i = 0; i < segments.length; i++) {
-            const segment = segments[i];
-            console.log(`处理片段 ${i + 1}/${segments.length}...`);
+        const chunkResults = [];
+        for (let i = 0; i < chunks.length; i++) {
+            const chunk = chunks[i];
+            console.log(`处理片段 ${i + 1}/${chunks.length} (${chunk.start.toFixed(1)}s - ${chunk.end.toFixed(1)}s)...`);
 
+            const chunkPath = path.join(tempDir, `segment_${i}_${Date.now()}.mp3`);
             try {
-                const segmentData = fs.readFileSync(segment.path);
-                const base64Data = segmentData.toString('base64');
-
-                const result = await callDashScopeASR(base64Data, 'audio/mpeg');
-
-                if (result.code) {
-                    console.error(`片段 ${i + 1} 识别失败:`, result.message);
-                    continue;
-                }
-
-                const lyrics = parseASRResponse(result, segment.startTime, 60);
-                allLyrics.push(...lyrics);
+                extractChunk(convertedPath, chunkPath, chunk.start, chunk.end);
+                const lyrics = await recognizeChunk(chunkPath, chunk);
+                chunkResults.push({ chunk, lyrics });
             } catch (e) {
-                console.error(`片段 ${i + 1} 处理出错:`, e.message);
+                failedRanges.push({
+                    startTime: chunk.coreStart,
+                    endTime: chunk.coreEnd,
+                    error: e.message
+                });
             }
 
             // 清理片段文件
-            try { fs.unlinkSync(segment.path); } catch (e) {}
+            try { fs.unlinkSync(chunkPath); } catch (e) {}
         }
+
+        if (chunkResults.length === 0) {
+            try { fs.unlinkSync(convertedPath); } catch (e) {}
+            throw new Error(`所有片段识别失败: ${failedRanges[0].error}`);
+        }
+
+        allLyrics = mergeChunkLyrics(chunkResults);
     } else {
         // 直接处理整个文件
         const audioData = fs.readFileSync(convertedPath);
@@ -325,17 +471,18 @@ async function recognizeAudio(audioPath, tempDir) {
             throw new Error(result.message || 'ASR 调用失败');
         }
 
-        allLyrics = parseASRResponse(result, 0, duration);
+        allLyrics = refineEstimatedTimes(parseASRResponse(result, 0, duration), convertedPath);
     }
 
     // 清理临时文件
     try { fs.unlinkSync(convertedPath); } catch (e) {}
 
-    console.log(`识别完成，共 ${allLyrics.length} 句`);
+    console.log(`识别完成，共 ${allLyrics.length} 句${failedRanges.length > 0 ? `，${failedRanges.length} 个片段识别失败` : ''}`);
 
     return {
         lyrics: allLyrics,
-        duration: duration
+        duration: duration,
+        failedRanges
     };
 }
 
@@ -363,5 +510,7 @@ module.exports = {
     recognizeAudio,
     callDashScopeASR,
     parseASRResponse,
+    planChunks,
+    mergeChunkLyrics,
     toLRC
 };
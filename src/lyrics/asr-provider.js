@@ -0,0 +1,137 @@
+/**
+ * ASR 服务注册表
+ * 统一接口：输入音频文件，输出带时间戳的歌词句子（可选逐词时间）
+ *
+ * 适配器需实现:
+ *   recognize(audioPath, { tempDir }) => Promise<{ lyrics, duration, failedRanges? }>
+ *   isConfigured() => boolean
+ */
+
+const config = require('../config');
+const lrcParser = require('../mv/lrc-parser');
+const aliyunASR = require('./aliyun-asr-service');
+const tencentASR = require('./asr-service');
+const localASR = require('./local-asr-service');
+const mockASR = require('../mock/mock-asr-service');
+
+const providers = {};
+
+/**
+ * 注册 ASR 适配器
+ * @param {string} name - 服务名称（对应 ASR_PROVIDER）
+ * @param {object} provider - { label, local, isConfigured, recognize }
+ */
+function registerProvider(name, provider) {
+    providers[name] = { name, local: false, ...provider };
+}
+
+/**
+ * 获取 ASR 适配器
+ * @param {string} name - 服务名称，默认使用配置项
+ * @returns {object} 适配器
+ */
+function getProvider(name = config.asr.provider) {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`未知的 ASR 服务: ${name}`);
+    }
+    return provider;
+}
+
+/**
+ * 列出所有 ASR 服务及其配置状态
+ * @returns {array} [{ name, label, local, configured, isDefault }]
+ */
+function listProviders() {
+    return Object.values(providers).map(p => ({
+        name: p.name,
+        label: p.label,
+        local: p.local,
+        configured: p.isConfigured(),
+        isDefault: p.name === config.asr.provider
+    }));
+}
+
+/**
+ * 统一整理识别结果：去空行、按时间排序、补全时长、收敛逐词时间
+ * @param {array} lyrics - 适配器返回的歌词
+ * @returns {array} 歌词数组
+ */
+function normalizeLyrics(lyrics) {
+    return (lyrics || [])
+        .filter(l => l.text && l.text.trim())
+        .sort((a, b) => a.startTime - b.startTime)
+        .map(l => {
+            const lyric = {
+                startTime: l.startTime,
+                endTime: l.endTime,
+                duration: l.endTime - l.startTime,
+                text: l.text.trim()
+            };
+            if (l.words && l.words.length > 0) {
+                lyric.words = lrcParser.finalizeWordTimings(l.words, l.startTime, l.endTime);
+            }
+            if (l.confidence !== undefined) {
+                lyric.confidence = l.confidence;
+            }
+            return lyric;
+        });
+}
+
+/**
+ * 识别音频（主入口）
+ * @param {string} audioPath - 音频文件路径
+ * @param {object} options - { tempDir, provider }
+ * @returns {Promise<object>} { provider, lyrics, duration, failedRanges }
+ */
+async function recognizeAudio(audioPath, options = {}) {
+    const provider = getProvider(options.provider || config.asr.provider);
+    if (!provider.isConfigured()) {
+        throw new Error(`${provider.label} 未配置，请检查 .env`);
+    }
+
+    console.log(`ASR 服务: ${provider.label}`);
+    const result = await provider.recognize(audioPath, options);
+
+    return {
+        provider: provider.name,
+        lyrics: normalizeLyrics(result.lyrics),
+        duration: result.duration || 0,
+        failedRanges: result.failedRanges || []
+    };
+}
+
+// ==================== 内置适配器 ====================
+
+registerProvider('aliyun', {
+    label: '阿里云 Qwen3-ASR-Flash',
+    isConfigured: () => !!config.aliyun.dashscopeApiKey,
+    recognize: (audioPath, { tempDir }) => aliyunASR.recognizeAudio(audioPath, tempDir)
+});
+
+registerProvider('tencent', {
+    label: '腾讯云 ASR',
+    isConfigured: () => !!(config.tencent.secretId && config.tencent.secretKey),
+    recognize: (audioPath, { tempDir }) => tencentASR.recognizeAudio(audioPath, tempDir)
+});
+
+registerProvider('local', {
+    label: '本地离线识别',
+    local: true,
+    isConfigured: localASR.isConfigured,
+    recognize: (audioPath, { tempDir }) => localASR.recognizeAudio(audioPath, tempDir)
+});
+
+registerProvider('mock', {
+    label: '模拟识别（离线）',
+    local: true,
+    isConfigured: () => true,
+    recognize: (audioPath) => mockASR.recognize(audioPath)
+});
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    listProviders,
+    recognizeAudio
+};
@@ -1,11 +1,18 @@
 /**
  * 腾讯云 ASR 语音识别服务
- * 用于识别歌曲中的歌词和时间戳
+ * 用于识别歌曲中的歌词和时间戳（通过 asr-provider 的 tencent 适配器使用）
  */
 
 const https = require('https');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const config = require('../config');
+const audioConverter = require('./audio-converter');
+
+// 轮询识别结果的间隔与上限
+const POLL_INTERVAL_MS = 3000;
+const MAX_POLL_ATTEMPTS = 200;
 
 /**
  * 生成腾讯云 TC3 签名
@@ -101,15 +108,17 @@ function callTencentAPI(action, payload) {
 /**
  * 创建语音识别任务
  * @param {string} audioBase64 - Base64 编码的音频数据
+ * @param {number} dataLen - 音频原始字节数
  * @returns {Promise<object>} 包含 taskId 的结果
  */
-async function createRecognizeTask(audioBase64) {
+async function createRecognizeTask(audioBase64, dataLen) {
     const result = await callTencentAPI('CreateRecTask', {
         EngineModelType: '16k_zh',
         ChannelNum: 1,
         ResTextFormat: 3, // 返回词级别时间戳
         SourceType: 1,
-        Data: audioBase64
+        Data: audioBase64,
+        DataLen: dataLen
     });
 
     if (result.Response && result.Response.Error) {
@@ -176,12 +185,26 @@ function parseASRResult(asrResult, audioDuration = 180) {
             const text = sentence.FinalSentence || sentence.Text || '';
 
             if (text.trim()) {
-                lyrics.push({
+                const lyric = {
                     startTime,
                     endTime,
                     duration: endTime - startTime,
                     text: text.trim()
-                });
+                };
+
+                // 词级时间戳（偏移相对于句子开始）
+                const words = (sentence.Words || [])
+                    .filter(w => w.Word && w.OffsetStartMs !== undefined)
+                    .map(w => ({
+                        text: w.Word,
+                        startTime: (sentence.StartMs + w.OffsetStartMs) / 1000,
+                        endTime: (sentence.StartMs + w.OffsetEndMs) / 1000
+                    }));
+                if (words.length > 0) {
+                    lyric.words = words;
+                }
+
+                lyrics.push(lyric);
             }
         }
 
@@ -226,28 +249,54 @@ function parseASRResult(asrResult, audioDuration = 180) {
 }
 
 /**
- * 将歌词数组转换为 LRC 格式
- * @param {array} lyrics - 歌词数组
- * @returns {string} LRC 格式字符串
+ * 识别音频（主入口）
+ * 转换为 16k 单声道后上传，轮询任务直至完成
+ * @param {string} audioPath - 音频文件路径
+ * @param {string} tempDir - 临时目录
+ * @returns {Promise<object>} 识别结果 { lyrics, duration }
  */
-function toLRC(lyrics) {
-    const lines = [];
+async function recognizeAudio(audioPath, tempDir) {
+    console.log('使用腾讯云 ASR 识别音频...');
 
-    for (const lyric of lyrics) {
-        const mins = Math.floor(lyric.startTime / 60);
-        const secs = Math.floor(lyric.startTime % 60);
-        const ms = Math.floor((lyric.startTime % 1) * 100);
+    // 本地上传方式限制 5MB
+    const convertedPath = path.join(tempDir, `tencent_${Date.now()}.wav`);
+    audioConverter.convertAudio(audioPath, convertedPath, 5);
+    const duration = audioConverter.getAudioDuration(audioPath);
 
-        const timeStr = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(2, '0')}`;
-        lines.push(`[${timeStr}]${lyric.text}`);
-    }
+    try {
+        const audioData = fs.readFileSync(convertedPath);
+        const { taskId } = await createRecognizeTask(audioData.toString('base64'), audioData.length);
+        console.log(`腾讯云识别任务已创建: ${taskId}`);
+
+        for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
 
-    return lines.join('\n');
+            const result = await getTaskResult(taskId);
+            if (result.Response && result.Response.Error) {
+                throw new Error(result.Response.Error.Message);
+            }
+
+            // Status: 0 等待 1 执行中 2 成功 3 失败
+            const status = result.Response?.Data?.Status;
+            if (status === 2) {
+                const lyrics = parseASRResult(result, duration || 180);
+                console.log(`识别完成，共 ${lyrics.length} 句`);
+                return { lyrics, duration };
+            }
+            if (status === 3) {
+                throw new Error(result.Response.Data.ErrorMsg || '腾讯云识别任务失败');
+            }
+        }
+
+        throw new Error('腾讯云识别超时');
+    } finally {
+        try { fs.unlinkSync(convertedPath); } catch (e) {}
+    }
 }
 
 module.exports = {
     createRecognizeTask,
     getTaskResult,
     parseASRResult,
-    toLRC
+    recognizeAudio
 };
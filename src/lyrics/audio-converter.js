@@ -94,8 +94,92 @@ function getAudioDuration(audioPath) {
     }
 }
 
+/**
+ * 使用 FFmpeg silencedetect 检测静音区间
+ * @param {string} audioPath - 音频文件路径
+ * @param {object} options - { noiseDb: 静音阈值（dB）, minDuration: 最短静音时长（秒） }
+ * @returns {array} 静音区间 [{ start, end }]（秒）
+ */
+function detectSilences(audioPath, options = {}) {
+    const { noiseDb = -30, minDuration = 0.3 } = options;
+
+    try {
+        // silencedetect 结果输出在 stderr
+        const output = execSync(
+            `ffmpeg -hide_banner -nostats -i "${audioPath}" -af silencedetect=noise=${noiseDb}dB:d=${minDuration} -f null - 2>&1`,
+            { encoding: 'utf-8', maxBuffer: 50 * 1024 * 1024 }
+        );
+
+        const silences = [];
+        let start = null;
+        for (const line of output.split('\n')) {
+            const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+            const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+            if (startMatch) {
+                start = Math.max(parseFloat(startMatch[1]), 0);
+            } else if (endMatch && start !== null) {
+                silences.push({ start, end: parseFloat(endMatch[1]) });
+                start = null;
+            }
+        }
+        return silences;
+    } catch (e) {
+        console.error('静音检测失败:', e.message);
+        return [];
+    }
+}
+
+/**
+ * 解码音频为单声道 PCM 采样
+ * @param {string} audioPath - 音频文件路径
+ * @param {object} options - { sampleRate: 采样率, filter: FFmpeg 音频滤镜（如带通滤波） }
+ * @returns {object} { samples: Float32Array（-1 ~ 1）, sampleRate }
+ */
+function decodePCM(audioPath, options = {}) {
+    const { sampleRate = 8000, filter = null } = options;
+    const filterArg = filter ? `-af "${filter}"` : '';
+
+    const buffer = execSync(
+        `ffmpeg -v error -i "${audioPath}" ${filterArg} -ac 1 -ar ${sampleRate} -f s16le -`,
+        { maxBuffer: 500 * 1024 * 1024 }
+    );
+
+    const samples = new Float32Array(Math.floor(buffer.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = buffer.readInt16LE(i * 2) / 32768;
+    }
+
+    return { samples, sampleRate };
+}
+
+/**
+ * 计算分帧能量包络（RMS，单位 dB）
+ * @param {Float32Array} samples - PCM 采样
+ * @param {number} sampleRate - 采样率
+ * @param {number} frameDuration - 帧长（秒）
+ * @returns {object} { frameDuration, energy: 每帧能量（dB） }
+ */
+function computeEnergyEnvelope(samples, sampleRate, frameDuration = 0.05) {
+    const frameSize = Math.max(Math.round(sampleRate * frameDuration), 1);
+    const frameCount = Math.floor(samples.length / frameSize);
+    const energy = new Float32Array(frameCount);
+
+    for (let f = 0; f < frameCount; f++) {
+        let sum = 0;
+        for (let i = f * frameSize; i < (f + 1) * frameSize; i++) {
+            sum += samples[i] * samples[i];
+        }
+        energy[f] = 20 * Math.log10(Math.sqrt(sum / frameSize) + 1e-10);
+    }
+
+    return { frameDuration: frameSize / sampleRate, energy };
+}
+
 module.exports = {
     checkFFmpeg,
     convertAudio,
-    getAudioDuration
+    getAudioDuration,
+    detectSilences,
+    decodePCM,
+    computeEnergyEnvelope
 };
@@ -0,0 +1,332 @@
+/**
+ * 本地离线语音识别服务
+ * 支持 whisper.cpp 命令行，或本机运行的 OpenAI 兼容转写接口（/v1/audio/transcriptions）
+ * 音频不会上传到任何云服务
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const config = require('../config');
+const audioConverter = require('./audio-converter');
+
+// 纯标注段落（如 [Music]、(音乐)、♪），不是歌词
+const NON_LYRIC_PATTERN = /^([\[(（【].*[\])）】]|[♪♫\s]*)$/;
+
+/**
+ * 检查本地 ASR 是否已配置
+ * @returns {boolean}
+ */
+function isConfigured() {
+    const local = config.asr.local;
+    return local.mode === 'http' ? !!local.endpoint : !!local.whisperModel;
+}
+
+/**
+ * 转换为 whisper 所需的 16k 单声道 PCM WAV
+ * @param {string} inputPath - 输入音频路径
+ * @param {string} outputPath - 输出 WAV 路径
+ * @returns {Promise<string>} 输出路径
+ */
+function convertToWav(inputPath, outputPath) {
+    return new Promise((resolve, reject) => {
+        const command = `ffmpeg -y -i "${inputPath}" -ar 16000 -ac 1 -c:a pcm_s16le "${outputPath}"`;
+
+        exec(command, { maxBuffer: 50 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(`音频转换失败: ${stderr}`));
+                return;
+            }
+            resolve(outputPath);
+        });
+    });
+}
+
+/**
+ * 将逐词结果对齐到整句文本，词间空格并入前一个词（与增强 LRC 解析一致）
+ * 逐词文本与整句不一致时（如多字节字符被拆分）返回 null，放弃逐词时间
+ * @param {array} words - [{ text, startTime, endTime }]
+ * @param {string} text - 整句文本
+ * @returns {array|null} 逐词时间数组
+ */
+function alignWordsToText(words, text) {
+    const result = [];
+    let cursor = 0;
+
+    for (const word of words) {
+        const wordText = word.text.trim();
+        if (!wordText) continue;
+
+        // 词与词之间只允许出现空白
+        const pos = text.indexOf(wordText, cursor);
+        if (pos < 0 || text.slice(cursor, pos).trim()) return null;
+
+        if (result.length > 0) {
+            result[result.length - 1].text += text.slice(cursor, pos);
+        }
+        result.push({ text: wordText, startTime: word.startTime, endTime: word.endTime });
+        cursor = pos + wordText.length;
+    }
+
+    return result.length > 0 && cursor === text.length ? result : null;
+}
+
+/**
+ * 整理识别段落为歌词数组
+ * @param {array} segments - [{ startTime, endTime, text, words }]
+ * @returns {array} 歌词数组
+ */
+function segmentsToLyrics(segments) {
+    const lyrics = [];
+
+    for (const segment of segments) {
+        const text = (segment.text || '').trim();
+        if (!text || NON_LYRIC_PATTERN.test(text)) continue;
+
+        const lyric = {
+            startTime: segment.startTime,
+            endTime: segment.endTime,
+            duration: segment.endTime - segment.startTime,
+            text
+        };
+
+        const words = alignWordsToText(segment.words || [], text);
+        if (words) {
+            lyric.words = words;
+        }
+
+        lyrics.push(lyric);
+    }
+
+    return lyrics;
+}
+
+/**
+ * 将 whisper.cpp 的 token 合并为单词（以空格开头的 token 开始新词）
+ * @param {array} tokens - whisper.cpp -ojf 输出的 tokens
+ * @returns {array} 逐词时间数组
+ */
+function tokensToWords(tokens) {
+    const words = [];
+
+    for (const token of tokens || []) {
+        // 跳过 [_BEG_]、[_TT_xxx]、<|endoftext|> 等特殊 token
+        if (!token.text || /^(\[_|<\|)/.test(token.text)) continue;
+
+        const startTime = token.offsets.from / 1000;
+        const endTime = token.offsets.to / 1000;
+        const last = words[words.length - 1];
+
+        if (last && !/^\s/.test(token.text)) {
+            last.text += token.text;
+            last.endTime = endTime;
+        } else {
+            words.push({ text: token.text, startTime, endTime });
+        }
+    }
+
+    return words;
+}
+
+/**
+ * 解析 whisper.cpp JSON 输出
+ * @param {object} output - whisper.cpp -oj/-ojf 输出
+ * @returns {array} 歌词数组
+ */
+function parseWhisperCppOutput(output) {
+    const segments = (output.transcription || []).map(item => ({
+        startTime: item.offsets.from / 1000,
+        endTime: item.offsets.to / 1000,
+        text: item.text,
+        words: tokensToWords(item.tokens)
+    }));
+
+    return segmentsToLyrics(segments);
+}
+
+/**
+ * 解析 OpenAI 兼容接口的 verbose_json 输出
+ * 逐词时间可能在 segments[].words 中，也可能在顶层 words 中
+ * @param {object} output - 接口响应
+ * @returns {array} 歌词数组
+ */
+function parseVerboseJson(output) {
+    const topWords = (output.words || []).map(w => ({
+        text: w.word,
+        startTime: w.start,
+        endTime: w.end
+    }));
+
+    const segments = (output.segments || []).map(seg => {
+        const words = seg.words
+            ? seg.words.map(w => ({ text: w.word, startTime: w.start, endTime: w.end }))
+            : topWords.filter(w => w.startTime >= seg.start && w.startTime < seg.end);
+
+        return {
+            startTime: seg.start,
+            endTime: seg.end,
+            text: seg.text,
+            words
+        };
+    });
+
+    return segmentsToLyrics(segments);
+}
+
+/**
+ * 使用 whisper.cpp 命令行识别
+ * @param {string} wavPath - 16k WAV 路径
+ * @param {string} tempDir - 临时目录
+ * @returns {Promise<array>} 歌词数组
+ */
+function recognizeWithWhisperCpp(wavPath, tempDir) {
+    const local = config.asr.local;
+    const outputBase = path.join(tempDir, `whisper_${Date.now()}`);
+
+    const command = [
+        `"${local.whisperBin}"`,
+        '-m', `"${local.whisperModel}"`,
+        '-f', `"${wavPath}"`,
+        '-l', local.language,
+        '-t', local.threads,
+        '-oj', '-ojf',
+        '-of', `"${outputBase}"`
+    ].join(' ');
+
+    console.log(`执行 whisper.cpp: ${command}`);
+
+    return new Promise((resolve, reject) => {
+        exec(command, { maxBuffer: 50 * 1024 * 1024, timeout: local.timeoutMs }, (error, stdout, stderr) => {
+            const jsonPath = `${outputBase}.json`;
+
+            if (error) {
+                reject(new Error(`whisper.cpp 识别失败: ${stderr || error.message}`));
+                return;
+            }
+
+            try {
+                const output = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+                resolve(parseWhisperCppOutput(output));
+            } catch (e) {
+                reject(new Error(`解析 whisper.cpp 输出失败: ${e.message}`));
+            } finally {
+                try { fs.unlinkSync(jsonPath); } catch (e) {}
+            }
+        });
+    });
+}
+
+/**
+ * 使用本地 HTTP 转写接口识别（multipart/form-data 上传）
+ * @param {string} audioPath - 音频路径
+ * @returns {Promise<array>} 歌词数组
+ */
+function recognizeWithHttp(audioPath) {
+    const local = config.asr.local;
+    const endpoint = new URL(local.endpoint);
+    const client = endpoint.protocol === 'https:' ? https : http;
+
+    const boundary = `----MVStudioBoundary${Date.now()}`;
+    const fields = {
+        model: local.model,
+        response_format: 'verbose_json',
+        'timestamp_granularities[]': ['segment', 'word']
+    };
+    if (local.language && local.language !== 'auto') {
+        fields.language = local.language;
+    }
+
+    const parts = [];
+    for (const [name, value] of Object.entries(fields)) {
+        for (const item of [].concat(value)) {
+            parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${item}\r\n`));
+        }
+    }
+    parts.push(Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${path.basename(audioPath)}"\r\n` +
+        'Content-Type: application/octet-stream\r\n\r\n'
+    ));
+    parts.push(fs.readFileSync(audioPath));
+    parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+    const payload = Buffer.concat(parts);
+
+    const headers = {
+        'Content-Type': `multipart/form-data; boundary=${boundary}`,
+        'Content-Length': payload.length
+    };
+    if (local.apiKey) {
+        headers['Authorization'] = `Bearer ${local.apiKey}`;
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = client.request({
+            hostname: endpoint.hostname,
+            port: endpoint.port || (endpoint.protocol === 'https:' ? 443 : 80),
+            path: endpoint.pathname + endpoint.search,
+            method: 'POST',
+            headers
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode >= 400) {
+                    reject(new Error(`本地 ASR 接口错误 (${res.statusCode}): ${data.substring(0, 200)}`));
+                    return;
+                }
+                try {
+                    resolve(parseVerboseJson(JSON.parse(data)));
+                } catch (e) {
+                    reject(new Error('Invalid JSON response: ' + data.substring(0, 200)));
+                }
+            });
+        });
+
+        req.on('error', reject);
+        req.setTimeout(local.timeoutMs, () => {
+            req.destroy();
+            reject(new Error('本地 ASR 请求超时'));
+        });
+        req.write(payload);
+        req.end();
+    });
+}
+
+/**
+ * 识别音频（主入口）
+ * @param {string} audioPath - 音频文件路径
+ * @param {string} tempDir - 临时目录
+ * @returns {Promise<object>} 识别结果 { lyrics, duration }
+ */
+async function recognizeAudio(audioPath, tempDir) {
+    const local = config.asr.local;
+    console.log(`使用本地 ASR 识别音频（${local.mode === 'http' ? local.endpoint : 'whisper.cpp'}）...`);
+
+    const duration = audioConverter.getAudioDuration(audioPath);
+    const wavPath = path.join(tempDir, `local_asr_${Date.now()}.wav`);
+
+    try {
+        let lyrics;
+        if (local.mode === 'http') {
+            // 接口通常可直接解码常见格式，转换失败时上传原文件
+            const uploadPath = await convertToWav(audioPath, wavPath).catch(() => audioPath);
+            lyrics = await recognizeWithHttp(uploadPath);
+        } else {
+            await convertToWav(audioPath, wavPath);
+            lyrics = await recognizeWithWhisperCpp(wavPath, tempDir);
+        }
+
+        console.log(`识别完成，共 ${lyrics.length} 句`);
+        return { lyrics, duration };
+    } finally {
+        try { fs.unlinkSync(wavPath); } catch (e) {}
+    }
+}
+
+module.exports = {
+    isConfigured,
+    recognizeAudio,
+    parseWhisperCppOutput,
+    parseVerboseJson
+};
@@ -0,0 +1,205 @@
+/**
+ * 歌词时间对齐模块
+ * 对没有时间戳的歌词句子，根据人声频段能量和静音检测把每句放到实际演唱区间
+ * 并为每句给出时间置信度（0 ~ 1）
+ */
+
+const audioConverter = require('./audio-converter');
+
+// 人声频段带通滤波
+const VOCAL_BAND_FILTER = 'highpass=f=200,lowpass=f=3500';
+
+// 能量包络帧长（秒）
+const FRAME_DURATION = 0.05;
+
+// 未能落在停顿处的句子边界得分
+const UNSNAPPED_SCORE = 0.3;
+
+/**
+ * 计算句子权重（去除空白和标点后的字符数）
+ * @param {string} text - 句子文本
+ * @returns {number}
+ */
+function textWeight(text) {
+    return Math.max(text.replace(/[\s\p{P}]/gu, '').length, 1);
+}
+
+/**
+ * 根据能量包络检测演唱区间
+ * 阈值取能量分布 20% 与 90% 分位之间，静音区间内的帧不计入
+ * @param {object} envelope - { frameDuration, energy }
+ * @param {array} silences - 静音区间 [{ start, end }]
+ * @param {object} options - { minGap: 合并间隔（秒）, minRegion: 最短区间（秒） }
+ * @returns {array} 演唱区间 [{ start, end }]
+ */
+function detectVoicedRegions(envelope, silences = [], options = {}) {
+    const { minGap = 0.3, minRegion = 0.2 } = options;
+    const { frameDuration, energy } = envelope;
+    if (energy.length === 0) return [];
+
+    const sorted = Array.from(energy).sort((a, b) => a - b);
+    const floor = sorted[Math.floor(sorted.length * 0.2)];
+    const peak = sorted[Math.floor(sorted.length * 0.9)];
+    const threshold = floor + (peak - floor) * 0.35;
+
+    const inSilence = (t) => silences.some(s => t >= s.start && t < s.end);
+
+    const regions = [];
+    let current = null;
+    for (let i = 0; i < energy.length; i++) {
+        const t = i * frameDuration;
+        const voiced = energy[i] > threshold && !inSilence(t);
+
+        if (voiced && !current) {
+            current = { start: t, end: t + frameDuration };
+        } else if (voiced) {
+            current.end = t + frameDuration;
+        } else if (current) {
+            regions.push(current);
+            current = null;
+        }
+    }
+    if (current) regions.push(current);
+
+    // 合并短间隔，去除过短区间
+    const merged = [];
+    for (const region of regions) {
+        const last = merged[merged.length - 1];
+        if (last && region.start - last.end < minGap) {
+            last.end = region.end;
+        } else {
+            merged.push({ ...region });
+        }
+    }
+
+    return merged.filter(r => r.end - r.start >= minRegion);
+}
+
+/**
+ * 将句子分配到演唱区间
+ * 1. 按字数比例在「演唱时间轴」上放置句子边界
+ * 2. 边界附近有停顿（区间间隙）时吸附到停顿处
+ * 3. 置信度 = 首尾边界得分均值 × 句内演唱占比
+ * @param {array} texts - 句子文本
+ * @param {array} regions - 演唱区间
+ * @param {object} options - { rangeStart, rangeEnd }
+ * @returns {array} 歌词数组（含 confidence）
+ */
+function alignSentences(texts, regions, options = {}) {
+    const { rangeStart = 0, rangeEnd } = options;
+    const clipped = regions
+        .map(r => ({ start: Math.max(r.start, rangeStart), end: Math.min(r.end, rangeEnd) }))
+        .filter(r => r.end > r.start);
+    const voicedTotal = clipped.reduce((sum, r) => sum + r.end - r.start, 0);
+
+    // 几乎没有检测到人声时均匀分布，并标记为低置信度
+    if (texts.length === 0) return [];
+    if (voicedTotal < 1) {
+        const avg = (rangeEnd - rangeStart) / texts.length;
+        return texts.map((text, i) => ({
+            startTime: rangeStart + avg * i,
+            endTime: rangeStart + avg * (i + 1),
+            duration: avg,
+            text,
+            confidence: 0.1
+        }));
+    }
+
+    // 演唱时间 → 实际时间
+    const voicedToTime = (v) => {
+        for (const r of clipped) {
+            const len = r.end - r.start;
+            if (v <= len) return r.start + v;
+            v -= len;
+        }
+        return clipped[clipped.length - 1].end;
+    };
+
+    const weights = texts.map(textWeight);
+    const totalWeight = weights.reduce((a, b) => a + b, 0);
+    const gaps = clipped.slice(1).map((r, i) => ({ start: clipped[i].end, end: r.start }));
+    const tolerance = Math.max(1, 0.3 * voicedTotal / texts.length);
+
+    // 句子边界：{ end: 上一句结束, start: 下一句开始, score }
+    const boundaries = [];
+    let cumulative = 0;
+    let minGapIndex = 0;
+    for (let i = 0; i < texts.length - 1; i++) {
+        cumulative += weights[i];
+        const t = voicedToTime(voicedTotal * cumulative / totalWeight);
+
+        let best = null;
+        for (let g = minGapIndex; g < gaps.length; g++) {
+            const gap = gaps[g];
+            const distance = t < gap.start ? gap.start - t : (t > gap.end ? t - gap.end : 0);
+            if (distance <= tolerance && (!best || distance < best.distance)) {
+                best = { index: g, distance };
+            }
+        }
+
+        if (best) {
+            const gap = gaps[best.index];
+            const score = (1 - 0.5 * best.distance / tolerance) * Math.min(1, 0.5 + (gap.end - gap.start));
+            boundaries.push({ end: gap.start, start: gap.end, score });
+            minGapIndex = best.index + 1;
+        } else {
+            boundaries.push({ end: t, start: t, score: UNSNAPPED_SCORE });
+        }
+    }
+
+    const voicedBetween = (start, end) => clipped.reduce(
+        (sum, r) => sum + Math.max(0, Math.min(r.end, end) - Math.max(r.start, start)), 0);
+
+    return texts.map((text, i) => {
+        const startTime = i === 0 ? clipped[0].start : boundaries[i - 1].start;
+        const endTime = Math.max(i === texts.length - 1 ? clipped[clipped.length - 1].end : boundaries[i].end, startTime);
+        const startScore = i === 0 ? 1 : boundaries[i - 1].score;
+        const endScore = i === texts.length - 1 ? 1 : boundaries[i].score;
+
+        // 句内大段无人声说明边界可能错位
+        const duration = endTime - startTime;
+        const coverage = duration > 0 ? Math.min(1, voicedBetween(startTime, endTime) / (duration * 0.6)) : 0;
+
+        return {
+            startTime,
+            endTime,
+            duration,
+            text,
+            confidence: Math.round((startScore + endScore) / 2 * coverage * 100) / 100
+        };
+    });
+}
+
+/**
+ * 将句子对齐到音频文件（主入口）
+ * @param {array} texts - 句子文本
+ * @param {string} audioPath - 音频文件路径
+ * @param {object} options - { offset: 结果时间偏移（秒，用于分片） }
+ * @returns {array} 歌词数组（含 confidence）
+ */
+function alignToAudio(texts, audioPath, options = {}) {
+    const { offset = 0 } = options;
+
+    const { samples, sampleRate } = audioConverter.decodePCM(audioPath, { filter: VOCAL_BAND_FILTER });
+    const envelope = audioConverter.computeEnergyEnvelope(samples, sampleRate, FRAME_DURATION);
+    const silences = audioConverter.detectSilences(audioPath);
+    const regions = detectVoicedRegions(envelope, silences);
+
+    console.log(`歌词对齐: ${texts.length} 句，检测到 ${regions.length} 个演唱区间`);
+
+    return alignSentences(texts, regions, {
+        rangeStart: 0,
+        rangeEnd: samples.length / sampleRate
+    }).map(lyric => ({
+        ...lyric,
+        startTime: Math.round((lyric.startTime + offset) * 100) / 100,
+        endTime: Math.round((lyric.endTime + offset) * 100) / 100,
+        duration: Math.round(lyric.duration * 100) / 100
+    }));
+}
+
+module.exports = {
+    detectVoicedRegions,
+    alignSentences,
+    alignToAudio
+};
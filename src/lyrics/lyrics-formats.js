@@ -0,0 +1,436 @@
+/**
+ * 歌词格式转换模块
+ * 支持 LRC、SRT、WebVTT、ASS 与纯文本歌词的导入导出
+ * SRT / WebVTT / ASS 自带结束时间，导入时保留原始结束时间
+ */
+
+const lrcParser = require('../mv/lrc-parser');
+const mvComposer = require('../mv/mv-composer');
+const lyricsSlicer = require('./lyrics-slicer');
+
+/**
+ * 歌词格式枚举
+ */
+const LyricsFormat = {
+    AUTO: 'auto',
+    LRC: 'lrc',
+    SRT: 'srt',
+    VTT: 'vtt',
+    ASS: 'ass',
+    TEXT: 'text'
+};
+
+/**
+ * 导出格式的文件扩展名与 MIME 类型
+ */
+const FORMAT_INFO = {
+    [LyricsFormat.LRC]: { extension: 'lrc', mimeType: 'text/plain' },
+    [LyricsFormat.SRT]: { extension: 'srt', mimeType: 'application/x-subrip' },
+    [LyricsFormat.VTT]: { extension: 'vtt', mimeType: 'text/vtt' },
+    [LyricsFormat.ASS]: { extension: 'ass', mimeType: 'text/x-ssa' }
+};
+
+/**
+ * 自动识别歌词格式
+ * @param {string} text - 歌词文本
+ * @returns {string} LyricsFormat 值
+ */
+function detectFormat(text) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+
+    if (/^WEBVTT/.test(trimmed)) return LyricsFormat.VTT;
+    if (/^\[Script Info\]/im.test(trimmed) || /^Dialogue:/m.test(trimmed)) return LyricsFormat.ASS;
+    if (/\d+:\d{2}:\d{2}[,.]\d{1,3}\s*-->\s*\d+:\d{2}:\d{2}[,.]\d{1,3}/.test(trimmed)) return LyricsFormat.SRT;
+    if (/^\[\d{1,2}:\d{2}(?:\.\d{1,3})?\]/m.test(trimmed)) return LyricsFormat.LRC;
+    return LyricsFormat.TEXT;
+}
+
+/**
+ * 解析字幕时间戳
+ * 支持 hh:mm:ss,mmm（SRT）、hh:mm:ss.mmm / mm:ss.mmm（WebVTT）、h:mm:ss.cc（ASS）
+ * @param {string} timeStr - 时间字符串
+ * @returns {number} 秒数
+ */
+function parseSubtitleTime(timeStr) {
+    return timeStr.trim().replace(',', '.').split(':')
+        .reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+}
+
+/**
+ * 格式化字幕时间戳为 hh:mm:ss<分隔符>mmm
+ * @param {number} seconds - 秒数
+ * @param {string} separator - 毫秒分隔符（SRT 为 ','，WebVTT 为 '.'）
+ * @returns {string}
+ */
+function formatSubtitleTime(seconds, separator = ',') {
+    const totalMs = Math.round(Math.max(seconds, 0) * 1000);
+    const h = Math.floor(totalMs / 3600000);
+    const m = Math.floor((totalMs % 3600000) / 60000);
+    const s = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * 创建歌词对象
+ * @param {number} startTime - 开始时间（秒）
+ * @param {number} endTime - 结束时间（秒）
+ * @param {string} text - 歌词文本
+ * @param {array|null} words - 逐字时间
+ * @returns {object}
+ */
+function createLyric(startTime, endTime, text, words = null) {
+    const lyric = {
+        startTime,
+        endTime,
+        duration: endTime - startTime,
+        text
+    };
+    if (words && words.length > 0) {
+        lyric.words = lrcParser.finalizeWordTimings(words, startTime, endTime);
+    }
+    return lyric;
+}
+
+/**
+ * 按空行拆分字幕块
+ * @param {string} text - 字幕文本
+ * @returns {array} 每块的行数组
+ */
+function splitBlocks(text) {
+    return text.replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/)
+        .map(block => block.split(/\r?\n/).map(l => l.trim()).filter(l => l))
+        .filter(lines => lines.length > 0);
+}
+
+/**
+ * 解析 SRT 字幕
+ * @param {string} text - SRT 内容
+ * @returns {array} 歌词数组
+ */
+function parseSRT(text) {
+    const lyrics = [];
+    const timePattern = /(\d+:\d{2}:\d{2}[,.]\d{1,3})\s*-->\s*(\d+:\d{2}:\d{2}[,.]\d{1,3})/;
+
+    for (const lines of splitBlocks(text)) {
+        const timeLineIndex = lines.findIndex(l => timePattern.test(l));
+        if (timeLineIndex === -1) continue;
+
+        const match = lines[timeLineIndex].match(timePattern);
+        const cueText = lines.slice(timeLineIndex + 1).join(' ')
+            .replace(/<[^>]+>/g, '')       // 去除 <i> <b> <font> 等标签
+            .replace(/\{\\[^}]*\}/g, '')   // 去除 {\an8} 等 ASS 风格标签
+            .trim();
+        if (!cueText) continue;
+
+        lyrics.push(createLyric(parseSubtitleTime(match[1]), parseSubtitleTime(match[2]), cueText));
+    }
+
+    return lyrics;
+}
+
+/**
+ * 解析 WebVTT 字幕
+ * cue 内的 <hh:mm:ss.mmm> 时间戳作为逐字时间
+ * @param {string} text - WebVTT 内容
+ * @returns {array} 歌词数组
+ */
+function parseVTT(text) {
+    const lyrics = [];
+    const timePattern = /((?:\d+:)?\d{2}:\d{2}\.\d{3})\s*-->\s*((?:\d+:)?\d{2}:\d{2}\.\d{3})/;
+
+    for (const lines of splitBlocks(text)) {
+        // 跳过文件头、注释、样式和区域定义
+        if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+        const timeLineIndex = lines.findIndex(l => timePattern.test(l));
+        if (timeLineIndex === -1) continue;
+
+        const match = lines[timeLineIndex].match(timePattern);
+        const startTime = parseSubtitleTime(match[1]);
+        const endTime = parseSubtitleTime(match[2]);
+
+        // 内联时间戳转换为 LRC 逐字格式 <mm:ss.mmm>，其余标签去除
+        const rawText = lines.slice(timeLineIndex + 1).join(' ')
+            .replace(/<((?:\d+:)?\d{2}:\d{2}\.\d{3})>/g, (m, ts) => {
+                const seconds = parseSubtitleTime(ts);
+                return `<${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(3).padStart(6, '0')}>`;
+            })
+            .replace(/<(?!\d+:\d)[^>]*>/g, '');
+
+        const { text: cueText, words } = lrcParser.parseWordTimings(rawText, startTime);
+        if (!cueText) continue;
+
+        lyrics.push(createLyric(startTime, endTime, cueText, words));
+    }
+
+    return lyrics;
+}
+
+/**
+ * 解析 ASS 对白文本，提取 \k / \kf / \ko 卡拉OK 时间为逐字时间
+ * @param {string} rawText - Dialogue 的 Text 字段
+ * @param {number} startTime - 行开始时间（秒）
+ * @returns {object} { text, words }
+ */
+function parseASSDialogueText(rawText, startTime) {
+    const parts = rawText.split(/(\{[^}]*\})/);
+    const words = [];
+    let text = '';
+    let cursor = startTime;
+    let pendingDuration = null;
+
+    for (const part of parts) {
+        if (part.startsWith('{')) {
+            const karaokeMatch = part.match(/\\[kK][fo]?(\d+)/);
+            if (karaokeMatch) {
+                // 连续两个 \k 之间没有文本，表示停顿
+                if (pendingDuration !== null) cursor += pendingDuration;
+                pendingDuration = parseInt(karaokeMatch[1], 10) / 100;
+            }
+            continue;
+        }
+        if (!part) continue;
+
+        const chunk = part.replace(/\\[Nn]/g, ' ').replace(/\\h/g, ' ');
+        text += chunk;
+
+        if (pendingDuration !== null) {
+            words.push({ text: chunk, startTime: cursor, endTime: cursor + pendingDuration });
+            cursor += pendingDuration;
+            pendingDuration = null;
+        } else if (words.length > 0) {
+            words[words.length - 1].text += chunk;
+        }
+    }
+
+    const timedWords = words.filter(w => w.text.trim());
+    if (timedWords.length > 0) {
+        timedWords[0].text = timedWords[0].text.replace(/^\s+/, '');
+        timedWords[timedWords.length - 1].text = timedWords[timedWords.length - 1].text.replace(/\s+$/, '');
+    }
+
+    return {
+        text: text.replace(/\s+/g, ' ').trim(),
+        words: timedWords.length > 0 ? timedWords : null
+    };
+}
+
+/**
+ * 解析 ASS / SSA 字幕
+ * @param {string} text - ASS 内容
+ * @returns {array} 歌词数组
+ */
+function parseASS(text) {
+    const lyrics = [];
+    let fields = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+    let inEvents = false;
+
+    for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const trimmed = line.trim();
+
+        if (/^\[.+\]$/.test(trimmed)) {
+            inEvents = trimmed.toLowerCase() === '[events]';
+            continue;
+        }
+        if (!inEvents) continue;
+
+        if (trimmed.startsWith('Format:')) {
+            fields = trimmed.slice('Format:'.length).split(',').map(f => f.trim());
+            continue;
+        }
+        if (!trimmed.startsWith('Dialogue:')) continue;
+
+        // Text 字段可能包含逗号，只按前 N-1 个逗号拆分
+        const values = [];
+        let rest = trimmed.slice('Dialogue:'.length).trim();
+        for (let i = 0; i < fields.length - 1; i++) {
+            const commaIndex = rest.indexOf(',');
+            if (commaIndex === -1) break;
+            values.push(rest.slice(0, commaIndex).trim());
+            rest = rest.slice(commaIndex + 1);
+        }
+        values.push(rest);
+
+        const entry = {};
+        fields.forEach((field, i) => { entry[field] = values[i] || ''; });
+
+        const startTime = parseSubtitleTime(entry.Start);
+        const endTime = parseSubtitleTime(entry.End);
+        const { text: dialogueText, words } = parseASSDialogueText(entry.Text, startTime);
+        if (!dialogueText) continue;
+
+        lyrics.push(createLyric(startTime, endTime, dialogueText, words));
+    }
+
+    return lyrics;
+}
+
+/**
+ * 解析 LRC 格式输入
+ * 由 lrcParser.parseLRC 解析（支持一行多个时间戳、增强 LRC 和 [offset:] 标签），
+ * 结束时间取下一句开始时间，最后一句最多持续 10 秒
+ * @param {string} text - LRC 文本
+ * @param {number} audioDuration - 音频时长（秒）
+ * @returns {object} { lyrics, metadata }
+ */
+function parseLRCInput(text, audioDuration) {
+    const { lyrics, metadata } = lrcParser.parseLRC(text, audioDuration || null);
+
+    // offset 已应用到时间戳，不再保留
+    delete metadata.offset;
+
+    if (lyrics.length === 0) {
+        return { lyrics, metadata };
+    }
+
+    const last = lyrics[lyrics.length - 1];
+    const totalDuration = audioDuration || lrcParser.parseLengthTag(metadata.length) || 180;
+    last.endTime = Math.min(last.startTime + 10, totalDuration);
+    last.duration = last.endTime - last.startTime;
+    if (last.words) {
+        last.words = lrcParser.finalizeWordTimings(last.words, last.startTime, last.endTime);
+    }
+
+    return { lyrics, metadata };
+}
+
+/**
+ * 解析纯文本歌词：按行均匀分配时间
+ * @param {string} text - 纯文本歌词
+ * @param {number} audioDuration - 音频时长（秒）
+ * @returns {array} 歌词数组
+ */
+function parsePlainText(text, audioDuration) {
+    const textLines = text.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('['));
+    if (textLines.length === 0) {
+        return [];
+    }
+
+    const avgDuration = audioDuration / textLines.length;
+    return textLines.map((line, i) => ({
+        startTime: avgDuration * i,
+        endTime: avgDuration * (i + 1),
+        duration: avgDuration,
+        text: line
+    }));
+}
+
+/**
+ * 解析歌词文本（主入口）
+ * @param {string} text - 歌词内容
+ * @param {object} options - { format: LyricsFormat, audioDuration: 音频时长（秒） }
+ * @returns {object} { format, lyrics, metadata }
+ */
+function parseLyrics(text, options = {}) {
+    const audioDuration = options.audioDuration || null;
+    let format = options.format || LyricsFormat.AUTO;
+    if (format === LyricsFormat.AUTO) {
+        format = detectFormat(text);
+    }
+
+    let lyrics;
+    let metadata = {};
+    switch (format) {
+        case LyricsFormat.SRT:
+            lyrics = parseSRT(text);
+            break;
+        case LyricsFormat.VTT:
+            lyrics = parseVTT(text);
+            break;
+        case LyricsFormat.ASS:
+            lyrics = parseASS(text);
+            break;
+        case LyricsFormat.LRC:
+            ({ lyrics, metadata } = parseLRCInput(text, audioDuration));
+            break;
+        case LyricsFormat.TEXT:
+            lyrics = parsePlainText(text, audioDuration || 180);
+            break;
+        default:
+            throw new Error(`不支持的歌词格式: ${format}`);
+    }
+
+    lyrics.sort((a, b) => a.startTime - b.startTime);
+
+    return { format, lyrics, metadata };
+}
+
+/**
+ * 生成 SRT 字幕（不含前奏/间奏/尾奏标记）
+ * @param {array} lyrics - 歌词数组
+ * @returns {string}
+ */
+function toSRT(lyrics) {
+    return lyrics
+        .filter(l => !l.specialType)
+        .map((lyric, i) => [
+            String(i + 1),
+            `${formatSubtitleTime(lyric.startTime, ',')} --> ${formatSubtitleTime(lyric.endTime, ',')}`,
+            lyric.text
+        ].join('\n'))
+        .join('\n\n') + '\n';
+}
+
+/**
+ * 生成 WebVTT 字幕（不含前奏/间奏/尾奏标记）
+ * 有逐字时间时输出 cue 内联时间戳
+ * @param {array} lyrics - 歌词数组
+ * @returns {string}
+ */
+function toVTT(lyrics) {
+    const cues = lyrics
+        .filter(l => !l.specialType)
+        .map(lyric => {
+            let cueText = lyric.text;
+            if (lyric.words && lyric.words.length > 0) {
+                cueText = lyric.words.map((w, i) => {
+                    // 内联时间戳必须晚于 cue 开始时间
+                    const stamp = i > 0 || w.startTime > lyric.startTime
+                        ? `<${formatSubtitleTime(w.startTime, '.')}>`
+                        : '';
+                    return stamp + w.text;
+                }).join('');
+            }
+            return `${formatSubtitleTime(lyric.startTime, '.')} --> ${formatSubtitleTime(lyric.endTime, '.')}\n${cueText}`;
+        });
+
+    return 'WEBVTT\n\n' + cues.join('\n\n') + '\n';
+}
+
+/**
+ * 序列化歌词为指定格式
+ * @param {array} lyrics - 歌词数组
+ * @param {string} format - LyricsFormat 值（lrc / srt / vtt / ass）
+ * @param {object} options - { metadata: LRC 元数据, subtitleStyle: ASS 样式 }
+ * @returns {string}
+ */
+function serializeLyrics(lyrics, format, options = {}) {
+    switch (format) {
+        case LyricsFormat.LRC:
+            return lyricsSlicer.generateLRC(lyrics, options.metadata);
+        case LyricsFormat.SRT:
+            return toSRT(lyrics);
+        case LyricsFormat.VTT:
+            return toVTT(lyrics);
+        case LyricsFormat.ASS:
+            return mvComposer.buildASSContent(lyrics.filter(l => !l.specialType), options.subtitleStyle);
+        default:
+            throw new Error(`不支持的导出格式: ${format}`);
+    }
+}
+
+module.exports = {
+    LyricsFormat,
+    FORMAT_INFO,
+    detectFormat,
+    parseLyrics,
+    parseSRT,
+    parseVTT,
+    parseASS,
+    serializeLyrics,
+    toSRT,
+    toVTT,
+    formatSubtitleTime,
+    parseSubtitleTime
+};
@@ -40,6 +40,8 @@ function sliceLyrics(rawLyrics, audioDuration) {
             endTime: lyric.endTime,
             duration: lyric.duration,
             text: lyric.text,
+            words: lyric.words || undefined,
+            confidence: lyric.confidence,
             specialType: null,
             index: slices.length + 1
         });
@@ -78,15 +80,47 @@ function sliceLyrics(rawLyrics, audioDuration) {
     return slices;
 }
 
+/**
+ * 整体平移歌词时间
+ * 只平移正文歌词，前奏/间奏/尾奏由调用方重新切片生成
+ * @param {array} lyrics - 歌词数组
+ * @param {number} offsetSeconds - 平移秒数（正数延后，负数提前）
+ * @param {number} audioDuration - 音频总时长，用于限制平移范围
+ * @returns {array} 平移后的歌词数组
+ */
+function shiftLyrics(lyrics, offsetSeconds, audioDuration = null) {
+    const maxTime = audioDuration || Infinity;
+    const clamp = (t) => Math.min(Math.max(t + offsetSeconds, 0), maxTime);
+
+    return lyrics
+        .filter(lyric => !lyric.specialType)
+        .map(lyric => {
+            const startTime = clamp(lyric.startTime);
+            const endTime = Math.max(clamp(lyric.endTime), startTime);
+            const shifted = { ...lyric, startTime, endTime, duration: endTime - startTime };
+            if (lyric.words) {
+                shifted.words = lyric.words.map(w => ({
+                    text: w.text,
+                    startTime: clamp(w.startTime),
+                    endTime: clamp(w.endTime)
+                }));
+            }
+            return shifted;
+        })
+        .filter(lyric => lyric.duration > 0);
+}
+
 /**
  * 格式化时间为显示格式
  * @param {number} seconds - 秒数
  * @returns {string} MM:SS.ss 格式
  */
 function formatTime(seconds) {
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    const ms = Math.floor((seconds % 1) * 100);
+    // 先取整到厘秒，避免浮点误差（如 3.4 → 03.39）
+    const totalCs = Math.round(seconds * 100);
+    const mins = Math.floor(totalCs / 6000);
+    const secs = Math.floor((totalCs % 6000) / 100);
+    const ms = totalCs % 100;
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(2, '0')}`;
 }
 
@@ -103,11 +137,18 @@ function generateLRC(lyrics, metadata = {}) {
     if (metadata.title) lines.push(`[ti:${metadata.title}]`);
     if (metadata.artist) lines.push(`[ar:${metadata.artist}]`);
     if (metadata.album) lines.push(`[al:${metadata.album}]`);
+    if (metadata.length) lines.push(`[length:${metadata.length}]`);
 
-    // 添加歌词
+    // 添加歌词（有逐字时间时输出增强 LRC）
     for (const lyric of lyrics) {
         const timeStr = formatTime(lyric.startTime);
-        lines.push(`[${timeStr}]${lyric.text}`);
+        if (lyric.words && lyric.words.length > 0) {
+            const lastWord = lyric.words[lyric.words.length - 1];
+            const wordsStr = lyric.words.map(w => `<${formatTime(w.startTime)}>${w.text}`).join('');
+            lines.push(`[${timeStr}]${wordsStr}<${formatTime(lastWord.endTime)}>`);
+        } else {
+            lines.push(`[${timeStr}]${lyric.text}`);
+        }
     }
 
     return lines.join('\n');
@@ -115,6 +156,7 @@ function generateLRC(lyrics, metadata = {}) {
 
 module.exports = {
     sliceLyrics,
+    shiftLyrics,
     formatTime,
     generateLRC
 };
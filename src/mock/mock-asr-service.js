@@ -0,0 +1,78 @@
+/**
+ * 模拟歌词识别服务（ASR_PROVIDER=mock）
+ * 不上传音频：读取 MOCK_LYRICS_FILE（LRC/SRT/纯文本）或使用内置示例歌词，按音频时长排布成带时间戳的句子
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const audioConverter = require('../lyrics/audio-converter');
+const lyricsFormats = require('../lyrics/lyrics-formats');
+const simulator = require('./simulator');
+
+// 内置示例歌词（循环使用直到铺满音频）
+const SAMPLE_LINES = [
+    '月光洒在安静的湖面',
+    '风吹过我们走过的街',
+    '你的笑容像夏天的雨',
+    '落在心里慢慢地蔓延',
+    '城市的灯一盏一盏亮起',
+    '我在人群中寻找你的身影',
+    '如果时间可以停在这里',
+    '让我再看你一眼'
+];
+
+// 每句时长与句间间隔（秒）
+const LINE_DURATION = 3.5;
+const LINE_GAP = 0.5;
+
+// 前奏时长（秒），第一句从这里开始
+const INTRO_DURATION = 2;
+
+// 无法读取音频时长时使用的默认时长（秒）
+const DEFAULT_DURATION = 60;
+
+/**
+ * 按音频时长排布示例歌词
+ * @param {number} duration - 音频时长（秒）
+ * @returns {array} 歌词数组
+ */
+function buildSampleLyrics(duration) {
+    const lyrics = [];
+    for (let start = INTRO_DURATION; start + LINE_DURATION <= duration; start += LINE_DURATION + LINE_GAP) {
+        lyrics.push({
+            startTime: start,
+            endTime: start + LINE_DURATION,
+            text: SAMPLE_LINES[lyrics.length % SAMPLE_LINES.length],
+            confidence: 1
+        });
+    }
+    return lyrics;
+}
+
+/**
+ * 模拟识别音频
+ * @param {string} audioPath - 音频文件路径
+ * @returns {Promise<object>} { lyrics, duration }
+ */
+async function recognize(audioPath) {
+    await simulator.simulateCall('asr');
+
+    const duration = audioConverter.getAudioDuration(audioPath) || DEFAULT_DURATION;
+
+    if (config.mock.lyricsFile) {
+        if (!fs.existsSync(config.mock.lyricsFile)) {
+            throw new Error(`模拟歌词文件不存在: ${config.mock.lyricsFile}`);
+        }
+        const { lyrics } = lyricsFormats.parseLyrics(fs.readFileSync(config.mock.lyricsFile, 'utf-8'), {
+            audioDuration: duration
+        });
+        return { lyrics, duration };
+    }
+
+    return { lyrics: buildSampleLyrics(duration), duration };
+}
+
+module.exports = {
+    recognize,
+    buildSampleLyrics
+};
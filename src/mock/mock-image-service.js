@@ -0,0 +1,100 @@
+/**
+ * 模拟图片生成服务（IMAGE_PROVIDER=mock）
+ * 用 FFmpeg 在纯色画面上绘制镜头序号和歌词，颜色由镜头内容决定
+ * 绘制文字失败（FFmpeg 缺少 drawtext 或字体）时退回纯色画面
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const config = require('../config');
+const simulator = require('./simulator');
+
+/**
+ * 运行 FFmpeg
+ * @param {array} args - 参数
+ * @returns {Promise<void>}
+ */
+function runFFmpeg(args) {
+    return new Promise((resolve, reject) => {
+        execFile('ffmpeg', args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(`FFmpeg failed: ${(stderr || error.message).toString().slice(-300)}`));
+                return;
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * 转义滤镜参数中的路径
+ * @param {string} filePath - 文件路径
+ * @returns {string}
+ */
+function escapeFilterPath(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+}
+
+/**
+ * 按内容选择背景色（偏暗，保证白色文字可读）
+ * @param {string} key - 颜色种子
+ * @returns {string} 0xRRGGBB
+ */
+function pickColor(key) {
+    const hash = crypto.createHash('md5').update(key).digest();
+    return '0x' + [0, 1, 2].map(i => (40 + hash[i] % 120).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 生成图片（适配器入口）
+ * @param {string} prompt - 图片描述
+ * @param {object} options - { width, height, seed, index, caption }
+ * @returns {Promise<object>} { data: Base64, mimeType }
+ */
+async function generate(prompt, options = {}) {
+    await simulator.simulateCall('image', options.index ?? null);
+
+    const width = options.width || 1024;
+    const height = options.height || 576;
+    const caption = options.caption || prompt.substring(0, 60);
+    const color = pickColor(`${caption}|${prompt}|${options.seed ?? ''}`);
+
+    const id = `mv_mock_${process.pid}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const textPath = path.join(os.tmpdir(), `${id}.txt`);
+    const outputPath = path.join(os.tmpdir(), `${id}.png`);
+    const label = options.index !== undefined && options.index !== null ? `#${options.index}` : 'MOCK';
+    fs.writeFileSync(textPath, `${label}\n${caption}`);
+
+    const fontSize = Math.round(height / 14);
+    const drawtext = [
+        `textfile='${escapeFilterPath(textPath)}'`,
+        config.mock.fontFile ? `fontfile='${escapeFilterPath(config.mock.fontFile)}'` : null,
+        `fontsize=${fontSize}`,
+        'fontcolor=white',
+        'line_spacing=12',
+        'x=(w-text_w)/2',
+        'y=(h-text_h)/2'
+    ].filter(Boolean).join(':');
+    const baseArgs = ['-y', '-f', 'lavfi', '-i', `color=c=${color}:s=${width}x${height}`, '-frames:v', '1'];
+
+    try {
+        try {
+            await runFFmpeg([...baseArgs, '-vf', `drawtext=${drawtext}`, outputPath]);
+        } catch (e) {
+            console.warn('模拟图片绘制文字失败，使用纯色画面:', e.message);
+            await runFFmpeg([...baseArgs, outputPath]);
+        }
+        return { data: fs.readFileSync(outputPath).toString('base64'), mimeType: 'image/png' };
+    } finally {
+        for (const f of [textPath, outputPath]) {
+            try { fs.unlinkSync(f); } catch (e) {}
+        }
+    }
+}
+
+module.exports = {
+    generate
+};
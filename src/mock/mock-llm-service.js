@@ -0,0 +1,108 @@
+/**
+ * 模拟 LLM 服务（LLM_PROVIDER=mock）
+ * 从分镜请求中解析歌词列表，返回符合分镜 schema 的 JSON：人物镜头与空镜交替，景别和运镜轮换
+ * 同一组歌词总是得到相同的分镜，修复请求（多轮对话）也按第一条用户消息中的歌词重新生成
+ */
+
+const simulator = require('./simulator');
+
+// 模拟角色
+const MOCK_CAST = [
+    { id: 'A', name: '主角', description: 'young woman, shoulder-length black hair, white shirt, light denim jacket' }
+];
+
+const MOCK_GLOBAL_STYLE = {
+    aesthetic: 'cinematic, dreamy',
+    colorTone: 'warm sunset tones',
+    quality: '8K, cinematic lighting'
+};
+
+// 空镜场景轮换
+const LANDSCAPES = [
+    { sceneType: 'landscape', prompt: 'moonlight over a calm lake, mist on the water' },
+    { sceneType: 'object', prompt: 'close-up of a handwritten letter on a wooden table, soft window light' },
+    { sceneType: 'landscape', prompt: 'city street at dusk, neon signs reflecting on wet asphalt' },
+    { sceneType: 'artistic', prompt: 'petals drifting through golden light, shallow depth of field' }
+];
+
+const SHOT_SIZES = ['wide', 'medium', 'close_up'];
+const CAMERA_MOVES = ['push_in', 'pan_left', 'static', 'pull_out', 'pan_right', 'orbit', 'handheld'];
+
+/**
+ * 从分镜请求中提取歌词列表
+ * @param {array} messages - 消息数组
+ * @returns {array} [{ index, text, specialType, section }]
+ */
+function extractLyrics(messages) {
+    const userMessage = messages.find(m => m.role === 'user');
+    const match = userMessage?.content.match(/## 歌词列表\n(\[[\s\S]*?\n\])/);
+    if (!match) {
+        throw new Error('模拟 LLM 只支持分镜生成请求（未找到歌词列表）');
+    }
+    return JSON.parse(match[1]);
+}
+
+/**
+ * 生成单条分镜
+ * @param {object} lyric - 歌词条目
+ * @param {number} i - 本批内位置
+ * @returns {object} 分镜条目
+ */
+function buildShot(lyric, i) {
+    // 前奏/间奏/尾奏固定为空镜，其余每三句中两句人物镜头
+    const hasCharacter = !lyric.specialType && i % 3 !== 2;
+    const shotSize = SHOT_SIZES[i % SHOT_SIZES.length];
+    const cameraMove = CAMERA_MOVES[i % CAMERA_MOVES.length];
+
+    if (hasCharacter) {
+        return {
+            index: lyric.index,
+            lyric: lyric.text,
+            sceneType: 'character',
+            prompt: `${shotSize.replace('_', '-')} shot, A stands by the window, thinking about "${lyric.text}", soft backlight`,
+            hasCharacter: true,
+            characters: ['A'],
+            shotSize,
+            cameraMove,
+            subjectAction: 'she slowly turns her head toward the light',
+            negativePrompt: 'text, watermark'
+        };
+    }
+
+    const scene = LANDSCAPES[i % LANDSCAPES.length];
+    return {
+        index: lyric.index,
+        lyric: lyric.text,
+        sceneType: scene.sceneType,
+        prompt: `${shotSize.replace('_', '-')} shot, ${scene.prompt}`,
+        hasCharacter: false,
+        characters: [],
+        shotSize,
+        cameraMove,
+        subjectAction: 'light shifts gently across the scene',
+        negativePrompt: 'text, watermark'
+    };
+}
+
+/**
+ * 模拟对话（接口同 llm-client.chat）
+ * @param {array} messages - 消息数组 [{ role, content }]
+ * @returns {Promise<string>} 分镜 JSON 文本
+ */
+async function chat(messages) {
+    await simulator.simulateCall('llm');
+
+    const lyrics = extractLyrics(messages);
+    return JSON.stringify({
+        globalStyle: MOCK_GLOBAL_STYLE,
+        cast: MOCK_CAST,
+        characterDescription: MOCK_CAST[0].description,
+        ethnicity: '',
+        storyboard: lyrics.map(buildShot)
+    });
+}
+
+module.exports = {
+    chat,
+    extractLyrics
+};
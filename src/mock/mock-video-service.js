@@ -0,0 +1,41 @@
+/**
+ * 模拟视频生成服务（videoGeneration.provider=mock）
+ * 用 FFmpeg 按镜头运镜对首帧图片做 Ken Burns 动画，时长与真实接口返回的片段一致（6 / 10 秒，超长片段为 10 秒的整数倍）
+ */
+
+const imageAnimator = require('../mv/image-animator');
+const simulator = require('./simulator');
+
+// 与 Hailuo 768P 输出接近的分辨率
+const MOCK_RESOLUTION = '1366x768';
+
+/**
+ * 生成模拟视频片段
+ * @param {object} segment - 分段数据（index、cameraMove）
+ * @param {string} imagePath - 首帧图片路径
+ * @param {string} outputPath - 视频输出路径
+ * @param {number} duration - 片段时长（秒）
+ * @param {object} options - { kenBurnsEffects }
+ * @returns {Promise<object>} 生成结果
+ */
+async function generateClip(segment, imagePath, outputPath, duration, options = {}) {
+    await simulator.simulateCall('video', segment.index);
+
+    const result = await imageAnimator.animateImage(imagePath, outputPath, duration, {
+        effect: imageAnimator.getShotEffect(segment, segment.index, options.kenBurnsEffects),
+        resolution: MOCK_RESOLUTION
+    });
+    console.log(`  ✓ 模拟视频 ${segment.index}: ${result.effect}, ${duration}s`);
+
+    return {
+        success: true,
+        index: segment.index,
+        path: outputPath,
+        taskId: `mock_${segment.index}_${Date.now()}`,
+        duration
+    };
+}
+
+module.exports = {
+    generateClip
+};
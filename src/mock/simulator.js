@@ -0,0 +1,89 @@
+/**
+ * 模拟服务的延迟与失败注入
+ * 每次模拟调用先等待 MOCK_LATENCY_MS，再按 MOCK_FAIL_ON（指定阶段/镜头）和 MOCK_FAILURE_RATE（随机）决定是否失败
+ *
+ * MOCK_FAIL_ON 规则以逗号分隔，阶段为 asr / llm / image / video：
+ *   image:3  第 3 个镜头的图片生成失败
+ *   video    所有视频生成失败
+ * MOCK_FAIL_TIMES=N 时每条规则只让前 N 次调用失败（计数在进程内，重启服务或 POST /api/mock/reset-failures 后重新计数），
+ * 用于测试重试和断点续传
+ */
+
+const config = require('../config');
+
+// 指定失败规则的已失败次数（stage:index → 次数）
+const failureCounts = new Map();
+
+/**
+ * 解析指定失败规则
+ * @param {string} value - 规则字符串，如 image:3,video
+ * @returns {array} [{ stage, index }]（index 为 null 表示该阶段全部匹配）
+ */
+function parseFailRules(value = config.mock.failOn) {
+    return String(value || '')
+        .split(',')
+        .map(rule => rule.trim())
+        .filter(Boolean)
+        .map(rule => {
+            const [stage, index] = rule.split(':').map(s => s.trim());
+            return { stage, index: index ? parseInt(index, 10) : null };
+        });
+}
+
+/**
+ * 判断本次调用是否应失败
+ * @param {string} stage - 阶段（asr / llm / image / video）
+ * @param {number|null} index - 镜头序号
+ * @returns {boolean}
+ */
+function shouldFail(stage, index = null) {
+    const matched = parseFailRules().some(rule =>
+        rule.stage === stage && (rule.index === null || rule.index === index)
+    );
+    if (matched) {
+        const key = `${stage}:${index ?? ''}`;
+        const count = (failureCounts.get(key) || 0) + 1;
+        failureCounts.set(key, count);
+        if (!config.mock.failTimes || count <= config.mock.failTimes) {
+            return true;
+        }
+    }
+    return config.mock.failureRate > 0 && Math.random() < config.mock.failureRate;
+}
+
+/**
+ * 模拟一次服务调用：等待延迟，按规则抛出失败
+ * @param {string} stage - 阶段（asr / llm / image / video）
+ * @param {number|null} index - 镜头序号（图片、视频）
+ */
+async function simulateCall(stage, index = null) {
+    if (config.mock.latencyMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, config.mock.latencyMs));
+    }
+    if (shouldFail(stage, index)) {
+        throw new Error(`模拟失败: ${stage}${index !== null && index !== undefined ? ` #${index}` : ''}`);
+    }
+}
+
+/**
+ * 清空指定失败的计数
+ */
+function resetFailures() {
+    failureCounts.clear();
+}
+
+/**
+ * 模拟模式状态（用于健康检查）
+ * @returns {object} { enabled, latencyMs, failureRate, failOn, failTimes }
+ */
+function getStatus() {
+    const { enabled, latencyMs, failureRate, failOn, failTimes } = config.mock;
+    return { enabled, latencyMs, failureRate, failOn: parseFailRules(failOn), failTimes };
+}
+
+module.exports = {
+    parseFailRules,
+    simulateCall,
+    resetFailures,
+    getStatus
+};
@@ -0,0 +1,299 @@
+/**
+ * 音频节奏分析模块
+ * 通过 FFmpeg 解码 PCM，计算 BPM、节拍与强拍时间、RMS 能量包络
+ * 供剪辑卡点、片段优先级、转场等功能使用
+ */
+
+const audioConverter = require('../lyrics/audio-converter');
+
+// 分析参数
+const SAMPLE_RATE = 11025;
+const FFT_SIZE = 1024;
+const HOP_SIZE = 256;                  // 约 23ms 一帧
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PRIOR_BPM = 120;                 // 节奏先验中心
+const BEAT_TIGHTNESS = 100;            // 节拍间隔偏离惩罚
+const LOW_FREQ_CUTOFF = 200;           // 低频（底鼓/贝斯）上限，用于判断强拍
+const BEATS_PER_BAR = 4;               // 按 4/4 拍估计强拍
+const ENERGY_FRAME_DURATION = 0.1;     // 能量包络帧长（秒）
+
+// 分析结果版本，算法变化时递增以使缓存失效
+const ANALYSIS_VERSION = 1;
+
+/**
+ * 原地 FFT（基 2）
+ * @param {Float64Array} re - 实部
+ * @param {Float64Array} im - 虚部
+ */
+function fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+        const angle = -2 * Math.PI / len;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        for (let i = 0; i < n; i += len) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < len / 2; k++) {
+                const aRe = re[i + k];
+                const aIm = im[i + k];
+                const bRe = re[i + k + len / 2] * curRe - im[i + k + len / 2] * curIm;
+                const bIm = re[i + k + len / 2] * curIm + im[i + k + len / 2] * curRe;
+                re[i + k] = aRe + bRe;
+                im[i + k] = aIm + bIm;
+                re[i + k + len / 2] = aRe - bRe;
+                im[i + k + len / 2] = aIm - bIm;
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+/**
+ * 计算起音强度包络（对数幅度谱正向差分，去局部均值）
+ * @param {Float32Array} samples - PCM 采样
+ * @param {number} sampleRate - 采样率
+ * @returns {object} { onset: 全频段起音强度, lowOnset: 低频起音强度, fps: 每秒帧数 }
+ */
+function computeOnsetEnvelope(samples, sampleRate) {
+    const frameCount = Math.max(Math.floor((samples.length - FFT_SIZE) / HOP_SIZE) + 1, 0);
+    const bins = FFT_SIZE / 2;
+    const lowBins = Math.ceil(LOW_FREQ_CUTOFF * FFT_SIZE / sampleRate);
+
+    const window = new Float64Array(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FFT_SIZE);
+    }
+
+    const onset = new Float64Array(frameCount);
+    const lowOnset = new Float64Array(frameCount);
+    let prev = new Float64Array(bins);
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+
+    for (let f = 0; f < frameCount; f++) {
+        const offset = f * HOP_SIZE;
+        for (let i = 0; i < FFT_SIZE; i++) {
+            re[i] = samples[offset + i] * window[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+
+        const current = new Float64Array(bins);
+        let flux = 0;
+        let lowFlux = 0;
+        for (let k = 1; k < bins; k++) {
+            current[k] = Math.log1p(10 * Math.sqrt(re[k] * re[k] + im[k] * im[k]));
+            const diff = current[k] - prev[k];
+            if (diff > 0) {
+                flux += diff;
+                if (k <= lowBins) lowFlux += diff;
+            }
+        }
+        onset[f] = f === 0 ? 0 : flux;
+        lowOnset[f] = f === 0 ? 0 : lowFlux;
+        prev = current;
+    }
+
+    const fps = sampleRate / HOP_SIZE;
+    return {
+        onset: normalizeOnset(onset, Math.round(fps * 0.5)),
+        lowOnset: normalizeOnset(lowOnset, Math.round(fps * 0.5)),
+        fps
+    };
+}
+
+/**
+ * 减去滑动平均并半波整流，再归一化到 0 ~ 1
+ * @param {Float64Array} values - 原始包络
+ * @param {number} radius - 滑动窗口半径（帧）
+ * @returns {Float64Array}
+ */
+function normalizeOnset(values, radius) {
+    const result = new Float64Array(values.length);
+    let max = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        const from = Math.max(0, i - radius);
+        const to = Math.min(values.length, i + radius + 1);
+        let sum = 0;
+        for (let j = from; j < to; j++) sum += values[j];
+        result[i] = Math.max(0, values[i] - sum / (to - from));
+        max = Math.max(max, result[i]);
+    }
+
+    if (max > 0) {
+        for (let i = 0; i < result.length; i++) result[i] /= max;
+    }
+    return result;
+}
+
+/**
+ * 用自相关估计节拍周期（加对数高斯节奏先验）
+ * @param {Float64Array} onset - 起音强度包络
+ * @param {number} fps - 每秒帧数
+ * @returns {number} 节拍周期（帧，可为小数）
+ */
+function estimateBeatPeriod(onset, fps) {
+    const minLag = Math.floor(fps * 60 / MAX_BPM);
+    const maxLag = Math.ceil(fps * 60 / MIN_BPM);
+    const scores = new Float64Array(maxLag + 2);
+
+    for (let lag = minLag; lag <= maxLag + 1; lag++) {
+        let sum = 0;
+        for (let i = lag; i < onset.length; i++) {
+            sum += onset[i] * onset[i - lag];
+        }
+        const bpm = 60 * fps / lag;
+        const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / PRIOR_BPM), 2));
+        scores[lag] = sum / (onset.length - lag) * prior;
+    }
+
+    let best = minLag;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        if (scores[lag] > scores[best]) best = lag;
+    }
+
+    // 抛物线插值得到小数周期
+    const a = scores[best - 1] || 0;
+    const b = scores[best];
+    const c = scores[best + 1] || 0;
+    const denom = a - 2 * b + c;
+    const shift = denom !== 0 ? 0.5 * (a - c) / denom : 0;
+    return best + Math.max(-0.5, Math.min(0.5, shift));
+}
+
+/**
+ * 动态规划节拍跟踪（Ellis 2007）
+ * @param {Float64Array} onset - 起音强度包络
+ * @param {number} period - 节拍周期（帧）
+ * @returns {array} 节拍所在帧
+ */
+function trackBeats(onset, period) {
+    const n = onset.length;
+    if (n === 0) return [];
+
+    const score = new Float64Array(n);
+    const backlink = new Int32Array(n).fill(-1);
+    const minPrev = Math.round(period / 2);
+    const maxPrev = Math.round(period * 2);
+
+    for (let t = 0; t < n; t++) {
+        let bestScore = 0;
+        let bestPrev = -1;
+        for (let prev = t - maxPrev; prev <= t - minPrev; prev++) {
+            if (prev < 0) continue;
+            const penalty = BEAT_TIGHTNESS * Math.pow(Math.log((t - prev) / period), 2);
+            const candidate = score[prev] - penalty;
+            if (bestPrev < 0 || candidate > bestScore) {
+                bestScore = candidate;
+                bestPrev = prev;
+            }
+        }
+        score[t] = onset[t] + (bestPrev >= 0 ? Math.max(bestScore, 0) : 0);
+        backlink[t] = bestPrev >= 0 && bestScore > 0 ? bestPrev : -1;
+    }
+
+    // 从最后一个周期内得分最高的帧回溯
+    let end = n - 1;
+    for (let t = Math.max(0, n - Math.round(period)); t < n; t++) {
+        if (score[t] > score[end]) end = t;
+    }
+
+    const beats = [];
+    for (let t = end; t >= 0; t = backlink[t]) {
+        beats.push(t);
+    }
+    return beats.reverse();
+}
+
+/**
+ * 估计强拍相位：低频起音最强的那一拍位作为每小节第一拍
+ * @param {array} beatFrames - 节拍所在帧
+ * @param {Float64Array} lowOnset - 低频起音强度
+ * @returns {array} 强拍所在帧
+ */
+function findDownbeats(beatFrames, lowOnset) {
+    const phaseScores = new Array(BEATS_PER_BAR).fill(0);
+    beatFrames.forEach((frame, i) => {
+        phaseScores[i % BEATS_PER_BAR] += lowOnset[frame] || 0;
+    });
+
+    const phase = phaseScores.indexOf(Math.max(...phaseScores));
+    return beatFrames.filter((_, i) => i % BEATS_PER_BAR === phase);
+}
+
+/**
+ * 计算 RMS 能量包络（归一化到 0 ~ 1）
+ * @param {Float32Array} samples - PCM 采样
+ * @param {number} sampleRate - 采样率
+ * @returns {object} { frameDuration, values }
+ */
+function computeRmsEnvelope(samples, sampleRate) {
+    const envelope = audioConverter.computeEnergyEnvelope(samples, sampleRate, ENERGY_FRAME_DURATION);
+    const rms = Array.from(envelope.energy, db => Math.pow(10, db / 20));
+    // 长音频帧数很多，不能展开成 Math.max 的参数
+    const max = rms.reduce((m, v) => Math.max(m, v), 1e-10);
+
+    return {
+        frameDuration: envelope.frameDuration,
+        values: rms.map(v => Math.round(v / max * 1000) / 1000)
+    };
+}
+
+/**
+ * 分析 PCM 采样
+ * @param {Float32Array} samples - PCM 采样
+ * @param {number} sampleRate - 采样率
+ * @returns {object} 分析结果
+ */
+function analyzeSamples(samples, sampleRate) {
+    const { onset, lowOnset, fps } = computeOnsetEnvelope(samples, sampleRate);
+    const period = estimateBeatPeriod(onset, fps);
+    const beatFrames = trackBeats(onset, period);
+    const downbeatFrames = findDownbeats(beatFrames, lowOnset);
+    const toSeconds = (frame) => Math.round((frame * HOP_SIZE + FFT_SIZE / 2) / sampleRate * 1000) / 1000;
+
+    return {
+        version: ANALYSIS_VERSION,
+        duration: Math.round(samples.length / sampleRate * 1000) / 1000,
+        bpm: Math.round(60 * fps / period * 10) / 10,
+        beatInterval: Math.round(period / fps * 1000) / 1000,
+        beats: beatFrames.map(toSeconds),
+        downbeats: downbeatFrames.map(toSeconds),
+        energy: computeRmsEnvelope(samples, sampleRate)
+    };
+}
+
+/**
+ * 分析音频文件（主入口）
+ * @param {string} audioPath - 音频文件路径
+ * @returns {object} { version, duration, bpm, beatInterval, beats, downbeats, energy }
+ */
+function analyzeAudio(audioPath) {
+    console.log(`分析音频节奏: ${audioPath}`);
+    const { samples, sampleRate } = audioConverter.decodePCM(audioPath, { sampleRate: SAMPLE_RATE });
+    const result = analyzeSamples(samples, sampleRate);
+    console.log(`  BPM: ${result.bpm}，节拍 ${result.beats.length} 个，强拍 ${result.downbeats.length} 个`);
+    return result;
+}
+
+module.exports = {
+    ANALYSIS_VERSION,
+    analyzeAudio,
+    analyzeSamples
+};
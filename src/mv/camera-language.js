@@ -0,0 +1,139 @@
+/**
+ * 镜头语言模块
+ * 分镜中的景别（shotSize）、运镜（cameraMove）和主体动作（subjectAction）
+ * 用于组合海螺视频 Prompt 的运镜指令，以及图片动画的 Ken Burns 效果
+ */
+
+/**
+ * 景别
+ */
+const ShotSize = {
+    WIDE: 'wide',           // 远景/全景
+    MEDIUM: 'medium',       // 中景
+    CLOSE_UP: 'close_up'    // 近景/特写
+};
+
+/**
+ * 运镜方式
+ */
+const CameraMove = {
+    STATIC: 'static',       // 固定机位
+    PUSH_IN: 'push_in',     // 推
+    PULL_OUT: 'pull_out',   // 拉
+    PAN_LEFT: 'pan_left',   // 左摇
+    PAN_RIGHT: 'pan_right', // 右摇
+    ORBIT: 'orbit',         // 环绕
+    HANDHELD: 'handheld'    // 手持跟拍
+};
+
+// LLM 常见的写法 → 标准值
+const SHOT_SIZE_ALIASES = {
+    wide: ShotSize.WIDE,
+    'wide shot': ShotSize.WIDE,
+    long: ShotSize.WIDE,
+    'long shot': ShotSize.WIDE,
+    full: ShotSize.WIDE,
+    establishing: ShotSize.WIDE,
+    medium: ShotSize.MEDIUM,
+    'medium shot': ShotSize.MEDIUM,
+    mid: ShotSize.MEDIUM,
+    close_up: ShotSize.CLOSE_UP,
+    'close-up': ShotSize.CLOSE_UP,
+    'close up': ShotSize.CLOSE_UP,
+    closeup: ShotSize.CLOSE_UP,
+    'extreme close-up': ShotSize.CLOSE_UP
+};
+
+const CAMERA_MOVE_ALIASES = {
+    static: CameraMove.STATIC,
+    fixed: CameraMove.STATIC,
+    push_in: CameraMove.PUSH_IN,
+    'push-in': CameraMove.PUSH_IN,
+    'push in': CameraMove.PUSH_IN,
+    dolly_in: CameraMove.PUSH_IN,
+    'zoom in': CameraMove.PUSH_IN,
+    pull_out: CameraMove.PULL_OUT,
+    'pull-out': CameraMove.PULL_OUT,
+    'pull out': CameraMove.PULL_OUT,
+    dolly_out: CameraMove.PULL_OUT,
+    'zoom out': CameraMove.PULL_OUT,
+    pan: CameraMove.PAN_RIGHT,
+    pan_left: CameraMove.PAN_LEFT,
+    'pan left': CameraMove.PAN_LEFT,
+    pan_right: CameraMove.PAN_RIGHT,
+    'pan right': CameraMove.PAN_RIGHT,
+    orbit: CameraMove.ORBIT,
+    arc: CameraMove.ORBIT,
+    handheld: CameraMove.HANDHELD,
+    'hand-held': CameraMove.HANDHELD,
+    tracking: CameraMove.HANDHELD
+};
+
+// 运镜 → 海螺视频运镜指令（环绕用横移 + 反向摇镜组合）
+const HAILUO_CAMERA_COMMANDS = {
+    [CameraMove.STATIC]: '[Static shot]',
+    [CameraMove.PUSH_IN]: '[Push in]',
+    [CameraMove.PULL_OUT]: '[Pull out]',
+    [CameraMove.PAN_LEFT]: '[Pan left]',
+    [CameraMove.PAN_RIGHT]: '[Pan right]',
+    [CameraMove.ORBIT]: '[Truck left,Pan right]',
+    [CameraMove.HANDHELD]: '[Shake,Tracking shot]'
+};
+
+const SHOT_SIZE_TEXT = {
+    [ShotSize.WIDE]: 'wide shot',
+    [ShotSize.MEDIUM]: 'medium shot',
+    [ShotSize.CLOSE_UP]: 'close-up shot'
+};
+
+/**
+ * 按别名表规范化枚举值
+ * @param {*} value - 原始值
+ * @param {object} aliases - 别名表
+ * @returns {string|null} 标准值（无法识别时为 null）
+ */
+function normalizeEnum(value, aliases) {
+    if (typeof value !== 'string') return null;
+    const key = value.trim().toLowerCase().replace(/\s+/g, ' ');
+    return aliases[key] || aliases[key.replace(/ /g, '_')] || null;
+}
+
+/**
+ * 规范化镜头语言字段（无法识别的值置为 null，不影响分镜校验）
+ * @param {object} item - 分镜条目
+ * @returns {object} { shotSize, cameraMove, subjectAction }
+ */
+function normalizeCameraFields(item = {}) {
+    const action = typeof item.subjectAction === 'string' ? item.subjectAction.trim() : '';
+    return {
+        shotSize: normalizeEnum(item.shotSize, SHOT_SIZE_ALIASES),
+        cameraMove: normalizeEnum(item.cameraMove, CAMERA_MOVE_ALIASES),
+        subjectAction: action || null
+    };
+}
+
+/**
+ * 组合海螺视频 Prompt：运镜指令 + 主体动作 + 景别
+ * 手动填写的 videoPrompt 优先（视为导演已确定的描述）
+ * @param {object} segment - { videoPrompt, prompt, shotSize, cameraMove, subjectAction }
+ * @returns {string} 视频 Prompt
+ */
+function buildVideoPrompt(segment) {
+    if (segment.videoPrompt) return segment.videoPrompt;
+
+    const command = HAILUO_CAMERA_COMMANDS[segment.cameraMove] || '';
+    const description = [
+        segment.subjectAction,
+        SHOT_SIZE_TEXT[segment.shotSize],
+        segment.prompt
+    ].filter(Boolean).join(', ');
+
+    return command ? `${command} ${description}` : description;
+}
+
+module.exports = {
+    ShotSize,
+    CameraMove,
+    normalizeCameraFields,
+    buildVideoPrompt
+};
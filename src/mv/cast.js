@@ -0,0 +1,89 @@
+/**
+ * 角色表模块
+ * 多角色（对唱、剧情类歌曲）的角色定义，为每个镜头解析出场角色并构建角色描述
+ */
+
+// 角色编号（LLM 未给出 id 时按顺序分配）
+const CAST_IDS = 'ABCDEFGHIJKL';
+
+/**
+ * 从分镜结果中整理角色表
+ * 没有 cast 时使用 characterDescription 作为唯一主角（兼容旧项目）
+ * @param {object} storyboard - { cast, characterDescription }
+ * @returns {array} [{ id, name, description }]
+ */
+function normalizeCast(storyboard = {}) {
+    if (Array.isArray(storyboard.cast) && storyboard.cast.length > 0) {
+        const cast = [];
+        storyboard.cast.forEach((member, i) => {
+            if (!member || typeof member !== 'object') return;
+            const id = String(member.id || CAST_IDS[i] || i + 1).trim();
+            if (cast.some(m => m.id === id)) return;
+            cast.push({
+                id,
+                name: member.name || `角色${id}`,
+                description: member.description || ''
+            });
+        });
+        if (cast.length > 0) return cast;
+    }
+
+    if (storyboard.characterDescription) {
+        return [{ id: 'A', name: '主角', description: storyboard.characterDescription }];
+    }
+    return [];
+}
+
+/**
+ * 解析镜头中出场的角色
+ * 人物镜头未标注角色（或标注无效）时默认为主角
+ * @param {object} shot - { hasCharacter, characters }
+ * @param {array} cast - 角色表
+ * @returns {array} 角色 id 列表
+ */
+function resolveShotCharacters(shot, cast) {
+    if (!shot.hasCharacter) return [];
+
+    const ids = (Array.isArray(shot.characters) ? shot.characters : [])
+        .map(id => String(id))
+        .filter((id, i, all) => all.indexOf(id) === i && cast.some(m => m.id === id));
+
+    if (ids.length === 0 && cast.length > 0) {
+        return [cast[0].id];
+    }
+    return ids;
+}
+
+/**
+ * 获取镜头出场的角色成员
+ * @param {object} shot - { hasCharacter, characters }
+ * @param {array} cast - 角色表
+ * @returns {array} 角色成员
+ */
+function getShotMembers(shot, cast) {
+    return resolveShotCharacters(shot, cast).map(id => cast.find(m => m.id === id));
+}
+
+/**
+ * 构建镜头的角色描述 Prompt
+ * @param {array} members - 出场角色
+ * @returns {string} 角色描述（无角色时为空）
+ */
+function buildCharacterPrompt(members) {
+    const described = members.filter(m => m.description);
+    if (described.length === 0) return '';
+
+    if (described.length === 1) {
+        return `${described[0].description}, same character, consistent appearance`;
+    }
+
+    return described.map(m => `${m.name}: ${m.description}`).join('; ') +
+        `, ${described.length} people in the frame, each character keeps a consistent appearance`;
+}
+
+module.exports = {
+    normalizeCast,
+    resolveShotCharacters,
+    getShotMembers,
+    buildCharacterPrompt
+};
@@ -0,0 +1,211 @@
+/**
+ * 编辑历史模块
+ * 记录歌词与 Prompt 的修改操作，支持撤销/重做和历史查询
+ */
+
+/**
+ * 历史作用域：歌词编辑与 Prompt 编辑各自独立撤销
+ */
+const EditScope = {
+    LYRICS: 'lyrics',
+    PROMPTS: 'prompts'
+};
+
+/**
+ * 操作类型
+ */
+const EditType = {
+    TEXT: 'text',                // 歌词文本
+    TIME: 'time',                // 歌词时间
+    INSERT: 'insert',            // 插入歌词行
+    DELETE: 'delete',            // 删除歌词行
+    REPLACE: 'replace',          // 整份歌词替换（ASR、导入、平移），before / after 只保存变化的行
+    PROMPT: 'prompt',            // 图片 Prompt
+    VIDEO_PROMPT: 'videoPrompt', // 视频 Prompt
+    PROMOTE: 'promote'           // 恢复分镜版本（before / after 为 { versionId }）
+};
+
+/**
+ * 修改来源
+ */
+const EditSource = {
+    USER: 'user',
+    ASR: 'asr',
+    IMPORT: 'import',
+    LLM: 'llm'
+};
+
+// 每个项目最多保留的历史条数
+const MAX_ENTRIES = 500;
+
+/**
+ * 创建空的编辑历史
+ * @returns {object} 编辑历史
+ */
+function createHistory() {
+    return {
+        entries: [],
+        nextId: 1
+    };
+}
+
+/**
+ * 深拷贝 JSON 值（保存快照，避免后续修改影响历史）
+ * @param {*} value - 任意 JSON 值
+ * @returns {*} 拷贝
+ */
+function cloneValue(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 记录一次编辑
+ * 新编辑会丢弃同作用域中已撤销（可重做）的记录
+ * @param {object} history - 编辑历史
+ * @param {object} edit - { scope, type, index, before, after, source, actor }
+ * @returns {object} 历史记录
+ */
+function recordEdit(history, edit) {
+    history.entries = history.entries.filter(e => !(e.scope === edit.scope && e.undone));
+
+    const entry = {
+        id: history.nextId++,
+        scope: edit.scope,
+        type: edit.type,
+        index: edit.index ?? null,
+        before: cloneValue(edit.before),
+        after: cloneValue(edit.after),
+        source: edit.source || EditSource.USER,
+        actor: edit.actor || null,
+        timestamp: new Date().toISOString(),
+        undone: false
+    };
+    history.entries.push(entry);
+
+    if (history.entries.length > MAX_ENTRIES) {
+        history.entries.splice(0, history.entries.length - MAX_ENTRIES);
+    }
+
+    return entry;
+}
+
+/**
+ * 对比整份歌词替换前后的内容，只保留变化的行
+ * @param {array|null} before - 替换前的歌词（首次识别/导入时为空）
+ * @param {array} after - 替换后的歌词
+ * @returns {object} { before: { count, lines: [{ index, value }] } | null, after: 同 before }
+ */
+function diffLyricLines(before, after) {
+    const previous = before || [];
+    const changed = [];
+    for (let i = 0; i < Math.max(previous.length, after.length); i++) {
+        if (JSON.stringify(previous[i] ?? null) !== JSON.stringify(after[i] ?? null)) {
+            changed.push(i);
+        }
+    }
+
+    const side = lines => ({
+        count: lines.length,
+        lines: changed.map(index => ({ index, value: cloneValue(lines[index]) }))
+    });
+    return {
+        before: before ? side(previous) : null,
+        after: side(after)
+    };
+}
+
+/**
+ * 将替换记录的一侧应用到当前歌词
+ * @param {array} lines - 当前歌词（另一侧的状态）
+ * @param {object} side - { count, lines }
+ * @returns {array} 新歌词
+ */
+function applyLyricLines(lines, side) {
+    const result = lines.slice(0, side.count);
+    for (const { index, value } of side.lines) {
+        if (index < side.count) result[index] = cloneValue(value);
+    }
+    return result;
+}
+
+/**
+ * 检查当前歌词是否与替换记录的一侧一致（只比较行数和变化的行）
+ * @param {array} lines - 当前歌词
+ * @param {object} side - { count, lines }
+ * @returns {boolean}
+ */
+function matchLyricLines(lines, side) {
+    return lines.length === side.count && side.lines.every(({ index, value }) =>
+        index >= side.count || JSON.stringify(lines[index] ?? null) === JSON.stringify(value));
+}
+
+/**
+ * 查找可撤销的记录（作用域内最后一条未撤销的记录）
+ * 整份替换且之前没有歌词（首次识别/导入）的记录不可撤销
+ * @param {object} history - 编辑历史
+ * @param {string} scope - 作用域
+ * @returns {object|null} 历史记录
+ */
+function findUndo(history, scope) {
+    for (let i = history.entries.length - 1; i >= 0; i--) {
+        const entry = history.entries[i];
+        if (entry.scope !== scope || entry.undone) continue;
+        if (entry.type === EditType.REPLACE && !entry.before) return null;
+        return entry;
+    }
+    return null;
+}
+
+/**
+ * 查找可重做的记录（作用域内最早一条已撤销的记录）
+ * @param {object} history - 编辑历史
+ * @param {string} scope - 作用域
+ * @returns {object|null} 历史记录
+ */
+function findRedo(history, scope) {
+    return history.entries.find(e => e.scope === scope && e.undone) || null;
+}
+
+/**
+ * 获取作用域的撤销/重做状态
+ * @param {object} history - 编辑历史
+ * @param {string} scope - 作用域
+ * @returns {object} { canUndo, canRedo }
+ */
+function getUndoState(history, scope) {
+    return {
+        canUndo: !!findUndo(history, scope),
+        canRedo: !!findRedo(history, scope)
+    };
+}
+
+/**
+ * 查询历史记录（按时间倒序）
+ * @param {object} history - 编辑历史
+ * @param {object} options - { scope, index, limit }
+ * @returns {array} 历史记录
+ */
+function listHistory(history, options = {}) {
+    const { scope = null, index = null, limit = 100 } = options;
+
+    return history.entries
+        .filter(e => (!scope || e.scope === scope) && (index === null || e.index === index))
+        .slice(-limit)
+        .reverse();
+}
+
+module.exports = {
+    EditScope,
+    EditType,
+    EditSource,
+    createHistory,
+    cloneValue,
+    recordEdit,
+    diffLyricLines,
+    applyLyricLines,
+    matchLyricLines,
+    findUndo,
+    findRedo,
+    getUndoState,
+    listHistory
+};
@@ -7,6 +7,7 @@ const { execSync, exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
+const { CameraMove } = require('./camera-language');
 
 /**
  * 动画效果类型
@@ -21,7 +22,22 @@ const AnimationEffect = {
     ZOOM_IN_PAN_LEFT: 'zoom_in_pan_left',   // 放大+左移
     ZOOM_IN_PAN_RIGHT: 'zoom_in_pan_right', // 放大+右移
     ZOOM_OUT_PAN_LEFT: 'zoom_out_pan_left', // 缩小+左移
-    ZOOM_OUT_PAN_RIGHT: 'zoom_out_pan_right' // 缩小+右移
+    ZOOM_OUT_PAN_RIGHT: 'zoom_out_pan_right', // 缩小+右移
+    HOLD: 'hold',                 // 几乎静止（轻微放大）
+    HANDHELD: 'handheld'          // 手持晃动
+};
+
+/**
+ * 分镜运镜 → 动画效果
+ */
+const CAMERA_MOVE_EFFECTS = {
+    [CameraMove.STATIC]: AnimationEffect.HOLD,
+    [CameraMove.PUSH_IN]: AnimationEffect.ZOOM_IN,
+    [CameraMove.PULL_OUT]: AnimationEffect.ZOOM_OUT,
+    [CameraMove.PAN_LEFT]: AnimationEffect.PAN_LEFT,
+    [CameraMove.PAN_RIGHT]: AnimationEffect.PAN_RIGHT,
+    [CameraMove.ORBIT]: AnimationEffect.ZOOM_IN_PAN_RIGHT,
+    [CameraMove.HANDHELD]: AnimationEffect.HANDHELD
 };
 
 /**
@@ -117,6 +133,14 @@ function generateZoompanFilter(effect, duration, fps, outputWidth = 1920, output
             // 缩小同时向右平移
             return `zoompan=z='if(lte(zoom,1.0),${zoomEnd},max(zoom-${zoomDelta.toFixed(6)},1.0))':x='iw-iw/zoom-iw/zoom/10*on/${totalFrames}':y='ih/2-(ih/zoom/2)':${baseParams}`;
 
+        case AnimationEffect.HOLD:
+            // 固定机位：只做极轻微的放大，避免画面完全静止
+            return `zoompan=z='min(zoom+${(0.03 / totalFrames).toFixed(6)},1.03)':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':${baseParams}`;
+
+        case AnimationEffect.HANDHELD:
+            // 手持：轻微放大留出余量，中心点缓慢不规则晃动
+            return `zoompan=z='1.08':x='iw/2-(iw/zoom/2)+sin(on/9)*iw/120':y='ih/2-(ih/zoom/2)+sin(on/7+1)*ih/160':${baseParams}`;
+
         default:
             // 默认缓慢放大
             return `zoompan=z='min(zoom+${zoomDelta.toFixed(6)},${zoomEnd})':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':${baseParams}`;
@@ -142,6 +166,20 @@ function getRandomEffect(index) {
     return effects[index % effects.length];
 }
 
+/**
+ * 按分镜运镜选择动画效果（未指定运镜时按索引轮换）
+ * @param {object} segment - 分段数据（cameraMove）
+ * @param {number} index - 索引，用于未指定运镜时的轮换
+ * @param {array|null} effects - 轮换的效果列表（风格预设指定，为空时使用默认列表）
+ * @returns {string} 动画效果类型
+ */
+function getShotEffect(segment, index, effects = null) {
+    if (CAMERA_MOVE_EFFECTS[segment.cameraMove]) {
+        return CAMERA_MOVE_EFFECTS[segment.cameraMove];
+    }
+    return effects?.length ? effects[index % effects.length] : getRandomEffect(index);
+}
+
 /**
  * 将单张图片转换为带动画效果的视频
  * @param {string} imagePath - 输入图片路径
@@ -252,8 +290,8 @@ async function animateImages(segments, imageDir, outputDir, options = {}, onProg
         const imagePath = path.join(imageDir, `image_${paddedIndex}.png`);
         const outputPath = path.join(outputDir, `animated_${paddedIndex}.mp4`);
 
-        // 确定动画效果
-        const effect = options.effect || getRandomEffect(i);
+        // 确定动画效果：优先使用分镜指定的运镜
+        const effect = options.effect || getShotEffect(segment, i, options.kenBurnsEffects);
 
         // 使用歌词时长
         const duration = segment.duration || 5;
@@ -340,5 +378,6 @@ module.exports = {
     animateImages,
     createStaticVideo,
     getRandomEffect,
+    getShotEffect,
     getImageSize
 };
@@ -1,223 +1,46 @@
 /**
  * 图片生成模块
- * 基于 MiniMax Gemini API (nano_banana) 生成图片
+ * 组合分镜 Prompt、角色参考图和负面 Prompt，通过图片服务（IMAGE_PROVIDER）生成图片
  */
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
-const config = require('../config');
+const castModule = require('./cast');
+const imageProvider = require('./image-provider');
 
-/**
- * API 配置
- */
-const API_CONFIG = {
-    baseUrl: 'api.minimax.io',
-    model: 'g3-pro-image-preview',
-    endpoint: '/v1/gemini/v1beta/models/g3-pro-image-preview:generateContent'
-};
+// 种子取值范围（32 位有符号整数的非负部分）
+const MAX_SEED = 2147483647;
+
+// 空镜的负面 Prompt
+const LANDSCAPE_NEGATIVE_PROMPT = 'people, person, human figure';
 
 /**
- * 调用 MiniMax Gemini API 生成图片 (带重试)
- * @param {string} prompt - 图片描述
- * @param {object} options - 配置选项
- * @param {number} retries - 重试次数
- * @returns {Promise<object>} 响应数据
+ * 合并负面 Prompt（逗号分隔，去重）
+ * @param {...string} parts - 负面 Prompt 片段（空值忽略）
+ * @returns {string} 合并后的负面 Prompt（无内容时为空字符串）
  */
-function callImageAPI(prompt, options = {}, retries = 3) {
-    return new Promise((resolve, reject) => {
-        const token = config.imageGeneration.nanoBanana.apiKey;
-        if (!token) {
-            reject(new Error('MiniMax API token not configured'));
-            return;
-        }
-
-        const aspectRatio = options.aspectRatio || config.imageGeneration.aspectRatio || '16:9';
-        const imageSize = options.imageSize || '1K';
-
-        // 构建请求内容
-        const contentParts = [];
-
-        // 如果有参考图片，添加到请求中
-        if (options.referenceImage) {
-            contentParts.push({
-                inlineData: {
-                    mimeType: 'image/png',
-                    data: options.referenceImage
-                }
-            });
-            // 添加参考指令
-            contentParts.push({
-                text: `[Reference image above - maintain the same person's face, hairstyle, and appearance in the new image]\n\n${prompt}`
-            });
-        } else {
-            contentParts.push({ text: prompt });
-        }
-
-        const requestBody = {
-            contents: [
-                {
-                    parts: contentParts,
-                    role: 'user'
-                }
-            ],
-            generationConfig: {
-                responseModalities: ['TEXT', 'IMAGE'],
-                imageConfig: {
-                    aspectRatio: aspectRatio,
-                    imageSize: imageSize
-                }
+function mergeNegativePrompts(...parts) {
+    const terms = [];
+    for (const part of parts) {
+        if (typeof part !== 'string') continue;
+        for (const term of part.split(',').map(t => t.trim()).filter(Boolean)) {
+            if (!terms.some(t => t.toLowerCase() === term.toLowerCase())) {
+                terms.push(term);
             }
-        };
-
-        // 如果有 subject_reference 配置（角色一致性）
-        if (options.subjectReference) {
-            requestBody.generationConfig.subjectReference = options.subjectReference;
         }
-
-        const payload = JSON.stringify(requestBody);
-
-        // 使用参考图片时增加超时时间
-        const timeoutMs = options.referenceImage ? 300000 : 180000; // 5分钟 vs 3分钟
-
-        const requestOptions = {
-            hostname: API_CONFIG.baseUrl,
-            port: 443,
-            path: API_CONFIG.endpoint,
-            method: 'POST',
-            headers: {
-                'X-Biz-Id': 'op',
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`,
-                'Content-Length': Buffer.byteLength(payload)
-            },
-            timeout: timeoutMs
-        };
-
-        const req = https.request(requestOptions, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                // 处理 504 Gateway Timeout 和其他可重试的错误
-                if (res.statusCode === 504 || res.statusCode === 502 || res.statusCode === 503) {
-                    if (retries > 0) {
-                        console.log(`    ↻ 网关超时 (${res.statusCode})，${retries}次重试后继续...`);
-                        setTimeout(() => {
-                            callImageAPI(prompt, options, retries - 1).then(resolve).catch(reject);
-                        }, 5000); // 5秒后重试
-                        return;
-                    }
-                }
-
-                if (res.statusCode !== 200) {
-                    console.error(`API HTTP Error ${res.statusCode}:`);
-                    console.error(data.substring(0, 500));
-                    reject(new Error(`API request failed with status ${res.statusCode}: ${data.substring(0, 300)}`));
-                    return;
-                }
-
-                try {
-                    const result = JSON.parse(data);
-                    if (result.error) {
-                        console.error('API Error Response:', JSON.stringify(result.error, null, 2));
-                        reject(new Error(`API error: ${JSON.stringify(result.error)}`));
-                        return;
-                    }
-                    // 成功响应的调试日志（只打印结构，不打印图片数据）
-                    if (result.candidates && result.candidates.length > 0) {
-                        const candidate = result.candidates[0];
-                        console.log(`    ✓ API响应: finishReason=${candidate.finishReason}, parts=${candidate.content?.parts?.length || 0}`);
-                    }
-                    resolve(result);
-                } catch (e) {
-                    console.error('JSON Parse Error, raw data:', data.substring(0, 200));
-                    reject(new Error(`JSON parse error: ${e.message}`));
-                }
-            });
-        });
-
-        req.on('error', (err) => {
-            if (retries > 0 && (err.code === 'ECONNRESET' || err.code === 'ETIMEDOUT' || err.message.includes('socket hang up'))) {
-                console.log(`    ↻ 连接错误: ${err.message}，${retries}次重试后继续...`);
-                setTimeout(() => {
-                    callImageAPI(prompt, options, retries - 1).then(resolve).catch(reject);
-                }, 5000);
-            } else {
-                reject(err);
-            }
-        });
-
-        req.on('timeout', () => {
-            req.destroy();
-            if (retries > 0) {
-                console.log(`    ↻ 请求超时，${retries}次重试后继续...`);
-                setTimeout(() => {
-                    callImageAPI(prompt, options, retries - 1).then(resolve).catch(reject);
-                }, 5000);
-            } else {
-                reject(new Error('Request timeout after retries'));
-            }
-        });
-
-        req.write(payload);
-        req.end();
-    });
+    }
+    return terms.join(', ');
 }
 
 /**
- * 从 API 响应中提取图片 Base64 数据
- * @param {object} response - API 响应
- * @returns {string|null} Base64 图片数据
+ * 确定本次生成使用的种子：指定时原样使用（复现），否则随机生成并记录（之后可锁定复现）
+ * @param {number|null} seed - 指定的种子
+ * @returns {number} 种子
  */
-function extractImageData(response) {
-    if (!response || typeof response !== 'object') {
-        console.error('Invalid response format');
-        return null;
-    }
-
-    if (response.error) {
-        console.error('API returned error:', JSON.stringify(response.error, null, 2));
-        return null;
-    }
-
-    // 打印响应结构用于调试
-    if (response.promptFeedback) {
-        console.error('Prompt feedback:', JSON.stringify(response.promptFeedback, null, 2));
-    }
-
-    const candidates = response.candidates;
-    if (!Array.isArray(candidates) || candidates.length === 0) {
-        // 打印完整响应以便诊断
-        console.error('No candidates in response');
-        console.error('Full response:', JSON.stringify(response, null, 2).substring(0, 1000));
-        return null;
-    }
-
-    // 检查是否有 finishReason 表明问题
-    const finishReason = candidates[0]?.finishReason;
-    if (finishReason && finishReason !== 'STOP' && finishReason !== 'MAX_TOKENS') {
-        console.error(`Generation stopped: ${finishReason}`);
-        if (candidates[0]?.safetyRatings) {
-            console.error('Safety ratings:', JSON.stringify(candidates[0].safetyRatings, null, 2));
-        }
-    }
-
-    const content = candidates[0]?.content;
-    if (!content || !content.parts) {
-        console.error('No content parts in response');
-        console.error('Candidate:', JSON.stringify(candidates[0], null, 2).substring(0, 500));
-        return null;
-    }
-
-    for (const part of content.parts) {
-        if (part.inlineData && part.inlineData.data) {
-            return part.inlineData.data;
-        }
-    }
-
-    console.error('No image data found in response parts');
-    console.error('Parts:', JSON.stringify(content.parts, null, 2).substring(0, 500));
-    return null;
+function resolveSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED
+        ? seed
+        : Math.floor(Math.random() * MAX_SEED);
 }
 
 /**
@@ -260,13 +83,11 @@ function saveBase64Image(base64Data, outputPath) {
 async function generateImage(prompt, outputPath, options = {}) {
     console.log(`Generating image: ${prompt.substring(0, 50)}...`);
 
-    try {
-        const response = await callImageAPI(prompt, options);
-        const imageData = extractImageData(response);
+    const seed = resolveSeed(options.seed);
+    const negativePrompt = options.negativePrompt || null;
 
-        if (!imageData) {
-            throw new Error('Failed to extract image data from response');
-        }
+    try {
+        const { data: imageData } = await imageProvider.generateImage(prompt, { ...options, seed });
 
         const saved = saveBase64Image(imageData, outputPath);
         if (!saved) {
@@ -276,14 +97,18 @@ async function generateImage(prompt, outputPath, options = {}) {
         return {
             success: true,
             path: outputPath,
-            prompt: prompt
+            prompt: prompt,
+            negativePrompt,
+            seed
         };
     } catch (error) {
         console.error(`Image generation failed: ${error.message}`);
         return {
             success: false,
             error: error.message,
-            prompt: prompt
+            prompt: prompt,
+            negativePrompt,
+            seed
         };
     }
 }
@@ -335,7 +160,14 @@ async function generateImages(segments, outputDir, options = {}, onProgress = nu
                 fullPrompt = `${fullPrompt}, ${globalStyleSuffix}`;
             }
 
-            const result = await generateImage(fullPrompt, outputPath, options);
+            const negativePrompt = mergeNegativePrompts(options.negativePrompt, segment.negativePrompt);
+            const result = await generateImage(fullPrompt, outputPath, {
+                ...options,
+                negativePrompt: negativePrompt || undefined,
+                seed: segment.seed ?? options.seed,
+                index: segment.index,
+                caption: segment.lyric
+            });
             result.index = segment.index;
             result.lyric = segment.lyric;
 
@@ -429,17 +261,86 @@ function promptContainsPerson(prompt) {
     return personKeywords.some(keyword => lowerPrompt.includes(keyword));
 }
 
+/**
+ * 根据文件头识别图片类型
+ * @param {Buffer} buffer - 图片数据
+ * @returns {string|null} MIME 类型（不支持的格式返回 null）
+ */
+function detectImageMimeType(buffer) {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504E47) return 'image/png';
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    return null;
+}
+
+/**
+ * 读取图片文件为内联参考数据
+ * @param {string} filePath - 图片路径
+ * @returns {object|null} { data: Base64, mimeType }
+ */
+function loadReferenceImage(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return null;
+    const buffer = fs.readFileSync(filePath);
+    return { data: buffer.toString('base64'), mimeType: detectImageMimeType(buffer) || 'image/png' };
+}
+
+/**
+ * 读取角色参考图片
+ * @param {array} cast - 角色表（referenceImagePath 为参考图绝对路径）
+ * @returns {Map} 角色 id → { data, mimeType }
+ */
+function loadCastReferences(cast) {
+    const references = new Map();
+    for (const member of cast) {
+        const image = loadReferenceImage(member.referenceImagePath);
+        if (image) {
+            references.set(member.id, image);
+        }
+    }
+    return references;
+}
+
+/**
+ * 生成角色设定图（正面、四分之三侧面、全身三视图，中性背景与光线）
+ * 设定图作为该角色所有镜头的参考图，生成时不附带旧参考图，避免沿用有问题的相貌
+ * @param {object} member - 角色（id、name、description）
+ * @param {string} outputPath - 输出路径
+ * @param {object} storyboardData - 分镜数据（globalStyle、ethnicity）
+ * @param {object} options - 配置选项
+ * @returns {Promise<object>} 生成结果
+ */
+async function generateCastSheet(member, outputPath, storyboardData = {}, options = {}) {
+    const { globalStyle, ethnicity } = storyboardData;
+
+    // 只保留画质和画面质感，色调交给各镜头，保证设定图光线中性
+    const styleParts = [globalStyle?.quality, globalStyle?.aesthetic].filter(Boolean);
+    const prompt = [
+        'Character reference sheet, three views of the same person side by side: front view, three-quarter view, full body standing',
+        ethnicity,
+        member.description,
+        'neutral pose, neutral expression, plain light grey studio background, even soft lighting, no text, no props',
+        ...styleParts
+    ].filter(Boolean).join(', ');
+
+    console.log(`生成角色设定图: ${member.name}`);
+    const result = await generateImage(prompt, outputPath, { ...options, aspectRatio: '16:9', caption: member.name });
+    return { ...result, id: member.id };
+}
+
 /**
  * 生成带角色一致性的图片
- * 使用第一张包含人物的图片作为后续人物图片的参考
- * @param {array} segments - 分段数据
+ * 按镜头出场角色附加各自的描述和参考图；没有参考图的角色使用其第一张单人镜头作为参考
+ * 用户上传的角色照片（referenceSource: 'upload'）必须使用，参考图失败时不降级为无参考生成
+ * 每张图片的负面 Prompt（空镜 + 风格预设 + 镜头）和种子随结果返回，便于复现
+ * @param {array} segments - 分段数据（negativePrompt、seed 可选）
  * @param {string} outputDir - 输出目录
- * @param {object} storyboardData - 分镜数据（包含角色描述等）
+ * @param {object} storyboardData - 分镜数据（globalStyle、cast、characterDescription、ethnicity、styleReferencePaths、negativeTerms）
  * @param {object} options - 配置选项
  * @param {function} onProgress - 进度回调
  */
 async function generateImagesWithCharacter(segments, outputDir, storyboardData, options = {}, onProgress = null) {
-    const { globalStyle, characterDescription, ethnicity } = storyboardData;
+    const { globalStyle, ethnicity } = storyboardData;
+    const cast = storyboardData.cast?.length ? storyboardData.cast : castModule.normalizeCast(storyboardData);
 
     // 构建全局风格后缀
     const styleParts = [];
@@ -457,10 +358,17 @@ async function generateImagesWithCharacter(segments, outputDir, storyboardData,
 
     const results = [];
     const total = segments.length;
-    let referenceImageBase64 = null; // 存储第一张人物图片作为参考
-    let firstCharacterImagePath = null;
-
-    console.log(`开始生成 ${total} 张图片，使用角色参考功能...`);
+    const references = loadCastReferences(cast); // 角色 id → 参考图片
+    const provider = imageProvider.getProvider(options.provider);
+    const supportsReferences = provider.capabilities.referenceImages;
+    const styleImages = supportsReferences
+        ? (storyboardData.styleReferencePaths || []).map(loadReferenceImage).filter(Boolean)
+        : [];
+
+    console.log(`开始生成 ${total} 张图片（${provider.label}），角色 ${cast.length} 个（已有参考图 ${references.size} 个），风格参考图 ${styleImages.length} 张...`);
+    if (!supportsReferences) {
+        console.warn(`${provider.label} 不支持参考图，角色一致性只依靠文字描述`);
+    }
 
     // 逐个生成图片，确保人物一致性
     for (let i = 0; i < total; i++) {
@@ -473,11 +381,14 @@ async function generateImagesWithCharacter(segments, outputDir, storyboardData,
 
         // 判断场景类型
         const isCharacterScene = segment.hasCharacter === true;
+        const members = castModule.getShotMembers(segment, cast);
 
         if (isCharacterScene) {
-            // 人物场景：添加角色描述和一致性标记
-            if (characterDescription && !fullPrompt.toLowerCase().includes(characterDescription.substring(0, 30).toLowerCase())) {
-                fullPrompt = `${characterDescription}, same character, consistent appearance, ${fullPrompt}`;
+            // 人物场景：添加出场角色的描述和一致性标记
+            const characterPrompt = castModule.buildCharacterPrompt(members);
+            const firstDescription = members[0]?.description || '';
+            if (characterPrompt && !fullPrompt.toLowerCase().includes(firstDescription.substring(0, 30).toLowerCase())) {
+                fullPrompt = `${characterPrompt}, ${fullPrompt}`;
             }
 
             // 添加人种描述
@@ -487,72 +398,88 @@ async function generateImagesWithCharacter(segments, outputDir, storyboardData,
         } else {
             // 空镜场景：清理可能存在的人物描述
             if (promptContainsPerson(fullPrompt)) {
-                const originalPrompt = fullPrompt;
                 fullPrompt = cleanPromptForLandscape(fullPrompt);
                 console.log(`  ⚠️ 清理空镜prompt中的人物描述`);
             }
 
-            // 为空镜添加明确的无人物指示
-            fullPrompt = `${fullPrompt}, no people, no person, no human figure, empty scene, landscape only`;
+            // 为空镜添加明确的无人物指示（不出现人物写在负面 Prompt）
+            fullPrompt = `${fullPrompt}, empty scene, landscape only`;
         }
 
+        const negativePrompt = mergeNegativePrompts(
+            isCharacterScene ? '' : LANDSCAPE_NEGATIVE_PROMPT,
+            (storyboardData.negativeTerms || []).join(', '),
+            segment.negativePrompt
+        );
+        const seed = resolveSeed(segment.seed);
+
         // 添加全局风格后缀
         if (globalStyleSuffix && !fullPrompt.includes(globalStyleSuffix.substring(0, 20))) {
             fullPrompt = `${fullPrompt}, ${globalStyleSuffix}`;
         }
 
-        const sceneTypeLabel = isCharacterScene ? '👤 人物' : '🏞️ 空镜';
+        // 出场角色中已有参考图的（图片服务不支持参考图时只检查上传的照片）
+        const referenced = members.filter(m => references.has(m.id));
+        const sceneTypeLabel = isCharacterScene ? `👤 ${members.map(m => m.name).join(' + ') || '人物'}` : '🏞️ 空镜';
 
         console.log(`[${i + 1}/${total}] ${sceneTypeLabel} | ${segment.lyric.substring(0, 25)}...`);
 
-        if (isCharacterScene && referenceImageBase64) {
-            console.log(`  → 使用参考图片保持角色一致性`);
+        if (referenced.length > 0 && supportsReferences) {
+            console.log(`  → 使用 ${referenced.length} 张角色参考图片保持一致性`);
         } else if (!isCharacterScene) {
             console.log(`  → 环境/空镜场景，不使用人物参考`);
         }
 
         try {
-            // 生成图片，如果是人物场景且有参考图片，则使用参考
-            const generateOptions = { ...options };
-            let useReference = segment.hasCharacter && referenceImageBase64;
+            // 生成图片，人物场景附加出场角色的参考图片，所有镜头附加风格参考图
+            const generateOptions = { ...options, seed, index: segment.index, caption: segment.lyric };
+            if (negativePrompt) {
+                generateOptions.negativePrompt = negativePrompt;
+            }
+            let useReference = supportsReferences && referenced.length > 0;
+            const requiredReference = referenced.some(m => m.referenceSource === 'upload');
+            if (requiredReference && !supportsReferences) {
+                throw new Error(`${provider.label} 不支持参考图，无法使用上传的角色照片`);
+            }
 
             if (useReference) {
-                generateOptions.referenceImage = referenceImageBase64;
+                generateOptions.referenceImages = referenced.map(m => ({ ...references.get(m.id), name: m.name }));
+            }
+            if (styleImages.length > 0) {
+                generateOptions.styleImages = styleImages;
             }
 
-            let response;
-            let imageData;
+            let image;
 
             try {
-                response = await callImageAPI(fullPrompt, generateOptions);
-                imageData = extractImageData(response);
+                image = await imageProvider.generateImage(fullPrompt, generateOptions);
             } catch (refError) {
-                // 如果使用参考图片失败，尝试不使用参考图片重新生成
-                if (useReference) {
+                // 如果使用参考图片失败，尝试不使用参考图片重新生成（上传的角色照片不可省略）
+                if (requiredReference) {
+                    throw new Error(`使用上传的角色照片生成失败: ${refError.message}`);
+                }
+                if (useReference || styleImages.length > 0) {
                     console.log(`    ↻ 使用参考图片失败，尝试不使用参考图片...`);
-                    delete generateOptions.referenceImage;
-                    response = await callImageAPI(fullPrompt, generateOptions);
-                    imageData = extractImageData(response);
+                    delete generateOptions.referenceImages;
+                    delete generateOptions.styleImages;
+                    image = await imageProvider.generateImage(fullPrompt, generateOptions);
                     useReference = false;
                 } else {
                     throw refError;
                 }
             }
 
-            if (!imageData) {
-                throw new Error('Failed to extract image data from response');
-            }
-
-            const saved = saveBase64Image(imageData, outputPath);
+            const saved = saveBase64Image(image.data, outputPath);
             if (!saved) {
                 throw new Error('Failed to save image file');
             }
 
-            // 如果这是第一张人物图片，保存为参考
-            if (segment.hasCharacter && !referenceImageBase64) {
-                referenceImageBase64 = imageData;
-                firstCharacterImagePath = outputPath;
-                console.log(`  ✓ 已保存为角色参考图片`);
+            // 单人镜头且该角色还没有参考图时，保存为该角色的参考
+            let referenceFor = null;
+            if (members.length === 1 && !references.has(members[0].id)) {
+                referenceFor = members[0].id;
+                references.set(referenceFor, { data: image.data, mimeType: image.mimeType });
+                console.log(`  ✓ 已保存为角色 ${members[0].name} 的参考图片`);
             }
 
             results.push({
@@ -560,9 +487,13 @@ async function generateImagesWithCharacter(segments, outputDir, storyboardData,
                 index: segment.index,
                 path: outputPath,
                 prompt: fullPrompt,
+                negativePrompt: negativePrompt || null,
+                seed,
                 lyric: segment.lyric,
                 hasCharacter: segment.hasCharacter,
-                usedReference: useReference && firstCharacterImagePath !== outputPath
+                characters: members.map(m => m.id),
+                usedReference: useReference,
+                referenceFor
             });
 
         } catch (error) {
@@ -572,6 +503,8 @@ async function generateImagesWithCharacter(segments, outputDir, storyboardData,
                 index: segment.index,
                 error: error.message,
                 prompt: fullPrompt,
+                negativePrompt: negativePrompt || null,
+                seed,
                 lyric: segment.lyric
             });
         }
@@ -583,7 +516,7 @@ async function generateImagesWithCharacter(segments, outputDir, storyboardData,
                 total: total,
                 percentage: Math.round(((i + 1) / total) * 100),
                 lastResult: results[results.length - 1],
-                hasReference: !!referenceImageBase64
+                hasReference: references.size > 0
             });
         }
 
@@ -594,25 +527,25 @@ async function generateImagesWithCharacter(segments, outputDir, storyboardData,
     }
 
     console.log(`图片生成完成: ${results.filter(r => r.success).length}/${total} 成功`);
-    if (firstCharacterImagePath) {
-        console.log(`角色参考图片: ${firstCharacterImagePath}`);
+    if (references.size > 0) {
+        console.log(`角色参考图片: ${[...references.keys()].join(', ')}`);
     }
 
     return results;
 }
 
 /**
- * 检查 API 连接
+ * 检查当前图片服务是否可用
  * @returns {Promise<boolean>} 是否可用
  */
 async function checkAPIConnection() {
     try {
         // 使用简单的测试 prompt
-        const response = await callImageAPI('A simple blue square, minimal, test image', {
+        const image = await imageProvider.generateImage('A simple blue square, minimal, test image', {
             aspectRatio: '1:1',
             imageSize: '1K'
         });
-        return !!extractImageData(response);
+        return !!image.data;
     } catch (e) {
         console.error('API connection check failed:', e.message);
         return false;
@@ -620,10 +553,13 @@ async function checkAPIConnection() {
 }
 
 module.exports = {
+    MAX_SEED,
     generateImage,
     generateImages,
     generateImagesWithCharacter,
+    generateCastSheet,
     checkAPIConnection,
-    extractImageData,
-    saveBase64Image
+    saveBase64Image,
+    detectImageMimeType,
+    mergeNegativePrompts
 };
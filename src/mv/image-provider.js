@@ -0,0 +1,166 @@
+/**
+ * 图片生成服务注册表
+ * 统一接口：输入 Prompt 和生成参数，输出一张图片
+ *
+ * 适配器需实现:
+ *   generate(prompt, options) => Promise<{ data: Base64, mimeType }>
+ *     options: { aspectRatio, imageSize, width, height, seed, negativePrompt, referenceImages, styleImages,
+ *                index: 镜头序号, caption: 镜头歌词（供模拟服务绘制） }
+ *   isConfigured() => boolean
+ * capabilities 声明适配器原生支持的能力，不支持的参数由适配器忽略或近似处理:
+ *   { referenceImages, seed, negativePrompt }
+ */
+
+const config = require('../config');
+const nanoBanana = require('./nano-banana-image-service');
+const localImage = require('./local-image-service');
+const placeholderImage = require('./placeholder-image-service');
+const mockImage = require('../mock/mock-image-service');
+
+const providers = {};
+
+// 图片尺寸档位 → 长边像素
+const IMAGE_SIZE_PIXELS = {
+    '1K': 1024,
+    '2K': 2048,
+    '4K': 4096
+};
+
+/**
+ * 注册图片生成适配器
+ * @param {string} name - 服务名称（对应 IMAGE_PROVIDER）
+ * @param {object} provider - { label, local, capabilities, isConfigured, generate }
+ */
+function registerProvider(name, provider) {
+    providers[name] = {
+        name,
+        local: false,
+        ...provider,
+        capabilities: { referenceImages: false, seed: false, negativePrompt: false, ...provider.capabilities }
+    };
+}
+
+/**
+ * 获取图片生成适配器
+ * @param {string} name - 服务名称，默认使用配置项
+ * @returns {object} 适配器
+ */
+function getProvider(name = config.imageGeneration.provider) {
+    const provider = providers[name || config.imageGeneration.provider];
+    if (!provider) {
+        throw new Error(`未知的图片生成服务: ${name}`);
+    }
+    return provider;
+}
+
+/**
+ * 列出所有图片生成服务及其配置状态
+ * @returns {array} [{ name, label, local, capabilities, configured, isDefault }]
+ */
+function listProviders() {
+    return Object.values(providers).map(p => ({
+        name: p.name,
+        label: p.label,
+        local: p.local,
+        capabilities: p.capabilities,
+        configured: p.isConfigured(),
+        isDefault: p.name === config.imageGeneration.provider
+    }));
+}
+
+/**
+ * 按宽高比和尺寸档位计算像素尺寸（长边为档位像素，短边取 8 的倍数）
+ * @param {string} aspectRatio - 宽高比，如 16:9
+ * @param {string} imageSize - 尺寸档位，如 1K
+ * @returns {object} { width, height }
+ */
+function getImageDimensions(aspectRatio = '16:9', imageSize = '1K') {
+    const longEdge = IMAGE_SIZE_PIXELS[imageSize] || IMAGE_SIZE_PIXELS['1K'];
+    const [w, h] = String(aspectRatio).split(':').map(Number);
+    if (!w || !h) {
+        return { width: longEdge, height: longEdge };
+    }
+
+    const shortEdge = Math.round((longEdge * Math.min(w, h) / Math.max(w, h)) / 8) * 8;
+    return w >= h
+        ? { width: longEdge, height: shortEdge }
+        : { width: shortEdge, height: longEdge };
+}
+
+/**
+ * 生成图片（主入口）
+ * @param {string} prompt - 图片描述
+ * @param {object} options - { provider, aspectRatio, imageSize, seed, negativePrompt, referenceImages, styleImages }
+ * @returns {Promise<object>} { provider, data: Base64, mimeType }
+ */
+async function generateImage(prompt, options = {}) {
+    const provider = getProvider(options.provider);
+    if (!provider.isConfigured()) {
+        throw new Error(`${provider.label} 未配置，请检查 .env`);
+    }
+
+    const aspectRatio = options.aspectRatio || config.imageGeneration.aspectRatio || '16:9';
+    const imageSize = options.imageSize || '1K';
+    const result = await provider.generate(prompt, {
+        ...options,
+        aspectRatio,
+        imageSize,
+        ...getImageDimensions(aspectRatio, imageSize)
+    });
+
+    if (!result || !result.data) {
+        throw new Error(`${provider.label} 未返回图片数据`);
+    }
+
+    return {
+        provider: provider.name,
+        data: result.data,
+        mimeType: result.mimeType || 'image/png'
+    };
+}
+
+// ==================== 内置适配器 ====================
+
+// Gemini 图片接口没有负面 Prompt 参数，适配器以 "Avoid: ..." 文字附在 Prompt 后，不算原生支持
+registerProvider('nano_banana', {
+    label: 'MiniMax Gemini (nano_banana)',
+    capabilities: { referenceImages: true, seed: true, negativePrompt: false },
+    isConfigured: nanoBanana.isConfigured,
+    generate: nanoBanana.generate
+});
+
+registerProvider('local', {
+    label: config.imageGeneration.local.mode === 'comfyui' ? '本地 ComfyUI' : '本地 Stable Diffusion WebUI',
+    local: true,
+    capabilities: {
+        referenceImages: config.imageGeneration.local.mode === 'comfyui' && !!config.imageGeneration.local.referenceWorkflow,
+        seed: true,
+        negativePrompt: true
+    },
+    isConfigured: localImage.isConfigured,
+    generate: localImage.generate
+});
+
+registerProvider('placeholder', {
+    label: '占位图（离线）',
+    local: true,
+    capabilities: { referenceImages: true, seed: true, negativePrompt: true },
+    isConfigured: () => true,
+    generate: placeholderImage.generate
+});
+
+registerProvider('mock', {
+    label: '模拟生图（离线）',
+    local: true,
+    capabilities: { referenceImages: true, seed: true, negativePrompt: true },
+    isConfigured: () => true,
+    generate: mockImage.generate
+});
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    listProviders,
+    getImageDimensions,
+    generateImage
+};
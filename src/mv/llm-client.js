@@ -0,0 +1,300 @@
+/**
+ * LLM 调用模块
+ * 统一封装 OpenAI / Gemini / MiniMax 以及 OpenAI 兼容接口（Ollama、vLLM 等本地服务），离线模拟模式下使用模拟分镜
+ * 支持 http/https、自定义端口、模型名、额外请求头和超时
+ */
+
+const http = require('http');
+const https = require('https');
+const config = require('../config');
+const mockLLM = require('../mock/mock-llm-service');
+
+/**
+ * 解析额外请求头配置
+ * 支持 JSON（{"X-Key": "value"}）或分号分隔的 "Name: value; Name2: value2"
+ * @param {string} value - 配置值
+ * @returns {object} 请求头
+ */
+function parseExtraHeaders(value) {
+    if (!value || !value.trim()) return {};
+
+    const trimmed = value.trim();
+    if (trimmed.startsWith('{')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (e) {
+            console.warn('LLM_EXTRA_HEADERS 不是合法的 JSON，已忽略:', e.message);
+            return {};
+        }
+    }
+
+    const headers = {};
+    for (const pair of trimmed.split(';')) {
+        const pos = pair.indexOf(':');
+        if (pos > 0) {
+            headers[pair.slice(0, pos).trim()] = pair.slice(pos + 1).trim();
+        }
+    }
+    return headers;
+}
+
+/**
+ * 发送 JSON POST 请求（根据 URL 协议选择 http/https）
+ * @param {string} url - 完整请求地址
+ * @param {object} body - 请求体
+ * @param {object} options - { headers, timeoutMs }
+ * @returns {Promise<object>} { statusCode, data: 原始响应文本 }
+ */
+function postJSON(url, body, options = {}) {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+    const payload = JSON.stringify(body);
+    const timeoutMs = options.timeoutMs || config.llm.timeoutMs;
+
+    return new Promise((resolve, reject) => {
+        const req = client.request({
+            hostname: target.hostname,
+            port: target.port || (target.protocol === 'http:' ? 80 : 443),
+            path: target.pathname + target.search,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                ...options.headers
+            }
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => resolve({ statusCode: res.statusCode, data }));
+        });
+
+        req.on('error', reject);
+        req.setTimeout(timeoutMs, () => {
+            req.destroy();
+            reject(new Error(`LLM 请求超时（${timeoutMs / 1000}s）: ${target.host}`));
+        });
+        req.write(payload);
+        req.end();
+    });
+}
+
+/**
+ * 调用 OpenAI 兼容的 /chat/completions 接口
+ * @param {array} messages - 消息数组
+ * @param {object} settings - { baseUrl, apiKey, model, headers, maxTokens, requireApiKey }
+ * @param {object} options - { temperature, maxTokens, timeoutMs }
+ * @returns {Promise<string>} 回复文本
+ */
+async function callChatCompletions(messages, settings, options = {}) {
+    if (settings.requireApiKey && !settings.apiKey) {
+        throw new Error('OpenAI API key not configured');
+    }
+
+    const headers = { ...parseExtraHeaders(settings.extraHeaders) };
+    if (settings.apiKey) {
+        headers['Authorization'] = `Bearer ${settings.apiKey}`;
+    }
+
+    const { statusCode, data } = await postJSON(settings.baseUrl.replace(/\/+$/, '') + '/chat/completions', {
+        model: settings.model,
+        messages,
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.maxTokens || settings.maxTokens || 8000
+    }, { headers, timeoutMs: options.timeoutMs });
+
+    let result;
+    try {
+        result = JSON.parse(data);
+    } catch (e) {
+        throw new Error(`Invalid JSON response (${statusCode}): ` + data.substring(0, 200));
+    }
+
+    if (result.error) {
+        throw new Error(result.error.message || JSON.stringify(result.error));
+    }
+
+    const text = result.choices?.[0]?.message?.content;
+    if (!text) {
+        console.error('LLM response:', data.substring(0, 500));
+        throw new Error('No content in LLM response');
+    }
+    return text;
+}
+
+/**
+ * 调用 Gemini API
+ * @param {array} messages - 消息数组
+ * @param {object} options - { temperature, maxTokens, timeoutMs }
+ * @returns {Promise<string>} 回复文本
+ */
+async function callGemini(messages, options = {}) {
+    const apiKey = config.llm.gemini.apiKey;
+    if (!apiKey) {
+        throw new Error('Gemini API key not configured');
+    }
+
+    // 转换消息格式
+    const contents = messages.map(msg => ({
+        role: msg.role === 'assistant' ? 'model' : msg.role,
+        parts: [{ text: msg.content }]
+    }));
+
+    // Gemini 需要将 system 消息合并到第一个 user 消息
+    if (contents[0].role === 'system') {
+        const systemContent = contents.shift().parts[0].text;
+        if (contents[0]) {
+            contents[0].parts[0].text = systemContent + '\n\n' + contents[0].parts[0].text;
+            contents[0].role = 'user';
+        }
+    }
+
+    const { statusCode, data } = await postJSON(
+        `https://generativelanguage.googleapis.com/v1beta/models/${config.llm.gemini.model}:generateContent?key=${apiKey}`,
+        {
+            contents,
+            generationConfig: {
+                temperature: options.temperature ?? 0.7,
+                maxOutputTokens: options.maxTokens || 8000
+            }
+        },
+        { timeoutMs: options.timeoutMs }
+    );
+
+    let result;
+    try {
+        result = JSON.parse(data);
+    } catch (e) {
+        console.error('Gemini parse error:', data.substring(0, 500));
+        throw new Error('Invalid JSON response: ' + e.message);
+    }
+
+    if (result.error) {
+        let errorMsg = result.error.message || JSON.stringify(result.error);
+        console.error('Gemini API error:', errorMsg);
+        // 处理配额错误
+        if (statusCode === 429 || errorMsg.includes('quota')) {
+            errorMsg = 'Gemini API 配额已用完，请稍后重试或使用其他 LLM 服务';
+        }
+        throw new Error(errorMsg);
+    }
+
+    const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+        console.error('Gemini response:', JSON.stringify(result).substring(0, 500));
+        throw new Error('No content in Gemini response');
+    }
+    return text;
+}
+
+/**
+ * 调用 MiniMax LLM API (Text-01)
+ * @param {array} messages - 消息数组
+ * @param {object} options - { temperature, maxTokens, timeoutMs }
+ * @returns {Promise<string>} 回复文本
+ */
+async function callMinimax(messages, options = {}) {
+    const { apiKey, model, baseUrl } = config.llm.minimax;
+    if (!apiKey) {
+        throw new Error('MiniMax LLM API key not configured');
+    }
+
+    const { data } = await postJSON(baseUrl.replace(/\/+$/, '') + '/text/chatcompletion_v2', {
+        model,
+        messages: messages.map(msg => ({
+            role: msg.role === 'system' ? 'system' : (msg.role === 'assistant' ? 'assistant' : 'user'),
+            content: msg.content
+        })),
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.maxTokens || 8000
+    }, {
+        headers: { 'Authorization': `Bearer ${apiKey}` },
+        timeoutMs: options.timeoutMs
+    });
+
+    let result;
+    try {
+        result = JSON.parse(data);
+    } catch (e) {
+        console.error('MiniMax parse error:', data.substring(0, 500));
+        throw new Error('Invalid JSON response: ' + e.message);
+    }
+
+    if (result.base_resp && result.base_resp.status_code !== 0) {
+        const errorMsg = result.base_resp.status_msg || 'Unknown error';
+        console.error('MiniMax API error:', errorMsg);
+        throw new Error(errorMsg);
+    }
+
+    if (!result.choices || !result.choices[0]) {
+        console.error('MiniMax unexpected response:', JSON.stringify(result).substring(0, 500));
+        throw new Error('Unexpected MiniMax response format');
+    }
+
+    const text = result.choices[0].message?.content || '';
+    if (!text) {
+        console.error('MiniMax response:', JSON.stringify(result).substring(0, 500));
+        throw new Error('No content in MiniMax response');
+    }
+    return text;
+}
+
+/**
+ * 调用当前配置的 LLM（主入口）
+ * @param {array} messages - 消息数组 [{ role, content }]
+ * @param {object} options - { temperature, maxTokens, timeoutMs }
+ * @returns {Promise<string>} 回复文本
+ */
+async function chat(messages, options = {}) {
+    const provider = config.llm.provider;
+
+    if (provider === 'openai') {
+        return callChatCompletions(messages, { ...config.llm.openai, requireApiKey: true }, options);
+    }
+    if (provider === 'openai_compatible') {
+        return callChatCompletions(messages, config.llm.openaiCompatible, options);
+    }
+    if (provider === 'gemini') {
+        return callGemini(messages, options);
+    }
+    if (provider === 'minimax') {
+        return callMinimax(messages, options);
+    }
+    if (provider === 'mock') {
+        return mockLLM.chat(messages, options);
+    }
+    throw new Error(`Unsupported LLM provider: ${provider}`);
+}
+
+/**
+ * 获取当前 LLM 服务信息（不含密钥）
+ * @returns {object} { provider, model, host }
+ */
+function getProviderInfo() {
+    const provider = config.llm.provider;
+    if (provider === 'mock') {
+        return { provider, model: 'mock-storyboard', host: 'local' };
+    }
+
+    const settings = {
+        openai: config.llm.openai,
+        openai_compatible: config.llm.openaiCompatible,
+        gemini: { ...config.llm.gemini, baseUrl: 'https://generativelanguage.googleapis.com' },
+        minimax: config.llm.minimax
+    }[provider];
+
+    if (!settings) {
+        return { provider, model: null, host: null };
+    }
+
+    return {
+        provider,
+        model: settings.model,
+        host: new URL(settings.baseUrl).host
+    };
+}
+
+module.exports = {
+    chat,
+    getProviderInfo,
+    parseExtraHeaders
+};
@@ -0,0 +1,271 @@
+/**
+ * 本地图片生成服务
+ * 支持 Stable Diffusion WebUI（AUTOMATIC1111 / Forge 的 /sdapi/v1/txt2img）和 ComfyUI（/prompt 工作流）
+ * 图片在本机生成，不调用任何云服务
+ *
+ * ComfyUI 工作流为 API 格式导出的 JSON，字符串中的占位符会被替换：
+ *   {{prompt}} {{negative_prompt}} {{seed}} {{width}} {{height}} {{steps}} {{cfg}} {{reference_image}}
+ * 整个字符串就是占位符时替换为对应类型的值（如 "{{seed}}" → 数字）
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// ComfyUI 轮询间隔
+const COMFYUI_POLL_INTERVAL_MS = 1000;
+
+/**
+ * 检查本地图片服务是否已配置
+ * @returns {boolean}
+ */
+function isConfigured() {
+    const local = config.imageGeneration.local;
+    return local.mode === 'comfyui' ? !!(local.endpoint && local.workflow) : !!local.endpoint;
+}
+
+/**
+ * 请求本地图片服务
+ * @param {string} method - 请求方法
+ * @param {string} urlPath - 接口路径（含查询参数）
+ * @param {object} options - { body: 对象或 Buffer, headers, raw: 返回原始 Buffer }
+ * @returns {Promise<object|Buffer>} 响应 JSON 或原始数据
+ */
+function request(method, urlPath, { body, headers = {}, raw = false } = {}) {
+    const local = config.imageGeneration.local;
+    const url = new URL(local.endpoint.replace(/\/$/, '') + urlPath);
+    const client = url.protocol === 'https:' ? https : http;
+
+    const payload = Buffer.isBuffer(body) ? body : (body !== undefined ? Buffer.from(JSON.stringify(body)) : null);
+    const requestHeaders = { ...headers };
+    if (payload) {
+        requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/json';
+        requestHeaders['Content-Length'] = payload.length;
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = client.request({
+            hostname: url.hostname,
+            port: url.port || (url.protocol === 'https:' ? 443 : 80),
+            path: url.pathname + url.search,
+            method,
+            headers: requestHeaders
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const buffer = Buffer.concat(chunks);
+                if (res.statusCode >= 400) {
+                    reject(new Error(`本地图片服务错误 (${res.statusCode}): ${buffer.toString().substring(0, 200)}`));
+                    return;
+                }
+                if (raw) {
+                    resolve(buffer);
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(buffer.toString()));
+                } catch (e) {
+                    reject(new Error('Invalid JSON response: ' + buffer.toString().substring(0, 200)));
+                }
+            });
+        });
+
+        req.on('error', reject);
+        req.setTimeout(local.timeoutMs, () => {
+            req.destroy();
+            reject(new Error('本地图片服务请求超时'));
+        });
+        if (payload) {
+            req.write(payload);
+        }
+        req.end();
+    });
+}
+
+// ==================== Stable Diffusion WebUI ====================
+
+/**
+ * 使用 WebUI 文生图接口生成
+ * @param {string} prompt - 图片描述
+ * @param {object} options - { width, height, seed, negativePrompt }
+ * @returns {Promise<object>} { data: Base64, mimeType }
+ */
+async function generateWithWebUI(prompt, options) {
+    const local = config.imageGeneration.local;
+    const body = {
+        prompt,
+        negative_prompt: options.negativePrompt || '',
+        seed: Number.isInteger(options.seed) ? options.seed : -1,
+        width: options.width,
+        height: options.height,
+        steps: local.steps,
+        cfg_scale: local.cfgScale,
+        batch_size: 1,
+        n_iter: 1
+    };
+    if (local.sampler) {
+        body.sampler_name = local.sampler;
+    }
+
+    const result = await request('POST', '/sdapi/v1/txt2img', { body });
+    const image = result.images?.[0];
+    if (!image) {
+        throw new Error('WebUI 未返回图片');
+    }
+    return { data: image.replace(/^data:image\/\w+;base64,/, ''), mimeType: 'image/png' };
+}
+
+// ==================== ComfyUI ====================
+
+/**
+ * 读取工作流模板
+ * @param {string} filePath - 工作流 JSON 文件（相对路径相对于项目根目录）
+ * @returns {object} 工作流
+ */
+function loadWorkflow(filePath) {
+    // 相对路径按项目根目录解析，与服务启动目录无关
+    const resolved = path.isAbsolute(filePath) ? filePath : path.join(__dirname, '../..', filePath);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`ComfyUI 工作流文件不存在: ${resolved}`);
+    }
+    return JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+}
+
+/**
+ * 替换工作流中的占位符
+ * @param {*} node - 工作流节点（递归）
+ * @param {object} values - 占位符 → 值
+ * @returns {*} 替换后的节点
+ */
+function fillWorkflow(node, values) {
+    if (typeof node === 'string') {
+        const exact = node.match(/^\{\{(\w+)\}\}$/);
+        if (exact && exact[1] in values) {
+            return values[exact[1]];
+        }
+        return node.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match));
+    }
+    if (Array.isArray(node)) {
+        return node.map(item => fillWorkflow(item, values));
+    }
+    if (node && typeof node === 'object') {
+        return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fillWorkflow(value, values)]));
+    }
+    return node;
+}
+
+/**
+ * 上传参考图到 ComfyUI 输入目录
+ * @param {object} image - { data: Base64, mimeType }
+ * @returns {Promise<string>} ComfyUI 中的图片名称（LoadImage 节点使用）
+ */
+async function uploadComfyImage(image) {
+    const boundary = `----MVStudioBoundary${Date.now()}`;
+    const ext = image.mimeType === 'image/jpeg' ? '.jpg' : (image.mimeType === 'image/webp' ? '.webp' : '.png');
+    const payload = Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="overwrite"\r\n\r\ntrue\r\n`),
+        Buffer.from(
+            `--${boundary}\r\nContent-Disposition: form-data; name="image"; filename="mv_reference_${Date.now()}${ext}"\r\n` +
+            `Content-Type: ${image.mimeType || 'image/png'}\r\n\r\n`
+        ),
+        Buffer.from(image.data, 'base64'),
+        Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+
+    const result = await request('POST', '/upload/image', {
+        body: payload,
+        headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` }
+    });
+    return result.subfolder ? `${result.subfolder}/${result.name}` : result.name;
+}
+
+/**
+ * 等待 ComfyUI 任务完成，返回第一张输出图片
+ * @param {string} promptId - 任务 id
+ * @returns {Promise<object>} { filename, subfolder, type }
+ */
+async function waitForComfyOutput(promptId) {
+    const deadline = Date.now() + config.imageGeneration.local.timeoutMs;
+
+    while (Date.now() < deadline) {
+        const history = await request('GET', `/history/${promptId}`);
+        const entry = history[promptId];
+        if (entry) {
+            if (entry.status?.status_str === 'error') {
+                throw new Error('ComfyUI 工作流执行失败');
+            }
+            const images = Object.values(entry.outputs || {}).flatMap(output => output.images || []);
+            const image = images.find(img => img.type === 'output') || images[0];
+            if (image) return image;
+            if (entry.status?.completed) {
+                throw new Error('ComfyUI 工作流没有输出图片');
+            }
+        }
+        await new Promise(resolve => setTimeout(resolve, COMFYUI_POLL_INTERVAL_MS));
+    }
+
+    throw new Error('ComfyUI 生成超时');
+}
+
+/**
+ * 使用 ComfyUI 工作流生成
+ * 有角色参考图且配置了参考图工作流（COMFYUI_REFERENCE_WORKFLOW）时，上传第一张参考图并使用该工作流
+ * 风格参考图不传入该工作流，避免被当作人物参考
+ * @param {string} prompt - 图片描述
+ * @param {object} options - { width, height, seed, negativePrompt, referenceImages }
+ * @returns {Promise<object>} { data: Base64, mimeType }
+ */
+async function generateWithComfyUI(prompt, options) {
+    const local = config.imageGeneration.local;
+    const reference = options.referenceImages?.[0];
+    const useReference = !!(reference && local.referenceWorkflow);
+
+    const values = {
+        prompt,
+        negative_prompt: options.negativePrompt || '',
+        seed: Number.isInteger(options.seed) ? options.seed : Math.floor(Math.random() * 2147483647),
+        width: options.width,
+        height: options.height,
+        steps: local.steps,
+        cfg: local.cfgScale
+    };
+    if (useReference) {
+        values.reference_image = await uploadComfyImage(reference);
+    }
+
+    const workflow = fillWorkflow(loadWorkflow(useReference ? local.referenceWorkflow : local.workflow), values);
+    const queued = await request('POST', '/prompt', { body: { prompt: workflow, client_id: 'mv-studio' } });
+    if (!queued.prompt_id) {
+        throw new Error(`ComfyUI 未接受任务: ${JSON.stringify(queued).substring(0, 200)}`);
+    }
+
+    const output = await waitForComfyOutput(queued.prompt_id);
+    const query = new URLSearchParams({
+        filename: output.filename,
+        subfolder: output.subfolder || '',
+        type: output.type || 'output'
+    });
+    const buffer = await request('GET', `/view?${query}`, { raw: true });
+    return { data: buffer.toString('base64'), mimeType: 'image/png' };
+}
+
+/**
+ * 生成图片（适配器入口）
+ * @param {string} prompt - 图片描述
+ * @param {object} options - { width, height, seed, negativePrompt, referenceImages, styleImages }
+ * @returns {Promise<object>} { data: Base64, mimeType }
+ */
+async function generate(prompt, options = {}) {
+    return config.imageGeneration.local.mode === 'comfyui'
+        ? generateWithComfyUI(prompt, options)
+        : generateWithWebUI(prompt, options);
+}
+
+module.exports = {
+    isConfigured,
+    generate,
+    fillWorkflow
+};
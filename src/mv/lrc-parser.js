@@ -28,12 +28,27 @@ function parseTimeStamp(timeStr) {
  * @returns {string} 格式化的时间字符串
  */
 function formatTime(seconds) {
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    const ms = Math.floor((seconds % 1) * 100);
+    // 先取整到厘秒，避免浮点误差（如 3.4 → 03.39）
+    const totalCs = Math.round(seconds * 100);
+    const mins = Math.floor(totalCs / 6000);
+    const secs = Math.floor((totalCs % 6000) / 100);
+    const ms = totalCs % 100;
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(2, '0')}`;
 }
 
+/**
+ * 解析 [length:] 标签值
+ * 支持格式: mm:ss、mm:ss.xx 或纯秒数
+ * @param {string} value - 标签值
+ * @returns {number|null} 秒数
+ */
+function parseLengthTag(value) {
+    if (!value) return null;
+    const trimmed = String(value).trim();
+    const seconds = trimmed.includes(':') ? parseTimeStamp(trimmed) : parseFloat(trimmed);
+    return seconds > 0 ? seconds : null;
+}
+
 /**
  * 解析 LRC 元数据标签
  * @param {string} line - LRC 行
@@ -113,6 +128,108 @@ function detectSpecialSegment(text) {
     return null;
 }
 
+/**
+ * 解析增强 LRC 行内逐字时间戳
+ * 支持格式: <mm:ss.xx>字<mm:ss.xx>字 或 <mm:ss.xx>word <mm:ss.xx>word <mm:ss.xx>
+ * 行尾单独的时间戳表示最后一个字的结束时间
+ * @param {string} text - 已去除行时间戳的歌词文本
+ * @param {number} lineStartTime - 行开始时间（秒），用于首个时间戳之前的文本
+ * @returns {object} { text, words }，无逐字时间戳时 words 为 null
+ */
+function parseWordTimings(text, lineStartTime = 0) {
+    const tagPattern = /<(\d+:\d+(?:\.\d+)?)>/g;
+    if (!/<\d+:\d+(?:\.\d+)?>/.test(text)) {
+        return { text: text.trim(), words: null };
+    }
+
+    const words = [];
+    let currentStart = lineStartTime;
+    let lastIndex = 0;
+    let match;
+
+    const pushChunk = (chunk, startTime) => {
+        if (!chunk) return;
+        if (!chunk.trim()) {
+            // 纯空白片段并入上一个字，保留英文单词间的空格
+            if (words.length > 0) words[words.length - 1].text += chunk;
+            return;
+        }
+        words.push({ text: chunk, startTime, endTime: null });
+    };
+
+    while ((match = tagPattern.exec(text)) !== null) {
+        pushChunk(text.slice(lastIndex, match.index), currentStart);
+        currentStart = parseTimeStamp(match[1]);
+        lastIndex = tagPattern.lastIndex;
+    }
+
+    const tail = text.slice(lastIndex);
+    pushChunk(tail, currentStart);
+
+    if (words.length === 0) {
+        return { text: text.replace(tagPattern, '').trim(), words: null };
+    }
+
+    // 每个字的结束时间为下一个字的开始时间
+    for (let i = 0; i < words.length - 1; i++) {
+        words[i].endTime = words[i + 1].startTime;
+    }
+    // 行尾时间戳（其后无文本）即为最后一个字的结束时间，否则稍后由行结束时间补齐
+    if (!tail.trim()) {
+        words[words.length - 1].endTime = currentStart;
+    }
+
+    words[0].text = words[0].text.replace(/^\s+/, '');
+    words[words.length - 1].text = words[words.length - 1].text.replace(/\s+$/, '');
+
+    return {
+        text: words.map(w => w.text).join('').trim(),
+        words
+    };
+}
+
+/**
+ * 按行的起止时间补齐并约束逐字时间
+ * @param {array} words - 逐字时间数组
+ * @param {number} startTime - 行开始时间（秒）
+ * @param {number} endTime - 行结束时间（秒）
+ * @returns {array} 补齐后的逐字时间数组
+ */
+function finalizeWordTimings(words, startTime, endTime) {
+    const clamp = (t) => Math.min(Math.max(t, startTime), endTime);
+
+    return words.map(word => {
+        const wordStart = clamp(word.startTime);
+        const rawEnd = word.endTime === null || word.endTime === undefined ? endTime : word.endTime;
+        return {
+            text: word.text,
+            startTime: wordStart,
+            endTime: Math.max(clamp(rawEnd), wordStart)
+        };
+    });
+}
+
+/**
+ * 将逐字时间按比例映射到新的行时间范围（用于手动调整行时间后）
+ * @param {array} words - 逐字时间数组
+ * @param {number} oldStart - 原行开始时间
+ * @param {number} oldEnd - 原行结束时间
+ * @param {number} newStart - 新行开始时间
+ * @param {number} newEnd - 新行结束时间
+ * @returns {array} 映射后的逐字时间数组
+ */
+function retimeWords(words, oldStart, oldEnd, newStart, newEnd) {
+    const oldDuration = oldEnd - oldStart;
+    const scale = oldDuration > 0 ? (newEnd - newStart) / oldDuration : 0;
+    const map = (t) => newStart + (t - oldStart) * scale;
+
+    return words.map(word => ({
+        text: word.text,
+        startTime: map(word.startTime),
+        endTime: map(word.endTime)
+    }));
+}
+
 /**
  * 解析 LRC 文件内容
  * @param {string} lrcContent - LRC 文件内容
@@ -140,7 +257,11 @@ function parseLRC(lrcContent, totalDuration = null) {
         if (!timeMatches) continue;
 
         // 提取歌词文本（去除所有时间戳）
-        const text = trimmedLine.replace(/\[\d+:\d+(?:\.\d+)?\]/g, '').trim();
+        const rawText = trimmedLine.replace(/\[\d+:\d+(?:\.\d+)?\]/g, '').trim();
+
+        // 解析增强 LRC 逐字时间戳（以第一个行时间戳为基准）
+        const firstStartTime = parseTimeStamp(timeMatches[0].slice(1, -1));
+        const { text, words } = parseWordTimings(rawText, firstStartTime);
 
         // 跳过空歌词（但保留特殊标记如 [前奏]）
         if (!text) continue;
@@ -149,16 +270,43 @@ function parseLRC(lrcContent, totalDuration = null) {
         for (const timeMatch of timeMatches) {
             const timeStr = timeMatch.slice(1, -1); // 去除方括号
             const startTime = parseTimeStamp(timeStr);
+            // 同一行的重复时间戳，逐字时间整体平移
+            const shift = startTime - firstStartTime;
 
             lyrics.push({
                 startTime,
                 endTime: null, // 稍后计算
                 text,
+                words: words ? words.map(w => ({
+                    text: w.text,
+                    startTime: w.startTime + shift,
+                    endTime: w.endTime === null ? null : w.endTime + shift
+                })) : null,
                 specialType: detectSpecialSegment(text)
             });
         }
     }
 
+    // 应用 [offset:] 标签（毫秒，正值表示歌词提前显示）
+    const offsetSeconds = (parseInt(metadata.offset, 10) || 0) / 1000;
+    if (offsetSeconds !== 0) {
+        for (const lyric of lyrics) {
+            lyric.startTime = Math.max(lyric.startTime - offsetSeconds, 0);
+            if (lyric.words) {
+                lyric.words = lyric.words.map(w => ({
+                    text: w.text,
+                    startTime: Math.max(w.startTime - offsetSeconds, 0),
+                    endTime: w.endTime === null ? null : Math.max(w.endTime - offsetSeconds, 0)
+                }));
+            }
+        }
+    }
+
+    // 未提供音频时长时使用 [length:] 标签
+    if (!totalDuration) {
+        totalDuration = parseLengthTag(metadata.length);
+    }
+
     // 按时间排序
     lyrics.sort((a, b) => a.startTime - b.startTime);
 
@@ -174,6 +322,13 @@ function parseLRC(lrcContent, totalDuration = null) {
         // 计算时长
         lyrics[i].duration = lyrics[i].endTime - lyrics[i].startTime;
 
+        // 逐字时间约束在行时间范围内
+        if (lyrics[i].words) {
+            lyrics[i].words = finalizeWordTimings(lyrics[i].words, lyrics[i].startTime, lyrics[i].endTime);
+        } else {
+            delete lyrics[i].words;
+        }
+
         // 添加索引
         lyrics[i].index = i + 1;
     }
@@ -190,6 +345,43 @@ function parseLRC(lrcContent, totalDuration = null) {
     };
 }
 
+/**
+ * 由已带起止时间的歌词数组构建解析结果（保留原有结束时间）
+ * 返回结构与 parseLRC 一致
+ * @param {array} lyricsInput - 歌词数组（startTime / endTime / text，可带 words、specialType）
+ * @param {object} metadata - 元数据
+ * @returns {object} 解析结果，包含 metadata 和 lyrics
+ */
+function buildLyricsResult(lyricsInput, metadata = {}) {
+    const lyrics = lyricsInput
+        .filter(l => l.text && l.text.trim())
+        .map(l => {
+            const lyric = {
+                startTime: l.startTime,
+                endTime: l.endTime,
+                text: l.text.trim(),
+                specialType: l.specialType || detectSpecialSegment(l.text)
+            };
+            if (l.words && l.words.length > 0) {
+                lyric.words = finalizeWordTimings(l.words, l.startTime, l.endTime);
+            }
+            return lyric;
+        })
+        .sort((a, b) => a.startTime - b.startTime);
+
+    lyrics.forEach((lyric, i) => {
+        lyric.duration = lyric.endTime - lyric.startTime;
+        lyric.index = i + 1;
+    });
+
+    return {
+        metadata,
+        language: detectLanguage(lyrics.map(l => l.text).join('')),
+        lyrics,
+        totalLyrics: lyrics.length
+    };
+}
+
 /**
  * 生成 LRC 文件内容
  * @param {object} data - 包含 metadata 和 lyrics 的对象
@@ -205,24 +397,57 @@ function generateLRC(data) {
             'artist': 'ar',
             'album': 'al',
             'author': 'au',
-            'creator': 'by'
+            'creator': 'by',
+            'offset': 'offset',
+            'length': 'length'
         };
         for (const [key, value] of Object.entries(data.metadata)) {
-            if (tagMap[key]) {
-                lines.push(`[${tagMap[key]}:${value}]`);
+            if (tagMap[key] && value !== undefined && value !== null && value !== '') {
+                const tagValue = key === 'length' && typeof value === 'number'
+                    ? formatTime(value).split('.')[0]
+                    : value;
+                lines.push(`[${tagMap[key]}:${tagValue}]`);
             }
         }
     }
 
+    // 解析后的时间已应用 offset，写回时还原为原始时间戳，保证再次解析结果一致
+    const offsetSeconds = (parseInt(data.metadata?.offset, 10) || 0) / 1000;
+    const restoreOffset = (lyric) => offsetSeconds === 0 ? lyric : {
+        ...lyric,
+        startTime: lyric.startTime + offsetSeconds,
+        words: lyric.words && lyric.words.map(w => ({
+            text: w.text,
+            startTime: w.startTime + offsetSeconds,
+            endTime: w.endTime + offsetSeconds
+        }))
+    };
+
     // 写入歌词
-    for (const lyric of data.lyrics) {
+    for (const lyric of data.lyrics.map(restoreOffset)) {
         const timeStr = formatTime(lyric.startTime);
-        lines.push(`[${timeStr}]${lyric.text}`);
+        lines.push(`[${timeStr}]${formatWordTimings(lyric)}`);
     }
 
     return lines.join('\n');
 }
 
+/**
+ * 将歌词行文本格式化为增强 LRC（含逐字时间戳）
+ * 无逐字时间时返回原文本
+ * @param {object} lyric - 歌词对象
+ * @returns {string} 行文本
+ */
+function formatWordTimings(lyric) {
+    if (!lyric.words || lyric.words.length === 0) {
+        return lyric.text;
+    }
+
+    const lastWord = lyric.words[lyric.words.length - 1];
+    return lyric.words.map(w => `<${formatTime(w.startTime)}>${w.text}`).join('')
+        + `<${formatTime(lastWord.endTime)}>`;
+}
+
 /**
  * 智能合并短句
  * 将连续的短句（时长小于阈值）合并，减少生成片段数量
@@ -248,7 +473,10 @@ function mergeShortLyrics(lyrics, minDuration = 2) {
         if (!buffer) {
             buffer = { ...lyric };
         } else if (buffer.duration < minDuration && lyric.duration < minDuration) {
-            // 合并短句
+            // 合并短句（逐字时间仅在两句都有时保留）
+            buffer.words = buffer.words && lyric.words
+                ? [...buffer.words, { ...lyric.words[0], text: ' ' + lyric.words[0].text }, ...lyric.words.slice(1)]
+                : undefined;
             buffer.text += ' ' + lyric.text;
             buffer.endTime = lyric.endTime;
             buffer.duration = buffer.endTime - buffer.startTime;
@@ -273,7 +501,14 @@ function mergeShortLyrics(lyrics, minDuration = 2) {
 module.exports = {
     parseLRC,
     generateLRC,
+    buildLyricsResult,
+    parseWordTimings,
+    finalizeWordTimings,
+    retimeWords,
+    formatWordTimings,
     parseTimeStamp,
+    parseMetadata,
+    parseLengthTag,
     formatTime,
     detectLanguage,
     detectSpecialSegment,
@@ -21,23 +21,35 @@ const TransitionType = {
 };
 
 /**
- * 生成 ASS 字幕文件
- * @param {array} lyrics - 歌词数组
- * @param {string} outputPath - 输出路径
- * @param {object} style - 字幕样式
+ * 卡拉OK 高亮标签类型
  */
-function generateASSSubtitle(lyrics, outputPath, style = {}) {
+const KaraokeMode = {
+    NONE: 'none',
+    FILL: 'kf',   // 逐字平滑扫过（\kf）
+    STEP: 'k'     // 逐字整块变色（\k）
+};
+
+/**
+ * 生成 ASS 字幕内容
+ * @param {array} lyrics - 歌词数组（可带 words 逐字时间）
+ * @param {object} style - 字幕样式，karaoke 为 'kf' | 'k' 时输出卡拉OK 高亮
+ * @returns {string} ASS 文件内容
+ */
+function buildASSContent(lyrics, style = {}) {
     const fontName = style.fontName || 'PingFang SC';
     const fontSize = style.fontSize || 48;
     const primaryColor = style.primaryColor || '&H00FFFFFF'; // 白色
+    const highlightColor = style.highlightColor || '&H0000D7FF'; // 卡拉OK 已唱部分（金色）
     const outlineColor = style.outlineColor || '&H00000000'; // 黑色描边
     const backColor = style.backColor || '&H80000000';       // 半透明黑色背景
     const outline = style.outline || 2;
     const shadow = style.shadow || 1;
     const alignment = style.alignment || 2; // 底部居中
     const marginV = style.marginV || 50;
+    const karaokeMode = normalizeKaraokeMode(style.karaoke);
 
     // ASS 文件头
+    // Karaoke 样式：PrimaryColour 为已唱颜色，SecondaryColour 为未唱颜色
     let assContent = `[Script Info]
 Title: MV Subtitles
 ScriptType: v4.00+
@@ -50,6 +62,7 @@ PlayResY: 1080
 Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
 Style: Default,${fontName},${fontSize},${primaryColor},&H000000FF,${outlineColor},${backColor},0,0,0,0,100,100,0,0,1,${outline},${shadow},${alignment},10,10,${marginV},1
 Style: Special,${fontName},${Math.floor(fontSize * 0.8)},&H0000FFFF,&H000000FF,${outlineColor},${backColor},0,1,0,0,100,100,0,0,1,${outline},${shadow},${alignment},10,10,${marginV},1
+Style: Karaoke,${fontName},${fontSize},${highlightColor},${primaryColor},${outlineColor},${backColor},0,0,0,0,100,100,0,0,1,${outline},${shadow},${alignment},10,10,${marginV},1
 
 [Events]
 Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
@@ -59,17 +72,33 @@ Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
     for (const lyric of lyrics) {
         const startTime = formatASSTime(lyric.startTime);
         const endTime = formatASSTime(lyric.endTime);
-        const text = escapeASSText(lyric.text);
-
-        // 特殊片段使用不同样式
-        const styleName = lyric.specialType ? 'Special' : 'Default';
 
         // 添加淡入淡出效果
         const fadeEffect = `{\\fad(200,200)}`;
 
-        assContent += `Dialogue: 0,${startTime},${endTime},${styleName},,0,0,0,,${fadeEffect}${text}\n`;
+        // 特殊片段使用不同样式，不做卡拉OK 高亮
+        if (lyric.specialType) {
+            assContent += `Dialogue: 0,${startTime},${endTime},Special,,0,0,0,,${fadeEffect}${escapeASSText(lyric.text)}\n`;
+        } else if (karaokeMode !== KaraokeMode.NONE) {
+            const karaokeText = buildKaraokeText(lyric, karaokeMode);
+            assContent += `Dialogue: 0,${startTime},${endTime},Karaoke,,0,0,0,,${fadeEffect}${karaokeText}\n`;
+        } else {
+            assContent += `Dialogue: 0,${startTime},${endTime},Default,,0,0,0,,${fadeEffect}${escapeASSText(lyric.text)}\n`;
+        }
     }
 
+    return assContent;
+}
+
+/**
+ * 生成 ASS 字幕文件
+ * @param {array} lyrics - 歌词数组（可带 words 逐字时间）
+ * @param {string} outputPath - 输出路径
+ * @param {object} style - 字幕样式
+ */
+function generateASSSubtitle(lyrics, outputPath, style = {}) {
+    const assContent = buildASSContent(lyrics, style);
+
     // 确保目录存在
     const dir = path.dirname(outputPath);
     if (!fs.existsSync(dir)) {
@@ -80,6 +109,77 @@ Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
     return outputPath;
 }
 
+/**
+ * 规范化卡拉OK 模式配置
+ * @param {boolean|string} value - true / 'kf' / 'k' / false
+ * @returns {string} KaraokeMode 值
+ */
+function normalizeKaraokeMode(value) {
+    if (value === true || value === KaraokeMode.FILL) return KaraokeMode.FILL;
+    if (value === KaraokeMode.STEP) return KaraokeMode.STEP;
+    return KaraokeMode.NONE;
+}
+
+/**
+ * 将歌词按音节拆分，并在行时间内均匀分配（无逐字时间时的回退方案）
+ * 中日韩文字每个字为一个音节，其他语言按单词拆分
+ * @param {string} text - 歌词文本
+ * @param {number} startTime - 行开始时间（秒）
+ * @param {number} endTime - 行结束时间（秒）
+ * @returns {array} 音节数组 [{ text, startTime, endTime }]
+ */
+function splitSyllables(text, startTime, endTime) {
+    const tokenPattern = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]|[^\s\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]+|\s+/g;
+    const syllables = [];
+
+    for (const token of text.match(tokenPattern) || []) {
+        if (!token.trim()) {
+            // 空白并入上一个音节
+            if (syllables.length > 0) syllables[syllables.length - 1] += token;
+            continue;
+        }
+        syllables.push(token);
+    }
+
+    const step = syllables.length > 0 ? (endTime - startTime) / syllables.length : 0;
+    return syllables.map((syllable, i) => ({
+        text: syllable,
+        startTime: startTime + step * i,
+        endTime: startTime + step * (i + 1)
+    }));
+}
+
+/**
+ * 生成带卡拉OK 标签的字幕文本
+ * 时长以厘秒为单位，按累计时间取整避免整行漂移
+ * @param {object} lyric - 歌词对象
+ * @param {string} mode - KaraokeMode.FILL 或 KaraokeMode.STEP
+ * @returns {string} ASS 文本
+ */
+function buildKaraokeText(lyric, mode) {
+    const syllables = lyric.words && lyric.words.length > 0
+        ? lyric.words
+        : splitSyllables(lyric.text, lyric.startTime, lyric.endTime);
+
+    let text = '';
+    let elapsedCs = 0;
+
+    for (const syllable of syllables) {
+        // 字与字之间的停顿用空的 \k 补齐
+        const gapCs = Math.round((syllable.startTime - lyric.startTime) * 100) - elapsedCs;
+        if (gapCs > 0) {
+            text += `{\\k${gapCs}}`;
+            elapsedCs += gapCs;
+        }
+
+        const durationCs = Math.max(Math.round((syllable.endTime - lyric.startTime) * 100) - elapsedCs, 0);
+        text += `{\\${mode}${durationCs}}${escapeASSText(syllable.text)}`;
+        elapsedCs += durationCs;
+    }
+
+    return text;
+}
+
 /**
  * 格式化时间为 ASS 格式 (H:MM:SS.cc)
  * @param {number} seconds - 秒数
@@ -711,7 +811,10 @@ async function composeMV(params) {
     // 3. 生成字幕文件
     console.log('3. 生成字幕文件...');
     const subtitlePath = path.join(tempDir, `${baseName}.ass`);
-    generateASSSubtitle(lyrics, subtitlePath, options.subtitleStyle);
+    generateASSSubtitle(lyrics, subtitlePath, {
+        karaoke: config.mvComposition.karaoke,
+        ...options.subtitleStyle
+    });
 
     // 4. 烧录字幕
     console.log('4. 烧录字幕...');
@@ -744,7 +847,11 @@ async function composeMV(params) {
 
 module.exports = {
     TransitionType,
+    KaraokeMode,
+    buildASSContent,
     generateASSSubtitle,
+    splitSyllables,
+    buildKaraokeText,
     generateConcatList,
     concatVideos,
     concatVideosWithTransition,
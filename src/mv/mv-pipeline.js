@@ -5,10 +5,20 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
 const config = require('../config');
+const lyricsSlicer = require('../lyrics/lyrics-slicer');
 const lrcParser = require('./lrc-parser');
+const editHistory = require('./edit-history');
+const storyboardVersions = require('./storyboard-versions');
+const castModule = require('./cast');
+const stylePresets = require('./style-presets');
+const cameraLanguage = require('./camera-language');
+const llmClient = require('./llm-client');
+const audioAnalyzer = require('./audio-analyzer');
+const structureAnalyzer = require('./structure-analyzer');
 const storyboardGenerator = require('./storyboard-generator');
 const segmentClassifier = require('./segment-classifier');
 const imageGenerator = require('./image-generator');
@@ -21,6 +31,29 @@ const mvComposer = require('./mv-composer');
  */
 const ProjectStatus = config.projectStatus;
 
+const { EditScope, EditType, EditSource } = editHistory;
+const { VersionSource } = storyboardVersions;
+
+/**
+ * 角色参考图来源
+ */
+const ReferenceSource = {
+    AUTO: 'auto',      // 生图时自动选取的第一张单人镜头
+    SHOT: 'shot',      // 用户指定的镜头图片
+    SHEET: 'sheet',    // 角色设定图（三视图）
+    UPLOAD: 'upload'   // 用户上传的照片（如艺人本人照片）
+};
+
+// 每个镜头候选图片数量上限
+const MAX_IMAGE_CANDIDATES = 4;
+
+// 参考图 MIME 类型 → 文件扩展名
+const IMAGE_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/webp': '.webp'
+};
+
 /**
  * MV 制作管道类
  */
@@ -158,20 +191,435 @@ class MVPipeline {
         return false;
     }
 
+    // ==================== 歌词编辑（确认前） ====================
+
+    /**
+     * 重新生成 LRC 并保存歌词编辑状态
+     */
+    commitLyrics() {
+        this.data.lrcContent = lyricsSlicer.generateLRC(this.data.slicedLyrics || []);
+        this.saveProjectData();
+    }
+
+    /**
+     * 设置整份歌词（ASR 识别、手动导入、整体平移等）
+     * @param {array} slicedLyrics - 切片后的歌词
+     * @param {object} options - { rawLyrics: ASR/导入的原始歌词, source, actor }
+     */
+    setLyrics(slicedLyrics, options = {}) {
+        this.recordEdit(EditScope.LYRICS, EditType.REPLACE,
+            editHistory.diffLyricLines(this.data.slicedLyrics, slicedLyrics), options);
+
+        if (options.rawLyrics) {
+            this.data.rawLyrics = options.rawLyrics;
+        }
+        this.data.slicedLyrics = slicedLyrics;
+        this.commitLyrics();
+    }
+
+    /**
+     * 直接设置 LRC 文本（不改动切片歌词）
+     * @param {string} lrcContent - LRC 内容
+     */
+    setLrcContent(lrcContent) {
+        this.data.lrcContent = lrcContent;
+        this.saveProjectData();
+    }
+
+    /**
+     * 记录 ASR 识别错误（null 表示清除）
+     * @param {string|null} message - 错误信息
+     */
+    setAsrError(message) {
+        this.data.asrError = message;
+        this.saveProjectData();
+    }
+
+    /**
+     * 更新单条歌词文本
+     * @param {number} index - 歌词索引（0 起）
+     * @param {string} text - 新文本
+     * @param {object} meta - { source, actor }
+     */
+    updateLyricText(index, text, meta = {}) {
+        const lyric = this.data.slicedLyrics[index];
+        const before = editHistory.cloneValue(lyric);
+        lyric.text = text;
+        // 原逐字时间不再对应，清除后由字幕回退为均匀分配
+        delete lyric.words;
+        this.recordEdit(EditScope.LYRICS, EditType.TEXT, { index, before, after: lyric }, meta);
+        this.commitLyrics();
+    }
+
+    /**
+     * 更新单条歌词时间
+     * @param {number} index - 歌词索引（0 起）
+     * @param {number} startTime - 开始时间（秒）
+     * @param {number} endTime - 结束时间（秒）
+     * @param {object} meta - { source, actor }
+     */
+    updateLyricTime(index, startTime, endTime, meta = {}) {
+        const lyric = this.data.slicedLyrics[index];
+        const before = editHistory.cloneValue(lyric);
+        // 逐字时间按比例映射到新的时间范围
+        if (lyric.words) {
+            lyric.words = lrcParser.retimeWords(lyric.words, lyric.startTime, lyric.endTime, startTime, endTime);
+        }
+        lyric.startTime = startTime;
+        lyric.endTime = endTime;
+        lyric.duration = endTime - startTime;
+        // 人工校对过的时间不再需要置信度提示
+        delete lyric.confidence;
+        this.recordEdit(EditScope.LYRICS, EditType.TIME, { index, before, after: lyric }, meta);
+        this.commitLyrics();
+    }
+
+    /**
+     * 插入歌词行
+     * @param {number} index - 插入位置（0 起）
+     * @param {object} lyric - 歌词对象
+     * @param {object} meta - { source, actor }
+     */
+    insertLyric(index, lyric, meta = {}) {
+        if (!this.data.slicedLyrics) {
+            this.data.slicedLyrics = [];
+        }
+        this.data.slicedLyrics.splice(index, 0, lyric);
+        this.recordEdit(EditScope.LYRICS, EditType.INSERT, { index, before: null, after: lyric }, meta);
+        this.commitLyrics();
+    }
+
+    /**
+     * 删除歌词行
+     * @param {number} index - 歌词索引（0 起）
+     * @param {object} meta - { source, actor }
+     * @returns {object} 被删除的歌词
+     */
+    deleteLyric(index, meta = {}) {
+        const [deleted] = this.data.slicedLyrics.splice(index, 1);
+        this.recordEdit(EditScope.LYRICS, EditType.DELETE, { index, before: deleted, after: null }, meta);
+        this.commitLyrics();
+        return deleted;
+    }
+
+    // ==================== 编辑历史（撤销/重做） ====================
+
+    /**
+     * 获取编辑历史（旧项目没有时自动创建）
+     */
+    getEditHistory() {
+        if (!this.data.editHistory) {
+            this.data.editHistory = editHistory.createHistory();
+        }
+        return this.data.editHistory;
+    }
+
+    /**
+     * 记录一次编辑（调用方负责保存项目数据）
+     * @param {string} scope - 作用域（lyrics / prompts）
+     * @param {string} type - 操作类型
+     * @param {object} change - { index, before, after }
+     * @param {object} meta - { source, actor }
+     */
+    recordEdit(scope, type, change, meta = {}) {
+        if (JSON.stringify(change.before ?? null) === JSON.stringify(change.after ?? null)) {
+            return null;
+        }
+        return editHistory.recordEdit(this.getEditHistory(), {
+            scope,
+            type,
+            ...change,
+            source: meta.source,
+            actor: meta.actor
+        });
+    }
+
+    /**
+     * 读取历史记录对应位置的当前值
+     * @param {object} entry - 历史记录
+     */
+    readEditTarget(entry) {
+        switch (entry.type) {
+            case EditType.PROMPT:
+            case EditType.VIDEO_PROMPT: {
+                const segment = (this.data.classifiedSegments || []).find(s => s.index === entry.index);
+                return segment ? segment[entry.type] ?? null : undefined;
+            }
+            case EditType.PROMOTE:
+                return this.data.storyboard ?? null;
+            default:
+                return (this.data.slicedLyrics || [])[entry.index] ?? null;
+        }
+    }
+
+    /**
+     * 将历史记录的某一侧（before / after）写回项目数据
+     * @param {object} entry - 历史记录
+     * @param {string} side - 'before' 撤销，'after' 重做
+     */
+    applyEditSide(entry, side) {
+        const value = editHistory.cloneValue(entry[side]);
+
+        switch (entry.type) {
+            case EditType.PROMPT:
+                this.setSegmentPrompt(entry.index, value);
+                this.saveProjectData();
+                return;
+            case EditType.VIDEO_PROMPT:
+                this.data.classifiedSegments.find(s => s.index === entry.index).videoPrompt = value;
+                this.saveProjectData();
+                return;
+            case EditType.PROMOTE:
+                this.applyStoryboardVersion(this.findStoryboardVersion(value.versionId));
+                this.saveProjectData();
+                return;
+            case EditType.REPLACE:
+                this.data.slicedLyrics = editHistory.applyLyricLines(this.data.slicedLyrics || [], value);
+                break;
+            case EditType.INSERT:
+            case EditType.DELETE:
+                // 插入的撤销即删除，删除的撤销即插入
+                if (value) {
+                    this.data.slicedLyrics.splice(entry.index, 0, value);
+                } else {
+                    this.data.slicedLyrics.splice(entry.index, 1);
+                }
+                break;
+            default:
+                this.data.slicedLyrics[entry.index] = value;
+        }
+        this.commitLyrics();
+    }
+
+    /**
+     * 撤销或重做一步
+     * @param {string} scope - 作用域（lyrics / prompts）
+     * @param {boolean} redo - 是否为重做
+     * @returns {object} 执行的历史记录
+     */
+    stepEditHistory(scope, redo) {
+        if (!Object.values(EditScope).includes(scope)) {
+            throw new Error(`未知的历史作用域: ${scope}`);
+        }
+
+        const history = this.getEditHistory();
+        const entry = redo ? editHistory.findRedo(history, scope) : editHistory.findUndo(history, scope);
+        if (!entry) {
+            throw new Error(redo ? '没有可重做的操作' : '没有可撤销的操作');
+        }
+
+        // 当前值必须与记录一致，否则说明数据已被其他流程修改（如重新生成分镜）
+        // 重做插入、撤销删除时目标位置尚无对应歌词，无需比较；恢复版本比较的是版本中的分镜
+        const side = redo ? entry.before : entry.after;
+        const expected = entry.type === EditType.PROMOTE ? this.findStoryboardVersion(side.versionId).storyboard : side;
+        const skipCheck = (entry.type === EditType.INSERT && redo) || (entry.type === EditType.DELETE && !redo);
+        const matches = entry.type === EditType.REPLACE
+            ? editHistory.matchLyricLines(this.data.slicedLyrics || [], expected)
+            : JSON.stringify(this.readEditTarget(entry)) === JSON.stringify(expected);
+        if (!skipCheck && !matches) {
+            throw new Error('内容已被其他操作修改，无法' + (redo ? '重做' : '撤销'));
+        }
+
+        this.applyEditSide(entry, redo ? 'after' : 'before');
+        entry.undone = !redo;
+        if (entry.type === EditType.PROMPT) {
+            this.saveStoryboardVersion({
+                label: `${redo ? '重做' : '撤销'} #${entry.index} Prompt 修改`,
+                source: VersionSource.EDIT
+            });
+        } else if (entry.type === EditType.PROMOTE) {
+            this.saveStoryboardVersion({
+                label: `${redo ? '重做' : '撤销'}恢复版本（回到版本 ${entry[redo ? 'after' : 'before'].versionId}）`,
+                source: VersionSource.PROMOTE
+            });
+        }
+        this.saveProjectData();
+
+        console.log(`${redo ? '重做' : '撤销'} ${entry.scope}/${entry.type} #${entry.index ?? '-'}`);
+        return entry;
+    }
+
+    /**
+     * 撤销作用域内最近一次编辑
+     * @param {string} scope - 作用域（lyrics / prompts）
+     */
+    undoEdit(scope) {
+        return this.stepEditHistory(scope, false);
+    }
+
+    /**
+     * 重做作用域内最近一次撤销
+     * @param {string} scope - 作用域（lyrics / prompts）
+     */
+    redoEdit(scope) {
+        return this.stepEditHistory(scope, true);
+    }
+
+    // ==================== 音频节奏分析 ====================
+
+    /**
+     * 分析音频的 BPM、节拍、强拍和能量包络，结果缓存在 data.audioAnalysis
+     * 音频内容（MD5）不变时直接使用缓存
+     * @param {string} audioPath - 音频路径，默认使用项目音频
+     * @param {object} options - { force: 忽略缓存重新分析 }
+     * @returns {object} 分析结果
+     */
+    analyzeAudio(audioPath = this.data.audioPath, options = {}) {
+        if (!audioPath || !fs.existsSync(audioPath)) {
+            throw new Error('音频文件不存在');
+        }
+
+        const sourceKey = crypto.createHash('md5').update(fs.readFileSync(audioPath)).digest('hex');
+        const cached = this.data.audioAnalysis;
+        if (!options.force && cached && cached.sourceKey === sourceKey &&
+            cached.version === audioAnalyzer.ANALYSIS_VERSION) {
+            return cached;
+        }
+
+        this.data.audioAnalysis = {
+            ...audioAnalyzer.analyzeAudio(audioPath),
+            sourceKey,
+            analyzedAt: new Date().toISOString()
+        };
+        this.saveProjectData();
+
+        return this.data.audioAnalysis;
+    }
+
+    // ==================== 歌曲结构分析 ====================
+
+    /**
+     * 识别主歌/导歌/副歌/桥段等段落，有节奏分析结果时结合能量包络判断
+     * 分析已解析的歌词时，结果写入每句歌词的 section 字段并保存；其他歌词（如确认前的切片歌词）只返回结果
+     * @param {array} lyrics - 歌词数组，默认使用已解析的歌词
+     * @returns {object} { sections, labels }
+     */
+    analyzeStructure(lyrics = this.data.lyrics) {
+        if (!lyrics || lyrics.length === 0) {
+            throw new Error('没有歌词');
+        }
+
+        const structure = structureAnalyzer.analyzeStructure(lyrics, this.data.audioAnalysis);
+
+        if (lyrics === this.data.lyrics) {
+            structureAnalyzer.applyStructure(lyrics, structure);
+            this.data.structure = {
+                sections: structure.sections,
+                analyzedAt: new Date().toISOString()
+            };
+            this.saveProjectData();
+        }
+
+        return structure;
+    }
+
+    // ==================== 重复段落复用 ====================
+
+    /**
+     * 获取复用指定源片段的片段
+     * @param {number} sourceIndex - 源片段索引
+     * @param {string} mode - 只返回该复用模式的片段（可选）
+     * @returns {array} 片段数组
+     */
+    getReuseDependents(sourceIndex, mode = null) {
+        return (this.data.classifiedSegments || []).filter(s =>
+            s.reuse && s.reuse.sourceIndex === sourceIndex && (!mode || s.reuse.mode === mode));
+    }
+
+    /**
+     * 将源片段的首帧图复制给复用它的片段
+     * @param {number} sourceIndex - 源片段索引
+     * @returns {array} 图片结果
+     */
+    copyReusedImages(sourceIndex) {
+        const imageDir = path.join(this.projectDir, 'images');
+        const sourcePath = path.join(imageDir, `image_${String(sourceIndex).padStart(3, '0')}.png`);
+
+        return this.getReuseDependents(sourceIndex).map(segment => {
+            const outputPath = path.join(imageDir, `image_${String(segment.index).padStart(3, '0')}.png`);
+            if (!fs.existsSync(sourcePath)) {
+                return { success: false, index: segment.index, lyric: segment.lyric, reusedFrom: sourceIndex, error: '源图片不存在' };
+            }
+
+            fs.copyFileSync(sourcePath, outputPath);
+            return { success: true, index: segment.index, path: outputPath, lyric: segment.lyric, reusedFrom: sourceIndex };
+        });
+    }
+
+    /**
+     * 为直接复用视频的片段截取源片段视频
+     * @param {number} sourceIndex - 源片段索引
+     * @returns {Promise<array>} 视频结果
+     */
+    async trimReusedVideos(sourceIndex) {
+        const videoDir = path.join(this.projectDir, 'videos');
+        const sourcePath = path.join(videoDir, `video_${String(sourceIndex).padStart(3, '0')}.mp4`);
+        const results = [];
+
+        for (const segment of this.getReuseDependents(sourceIndex, segmentClassifier.ReuseMode.REUSED)) {
+            const outputPath = path.join(videoDir, `video_${String(segment.index).padStart(3, '0')}.mp4`);
+            try {
+                const result = await videoGenerator.trimVideoClip(sourcePath, outputPath, segment.duration);
+                results.push({ ...result, index: segment.index, lyric: segment.lyric, reusedFrom: sourceIndex });
+            } catch (error) {
+                results.push({ success: false, index: segment.index, lyric: segment.lyric, reusedFrom: sourceIndex, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * 替换结果数组中同索引的结果（不存在时追加）
+     * @param {array} results - 图片或视频结果数组
+     * @param {object} result - 新结果
+     */
+    replaceResult(results, result) {
+        const existing = results.findIndex(r => r.index === result.index);
+        if (existing !== -1) {
+            results[existing] = result;
+        } else {
+            results.push(result);
+        }
+    }
+
+    /**
+     * 将片段移回待确认
+     * @param {object} confirmation - 图片或视频确认状态
+     * @param {number} index - 片段索引
+     */
+    markPending(confirmation, index) {
+        confirmation.confirmed = confirmation.confirmed.filter(i => i !== index);
+        if (!confirmation.pending.includes(index)) {
+            confirmation.pending.push(index);
+        }
+    }
+
     /**
      * 步骤 1: 解析 LRC 歌词
      */
-    async parseLyrics(lrcContent, audioDuration = null) {
+    async parseLyrics(lrcContent, audioDuration = null, lyrics = null) {
         this.updateStatus(ProjectStatus.GENERATING_STORYBOARD, 5);
         console.log('Step 1: Parsing LRC lyrics...');
 
-        const result = lrcParser.parseLRC(lrcContent, audioDuration);
+        // 已编辑的歌词自带结束时间（如 SRT/ASR 导入），直接使用，不再按下一句开始时间重算
+        const result = lyrics && lyrics.length > 0
+            ? lrcParser.buildLyricsResult(lyrics, lrcParser.parseLRC(lrcContent || '').metadata)
+            : lrcParser.parseLRC(lrcContent, audioDuration);
 
         this.data.lyrics = result.lyrics;
         this.data.language = result.language;
         this.data.metadata = result.metadata;
         this.data.lrcContent = lrcContent;
 
+        // 结构分析失败不影响后续流程（分级退回按位置判断副歌）
+        try {
+            const structure = this.analyzeStructure();
+            console.log('歌曲结构:', structure.sections.map(s => s.label).join(' → '));
+        } catch (e) {
+            console.warn('歌曲结构分析失败:', e.message);
+        }
+
         console.log(`Parsed ${result.lyrics.length} lyrics, language: ${result.language}`);
         this.updateProgress(10, `解析完成: ${result.lyrics.length} 句歌词`);
 
@@ -185,297 +633,1515 @@ class MVPipeline {
         this.updateStatus(ProjectStatus.GENERATING_STORYBOARD, 10);
         console.log('Step 2: Generating storyboard prompts...');
 
+        if (options.presetId !== undefined) {
+            this.setStylePreset(options.presetId);
+        }
+        const preset = this.getStylePreset();
+        if (preset) {
+            console.log(`风格预设: ${preset.name}（${preset.id} v${preset.version}）`);
+        }
+
         const result = await storyboardGenerator.generateStoryboardBatched(
             this.data.lyrics,
             this.data.language,
-            options
+            { ...options, preset }
         );
 
+        // 旧项目先把已有分镜保存为初始版本，避免被覆盖
+        this.getStoryboardVersions();
+
         this.data.storyboard = result.storyboard;
         this.data.globalStyle = result.globalStyle;
         this.data.characterDescription = result.characterDescription;
         this.data.ethnicity = result.ethnicity;
+        this.data.storyboardGaps = result.gaps || [];
+        this.setCast(result.cast);
+
+        const { provider, model } = llmClient.getProviderInfo();
+        this.saveStoryboardVersion({
+            label: '生成分镜',
+            source: VersionSource.GENERATED,
+            provider,
+            model,
+            options: { ...options, presetId: preset?.id || null, presetVersion: preset?.version || null }
+        });
 
         console.log(`Generated ${result.storyboard.length} storyboard prompts`);
-        this.updateProgress(20, `生成 ${result.storyboard.length} 个分镜`);
+        if (this.data.storyboardGaps.length > 0) {
+            console.warn(`${this.data.storyboardGaps.length} 句歌词缺少分镜:`,
+                this.data.storyboardGaps.map(g => `#${g.index} ${g.reason}`).join('; '));
+        }
+        this.updateProgress(20, `生成 ${result.storyboard.length} 个分镜` +
+            (this.data.storyboardGaps.length > 0 ? `，${this.data.storyboardGaps.length} 句缺失` : ''));
 
         this.saveProjectData();
         return result;
     }
 
     /**
-     * 步骤 3: 智能分级
+     * 步骤 3: 智能分级
+     */
+    classifySegments(options = {}) {
+        console.log('Step 3: Classifying segments...');
+
+        let classified = segmentClassifier.classifySegments(
+            this.data.lyrics,
+            this.data.storyboard,
+            options
+        );
+
+        // 切点吸附到节拍（需在合并前进行，保证与歌词一一对应）
+        if (options.snapToBeat) {
+            let analysis = this.data.audioAnalysis;
+            if (!analysis && this.data.audioPath) {
+                try {
+                    analysis = this.analyzeAudio();
+                } catch (e) {
+                    console.warn('音频节奏分析失败，跳过节拍吸附:', e.message);
+                }
+            }
+
+            if (analysis) {
+                const result = segmentClassifier.snapToBeats(classified, this.data.lyrics, analysis, options);
+                console.log(`节拍吸附（${options.snapToBeat}）: 调整 ${result.snapped} 个切点`);
+            }
+        }
+
+        if (options.budget) {
+            classified = segmentClassifier.optimizeForBudget(classified, options.budget);
+        }
+
+        if (options.mergeShort) {
+            classified = segmentClassifier.mergeAdjacentSegments(classified);
+        }
+
+        // 重复歌词复用源片段的画面（在合并后标记，保证索引不再变化）
+        if (options.reuseRepeats) {
+            segmentClassifier.markRepeatedSegments(classified, options);
+        }
+
+        const stats = segmentClassifier.getClassificationStats(classified);
+
+        this.data.classifiedSegments = classified;
+        this.data.classificationStats = stats;
+
+        console.log('Classification stats:', stats);
+        this.updateProgress(25, `分类完成: ${stats.byRenderType.video} 视频, ${stats.byRenderType.animation} 动画`);
+
+        this.saveProjectData();
+        return { classified, stats };
+    }
+
+    /**
+     * 步骤 4: 生成图片
+     */
+    async generateImages(options = {}) {
+        this.updateStatus(ProjectStatus.GENERATING_IMAGES, 25);
+        console.log('Step 4: Generating images...');
+
+        if (options.candidates !== undefined) {
+            this.setImageCandidates(options.candidates);
+        }
+
+        // 复用片段不单独生成，完成后复制源片段的首帧图
+        const sourceSegments = this.data.classifiedSegments.filter(s => !s.reuse);
+
+        // 缺少分镜的片段不调用生图，逐个记录失败原因，待编辑 Prompt 后重新生成
+        const gapResults = sourceSegments.filter(s => !s.prompt).map(s => ({
+            success: false,
+            index: s.index,
+            error: `缺少分镜 Prompt（${this.getStoryboardGap(s.index)?.reason || '模型未返回该句分镜'}），请编辑 Prompt 后重新生成`,
+            prompt: '',
+            lyric: s.lyric
+        }));
+
+        // 每个镜头按候选数量生成多张，保存为版本供确认时挑选
+        const generated = await this.generateImageCandidates(
+            sourceSegments.filter(s => s.prompt),
+            this.getImageStoryboardData(),
+            options,
+            (progress) => {
+                const overallProgress = 25 + (progress.percentage * 0.35);
+                this.updateProgress(overallProgress, `生成图片: ${progress.completed}/${progress.total}`);
+            }
+        );
+
+        const results = [
+            ...generated,
+            ...gapResults,
+            ...sourceSegments.flatMap(s => this.copyReusedImages(s.index))
+        ].sort((a, b) => a.index - b.index);
+
+        const successCount = results.filter(r => r.success).length;
+        this.data.imageResults = results;
+
+        // 初始化图片确认状态：所有成功生成的图片都待确认
+        this.data.imageConfirmation = {
+            confirmed: [],
+            pending: results.filter(r => r.success).map(r => r.index),
+            regenerating: []
+        };
+
+        console.log(`Generated ${successCount}/${results.length} images`);
+        this.updateProgress(60, `图片生成完成: ${successCount}/${results.length}`);
+
+        // 进入等待图片确认状态
+        this.updateStatus(ProjectStatus.AWAITING_IMAGE_CONFIRM, 60);
+
+        this.saveProjectData();
+        return results;
+    }
+
+    /**
+     * 获取所有图片信息（用于确认环节）
+     */
+    getImagesForConfirmation() {
+        const imageDir = path.join(this.projectDir, 'images');
+        const images = [];
+
+        for (const segment of this.data.classifiedSegments) {
+            const paddedIndex = String(segment.index).padStart(3, '0');
+            const imagePath = path.join(imageDir, `image_${paddedIndex}.png`);
+
+            const imageResult = this.data.imageResults?.find(r => r.index === segment.index);
+            const variants = this.data.imageVariants?.[segment.index];
+
+            images.push({
+                index: segment.index,
+                lyric: segment.lyric,
+                startTime: segment.startTime,
+                endTime: segment.endTime,
+                duration: segment.duration,
+                section: segment.section || null,
+                sectionLabel: segment.sectionLabel || null,
+                reuse: segment.reuse || null,
+                hasCharacter: segment.hasCharacter,
+                characters: segment.characters || [],
+                shotSize: segment.shotSize || null,
+                cameraMove: segment.cameraMove || null,
+                subjectAction: segment.subjectAction || null,
+                prompt: segment.prompt,
+                negativePrompt: segment.negativePrompt || null,
+                seed: segment.seed ?? null,
+                lastSeed: imageResult?.seed ?? null,
+                lastNegativePrompt: imageResult?.negativePrompt || null,
+                candidates: segment.candidates || null,
+                selectedVariant: variants?.selected ?? null,
+                variants: (variants?.items || []).map(v => ({
+                    id: v.id,
+                    seed: v.seed,
+                    createdAt: v.createdAt,
+                    url: `/projects/${this.projectId}/images/${v.file}`
+                })),
+                imagePath: imagePath,
+                imageExists: fs.existsSync(imagePath),
+                imageUrl: `/projects/${this.projectId}/images/image_${paddedIndex}.png`,
+                confirmed: this.data.imageConfirmation.confirmed.includes(segment.index),
+                success: imageResult?.success || false,
+                error: imageResult?.error || null
+            });
+        }
+
+        return images;
+    }
+
+    /**
+     * 确认单张图片
+     */
+    confirmImage(index) {
+        const confirmation = this.data.imageConfirmation;
+
+        // 从 pending 移到 confirmed
+        const pendingIdx = confirmation.pending.indexOf(index);
+        if (pendingIdx !== -1) {
+            confirmation.pending.splice(pendingIdx, 1);
+        }
+
+        if (!confirmation.confirmed.includes(index)) {
+            confirmation.confirmed.push(index);
+        }
+
+        this.saveProjectData();
+
+        return {
+            confirmed: confirmation.confirmed.length,
+            pending: confirmation.pending.length,
+            total: this.data.classifiedSegments.length
+        };
+    }
+
+    /**
+     * 确认所有图片
+     */
+    confirmAllImages() {
+        const confirmation = this.data.imageConfirmation;
+        const allIndexes = this.data.classifiedSegments.map(s => s.index);
+
+        confirmation.confirmed = allIndexes;
+        confirmation.pending = [];
+
+        this.saveProjectData();
+
+        return {
+            confirmed: confirmation.confirmed.length,
+            pending: 0,
+            total: this.data.classifiedSegments.length
+        };
+    }
+
+    /**
+     * 重新生成单张图片
+     */
+    async regenerateImage(index, newPrompt = null, meta = {}) {
+        const segment = this.data.classifiedSegments.find(s => s.index === index);
+        if (!segment) {
+            throw new Error(`Segment ${index} not found`);
+        }
+
+        // 单独重新生成后不再复用源片段
+        delete segment.reuse;
+
+        // 如果提供了新 prompt，更新它
+        if (newPrompt) {
+            const edited = this.recordEdit(EditScope.PROMPTS, EditType.PROMPT, {
+                index,
+                before: segment.prompt,
+                after: newPrompt
+            }, meta);
+            this.setSegmentPrompt(index, newPrompt);
+            if (edited) {
+                this.saveStoryboardVersion({ label: `修改 #${index} Prompt`, source: VersionSource.EDIT, actor: meta.actor });
+            }
+        }
+
+        if (!segment.prompt) {
+            throw new Error(`片段 ${index} 缺少分镜 Prompt，请先编辑 Prompt`);
+        }
+
+        const confirmation = this.data.imageConfirmation;
+        confirmation.regenerating.push(index);
+        this.saveProjectData();
+
+        const paddedIndex = String(index).padStart(3, '0');
+
+        console.log(`Regenerating image ${index}: ${segment.prompt.substring(0, 50)}...`);
+
+        try {
+            // 与批量生成相同：按出场角色附加描述和参考图，空镜去除人物
+            // 自动取自本镜头的参考图不再使用，以新图片刷新该角色的参考
+            const storyboardData = this.getImageStoryboardData();
+            for (const member of storyboardData.cast) {
+                if (member.referenceSource === ReferenceSource.AUTO && member.referenceFrom === index) {
+                    member.referenceImagePath = null;
+                }
+            }
+
+            // 覆盖前保留现有图片，新图片（及候选）保存为新版本
+            this.ensureImageVariants(index);
+            const [result] = await this.generateImageCandidates([segment], storyboardData);
+
+            // 更新状态
+            const regenIdx = confirmation.regenerating.indexOf(index);
+            if (regenIdx !== -1) {
+                confirmation.regenerating.splice(regenIdx, 1);
+            }
+
+            // 添加到 pending（需要重新确认）
+            if (!confirmation.pending.includes(index)) {
+                confirmation.pending.push(index);
+            }
+            // 从 confirmed 移除
+            const confirmedIdx = confirmation.confirmed.indexOf(index);
+            if (confirmedIdx !== -1) {
+                confirmation.confirmed.splice(confirmedIdx, 1);
+            }
+
+            // 更新 imageResults
+            const resultIdx = this.data.imageResults.findIndex(r => r.index === index);
+            if (resultIdx !== -1) {
+                this.data.imageResults[resultIdx] = {
+                    ...result,
+                    index: index,
+                    lyric: segment.lyric
+                };
+            }
+
+            // 复用该图片的片段同步更新，并需要重新确认
+            const refreshed = this.copyReusedImages(index);
+            for (const item of refreshed) {
+                this.replaceResult(this.data.imageResults, item);
+                this.markPending(confirmation, item.index);
+            }
+
+            this.saveProjectData();
+
+            return {
+                success: result.success,
+                index: index,
+                refreshed: refreshed.map(r => r.index),
+                prompt: segment.prompt,
+                seed: result.seed,
+                variant: result.variant,
+                imageUrl: `/projects/${this.projectId}/images/image_${paddedIndex}.png?t=${Date.now()}`
+            };
+
+        } catch (error) {
+            // 移除 regenerating 状态
+            const regenIdx = confirmation.regenerating.indexOf(index);
+            if (regenIdx !== -1) {
+                confirmation.regenerating.splice(regenIdx, 1);
+            }
+            this.saveProjectData();
+
+            throw error;
+        }
+    }
+
+    /**
+     * 更新分镜 Prompt
+     */
+    updatePrompt(index, newPrompt, meta = {}) {
+        const segment = this.data.classifiedSegments.find(s => s.index === index);
+        const edited = segment && this.recordEdit(EditScope.PROMPTS, EditType.PROMPT, {
+            index,
+            before: segment.prompt,
+            after: newPrompt
+        }, meta);
+
+        this.setSegmentPrompt(index, newPrompt);
+        if (edited) {
+            this.saveStoryboardVersion({ label: `修改 #${index} Prompt`, source: VersionSource.EDIT, actor: meta.actor });
+        }
+        this.saveProjectData();
+
+        return { success: true, index, prompt: newPrompt };
+    }
+
+    /**
+     * 更新图片的负面 Prompt、种子和候选数量（下次生成时生效）
+     * 种子为 null 时每次随机（每张图片实际使用的种子记录在 imageResults，可锁定以复现）
+     * 候选数量为 null 时使用项目设置
+     * @param {number} index - 片段索引
+     * @param {object} params - { negativePrompt, seed, candidates }，未传的字段不修改
+     * @param {object} meta - { actor }
+     * @returns {object} { index, negativePrompt, seed, candidates }
+     */
+    setImageParams(index, params = {}, meta = {}) {
+        const segment = this.data.classifiedSegments?.find(s => s.index === index);
+        if (!segment) {
+            throw new Error(`Segment ${index} not found`);
+        }
+
+        if (params.seed !== undefined) {
+            const seed = params.seed === null || params.seed === '' ? null : Number(params.seed);
+            if (seed !== null && (!Number.isInteger(seed) || seed < 0 || seed > imageGenerator.MAX_SEED)) {
+                throw new Error(`种子必须是 0-${imageGenerator.MAX_SEED} 的整数`);
+            }
+            segment.seed = seed;
+        }
+
+        if (params.candidates !== undefined) {
+            segment.candidates = params.candidates === null || params.candidates === ''
+                ? null
+                : this.normalizeCandidateCount(params.candidates);
+        }
+
+        if (params.negativePrompt !== undefined) {
+            const negativePrompt = storyboardGenerator.normalizeNegativePrompt(params.negativePrompt);
+            if (negativePrompt !== (segment.negativePrompt || null)) {
+                segment.negativePrompt = negativePrompt;
+                const storyboardItem = this.data.storyboard?.find(s => s.index === index);
+                if (storyboardItem) {
+                    storyboardItem.negativePrompt = negativePrompt;
+                }
+                this.saveStoryboardVersion({ label: `修改 #${index} 负面 Prompt`, source: VersionSource.EDIT, actor: meta.actor });
+            }
+        }
+
+        this.saveProjectData();
+        return {
+            index,
+            negativePrompt: segment.negativePrompt || null,
+            seed: segment.seed ?? null,
+            candidates: segment.candidates || null
+        };
+    }
+
+    /**
+     * 同步更新片段和分镜中的图片 Prompt
+     * @param {number} index - 片段索引
+     * @param {string} prompt - 新 Prompt
+     */
+    setSegmentPrompt(index, prompt) {
+        const segment = this.data.classifiedSegments.find(s => s.index === index);
+        if (segment) {
+            segment.prompt = prompt;
+        }
+
+        const storyboardItem = this.data.storyboard.find(s => s.index === index);
+        if (storyboardItem) {
+            storyboardItem.prompt = prompt;
+        } else if (segment) {
+            // 补齐缺失的分镜
+            this.data.storyboard.push({
+                index,
+                lyric: segment.lyric,
+                sceneType: segment.sceneType,
+                prompt,
+                hasCharacter: segment.hasCharacter,
+                characters: segment.characters || [],
+                ...cameraLanguage.normalizeCameraFields(segment),
+                negativePrompt: segment.negativePrompt || null
+            });
+            this.data.storyboard.sort((a, b) => a.index - b.index);
+        }
+
+        if (this.data.storyboardGaps) {
+            const lyricIndices = this.getSegmentLyricIndices(index);
+            this.data.storyboardGaps = this.data.storyboardGaps.filter(g => !lyricIndices.includes(g.index));
+        }
+    }
+
+    /**
+     * 片段对应的歌词序号（分镜缺失记录按歌词序号保存，合并短片段后片段会重新编号）
+     * @param {number} index - 片段索引
+     * @returns {array} 歌词序号
+     */
+    getSegmentLyricIndices(index) {
+        const segment = this.data.classifiedSegments?.find(s => s.index === index);
+        return segment?.lyricIndices || [index];
+    }
+
+    /**
+     * 获取片段的分镜缺失记录
+     * @param {number} index - 片段索引
+     * @returns {object|null} { index: 歌词序号, lyric, reason }
+     */
+    getStoryboardGap(index) {
+        const lyricIndices = this.getSegmentLyricIndices(index);
+        return this.data.storyboardGaps?.find(g => lyricIndices.includes(g.index)) || null;
+    }
+
+    /**
+     * 当前镜头列表：已分级时为片段，否则按歌词与分镜一一对应
+     * @returns {array} [{ index, lyric, startTime, endTime, duration, sectionLabel, prompt, sceneType, hasCharacter, shotSize, cameraMove, subjectAction, negativePrompt }]
+     */
+    getStoryboardShots() {
+        if (this.data.classifiedSegments?.length) {
+            return this.data.classifiedSegments;
+        }
+
+        return (this.data.lyrics || []).map((lyric, i) => {
+            const scene = (this.data.storyboard || []).find(s => s.index === i + 1) || {};
+            return {
+                ...lyric,
+                index: i + 1,
+                lyric: lyric.text,
+                prompt: scene.prompt || '',
+                sceneType: scene.sceneType || 'unknown',
+                hasCharacter: scene.hasCharacter || false,
+                characters: scene.characters || [],
+                ...cameraLanguage.normalizeCameraFields(scene),
+                negativePrompt: scene.negativePrompt || null
+            };
+        });
+    }
+
+    /**
+     * 重新生成部分镜头的分镜
+     * 相邻镜头、全局风格和角色描述作为上下文；已生成的图片改为待确认
+     * @param {object} selection - { indices: 镜头序号数组, startTime, endTime: 时间范围（秒）, note: 导演意见 }
+     * @param {object} meta - { actor }
+     * @returns {object} { updated: [{ index, prompt, sceneType, hasCharacter, characters, shotSize, cameraMove, subjectAction, negativePrompt }], gaps }
+     */
+    async regenerateStoryboard(selection = {}, meta = {}) {
+        if (!this.data.storyboard) {
+            throw new Error('尚未生成分镜');
+        }
+
+        const shots = this.getStoryboardShots();
+        const { indices, startTime, endTime, note } = selection;
+
+        let targets;
+        if (Array.isArray(indices) && indices.length > 0) {
+            targets = shots.filter(shot => indices.includes(shot.index));
+        } else if (typeof startTime === 'number' && typeof endTime === 'number') {
+            // 与时间范围有重叠的镜头
+            targets = shots.filter(shot => shot.startTime < endTime && shot.endTime > startTime);
+        } else {
+            throw new Error('请指定镜头序号或时间范围');
+        }
+        if (targets.length === 0) {
+            throw new Error('所选范围内没有镜头');
+        }
+
+        const result = await storyboardGenerator.regenerateStoryboardEntries(
+            shots,
+            targets.map(shot => shot.index),
+            {
+                language: this.data.language,
+                globalStyle: this.data.globalStyle,
+                cast: this.getCast(),
+                note,
+                preset: this.getStylePreset()
+            }
+        );
+
+        const updated = [];
+        for (const item of result.storyboard) {
+            const shot = shots.find(s => s.index === item.index);
+
+            this.recordEdit(EditScope.PROMPTS, EditType.PROMPT, {
+                index: item.index,
+                before: shot.prompt,
+                after: item.prompt
+            }, { ...meta, source: EditSource.LLM });
+            this.setSegmentPrompt(item.index, item.prompt);
+
+            for (const target of [shot, this.data.storyboard.find(s => s.index === item.index)]) {
+                if (target) {
+                    target.sceneType = item.sceneType;
+                    target.hasCharacter = item.hasCharacter;
+                    target.characters = item.characters;
+                    target.negativePrompt = item.negativePrompt || null;
+                    Object.assign(target, cameraLanguage.normalizeCameraFields(item));
+                }
+            }
+
+            // 画面已重新构思，不再复用其他片段
+            if (shot.reuse) {
+                delete shot.reuse;
+                delete shot.videoPrompt;
+            }
+
+            // 已确认的图片与新分镜不符，需重新确认
+            if (this.data.imageConfirmation?.confirmed.includes(item.index)) {
+                this.markPending(this.data.imageConfirmation, item.index);
+            }
+
+            updated.push({
+                index: item.index,
+                prompt: item.prompt,
+                sceneType: item.sceneType,
+                hasCharacter: item.hasCharacter,
+                characters: item.characters,
+                ...cameraLanguage.normalizeCameraFields(item),
+                negativePrompt: item.negativePrompt || null
+            });
+        }
+
+        if (updated.length > 0) {
+            const { provider, model } = llmClient.getProviderInfo();
+            this.saveStoryboardVersion({
+                label: `重新构思 ${updated.map(u => `#${u.index}`).join(', ')}`,
+                source: VersionSource.REGENERATED,
+                provider,
+                model,
+                options: { indices: updated.map(u => u.index), note: note || null },
+                actor: meta.actor
+            });
+        }
+
+        this.saveProjectData();
+        console.log(`重新生成分镜完成: ${updated.length}/${targets.length}`);
+
+        return { updated, gaps: result.gaps };
+    }
+
+    // ==================== 角色表 ====================
+
+    /**
+     * 获取角色表（旧项目没有时以 characterDescription 作为主角）
+     */
+    getCast() {
+        if (!this.data.cast) {
+            this.setCast(castModule.normalizeCast(this.data));
+        }
+        return this.data.cast;
+    }
+
+    /**
+     * 设置角色表（重新生成分镜时调用），参考图和确认状态重置
+     * 用户上传的角色照片保留：同 id 角色沿用照片及用户填写的描述，不在新角色表中的角色追加到末尾
+     * @param {array} cast - [{ id, name, description }]
+     */
+    setCast(cast = []) {
+        const uploaded = (this.data.cast || []).filter(m => m.referenceSource === ReferenceSource.UPLOAD);
+
+        this.data.cast = cast.map(({ id, name, description }) => {
+            const photo = uploaded.find(m => m.id === id);
+            if (photo) {
+                return { ...photo, name: photo.name || name, description: photo.description || description, confirmed: false };
+            }
+            return {
+                id,
+                name,
+                description,
+                referenceImage: null,   // 参考图文件名（cast 目录下）
+                referenceFrom: null,    // 参考图来源片段
+                referenceSource: null,  // 参考图来源（ReferenceSource）
+                confirmed: false
+            };
+        });
+
+        for (const photo of uploaded) {
+            if (!this.data.cast.some(m => m.id === photo.id)) {
+                this.data.cast.push({ ...photo, confirmed: false });
+            }
+        }
+    }
+
+    /**
+     * 生成图片所需的分镜数据（角色表和风格参考图附带绝对路径）
+     */
+    getImageStoryboardData() {
+        const castDir = path.join(this.projectDir, 'cast');
+        const styleDir = path.join(this.projectDir, 'style');
+        return {
+            globalStyle: this.data.globalStyle,
+            characterDescription: this.data.characterDescription,
+            ethnicity: this.data.ethnicity,
+            cast: this.getCast().map(member => ({
+                ...member,
+                referenceImagePath: member.referenceImage ? path.join(castDir, member.referenceImage) : null
+            })),
+            styleReferencePaths: this.getStyleReferences()
+                .slice(0, config.imageGeneration.maxStyleReferences)
+                .map(ref => path.join(styleDir, ref.file)),
+            negativeTerms: this.getStylePreset()?.negativeTerms || []
+        };
+    }
+
+    /**
+     * 将图片设为角色参考图（复制到 cast 目录）
+     * @param {string} id - 角色 id
+     * @param {string} imagePath - 图片路径
+     * @param {number|null} fromIndex - 来源片段
+     * @param {string} source - 参考图来源（ReferenceSource）
+     */
+    setCastReference(id, imagePath, fromIndex = null, source = ReferenceSource.AUTO) {
+        const member = this.getCast().find(m => m.id === id);
+        if (!member) return;
+
+        const castDir = path.join(this.projectDir, 'cast');
+        if (!fs.existsSync(castDir)) {
+            fs.mkdirSync(castDir, { recursive: true });
+        }
+
+        // 替换参考图时删除旧文件（上传的照片可能是其他格式）
+        if (member.referenceImage) {
+            const oldPath = path.join(castDir, member.referenceImage);
+            if (fs.existsSync(oldPath)) fs.unlinkSync(oldPath);
+        }
+
+        const ext = path.extname(imagePath).toLowerCase() || '.png';
+        const fileName = `cast_${id.replace(/[^\w-]/g, '_')}${ext}`;
+        fs.copyFileSync(imagePath, path.join(castDir, fileName));
+        member.referenceImage = fileName;
+        member.referenceFrom = fromIndex;
+        member.referenceSource = source;
+    }
+
+    /**
+     * 上传角色参考照片（如艺人本人照片），生图时必须使用该照片
+     * 角色不存在时新建，可在生成分镜前上传（主角 id 为 A）
+     * @param {string} id - 角色 id
+     * @param {Buffer} buffer - 图片数据（PNG/JPEG/WebP）
+     * @param {object} info - { name, description }
+     * @returns {object} 角色
+     */
+    uploadCastPhoto(id, buffer, info = {}) {
+        const mimeType = imageGenerator.detectImageMimeType(buffer);
+        if (!mimeType) {
+            throw new Error('仅支持 PNG、JPEG、WebP 格式的图片');
+        }
+
+        id = String(id || 'A').trim();
+        const cast = this.getCast();
+        let member = cast.find(m => m.id === id);
+        if (!member) {
+            member = {
+                id,
+                name: id === 'A' && cast.length === 0 ? '主角' : `角色${id}`,
+                description: '',
+                referenceImage: null,
+                referenceFrom: null,
+                referenceSource: null,
+                confirmed: false
+            };
+            cast.push(member);
+        }
+
+        if (typeof info.name === 'string' && info.name.trim()) {
+            member.name = info.name.trim();
+        }
+        if (typeof info.description === 'string' && info.description.trim()) {
+            member.description = info.description.trim();
+            if (member === cast[0]) {
+                this.data.characterDescription = member.description;
+            }
+        }
+
+        const tempPath = path.join(this.projectDir, `upload_${Date.now()}${IMAGE_EXTENSIONS[mimeType]}`);
+        fs.writeFileSync(tempPath, buffer);
+        try {
+            this.setCastReference(id, tempPath, null, ReferenceSource.UPLOAD);
+        } finally {
+            fs.unlinkSync(tempPath);
+        }
+
+        // 已确认的该角色镜头需按新照片重新确认
+        for (const segment of this.data.classifiedSegments || []) {
+            if ((segment.characters || []).includes(id) && this.data.imageConfirmation?.confirmed.includes(segment.index)) {
+                this.markPending(this.data.imageConfirmation, segment.index);
+            }
+        }
+
+        member.confirmed = false;
+        this.saveProjectData();
+        console.log(`角色 ${member.name} 已上传参考照片: ${member.referenceImage}`);
+
+        return member;
+    }
+
+    // ==================== 图片候选版本 ====================
+
+    /**
+     * 项目默认的每个镜头候选图片数量
+     * @returns {number} 候选数量
+     */
+    getImageCandidates() {
+        return this.data.imageCandidates || config.imageGeneration.candidates;
+    }
+
+    /**
+     * 设置项目默认的候选图片数量（下次生成时生效）
+     * @param {number} count - 候选数量
+     * @returns {number} 候选数量
+     */
+    setImageCandidates(count) {
+        this.data.imageCandidates = this.normalizeCandidateCount(count);
+        this.saveProjectData();
+        return this.data.imageCandidates;
+    }
+
+    /**
+     * 校验候选数量
+     * @param {*} count - 候选数量
+     * @returns {number} 候选数量
+     */
+    normalizeCandidateCount(count) {
+        const value = Number(count);
+        if (!Number.isInteger(value) || value < 1 || value > MAX_IMAGE_CANDIDATES) {
+            throw new Error(`候选数量必须是 1-${MAX_IMAGE_CANDIDATES} 的整数`);
+        }
+        return value;
+    }
+
+    /**
+     * 镜头的候选图片数量（镜头单独设置优先）
+     * @param {object} segment - 片段
+     * @returns {number} 候选数量
+     */
+    getSegmentCandidates(segment) {
+        return segment.candidates || this.getImageCandidates();
+    }
+
+    /**
+     * 片段的图片版本记录
+     * @param {number} index - 片段索引
+     * @returns {object} { selected, items: [{ id, file, prompt, negativePrompt, seed, createdAt }] }
+     */
+    getImageVariants(index) {
+        if (!this.data.imageVariants) {
+            this.data.imageVariants = {};
+        }
+        if (!this.data.imageVariants[index]) {
+            this.data.imageVariants[index] = { selected: null, items: [] };
+        }
+        return this.data.imageVariants[index];
+    }
+
+    /**
+     * 将当前的 image_NNN.png 保存为新版本 image_NNN_vK.png
+     * @param {number} index - 片段索引
+     * @param {object} result - 生图结果（prompt、negativePrompt、seed）
+     * @returns {object|null} 版本（图片不存在时为 null）
+     */
+    archiveImageVariant(index, result = {}) {
+        const imageDir = path.join(this.projectDir, 'images');
+        const paddedIndex = String(index).padStart(3, '0');
+        const imagePath = path.join(imageDir, `image_${paddedIndex}.png`);
+        if (!fs.existsSync(imagePath)) return null;
+
+        const variants = this.getImageVariants(index);
+        const id = variants.items.reduce((max, v) => Math.max(max, v.id), 0) + 1;
+        const file = `image_${paddedIndex}_v${id}.png`;
+        fs.copyFileSync(imagePath, path.join(imageDir, file));
+
+        const variant = {
+            id,
+            file,
+            prompt: result.prompt || null,
+            negativePrompt: result.negativePrompt || null,
+            seed: result.seed ?? null,
+            createdAt: new Date().toISOString()
+        };
+        variants.items.push(variant);
+        variants.selected = id;
+        return variant;
+    }
+
+    /**
+     * 旧项目或首次重新生成前，把现有图片保存为版本，避免被覆盖后无法找回
+     * @param {number} index - 片段索引
+     */
+    ensureImageVariants(index) {
+        const variants = this.getImageVariants(index);
+        if (variants.items.length > 0) return;
+
+        const imageResult = this.data.imageResults?.find(r => r.index === index);
+        if (imageResult?.success) {
+            this.archiveImageVariant(index, imageResult);
+        }
+    }
+
+    /**
+     * 按候选数量多轮生成图片，默认选中每个镜头第一张成功的图片
+     * 多张候选或已有历史版本时每张保存为版本；只生成一张的镜头直接使用 image_NNN.png，首次重新生成时再归档
+     * 第一轮使用镜头锁定的种子（可复现），其余候选使用随机种子
+     * @param {array} segments - 需要生成的片段
+     * @param {object} storyboardData - 分镜数据
+     * @param {object} options - 生图选项
+     * @param {function} onProgress - 进度回调（percentage 为全部轮次的总进度）
+     * @returns {Promise<array>} 每个片段选中的生图结果
+     */
+    async generateImageCandidates(segments, storyboardData, options = {}, onProgress = null) {
+        const imageDir = path.join(this.projectDir, 'images');
+        const passes = Math.max(0, ...segments.map(s => this.getSegmentCandidates(s)));
+        const runs = new Map(segments.map(s => [s.index, []]));
+        const archived = new Set(segments
+            .filter(s => this.getSegmentCandidates(s) > 1 || this.data.imageVariants?.[s.index]?.items.length > 0)
+            .map(s => s.index));
+
+        for (let pass = 1; pass <= passes; pass++) {
+            const batch = segments
+                .filter(s => this.getSegmentCandidates(s) >= pass)
+                .map(s => (pass === 1 ? s : { ...s, seed: null }));
+            if (passes > 1) {
+                console.log(`生成候选图片: 第 ${pass}/${passes} 轮，${batch.length} 个镜头`);
+            }
+
+            const generated = await imageGenerator.generateImagesWithCharacter(
+                batch,
+                imageDir,
+                storyboardData,
+                options,
+                onProgress && (progress => onProgress({
+                    ...progress,
+                    percentage: Math.round(((pass - 1) * 100 + progress.percentage) / passes)
+                }))
+            );
+            this.saveCastReferences(generated);
+
+            for (const result of generated) {
+                const variant = result.success && archived.has(result.index)
+                    ? this.archiveImageVariant(result.index, result)
+                    : null;
+                runs.get(result.index).push({ ...result, variant: variant?.id ?? null });
+            }
+
+            // 后续轮次使用第一轮产生的角色参考图
+            if (pass === 1 && passes > 1) {
+                storyboardData = this.getImageStoryboardData();
+            }
+        }
+
+        // 默认选中第一张成功的候选，恢复为 image_NNN.png
+        return segments.map(segment => {
+            const results = runs.get(segment.index);
+            const chosen = results.find(r => r.success) || results[0];
+            if (chosen?.variant) {
+                this.applyImageVariant(segment.index, chosen.variant);
+            }
+            return chosen;
+        });
+    }
+
+    /**
+     * 将版本复制为 image_NNN.png 并设为选中
+     * @param {number} index - 片段索引
+     * @param {number} variantId - 版本号
+     * @returns {object} 版本
+     */
+    applyImageVariant(index, variantId) {
+        const variants = this.getImageVariants(index);
+        const variant = variants.items.find(v => v.id === variantId);
+        if (!variant) {
+            throw new Error(`片段 ${index} 没有版本 v${variantId}`);
+        }
+
+        const imageDir = path.join(this.projectDir, 'images');
+        const variantPath = path.join(imageDir, variant.file);
+        if (!fs.existsSync(variantPath)) {
+            throw new Error(`版本文件 ${variant.file} 不存在`);
+        }
+        fs.copyFileSync(variantPath, path.join(imageDir, `image_${String(index).padStart(3, '0')}.png`));
+        variants.selected = variantId;
+        return variant;
+    }
+
+    /**
+     * 选择片段使用的图片版本（候选图或历史版本），可同时确认
+     * 复用该图片的片段和取自该镜头的角色参考图同步更新
+     * @param {number} index - 片段索引
+     * @param {number} variantId - 版本号
+     * @param {object} options - { confirm: 是否同时确认 }
+     * @returns {object} { index, variant, refreshed, confirmation }
+     */
+    selectImageVariant(index, variantId, options = {}) {
+        const segment = this.data.classifiedSegments?.find(s => s.index === index);
+        if (!segment) {
+            throw new Error(`Segment ${index} not found`);
+        }
+
+        const previous = this.getImageVariants(index).selected;
+        const variant = this.applyImageVariant(index, Number(variantId));
+        const imagePath = path.join(this.projectDir, 'images', `image_${String(index).padStart(3, '0')}.png`);
+
+        this.replaceResult(this.data.imageResults, {
+            success: true,
+            index,
+            path: imagePath,
+            prompt: variant.prompt,
+            negativePrompt: variant.negativePrompt,
+            seed: variant.seed,
+            lyric: segment.lyric,
+            hasCharacter: segment.hasCharacter,
+            characters: segment.characters || [],
+            variant: variant.id
+        });
+
+        const confirmation = this.data.imageConfirmation;
+        let refreshed = [];
+        if (variant.id !== previous) {
+            // 自动取自本镜头的角色参考图改用选中的版本
+            for (const member of this.getCast()) {
+                if (member.referenceSource === ReferenceSource.AUTO && member.referenceFrom === index) {
+                    this.setCastReference(member.id, imagePath, index, ReferenceSource.AUTO);
+                }
+            }
+
+            refreshed = this.copyReusedImages(index);
+            for (const item of refreshed) {
+                this.replaceResult(this.data.imageResults, item);
+                this.markPending(confirmation, item.index);
+            }
+        }
+
+        if (options.confirm) {
+            this.confirmImage(index);
+        } else if (variant.id !== previous) {
+            this.markPending(confirmation, index);
+        }
+
+        this.saveProjectData();
+        return {
+            index,
+            variant: { id: variant.id, seed: variant.seed },
+            refreshed: refreshed.map(r => r.index),
+            confirmation: {
+                confirmed: confirmation.confirmed.length,
+                pending: confirmation.pending.length,
+                total: this.data.classifiedSegments.length
+            }
+        };
+    }
+
+    // ==================== 风格预设 ====================
+
+    /**
+     * 获取项目的风格预设（选择时保存的快照，预设文件之后修改不影响已有项目）
+     * @returns {object|null} 风格预设
+     */
+    getStylePreset() {
+        return this.data.stylePreset || null;
+    }
+
+    /**
+     * 选择风格预设（为空时恢复默认规则）
+     * @param {string|null} id - 预设 id
+     * @returns {object|null} 风格预设
+     */
+    setStylePreset(id) {
+        if (!id) {
+            delete this.data.stylePreset;
+        } else {
+            const preset = stylePresets.getPreset(id);
+            if (!preset) {
+                throw new Error(`风格预设 ${id} 不存在`);
+            }
+            this.data.stylePreset = preset;
+        }
+        this.saveProjectData();
+        return this.getStylePreset();
+    }
+
+    // ==================== 风格参考图 ====================
+
+    /**
+     * 获取风格参考图（情绪板）
+     * @returns {array} [{ id, file, name, mimeType, uploadedAt }]
+     */
+    getStyleReferences() {
+        if (!this.data.styleReferences) {
+            this.data.styleReferences = [];
+        }
+        return this.data.styleReferences;
+    }
+
+    /**
+     * 风格参考图列表（附带访问地址）
+     * @returns {array} 风格参考图
+     */
+    listStyleReferences() {
+        const limit = config.imageGeneration.maxStyleReferences;
+        return this.getStyleReferences().map((ref, i) => ({
+            ...ref,
+            url: `/projects/${this.projectId}/style/${ref.file}`,
+            active: i < limit   // 超出上限的不参与生图
+        }));
+    }
+
+    /**
+     * 上传风格参考图，所有镜头生图时附带
+     * @param {Buffer} buffer - 图片数据（PNG/JPEG/WebP）
+     * @param {string} name - 原文件名
+     * @returns {object} 风格参考图
+     */
+    addStyleReference(buffer, name = '') {
+        const mimeType = imageGenerator.detectImageMimeType(buffer);
+        if (!mimeType) {
+            throw new Error('仅支持 PNG、JPEG、WebP 格式的图片');
+        }
+
+        const styleDir = path.join(this.projectDir, 'style');
+        if (!fs.existsSync(styleDir)) {
+            fs.mkdirSync(styleDir, { recursive: true });
+        }
+
+        const id = crypto.randomBytes(4).toString('hex');
+        const ref = {
+            id,
+            file: `style_${id}${IMAGE_EXTENSIONS[mimeType]}`,
+            name: name || `风格参考 ${this.getStyleReferences().length + 1}`,
+            mimeType,
+            uploadedAt: new Date().toISOString()
+        };
+        fs.writeFileSync(path.join(styleDir, ref.file), buffer);
+
+        this.getStyleReferences().push(ref);
+        this.saveProjectData();
+
+        return ref;
+    }
+
+    /**
+     * 删除风格参考图
+     * @param {string} id - 风格参考图 id
+     */
+    deleteStyleReference(id) {
+        const refs = this.getStyleReferences();
+        const pos = refs.findIndex(ref => ref.id === id);
+        if (pos === -1) {
+            throw new Error('风格参考图不存在');
+        }
+
+        const filePath = path.join(this.projectDir, 'style', refs[pos].file);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+        refs.splice(pos, 1);
+        this.saveProjectData();
+    }
+
+    /**
+     * 保存生图过程中产生的角色参考图（各角色第一张单人镜头）
+     * @param {array} results - 生图结果
+     */
+    saveCastReferences(results) {
+        for (const result of results) {
+            if (result?.success && result.referenceFor) {
+                this.setCastReference(result.referenceFor, result.path, result.index);
+            }
+        }
+    }
+
+    /**
+     * 角色表（用于确认环节）
+     * @returns {array} 角色及参考图地址、出场镜头
      */
-    classifySegments(options = {}) {
-        console.log('Step 3: Classifying segments...');
+    getCastSheet() {
+        const segments = this.data.classifiedSegments || [];
+        return this.getCast().map(member => ({
+            ...member,
+            imageUrl: member.referenceImage ? `/projects/${this.projectId}/cast/${member.referenceImage}` : null,
+            shots: segments.filter(s => (s.characters || []).includes(member.id)).map(s => s.index)
+        }));
+    }
 
-        let classified = segmentClassifier.classifySegments(
-            this.data.lyrics,
-            this.data.storyboard,
-            options
-        );
+    /**
+     * 修改角色（称呼、外貌描述、参考图）
+     * 外貌描述变化时保存分镜版本，并将该角色已确认的镜头改为待确认
+     * @param {string} id - 角色 id
+     * @param {object} changes - { name, description, referenceIndex: 用该片段的图片作为参考图 }
+     * @param {object} meta - { actor }
+     * @returns {object} { member, affected: 需重新确认的片段 }
+     */
+    updateCastMember(id, changes = {}, meta = {}) {
+        const member = this.getCast().find(m => m.id === id);
+        if (!member) {
+            throw new Error(`角色 ${id} 不存在`);
+        }
 
-        if (options.budget) {
-            classified = segmentClassifier.optimizeForBudget(classified, options.budget);
+        if (typeof changes.name === 'string' && changes.name.trim()) {
+            member.name = changes.name.trim();
         }
 
-        if (options.mergeShort) {
-            classified = segmentClassifier.mergeAdjacentSegments(classified);
+        if (changes.referenceIndex) {
+            const imagePath = path.join(this.projectDir, 'images', `image_${String(changes.referenceIndex).padStart(3, '0')}.png`);
+            if (!fs.existsSync(imagePath)) {
+                throw new Error(`片段 ${changes.referenceIndex} 的图片不存在`);
+            }
+            this.setCastReference(id, imagePath, changes.referenceIndex, ReferenceSource.SHOT);
         }
 
-        const stats = segmentClassifier.getClassificationStats(classified);
+        const affected = [];
+        const description = typeof changes.description === 'string' ? changes.description.trim() : null;
+        if (description && description !== member.description) {
+            member.description = description;
+            if (member === this.data.cast[0]) {
+                this.data.characterDescription = description;
+            }
 
-        this.data.classifiedSegments = classified;
-        this.data.classificationStats = stats;
+            for (const segment of this.data.classifiedSegments || []) {
+                if ((segment.characters || []).includes(id) && this.data.imageConfirmation?.confirmed.includes(segment.index)) {
+                    this.markPending(this.data.imageConfirmation, segment.index);
+                    affected.push(segment.index);
+                }
+            }
 
-        console.log('Classification stats:', stats);
-        this.updateProgress(25, `分类完成: ${stats.byRenderType.video} 视频, ${stats.byRenderType.animation} 动画`);
+            this.saveStoryboardVersion({ label: `修改角色 ${member.name}`, source: VersionSource.EDIT, actor: meta.actor });
+        }
 
+        member.confirmed = false;
         this.saveProjectData();
-        return { classified, stats };
+
+        return { member, affected };
     }
 
     /**
-     * 步骤 4: 生成图片
+     * 确认角色（不传 id 时确认全部）
+     * @param {string|null} id - 角色 id
+     * @returns {object} { cast, allConfirmed }
      */
-    async generateImages(options = {}) {
-        this.updateStatus(ProjectStatus.GENERATING_IMAGES, 25);
-        console.log('Step 4: Generating images...');
-
-        const imageDir = path.join(this.projectDir, 'images');
+    confirmCast(id = null) {
+        const cast = this.getCast();
+        if (id !== null && !cast.some(m => m.id === id)) {
+            throw new Error(`角色 ${id} 不存在`);
+        }
 
-        const results = await imageGenerator.generateImagesWithCharacter(
-            this.data.classifiedSegments,
-            imageDir,
-            {
-                globalStyle: this.data.globalStyle,
-                characterDescription: this.data.characterDescription,
-                ethnicity: this.data.ethnicity
-            },
-            options,
-            (progress) => {
-                const overallProgress = 25 + (progress.percentage * 0.35);
-                this.updateProgress(overallProgress, `生成图片: ${progress.completed}/${progress.total}`);
+        for (const member of cast) {
+            if (id === null || member.id === id) {
+                member.confirmed = true;
             }
-        );
-
-        const successCount = results.filter(r => r.success).length;
-        this.data.imageResults = results;
-
-        // 初始化图片确认状态：所有成功生成的图片都待确认
-        this.data.imageConfirmation = {
-            confirmed: [],
-            pending: results.filter(r => r.success).map(r => r.index),
-            regenerating: []
-        };
+        }
+        this.saveProjectData();
 
-        console.log(`Generated ${successCount}/${results.length} images`);
-        this.updateProgress(60, `图片生成完成: ${successCount}/${results.length}`);
+        return { cast: this.getCastSheet(), allConfirmed: cast.every(m => m.confirmed) };
+    }
 
-        // 进入等待图片确认状态
-        this.updateStatus(ProjectStatus.AWAITING_IMAGE_CONFIRM, 60);
+    // ==================== 角色设定图 ====================
 
-        this.saveProjectData();
-        return results;
+    /**
+     * 需要生成设定图的角色（在人物镜头中出场，且没有上传照片）
+     * @returns {array} 角色
+     */
+    getCastNeedingSheets() {
+        const segments = this.data.classifiedSegments || [];
+        return this.getCast().filter(member =>
+            member.referenceSource !== ReferenceSource.UPLOAD &&
+            segments.some(s => s.hasCharacter && (s.characters || []).includes(member.id))
+        );
     }
 
     /**
-     * 获取所有图片信息（用于确认环节）
+     * 使用某角色的已生成图片（不含复用片段，复用片段随源片段刷新）
+     * @param {string} id - 角色 id
+     * @returns {array} 片段索引
      */
-    getImagesForConfirmation() {
-        const imageDir = path.join(this.projectDir, 'images');
-        const images = [];
-
-        for (const segment of this.data.classifiedSegments) {
-            const paddedIndex = String(segment.index).padStart(3, '0');
-            const imagePath = path.join(imageDir, `image_${paddedIndex}.png`);
-
-            const imageResult = this.data.imageResults?.find(r => r.index === segment.index);
+    getCharacterImageIndices(id) {
+        const generated = new Set((this.data.imageResults || []).filter(r => r.success).map(r => r.index));
+        return (this.data.classifiedSegments || [])
+            .filter(s => !s.reuse && (s.characters || []).includes(id) && generated.has(s.index))
+            .map(s => s.index);
+    }
 
-            images.push({
-                index: segment.index,
-                lyric: segment.lyric,
-                startTime: segment.startTime,
-                endTime: segment.endTime,
-                duration: segment.duration,
-                hasCharacter: segment.hasCharacter,
-                prompt: segment.prompt,
-                imagePath: imagePath,
-                imageExists: fs.existsSync(imagePath),
-                imageUrl: `/projects/${this.projectId}/images/image_${paddedIndex}.png`,
-                confirmed: this.data.imageConfirmation.confirmed.includes(segment.index),
-                success: imageResult?.success || false
-            });
+    /**
+     * 生成单个角色的设定图并设为参考图（失败时保留原参考图并记录错误）
+     * @param {object} member - 角色
+     * @param {object} options - 生图选项
+     * @returns {Promise<object>} 生成结果
+     */
+    async renderCastSheet(member, options = {}) {
+        const tempPath = path.join(this.projectDir, `sheet_${Date.now()}.png`);
+        const result = await imageGenerator.generateCastSheet(member, tempPath, this.getImageStoryboardData(), options);
+
+        if (result.success) {
+            this.setCastReference(member.id, tempPath, null, ReferenceSource.SHEET);
+            fs.unlinkSync(tempPath);
+            member.sheetError = null;
+        } else {
+            member.sheetError = result.error;
         }
+        member.confirmed = false;
 
-        return images;
+        return result;
     }
 
     /**
-     * 确认单张图片
+     * 步骤 3.5: 生成角色设定图（等待用户确认后再生成镜头图片）
+     * @param {object} options - 生图选项
+     * @returns {Promise<array>} 角色表
      */
-    confirmImage(index) {
-        const confirmation = this.data.imageConfirmation;
-
-        // 从 pending 移到 confirmed
-        const pendingIdx = confirmation.pending.indexOf(index);
-        if (pendingIdx !== -1) {
-            confirmation.pending.splice(pendingIdx, 1);
+    async generateCastSheets(options = {}) {
+        this.updateStatus(ProjectStatus.GENERATING_CAST_SHEETS, 25);
+        console.log('Step 3.5: Generating character sheets...');
+
+        const members = this.getCastNeedingSheets();
+        for (let i = 0; i < members.length; i++) {
+            await this.renderCastSheet(members[i], options);
+            this.updateProgress(25 + Math.round(((i + 1) / members.length) * 5), `生成角色设定图: ${i + 1}/${members.length}`);
         }
 
-        if (!confirmation.confirmed.includes(index)) {
-            confirmation.confirmed.push(index);
-        }
+        const failed = members.filter(m => m.sheetError);
+        console.log(`Generated ${members.length - failed.length}/${members.length} character sheets`);
 
+        this.updateStatus(ProjectStatus.AWAITING_CAST_CONFIRM, 30);
         this.saveProjectData();
-
-        return {
-            confirmed: confirmation.confirmed.length,
-            pending: confirmation.pending.length,
-            total: this.data.classifiedSegments.length
-        };
+        return this.getCastSheet();
     }
 
     /**
-     * 确认所有图片
+     * 重新生成角色设定图
+     * @param {string} id - 角色 id
+     * @param {object} options - 生图选项
+     * @returns {Promise<object>} { member, affected: 使用旧参考图生成、可重新生成的片段 }
      */
-    confirmAllImages() {
-        const confirmation = this.data.imageConfirmation;
-        const allIndexes = this.data.classifiedSegments.map(s => s.index);
-
-        confirmation.confirmed = allIndexes;
-        confirmation.pending = [];
+    async regenerateCastSheet(id, options = {}) {
+        const member = this.getCast().find(m => m.id === id);
+        if (!member) {
+            throw new Error(`角色 ${id} 不存在`);
+        }
+        if (member.referenceSource === ReferenceSource.UPLOAD) {
+            throw new Error(`角色 ${member.name} 使用上传的照片作为参考，请直接替换照片`);
+        }
 
+        const result = await this.renderCastSheet(member, options);
         this.saveProjectData();
+        if (!result.success) {
+            throw new Error(`角色设定图生成失败: ${result.error}`);
+        }
 
         return {
-            confirmed: confirmation.confirmed.length,
-            pending: 0,
-            total: this.data.classifiedSegments.length
+            member: this.getCastSheet().find(m => m.id === id),
+            affected: this.getCharacterImageIndices(id)
         };
     }
 
     /**
-     * 重新生成单张图片
+     * 按角色当前参考图重新生成其出场镜头的图片
+     * @param {string} id - 角色 id
+     * @param {object} meta - { actor }
+     * @returns {Promise<array>} 各片段结果
      */
-    async regenerateImage(index, newPrompt = null) {
-        const segment = this.data.classifiedSegments.find(s => s.index === index);
-        if (!segment) {
-            throw new Error(`Segment ${index} not found`);
-        }
-
-        // 如果提供了新 prompt，更新它
-        if (newPrompt) {
-            segment.prompt = newPrompt;
-            // 同时更新 storyboard 中的 prompt
-            const storyboardItem = this.data.storyboard.find(s => s.index === index);
-            if (storyboardItem) {
-                storyboardItem.prompt = newPrompt;
+    async regenerateCharacterImages(id, meta = {}) {
+        const results = [];
+        for (const index of this.getCharacterImageIndices(id)) {
+            try {
+                results.push(await this.regenerateImage(index, null, meta));
+            } catch (error) {
+                results.push({ success: false, index, error: error.message });
             }
         }
+        return results;
+    }
 
-        const confirmation = this.data.imageConfirmation;
-        confirmation.regenerating.push(index);
-        this.saveProjectData();
-
-        const imageDir = path.join(this.projectDir, 'images');
-        const paddedIndex = String(index).padStart(3, '0');
-        const outputPath = path.join(imageDir, `image_${paddedIndex}.png`);
-
-        console.log(`Regenerating image ${index}: ${segment.prompt.substring(0, 50)}...`);
+    /**
+     * 继续执行（从角色确认后）- 生成镜头图片
+     * @param {object} options - { imageOptions }
+     */
+    async continueAfterCastConfirmation(options = {}) {
+        if (!this.getCast().every(m => m.confirmed)) {
+            throw new Error('请先确认所有角色');
+        }
 
         try {
-            // 构建完整 prompt
-            let fullPrompt = segment.prompt;
+            await this.generateImages(options.imageOptions || this.data.imageOptions || {});
 
-            if (segment.hasCharacter) {
-                if (this.data.characterDescription) {
-                    fullPrompt = `${this.data.characterDescription}, same character, consistent appearance, ${fullPrompt}`;
-                }
-                if (this.data.ethnicity) {
-                    fullPrompt = `${this.data.ethnicity}, ${fullPrompt}`;
-                }
-            } else {
-                fullPrompt = `${fullPrompt}, no people, no person, no human figure, empty scene`;
-            }
-
-            // 添加全局风格
-            if (this.data.globalStyle) {
-                const styleParts = [];
-                if (this.data.globalStyle.quality) styleParts.push(this.data.globalStyle.quality);
-                if (this.data.globalStyle.colorTone) styleParts.push(this.data.globalStyle.colorTone);
-                if (this.data.globalStyle.aesthetic) styleParts.push(this.data.globalStyle.aesthetic);
-                if (styleParts.length > 0) {
-                    fullPrompt = `${fullPrompt}, ${styleParts.join(', ')}`;
-                }
-            }
+            return {
+                success: true,
+                projectId: this.projectId,
+                status: this.status,
+                imagesForConfirmation: this.getImagesForConfirmation()
+            };
 
-            const result = await imageGenerator.generateImage(fullPrompt, outputPath, {});
+        } catch (error) {
+            console.error('图片生成失败:', error);
+            this.reportError(error);
 
-            // 更新状态
-            const regenIdx = confirmation.regenerating.indexOf(index);
-            if (regenIdx !== -1) {
-                confirmation.regenerating.splice(regenIdx, 1);
-            }
+            return {
+                success: false,
+                projectId: this.projectId,
+                error: error.message
+            };
+        }
+    }
 
-            // 添加到 pending（需要重新确认）
-            if (!confirmation.pending.includes(index)) {
-                confirmation.pending.push(index);
-            }
-            // 从 confirmed 移除
-            const confirmedIdx = confirmation.confirmed.indexOf(index);
-            if (confirmedIdx !== -1) {
-                confirmation.confirmed.splice(confirmedIdx, 1);
-            }
+    // ==================== 分镜版本 ====================
 
-            // 更新 imageResults
-            const resultIdx = this.data.imageResults.findIndex(r => r.index === index);
-            if (resultIdx !== -1) {
-                this.data.imageResults[resultIdx] = {
-                    ...result,
-                    index: index,
-                    lyric: segment.lyric
-                };
+    /**
+     * 获取分镜版本库（旧项目没有时自动创建，已有分镜保存为初始版本）
+     */
+    getStoryboardVersions() {
+        if (!this.data.storyboardVersions) {
+            this.data.storyboardVersions = storyboardVersions.createVersionStore();
+            if (this.data.storyboard) {
+                this.saveStoryboardVersion({ label: '初始版本', source: VersionSource.GENERATED });
             }
+        }
+        return this.data.storyboardVersions;
+    }
 
-            this.saveProjectData();
+    /**
+     * 将当前分镜保存为新版本（调用方负责保存项目数据）
+     * @param {object} meta - { label, source, provider, model, options, actor }
+     * @returns {object} 版本
+     */
+    saveStoryboardVersion(meta = {}) {
+        return storyboardVersions.addVersion(this.getStoryboardVersions(), {
+            storyboard: this.data.storyboard,
+            globalStyle: this.data.globalStyle,
+            characterDescription: this.data.characterDescription,
+            ethnicity: this.data.ethnicity,
+            cast: (this.data.cast || []).map(({ id, name, description }) => ({ id, name, description })),
+            gaps: this.data.storyboardGaps
+        }, meta);
+    }
 
-            return {
-                success: result.success,
-                index: index,
-                prompt: segment.prompt,
-                imageUrl: `/projects/${this.projectId}/images/image_${paddedIndex}.png?t=${Date.now()}`
-            };
+    /**
+     * 查找分镜版本
+     * @param {number} id - 版本编号
+     */
+    findStoryboardVersion(id) {
+        const version = storyboardVersions.getVersion(this.getStoryboardVersions(), id);
+        if (!version) {
+            throw new Error(`分镜版本 ${id} 不存在`);
+        }
+        return version;
+    }
 
-        } catch (error) {
-            // 移除 regenerating 状态
-            const regenIdx = confirmation.regenerating.indexOf(index);
-            if (regenIdx !== -1) {
-                confirmation.regenerating.splice(regenIdx, 1);
-            }
-            this.saveProjectData();
+    /**
+     * 逐镜头对比两个分镜版本
+     * @param {number} fromId - 旧版本编号
+     * @param {number} toId - 新版本编号（默认当前版本）
+     */
+    diffStoryboardVersions(fromId, toId = null) {
+        const store = this.getStoryboardVersions();
+        return storyboardVersions.diffVersions(
+            this.findStoryboardVersion(fromId),
+            this.findStoryboardVersion(toId ?? store.currentId)
+        );
+    }
 
-            throw error;
-        }
+    /**
+     * 将指定版本恢复为当前分镜
+     * 记录为一条可撤销的 Prompt 编辑，撤销时回到恢复前的版本
+     * @param {number} id - 版本编号
+     * @param {object} meta - { actor }
+     * @returns {object} { version: 新版本, changed: Prompt 有变化的片段序号 }
+     */
+    promoteStoryboardVersion(id, meta = {}) {
+        const source = this.findStoryboardVersion(id);
+        const previousId = this.getStoryboardVersions().currentId;
+        const changed = this.applyStoryboardVersion(source);
+
+        const version = this.saveStoryboardVersion({
+            label: `恢复版本 ${source.id}（${source.label}）`,
+            source: VersionSource.PROMOTE,
+            provider: source.provider,
+            model: source.model,
+            options: source.options,
+            actor: meta.actor
+        });
+        this.recordEdit(EditScope.PROMPTS, EditType.PROMOTE, {
+            before: { versionId: previousId },
+            after: { versionId: version.id }
+        }, { actor: meta.actor });
+        this.saveProjectData();
+
+        console.log(`恢复分镜版本 ${source.id} → 版本 ${version.id}，${changed.length} 个片段 Prompt 变化`);
+        return { version: { id: version.id, label: version.label }, changed };
     }
 
     /**
-     * 更新分镜 Prompt
+     * 用版本内容替换当前分镜（调用方负责保存版本和项目数据）
+     * 同步片段的 Prompt / 场景类型，Prompt 有变化且已确认的图片改为待确认
+     * @param {object} source - 版本（含完整分镜）
+     * @returns {array} Prompt 有变化的片段序号
      */
-    updatePrompt(index, newPrompt) {
-        const segment = this.data.classifiedSegments.find(s => s.index === index);
-        if (segment) {
-            segment.prompt = newPrompt;
+    applyStoryboardVersion(source) {
+        this.data.storyboard = JSON.parse(JSON.stringify(source.storyboard));
+        this.data.globalStyle = source.globalStyle;
+        this.data.characterDescription = source.characterDescription;
+        this.data.ethnicity = source.ethnicity;
+        this.data.storyboardGaps = source.gaps || [];
+
+        // 恢复角色描述，同一角色沿用已有参考图
+        if (source.cast?.length) {
+            const current = this.getCast();
+            this.data.cast = source.cast.map(member => {
+                const existing = current.find(m => m.id === member.id);
+                return existing
+                    ? { ...existing, ...member, confirmed: existing.confirmed && existing.description === member.description }
+                    : { ...member, referenceImage: null, referenceFrom: null, referenceSource: null, confirmed: false };
+            });
         }
 
-        const storyboardItem = this.data.storyboard.find(s => s.index === index);
-        if (storyboardItem) {
-            storyboardItem.prompt = newPrompt;
+        const changed = [];
+        for (const segment of this.data.classifiedSegments || []) {
+            const item = this.data.storyboard.find(s => s.index === segment.index);
+            if (!item) continue;
+
+            // 镜头语言只影响视频，不需要重新确认图片
+            Object.assign(segment, cameraLanguage.normalizeCameraFields(item));
+            if (item.prompt === segment.prompt &&
+                (item.negativePrompt || null) === (segment.negativePrompt || null) &&
+                JSON.stringify(item.characters || []) === JSON.stringify(segment.characters || [])) continue;
+
+            segment.prompt = item.prompt;
+            segment.negativePrompt = item.negativePrompt || null;
+            segment.sceneType = item.sceneType;
+            segment.hasCharacter = item.hasCharacter;
+            segment.characters = item.characters || [];
+            changed.push(segment.index);
+
+            if (this.data.imageConfirmation?.confirmed.includes(segment.index)) {
+                this.markPending(this.data.imageConfirmation, segment.index);
+            }
         }
 
-        this.saveProjectData();
-
-        return { success: true, index, prompt: newPrompt };
+        return changed;
     }
 
     /**
@@ -505,9 +2171,15 @@ class MVPipeline {
                 startTime: segment.startTime,
                 endTime: segment.endTime,
                 duration: segment.duration,
+                section: segment.section || null,
+                sectionLabel: segment.sectionLabel || null,
+                reuse: segment.reuse || null,
                 hasCharacter: segment.hasCharacter,
+                shotSize: segment.shotSize || null,
+                cameraMove: segment.cameraMove || null,
+                subjectAction: segment.subjectAction || null,
                 prompt: segment.prompt,
-                videoPrompt: segment.videoPrompt || segment.prompt || '',
+                videoPrompt: cameraLanguage.buildVideoPrompt(segment),
                 videoPath: videoPath,
                 videoExists: fs.existsSync(videoPath),
                 videoUrl: `/projects/${this.projectId}/videos/video_${paddedIndex}.mp4`,
@@ -572,14 +2244,24 @@ class MVPipeline {
     /**
      * 重新生成单个视频
      */
-    async regenerateVideo(index, newVideoPrompt = null) {
+    async regenerateVideo(index, newVideoPrompt = null, meta = {}) {
         const segment = this.data.classifiedSegments.find(s => s.index === index);
         if (!segment) {
             throw new Error(`Segment ${index} not found`);
         }
 
+        // 单独重新生成后不再截取源片段视频（仍共用首帧图）
+        if (segment.reuse && segment.reuse.mode === segmentClassifier.ReuseMode.REUSED) {
+            segment.reuse.mode = segmentClassifier.ReuseMode.DERIVED;
+        }
+
         // 如果提供了新的视频 prompt，更新它
         if (newVideoPrompt) {
+            this.recordEdit(EditScope.PROMPTS, EditType.VIDEO_PROMPT, {
+                index,
+                before: segment.videoPrompt,
+                after: newVideoPrompt
+            }, meta);
             segment.videoPrompt = newVideoPrompt;
         }
 
@@ -593,15 +2275,16 @@ class MVPipeline {
         const imagePath = path.join(imageDir, `image_${paddedIndex}.png`);
         const outputPath = path.join(videoDir, `video_${paddedIndex}.mp4`);
 
-        console.log(`Regenerating video ${index}: ${(newVideoPrompt || segment.videoPrompt || segment.prompt).substring(0, 50)}...`);
+        console.log(`Regenerating video ${index}: ${(newVideoPrompt || cameraLanguage.buildVideoPrompt(segment)).substring(0, 50)}...`);
 
+        let refreshed = [];
         try {
             const result = await videoGenerator.regenerateVideo(
                 segment,
                 imagePath,
                 outputPath,
                 newVideoPrompt || segment.videoPrompt,
-                {}
+                { kenBurnsEffects: this.getStylePreset()?.kenBurns }
             );
 
             // 更新状态
@@ -634,6 +2317,13 @@ class MVPipeline {
                         lyric: segment.lyric
                     });
                 }
+
+                // 复用该视频的片段重新截取，并需要重新确认
+                refreshed = await this.trimReusedVideos(index);
+                for (const item of refreshed) {
+                    this.replaceResult(this.data.videoResults, item);
+                    this.markPending(confirmation, item.index);
+                }
             }
 
             this.saveProjectData();
@@ -641,7 +2331,8 @@ class MVPipeline {
             return {
                 success: result.success,
                 index: index,
-                videoPrompt: newVideoPrompt || segment.videoPrompt || segment.prompt,
+                refreshed: refreshed.map(r => r.index),
+                videoPrompt: newVideoPrompt || cameraLanguage.buildVideoPrompt(segment),
                 videoUrl: `/projects/${this.projectId}/videos/video_${paddedIndex}.mp4?t=${Date.now()}`,
                 error: result.error
             };
@@ -661,9 +2352,14 @@ class MVPipeline {
     /**
      * 更新视频 Prompt
      */
-    updateVideoPrompt(index, newVideoPrompt) {
+    updateVideoPrompt(index, newVideoPrompt, meta = {}) {
         const segment = this.data.classifiedSegments.find(s => s.index === index);
         if (segment) {
+            this.recordEdit(EditScope.PROMPTS, EditType.VIDEO_PROMPT, {
+                index,
+                before: segment.videoPrompt,
+                after: newVideoPrompt
+            }, meta);
             segment.videoPrompt = newVideoPrompt;
         }
 
@@ -706,13 +2402,19 @@ class MVPipeline {
         const imageDir = path.join(this.projectDir, 'images');
         const videoDir = path.join(this.projectDir, 'videos');
 
-        const results = await videoGenerator.generateVideos(
-            videoSegments,
+        // 直接复用视频的片段不调用 API，源视频生成后截取
+        const sourceSegments = videoSegments.filter(
+            s => !(s.reuse && s.reuse.mode === segmentClassifier.ReuseMode.REUSED)
+        );
+
+        const generated = await videoGenerator.generateVideos(
+            sourceSegments,
             imageDir,
             videoDir,
             {
                 concurrency: config.videoGeneration.concurrency || 3,
                 delayMs: config.videoGeneration.delayMs || 3000,
+                kenBurnsEffects: this.getStylePreset()?.kenBurns,
                 ...options,
                 generateFallbackAnimation: false  // 不使用动画备份
             },
@@ -722,6 +2424,26 @@ class MVPipeline {
             }
         );
 
+        const results = [...generated];
+        for (const source of sourceSegments) {
+            const sourceResult = generated.find(r => r.index === source.index);
+            if (sourceResult && sourceResult.success) {
+                results.push(...await this.trimReusedVideos(source.index));
+            }
+        }
+        for (const segment of videoSegments) {
+            if (!results.some(r => r.index === segment.index)) {
+                results.push({
+                    success: false,
+                    index: segment.index,
+                    lyric: segment.lyric,
+                    reusedFrom: segment.reuse.sourceIndex,
+                    error: `源片段 ${segment.reuse.sourceIndex} 视频生成失败`
+                });
+            }
+        }
+        results.sort((a, b) => a.index - b.index);
+
         const successCount = results.filter(r => r.success).length;
         this.data.videoResults = results;
 
@@ -774,7 +2496,7 @@ class MVPipeline {
             animationSegments,
             imageDir,
             videoDir,
-            options,
+            { kenBurnsEffects: this.getStylePreset()?.kenBurns, ...options },
             (progress) => {
                 const overallProgress = 85 + (progress.percentage * 0.05);
                 this.updateProgress(overallProgress, `图片动画化: ${progress.completed}/${progress.total}`);
@@ -899,6 +2621,7 @@ class MVPipeline {
     async runUntilImageConfirmation(params) {
         const {
             lrcContent,
+            lyrics,
             audioPath,
             audioDuration,
             storyboardOptions = {},
@@ -923,11 +2646,36 @@ class MVPipeline {
                 const projectAudioPath = path.join(this.projectDir, 'audio' + path.extname(audioPath));
                 fs.copyFileSync(audioPath, projectAudioPath);
                 this.data.audioPath = projectAudioPath;
+
+                // 节奏分析失败不影响后续流程
+                try {
+                    this.analyzeAudio(projectAudioPath);
+                } catch (e) {
+                    console.warn('音频节奏分析失败:', e.message);
+                }
             }
 
-            await this.parseLyrics(lrcContent, duration);
+            await this.parseLyrics(lrcContent, duration, lyrics);
             await this.generateStoryboard(storyboardOptions);
             this.classifySegments(classifyOptions);
+
+            // 有人物镜头时先生成角色设定图，确认后再生成镜头图片
+            if (config.imageGeneration.castSheetStep && this.getCastNeedingSheets().length > 0) {
+                this.data.imageOptions = imageOptions;
+                await this.generateCastSheets(imageOptions);
+
+                console.log(`\n${'='.repeat(50)}`);
+                console.log(`角色设定图生成完成，等待用户确认`);
+                console.log(`${'='.repeat(50)}\n`);
+
+                return {
+                    success: true,
+                    projectId: this.projectId,
+                    status: this.status,
+                    cast: this.getCastSheet()
+                };
+            }
+
             await this.generateImages(imageOptions);
 
             // 此时状态为 AWAITING_IMAGE_CONFIRM
@@ -966,6 +2714,10 @@ class MVPipeline {
             data: {
                 lyricsCount: this.data.lyrics?.length || 0,
                 storyboardCount: this.data.storyboard?.length || 0,
+                storyboardGaps: this.data.storyboardGaps || [],
+                stylePreset: this.data.stylePreset
+                    ? { id: this.data.stylePreset.id, name: this.data.stylePreset.name, version: this.data.stylePreset.version }
+                    : null,
                 classificationStats: this.data.classificationStats,
                 imageConfirmation: this.data.imageConfirmation,
                 videoConfirmation: this.data.videoConfirmation,
@@ -0,0 +1,272 @@
+/**
+ * nano_banana 图片生成服务
+ * 基于 MiniMax Gemini API (g3-pro-image-preview)，支持角色参考图和风格参考图
+ */
+
+const https = require('https');
+const config = require('../config');
+
+/**
+ * API 配置
+ */
+const API_CONFIG = {
+    baseUrl: 'api.minimax.io',
+    model: 'g3-pro-image-preview',
+    endpoint: '/v1/gemini/v1beta/models/g3-pro-image-preview:generateContent'
+};
+
+/**
+ * 调用 MiniMax Gemini API 生成图片 (带重试)
+ * options.negativePrompt 为负面 Prompt，options.seed 为种子（相同种子和 Prompt 可复现同一张图）
+ * @param {string} prompt - 图片描述
+ * @param {object} options - 配置选项
+ * @param {number} retries - 重试次数
+ * @returns {Promise<object>} 响应数据
+ */
+function callImageAPI(prompt, options = {}, retries = 3) {
+    return new Promise((resolve, reject) => {
+        const token = config.imageGeneration.nanoBanana.apiKey;
+        if (!token) {
+            reject(new Error('MiniMax API token not configured'));
+            return;
+        }
+
+        const aspectRatio = options.aspectRatio || config.imageGeneration.aspectRatio || '16:9';
+        const imageSize = options.imageSize || '1K';
+
+        // 构建请求内容
+        const contentParts = [];
+
+        // 角色参考图：referenceImages 为 [{ data, mimeType, name }]，referenceImage 为单张 PNG（Base64）
+        const referenceImages = options.referenceImages ||
+            (options.referenceImage ? [{ data: options.referenceImage, mimeType: 'image/png' }] : []);
+        // 风格参考图（情绪板）：[{ data, mimeType }]
+        const styleImages = options.styleImages || [];
+
+        const instructions = [];
+        for (const image of [...referenceImages, ...styleImages]) {
+            contentParts.push({
+                inlineData: {
+                    mimeType: image.mimeType || 'image/png',
+                    data: image.data
+                }
+            });
+        }
+
+        // 添加参考指令
+        if (referenceImages.length === 1) {
+            instructions.push(`[${styleImages.length > 0 ? 'First reference image' : 'Reference image above'} - maintain the same person's face, hairstyle, and appearance in the new image]`);
+        } else if (referenceImages.length > 1) {
+            const names = referenceImages.map((image, i) => image.name || `person ${i + 1}`);
+            instructions.push(`[First ${referenceImages.length} reference images, in order: ${names.join(', ')} - keep each person's face, hairstyle, and appearance matching their own reference in the new image]`);
+        }
+        if (styleImages.length > 0) {
+            instructions.push(`[${referenceImages.length > 0 ? `Last ${styleImages.length}` : 'Above'} image(s) are style references - match their color palette, lighting, texture and overall mood, but do not copy their content or people]`);
+        }
+
+        // 负面 Prompt（Gemini 图片接口没有独立参数，以文字要求附在 Prompt 后）
+        const fullText = options.negativePrompt ? `${prompt}\n\nAvoid: ${options.negativePrompt}` : prompt;
+        contentParts.push({
+            text: instructions.length > 0 ? `${instructions.join('\n')}\n\n${fullText}` : fullText
+        });
+
+        const requestBody = {
+            contents: [
+                {
+                    parts: contentParts,
+                    role: 'user'
+                }
+            ],
+            generationConfig: {
+                responseModalities: ['TEXT', 'IMAGE'],
+                imageConfig: {
+                    aspectRatio: aspectRatio,
+                    imageSize: imageSize
+                }
+            }
+        };
+
+        if (Number.isInteger(options.seed)) {
+            requestBody.generationConfig.seed = options.seed;
+        }
+
+        // 如果有 subject_reference 配置（角色一致性）
+        if (options.subjectReference) {
+            requestBody.generationConfig.subjectReference = options.subjectReference;
+        }
+
+        const payload = JSON.stringify(requestBody);
+
+        // 使用参考图片时增加超时时间
+        const timeoutMs = referenceImages.length + styleImages.length > 0 ? 300000 : 180000; // 5分钟 vs 3分钟
+
+        const requestOptions = {
+            hostname: API_CONFIG.baseUrl,
+            port: 443,
+            path: API_CONFIG.endpoint,
+            method: 'POST',
+            headers: {
+                'X-Biz-Id': 'op',
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+                'Content-Length': Buffer.byteLength(payload)
+            },
+            timeout: timeoutMs
+        };
+
+        const req = https.request(requestOptions, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                // 处理 504 Gateway Timeout 和其他可重试的错误
+                if (res.statusCode === 504 || res.statusCode === 502 || res.statusCode === 503) {
+                    if (retries > 0) {
+                        console.log(`    ↻ 网关超时 (${res.statusCode})，${retries}次重试后继续...`);
+                        setTimeout(() => {
+                            callImageAPI(prompt, options, retries - 1).then(resolve).catch(reject);
+                        }, 5000); // 5秒后重试
+                        return;
+                    }
+                }
+
+                if (res.statusCode !== 200) {
+                    console.error(`API HTTP Error ${res.statusCode}:`);
+                    console.error(data.substring(0, 500));
+                    reject(new Error(`API request failed with status ${res.statusCode}: ${data.substring(0, 300)}`));
+                    return;
+                }
+
+                try {
+                    const result = JSON.parse(data);
+                    if (result.error) {
+                        console.error('API Error Response:', JSON.stringify(result.error, null, 2));
+                        reject(new Error(`API error: ${JSON.stringify(result.error)}`));
+                        return;
+                    }
+                    // 成功响应的调试日志（只打印结构，不打印图片数据）
+                    if (result.candidates && result.candidates.length > 0) {
+                        const candidate = result.candidates[0];
+                        console.log(`    ✓ API响应: finishReason=${candidate.finishReason}, parts=${candidate.content?.parts?.length || 0}`);
+                    }
+                    resolve(result);
+                } catch (e) {
+                    console.error('JSON Parse Error, raw data:', data.substring(0, 200));
+                    reject(new Error(`JSON parse error: ${e.message}`));
+                }
+            });
+        });
+
+        req.on('error', (err) => {
+            if (retries > 0 && (err.code === 'ECONNRESET' || err.code === 'ETIMEDOUT' || err.message.includes('socket hang up'))) {
+                console.log(`    ↻ 连接错误: ${err.message}，${retries}次重试后继续...`);
+                setTimeout(() => {
+                    callImageAPI(prompt, options, retries - 1).then(resolve).catch(reject);
+                }, 5000);
+            } else {
+                reject(err);
+            }
+        });
+
+        req.on('timeout', () => {
+            req.destroy();
+            if (retries > 0) {
+                console.log(`    ↻ 请求超时，${retries}次重试后继续...`);
+                setTimeout(() => {
+                    callImageAPI(prompt, options, retries - 1).then(resolve).catch(reject);
+                }, 5000);
+            } else {
+                reject(new Error('Request timeout after retries'));
+            }
+        });
+
+        req.write(payload);
+        req.end();
+    });
+}
+
+/**
+ * 从 API 响应中提取图片 Base64 数据
+ * @param {object} response - API 响应
+ * @returns {string|null} Base64 图片数据
+ */
+function extractImageData(response) {
+    if (!response || typeof response !== 'object') {
+        console.error('Invalid response format');
+        return null;
+    }
+
+    if (response.error) {
+        console.error('API returned error:', JSON.stringify(response.error, null, 2));
+        return null;
+    }
+
+    // 打印响应结构用于调试
+    if (response.promptFeedback) {
+        console.error('Prompt feedback:', JSON.stringify(response.promptFeedback, null, 2));
+    }
+
+    const candidates = response.candidates;
+    if (!Array.isArray(candidates) || candidates.length === 0) {
+        // 打印完整响应以便诊断
+        console.error('No candidates in response');
+        console.error('Full response:', JSON.stringify(response, null, 2).substring(0, 1000));
+        return null;
+    }
+
+    // 检查是否有 finishReason 表明问题
+    const finishReason = candidates[0]?.finishReason;
+    if (finishReason && finishReason !== 'STOP' && finishReason !== 'MAX_TOKENS') {
+        console.error(`Generation stopped: ${finishReason}`);
+        if (candidates[0]?.safetyRatings) {
+            console.error('Safety ratings:', JSON.stringify(candidates[0].safetyRatings, null, 2));
+        }
+    }
+
+    const content = candidates[0]?.content;
+    if (!content || !content.parts) {
+        console.error('No content parts in response');
+        console.error('Candidate:', JSON.stringify(candidates[0], null, 2).substring(0, 500));
+        return null;
+    }
+
+    for (const part of content.parts) {
+        if (part.inlineData && part.inlineData.data) {
+            return part.inlineData.data;
+        }
+    }
+
+    console.error('No image data found in response parts');
+    console.error('Parts:', JSON.stringify(content.parts, null, 2).substring(0, 500));
+    return null;
+}
+
+/**
+ * 检查是否已配置 API Key
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return !!config.imageGeneration.nanoBanana.apiKey;
+}
+
+/**
+ * 生成图片（适配器入口）
+ * @param {string} prompt - 图片描述
+ * @param {object} options - { aspectRatio, imageSize, seed, negativePrompt, referenceImages, styleImages }
+ * @returns {Promise<object>} { data: Base64, mimeType }
+ */
+async function generate(prompt, options = {}) {
+    const response = await callImageAPI(prompt, options);
+    const data = extractImageData(response);
+    if (!data) {
+        throw new Error('Failed to extract image data from response');
+    }
+    return { data, mimeType: 'image/png' };
+}
+
+module.exports = {
+    API_CONFIG,
+    isConfigured,
+    generate,
+    callImageAPI,
+    extractImageData
+};
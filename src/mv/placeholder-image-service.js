@@ -0,0 +1,162 @@
+/**
+ * 占位图生成服务
+ * 不依赖网络和模型，按 Prompt、种子和尺寸确定性地绘制 PNG（渐变背景 + 色块）
+ * 相同输入总是得到相同图片，用于离线跑通整条流水线
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// PNG 文件签名
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC32 查找表（PNG 数据块校验）
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * 计算 CRC32
+ * @param {Buffer} buffer - 数据
+ * @returns {number} CRC32
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 构造 PNG 数据块
+ * @param {string} type - 块类型
+ * @param {Buffer} data - 块数据
+ * @returns {Buffer} 数据块
+ */
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * 将 RGB 像素编码为 PNG
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {Buffer} pixels - RGB 像素（width * height * 3）
+ * @returns {Buffer} PNG 文件
+ */
+function encodePNG(width, height, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;   // 位深
+    header[9] = 2;   // 颜色类型：RGB
+    header[10] = 0;  // 压缩方式
+    header[11] = 0;  // 过滤方式
+    header[12] = 0;  // 不隔行
+
+    // 每行前加过滤类型字节（0 = None）
+    const stride = width * 3;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * 在像素缓冲区上填充矩形
+ * @param {Buffer} pixels - RGB 像素
+ * @param {number} width - 图片宽度
+ * @param {number} height - 图片高度
+ * @param {object} rect - { x, y, w, h }
+ * @param {array} color - [r, g, b]
+ */
+function fillRect(pixels, width, height, { x, y, w, h }, color) {
+    const x1 = Math.min(width, x + w);
+    const y1 = Math.min(height, y + h);
+    for (let py = Math.max(0, y); py < y1; py++) {
+        for (let px = Math.max(0, x); px < x1; px++) {
+            const offset = (py * width + px) * 3;
+            pixels[offset] = color[0];
+            pixels[offset + 1] = color[1];
+            pixels[offset + 2] = color[2];
+        }
+    }
+}
+
+/**
+ * 绘制占位图
+ * @param {string} prompt - 图片描述
+ * @param {object} options - { width, height, seed, aspectRatio, referenceImages, styleImages }
+ * @returns {Buffer} PNG 文件
+ */
+function renderPlaceholder(prompt, options = {}) {
+    const width = options.width || 1024;
+    const height = options.height || 576;
+    const hash = crypto.createHash('sha256')
+        .update(`${prompt}|${options.seed ?? ''}|${options.aspectRatio || ''}`)
+        .digest();
+
+    // 背景为两种颜色的纵向渐变
+    const top = [hash[0], hash[1], hash[2]];
+    const bottom = [hash[3], hash[4], hash[5]];
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        const t = height > 1 ? y / (height - 1) : 0;
+        const row = top.map((c, i) => Math.round(c + (bottom[i] - c) * t));
+        for (let x = 0; x < width; x++) {
+            row.forEach((c, i) => { pixels[(y * width + x) * 3 + i] = c; });
+        }
+    }
+
+    // 四个色块，位置和大小由哈希决定
+    for (let i = 0; i < 4; i++) {
+        const b = hash.subarray(6 + i * 6, 12 + i * 6);
+        fillRect(pixels, width, height, {
+            x: Math.floor(b[0] / 255 * width * 0.75),
+            y: Math.floor(b[1] / 255 * height * 0.75),
+            w: Math.floor(width * (0.1 + b[2] / 255 * 0.25)),
+            h: Math.floor(height * (0.1 + b[2] / 255 * 0.25))
+        }, [b[3], b[4], b[5]]);
+    }
+
+    // 左上角白色小方块标记参考图数量
+    const references = (options.referenceImages?.length || 0) + (options.styleImages?.length || 0);
+    const marker = Math.max(4, Math.round(Math.min(width, height) / 40));
+    for (let i = 0; i < references; i++) {
+        fillRect(pixels, width, height, { x: marker + i * marker * 2, y: marker, w: marker, h: marker }, [255, 255, 255]);
+    }
+
+    return encodePNG(width, height, pixels);
+}
+
+/**
+ * 生成图片（适配器入口）
+ * @param {string} prompt - 图片描述
+ * @param {object} options - { width, height, seed, aspectRatio, referenceImages, styleImages }
+ * @returns {Promise<object>} { data: Base64, mimeType }
+ */
+async function generate(prompt, options = {}) {
+    return { data: renderPlaceholder(prompt, options).toString('base64'), mimeType: 'image/png' };
+}
+
+module.exports = {
+    generate,
+    renderPlaceholder
+};
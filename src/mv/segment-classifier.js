@@ -4,6 +4,8 @@
  */
 
 const config = require('../config');
+const { normalizeText } = require('./structure-analyzer');
+const { CameraMove } = require('./camera-language');
 
 /**
  * 渲染类型枚举
@@ -36,6 +38,17 @@ function analyzePriority(lyric, index, total) {
         return Priority.LOW;
     }
 
+    // 有结构分析结果时按段落判断：副歌和桥段是高潮
+    if (lyric.section) {
+        if (lyric.section === 'chorus' || lyric.section === 'bridge') {
+            return Priority.HIGH;
+        }
+        if (lyric.section === 'intro' || lyric.section === 'interlude' || lyric.section === 'outro') {
+            return Priority.LOW;
+        }
+        return lyric.duration >= 6 ? Priority.HIGH : Priority.MEDIUM;
+    }
+
     // 歌曲高潮部分（通常在 60%-80% 的位置）
     const position = index / total;
     if (position >= 0.5 && position <= 0.8) {
@@ -126,36 +139,217 @@ function classifySegments(lyrics, storyboard, options = {}) {
         // 找到对应的分镜
         const scene = storyboard.find(s => s.index === index + 1) || {};
 
+        // 镜头需连续覆盖时间轴：歌词结束到下一句开始之间的空隙并入当前镜头
+        const nextLyric = lyrics[index + 1];
+        const endTime = nextLyric && nextLyric.startTime > lyric.endTime ? nextLyric.startTime : lyric.endTime;
+        const shot = { ...lyric, endTime, duration: endTime - lyric.startTime };
+
         // 分析优先级
-        const priority = analyzePriority(lyric, index, total);
+        const priority = analyzePriority(shot, index, total);
 
         // 确定渲染类型
-        const renderType = determineRenderType(lyric, priority, options);
+        const renderType = determineRenderType(shot, priority, options);
 
         // 计算视频时长
         const videoDuration = renderType === RenderType.VIDEO
-            ? calculateVideoDuration(lyric.duration)
+            ? calculateVideoDuration(shot.duration)
             : null;
 
         return {
             index: index + 1,
             lyric: lyric.text,
-            startTime: lyric.startTime,
-            endTime: lyric.endTime,
-            duration: lyric.duration,
+            startTime: shot.startTime,
+            endTime: shot.endTime,
+            duration: shot.duration,
             specialType: lyric.specialType,
+            section: lyric.section || null,
+            sectionLabel: lyric.sectionLabel || null,
+            repeatOf: lyric.repeatOf ?? null,
             priority,
             renderType,
             videoDuration,
             prompt: scene.prompt || '',
             sceneType: scene.sceneType || 'unknown',
-            hasCharacter: scene.hasCharacter || false
+            hasCharacter: scene.hasCharacter || false,
+            characters: scene.characters || [],
+            shotSize: scene.shotSize || null,
+            cameraMove: scene.cameraMove || null,
+            subjectAction: scene.subjectAction || null,
+            negativePrompt: scene.negativePrompt || null
         };
     });
 
     return classified;
 }
 
+/**
+ * 节拍吸附模式
+ */
+const SnapMode = {
+    BEAT: 'beat',           // 吸附到最近的节拍
+    DOWNBEAT: 'downbeat'    // 吸附到最近的强拍（小节第一拍）
+};
+
+// 各模式默认吸附容差（秒）
+const DEFAULT_SNAP_TOLERANCE = {
+    [SnapMode.BEAT]: 0.4,
+    [SnapMode.DOWNBEAT]: 1.0
+};
+
+/**
+ * 将镜头切点吸附到节拍
+ * 只移动相邻镜头之间的切点，首镜头开始和末镜头结束保持不变；歌词字幕时间不变
+ * 切点移动后每个镜头仍至少覆盖自身歌词 min(minShotDuration, 歌词时长) 秒，
+ * 且镜头时长不少于 minShotDuration，容差内没有满足条件的节拍时保留原切点
+ * @param {array} classified - 分类后的数据
+ * @param {array} lyrics - 歌词数组（与 classified 一一对应）
+ * @param {object} analysis - 音频节奏分析结果 { beats, downbeats }
+ * @param {object} options - { snapToBeat: 'beat' | 'downbeat', snapTolerance, minShotDuration }
+ * @returns {object} { classified, snapped: 移动的切点数 }
+ */
+function snapToBeats(classified, lyrics, analysis, options = {}) {
+    const mode = options.snapToBeat === SnapMode.DOWNBEAT ? SnapMode.DOWNBEAT : SnapMode.BEAT;
+    const tolerance = options.snapTolerance ?? DEFAULT_SNAP_TOLERANCE[mode];
+    const minShot = options.minShotDuration ?? 1;
+    const grid = (mode === SnapMode.DOWNBEAT ? analysis.downbeats : analysis.beats) || [];
+
+    if (classified.length < 2 || grid.length === 0) {
+        return { classified, snapped: 0 };
+    }
+
+    const lyricOf = (i) => lyrics[i] || classified[i];
+    const need = (i) => Math.min(minShot, Math.max(lyricOf(i).endTime - lyricOf(i).startTime, 0));
+    const starts = classified.map(c => c.startTime);
+    let snapped = 0;
+
+    for (let k = 1; k < classified.length; k++) {
+        const original = starts[k];
+        const prevLyric = lyricOf(k - 1);
+        const lyric = lyricOf(k);
+        const nextBoundary = k + 1 < classified.length ? starts[k + 1] : classified[classified.length - 1].endTime;
+
+        const lower = Math.max(
+            Math.max(starts[k - 1], prevLyric.startTime) + need(k - 1),
+            starts[k - 1] + minShot,
+            original - tolerance
+        );
+        const upper = Math.min(
+            Math.min(nextBoundary, lyric.endTime) - need(k),
+            nextBoundary - minShot,
+            original + tolerance
+        );
+        if (lower > upper) continue;
+
+        let best = null;
+        for (const beat of grid) {
+            if (beat < lower || beat > upper) continue;
+            if (best === null || Math.abs(beat - original) < Math.abs(best - original)) {
+                best = beat;
+            }
+        }
+
+        if (best !== null && best !== original) {
+            starts[k] = best;
+            snapped++;
+        }
+    }
+
+    classified.forEach((item, i) => {
+        item.startTime = starts[i];
+        if (i + 1 < classified.length) {
+            item.endTime = starts[i + 1];
+        }
+        item.duration = item.endTime - item.startTime;
+        if (item.renderType === RenderType.VIDEO) {
+            item.videoDuration = calculateVideoDuration(item.duration);
+        }
+    });
+
+    return { classified, snapped };
+}
+
+/**
+ * 重复段落复用模式
+ */
+const ReuseMode = {
+    DERIVED: 'derived',   // 派生：共用源片段首帧图，换一种镜头运动重新生成视频
+    REUSED: 'reused'      // 复用：直接截取源片段视频的另一段，不再调用生成 API
+};
+
+// 派生片段的镜头运动变化（与源片段共用首帧时避免画面完全相同）
+const CAMERA_VARIATIONS = [
+    'slow push in',
+    'slow pull out',
+    'camera pans left',
+    'camera pans right',
+    'slow orbit around the subject'
+];
+
+// 派生片段可换用的运镜（分镜带有 cameraMove 时使用）
+const DERIVED_CAMERA_MOVES = [
+    CameraMove.PUSH_IN,
+    CameraMove.PULL_OUT,
+    CameraMove.PAN_LEFT,
+    CameraMove.PAN_RIGHT,
+    CameraMove.ORBIT
+];
+
+/**
+ * 标记重复歌词片段（多时间戳 LRC 行、ASR 识别出的相同歌词等）
+ * 文本归一化后相同的片段中，第一次出现的为源片段，之后的标记 reuse: { mode, sourceIndex, occurrence }
+ * 并沿用源片段的 Prompt 与场景类型；源片段不是 AI 视频时只能派生
+ * @param {array} classified - 分类后的数据（原地修改）
+ * @param {object} options - { reuseRepeats: 'derived' | 'reused' }
+ * @returns {array} 分类后的数据
+ */
+function markRepeatedSegments(classified, options = {}) {
+    const mode = options.reuseRepeats === ReuseMode.REUSED ? ReuseMode.REUSED : ReuseMode.DERIVED;
+    const sources = new Map();
+
+    for (const item of classified) {
+        delete item.reuse;
+        const key = item.specialType ? '' : normalizeText(item.lyric);
+        if (!key) continue;
+
+        const first = sources.get(key);
+        if (!first) {
+            sources.set(key, { segment: item, count: 1 });
+            continue;
+        }
+
+        first.count++;
+        const source = first.segment;
+        const itemMode = mode === ReuseMode.REUSED && source.renderType === RenderType.VIDEO
+            ? ReuseMode.REUSED
+            : ReuseMode.DERIVED;
+
+        item.reuse = { mode: itemMode, sourceIndex: source.index, occurrence: first.count };
+        item.prompt = source.prompt;
+        item.sceneType = source.sceneType;
+        item.hasCharacter = source.hasCharacter;
+        item.characters = source.characters;
+        item.shotSize = source.shotSize;
+        item.cameraMove = source.cameraMove;
+        item.subjectAction = source.subjectAction;
+        item.negativePrompt = source.negativePrompt;
+
+        if (itemMode === ReuseMode.REUSED) {
+            // 截取源视频，按视频片段合成
+            item.renderType = RenderType.VIDEO;
+            item.videoDuration = calculateVideoDuration(item.duration);
+        } else if (source.cameraMove && !source.videoPrompt) {
+            // 分镜已指定运镜时换一种运镜，视频 Prompt 按镜头语言组合
+            const moves = DERIVED_CAMERA_MOVES.filter(move => move !== source.cameraMove);
+            item.cameraMove = moves[(first.count - 2) % moves.length];
+        } else {
+            const camera = CAMERA_VARIATIONS[(first.count - 2) % CAMERA_VARIATIONS.length];
+            item.videoPrompt = `${source.videoPrompt || source.prompt}, ${camera}`;
+        }
+    }
+
+    return classified;
+}
+
 /**
  * 获取分类统计
  * @param {array} classified - 分类后的数据
@@ -174,9 +368,18 @@ function getClassificationStats(classified) {
             [Priority.MEDIUM]: 0,
             [Priority.LOW]: 0
         },
+        byReuse: {
+            [ReuseMode.DERIVED]: 0,
+            [ReuseMode.REUSED]: 0
+        },
         estimatedCost: {
             videoCount: 0,
-            imageCount: 0
+            imageCount: 0,
+            // 重复段落复用节省的 API 调用
+            savedCalls: {
+                image: 0,
+                video: 0
+            }
         }
     };
 
@@ -184,6 +387,18 @@ function getClassificationStats(classified) {
         stats.byRenderType[item.renderType]++;
         stats.byPriority[item.priority]++;
 
+        // 复用片段：不生成首帧图；直接复用视频时也不生成视频
+        if (item.reuse) {
+            stats.byReuse[item.reuse.mode]++;
+            stats.estimatedCost.savedCalls.image++;
+            if (item.reuse.mode === ReuseMode.REUSED) {
+                stats.estimatedCost.savedCalls.video++;
+            } else if (item.renderType === RenderType.VIDEO) {
+                stats.estimatedCost.videoCount++;
+            }
+            continue;
+        }
+
         // 估算成本
         if (item.renderType === RenderType.VIDEO) {
             stats.estimatedCost.videoCount++;
@@ -243,7 +458,7 @@ function optimizeForBudget(classified, budget = {}) {
 
 /**
  * 合并相邻的同类型短片段
- * 减少生成数量，提高效率
+ * 减少生成数量，提高效率；合并后重新编号，lyricIndices 记录片段包含的原歌词序号
  * @param {array} classified - 分类后的数据
  * @param {number} mergeThreshold - 合并阈值（秒）
  * @returns {array} 合并后的数据
@@ -265,7 +480,8 @@ function mergeAdjacentSegments(classified, mergeThreshold = 2) {
             buffer.duration < mergeThreshold &&
             item.duration < mergeThreshold &&
             !buffer.specialType &&
-            !item.specialType;
+            !item.specialType &&
+            buffer.sectionLabel === item.sectionLabel; // 不跨段落合并
 
         if (canMerge) {
             // 合并
@@ -273,6 +489,8 @@ function mergeAdjacentSegments(classified, mergeThreshold = 2) {
             buffer.endTime = item.endTime;
             buffer.duration = buffer.endTime - buffer.startTime;
             buffer.prompt += '; ' + item.prompt;
+            buffer.characters = [...new Set([...(buffer.characters || []), ...(item.characters || [])])];
+            buffer.lyricIndices = [...(buffer.lyricIndices || [buffer.index]), ...(item.lyricIndices || [item.index])];
         } else {
             merged.push(buffer);
             buffer = { ...item };
@@ -285,6 +503,7 @@ function mergeAdjacentSegments(classified, mergeThreshold = 2) {
 
     // 重新编号
     merged.forEach((item, index) => {
+        item.lyricIndices = item.lyricIndices || [item.index];
         item.index = index + 1;
     });
 
@@ -294,7 +513,11 @@ function mergeAdjacentSegments(classified, mergeThreshold = 2) {
 module.exports = {
     RenderType,
     Priority,
+    SnapMode,
+    ReuseMode,
     classifySegments,
+    snapToBeats,
+    markRepeatedSegments,
     getClassificationStats,
     optimizeForBudget,
     mergeAdjacentSegments,
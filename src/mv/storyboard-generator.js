@@ -3,8 +3,10 @@
  * 将歌词转换为 AI 绘画 prompt
  */
 
-const https = require('https');
 const config = require('../config');
+const llmClient = require('./llm-client');
+const castModule = require('./cast');
+const cameraLanguage = require('./camera-language');
 
 /**
  * 系统提示词
@@ -40,18 +42,18 @@ MV不应该每个镜头都是人物特写！你需要像专业导演一样合理
 - "多少年以后如云般游走" → hasCharacter: false（用云朵意境表达）
 - "被吞没在月光如水的夜里" → hasCharacter: false（月光意境）
 
-### 2. 角色一致性（仅限人物镜头）
-当 hasCharacter: true 时，必须保证角色形象统一：
+### 2. 角色表与角色一致性（仅限人物镜头）
+歌曲可能有多个角色（对唱、男女主角、剧情类歌曲），在 cast 中列出全部角色：
+- id：角色编号，用 "A"、"B"、"C"…，主角为 "A"
+- name：角色称呼，如"女主角"、"男歌手"
+- description：详细外貌描述（英文），包括面部特征、发型发色、年龄气质、服装风格
 
-**定义详细的 characterDescription，包括：**
-- 面部特征：脸型、眼睛、鼻子、嘴唇
-- 发型发色：长度、颜色、造型
-- 年龄气质：年龄段和整体感觉
-- 服装风格：主要服装描述
+只有一个角色时 cast 也只写一个。characterDescription 填主角（A）的描述。
 
-**在人物场景的 prompt 中：**
-- 开头引用 characterDescription 核心描述
-- 加入 "same character, consistent appearance"
+**在人物场景中：**
+- 用 characters 列出该镜头出场的角色 id，如 ["A"]、["A", "B"]
+- prompt 中用角色称呼指代人物，描述动作、表情、构图和互动，不要重复外貌描述（系统会按 characters 自动补充角色外貌并附上参考图）
+- 空镜头的 characters 为 []
 
 ### 3. 人种与语言映射
 - 中文歌词 → "Chinese Asian face, East Asian features, black hair, fair skin"
@@ -64,6 +66,7 @@ MV不应该每个镜头都是人物特写！你需要像专业导演一样合理
 - 完全不提及任何人物、人、角色
 - 可以有物品特写：手、信、花、月光下的湖面等
 - 使用诗意的视觉语言描述氛围
+- 不要在 prompt 里写 "no people" 之类的否定词；需要避免的元素写在 negativePrompt（英文，逗号分隔，可选，如 "text, watermark, crowd"）
 
 ### 5. 美学风格统一
 所有分镜使用统一的：
@@ -76,6 +79,14 @@ MV不应该每个镜头都是人物特写！你需要像专业导演一样合理
 - 空镜与人物镜头交替出现
 - 同一情绪段落使用相似的环境元素
 
+### 7. 镜头语言（用于生成视频）
+每个镜头都要像导演一样指定：
+- shotSize 景别：wide（远景/全景）、medium（中景）、close_up（近景/特写）
+- cameraMove 运镜：static（固定）、push_in（推）、pull_out（拉）、pan_left / pan_right（摇）、orbit（环绕）、handheld（手持跟拍）
+- subjectAction 主体动作：画面中主体在这几秒内做什么（英文短句，如 "she slowly turns her head toward the window"、"petals drift down in the wind"）
+- 景别、运镜与情绪和节奏匹配：抒情段落多用缓慢的推拉和固定机位，副歌高潮可用环绕和手持；相邻镜头的运镜要有变化
+- prompt 中的景别描述与 shotSize 保持一致
+
 ## 输出格式
 返回严格的JSON格式（不要markdown代码块）：
 {
@@ -84,7 +95,10 @@ MV不应该每个镜头都是人物特写！你需要像专业导演一样合理
         "colorTone": "色调描述",
         "quality": "画质描述"
     },
-    "characterDescription": "详细角色描述（仅用于人物镜头）",
+    "cast": [
+        { "id": "A", "name": "角色称呼", "description": "详细外貌描述" }
+    ],
+    "characterDescription": "主角（A）的详细描述",
     "ethnicity": "人种描述",
     "storyboard": [
         {
@@ -92,25 +106,68 @@ MV不应该每个镜头都是人物特写！你需要像专业导演一样合理
             "lyric": "原歌词",
             "sceneType": "character/landscape/object/artistic",
             "prompt": "完整的生图prompt",
-            "hasCharacter": true或false
+            "hasCharacter": true或false,
+            "characters": ["出场角色 id，空镜为空数组"],
+            "shotSize": "wide/medium/close_up",
+            "cameraMove": "static/push_in/pull_out/pan_left/pan_right/orbit/handheld",
+            "subjectAction": "主体动作（英文）",
+            "negativePrompt": "本镜头需要避免的元素（英文，可选）"
         }
     ]
 }`;
 
+/**
+ * 构建系统提示词：按风格预设替换人物镜头比例并附加预设的分镜规则
+ * @param {object|null} preset - 风格预设
+ * @returns {string} 系统提示词
+ */
+function buildSystemPrompt(preset) {
+    if (!preset) return SYSTEM_PROMPT;
+
+    const [min, max] = preset.characterRatio;
+    let prompt = SYSTEM_PROMPT
+        .replace('人物镜头 (hasCharacter: true) - 约占 40-50%', `人物镜头 (hasCharacter: true) - 约占 ${min}-${max}%`)
+        .replace('空镜/环境镜头 (hasCharacter: false) - 约占 50-60%', `空镜/环境镜头 (hasCharacter: false) - 约占 ${100 - max}-${100 - min}%`);
+
+    if (preset.systemPrompt) {
+        prompt += `\n\n## 风格预设：${preset.name}（与上面规则冲突时以本节为准）\n${preset.systemPrompt}`;
+    }
+    if (preset.globalStyle) {
+        prompt += `\n\n## globalStyle 默认值（在此基础上按歌曲微调，不要偏离该风格）\n${JSON.stringify(preset.globalStyle)}`;
+    }
+    return prompt;
+}
+
 /**
  * 构建用户提示词
  */
 function buildUserPrompt(lyrics, language, options = {}) {
     const ethnicityHint = config.ethnicityMapping[language] || 'diverse ethnicity';
-
-    const lyricsData = lyrics.map((l, i) => ({
-        index: i + 1,
-        startTime: l.startTime.toFixed(2),
-        endTime: l.endTime.toFixed(2),
-        duration: l.duration.toFixed(2),
-        text: l.text,
-        specialType: l.specialType || null
-    }));
+    const preset = options.preset || null;
+    const [minRatio, maxRatio] = preset?.characterRatio || [40, 50];
+    const genre = options.genre || preset?.genre;
+    const styleHint = options.styleHint || preset?.styleHint;
+    const mood = options.mood || preset?.mood;
+
+    // repeatOf 为全曲歌词序号，转换为本批内的序号（不在本批的不输出）
+    const localIndex = new Map(lyrics.map((l, i) => [l.index ?? i + 1, i + 1]));
+    const hasStructure = lyrics.some(l => l.sectionLabel);
+
+    const lyricsData = lyrics.map((l, i) => {
+        const item = {
+            index: i + 1,
+            startTime: l.startTime.toFixed(2),
+            endTime: l.endTime.toFixed(2),
+            duration: l.duration.toFixed(2),
+            text: l.text,
+            specialType: l.specialType || null
+        };
+        if (hasStructure) {
+            item.section = l.sectionLabel || null;
+            item.repeatOf = localIndex.get(l.repeatOf) || null;
+        }
+        return item;
+    });
 
     return `## 歌曲信息
 - 歌曲语言：${language}
@@ -120,15 +177,27 @@ function buildUserPrompt(lyrics, language, options = {}) {
 ## 歌词列表
 ${JSON.stringify(lyricsData, null, 2)}
 
-${options.genre ? `## 歌曲风格\n${options.genre}` : ''}
-${options.styleHint ? `## 期望画风\n${options.styleHint}` : ''}
-${options.mood ? `## 情感基调\n${options.mood}` : ''}
+${genre ? `## 歌曲风格\n${genre}` : ''}
+${styleHint ? `## 期望画风\n${styleHint}` : ''}
+${mood ? `## 情感基调\n${mood}` : ''}
+${hasStructure ? `## 歌曲结构
+每句歌词的 section 标明所属段落（主歌/导歌/副歌/桥段等），repeatOf 指向同一句歌词首次出现时的序号：
+- 同一段落内保持场景和情绪连贯，段落切换时可以切换场景
+- 副歌是情感高潮，画面更有张力，可多用人物镜头
+- 重复出现的副歌要与第一遍副歌的画面呼应：沿用相同的核心意象、色调和构图，再在景别、时间或天气上做递进变化
+- 桥段在情绪和画面上与主歌、副歌形成反差
+${options.chorusHint ? `- 前面已生成的副歌画面（重复的副歌请与之呼应）：\n${options.chorusHint}` : ''}` : ''}
+${options.contextHint ? `## 上下文镜头
+以下是全曲中待生成歌词前后的已有镜头（序号为全曲序号），标记「待重新生成」的就是本次歌词列表中的句子。
+新分镜要与前后镜头在风格、色调和场景上自然衔接，并给出与当前 prompt 不同的新构思：
+${options.contextHint}` : ''}
+${options.directorNote ? `## 导演意见（优先满足）\n${options.directorNote}` : ''}
 
 ## ⚠️ 最重要的要求：场景类型合理分配
 
 ### 1. 人物镜头 vs 空镜头比例
-- 人物镜头 (hasCharacter: true)：约占 40-50%
-- 空镜/环境镜头 (hasCharacter: false)：约占 50-60%
+- 人物镜头 (hasCharacter: true)：约占 ${minRatio}-${maxRatio}%
+- 空镜/环境镜头 (hasCharacter: false)：约占 ${100 - maxRatio}-${100 - minRatio}%
 
 ### 2. 判断标准
 **设为空镜 (hasCharacter: false) 的情况：**
@@ -143,9 +212,9 @@ ${options.mood ? `## 情感基调\n${options.mood}` : ''}
 - 情感高潮、副歌核心部分
 
 ### 3. 角色一致性（仅人物镜头）
-- characterDescription 要详细（面部、发型、服装）
+- cast 中每个角色的 description 要详细（面部、发型、服装），对唱或多人剧情要定义多个角色
 - 人种特征：${ethnicityHint}
-- 人物镜头的 prompt 开头加角色描述
+- 人物镜头用 characters 标明出场角色，prompt 中用角色称呼指代，不重复外貌描述
 
 ### 4. 空镜头要求
 - prompt 中不要出现任何人物描述
@@ -158,231 +227,190 @@ ${options.mood ? `## 情感基调\n${options.mood}` : ''}
 }
 
 /**
- * 调用 OpenAI API
+ * 分镜场景类型
  */
-function callOpenAI(messages) {
-    return new Promise((resolve, reject) => {
-        const apiKey = config.llm.openai.apiKey;
-        if (!apiKey) {
-            reject(new Error('OpenAI API key not configured'));
-            return;
-        }
+const SceneType = {
+    CHARACTER: 'character',   // 人物镜头
+    LANDSCAPE: 'landscape',   // 风景 / 环境空镜
+    OBJECT: 'object',         // 物品特写
+    ARTISTIC: 'artistic'      // 意境 / 抽象画面
+};
 
-        const payload = JSON.stringify({
-            model: config.llm.openai.model,
-            messages,
-            temperature: 0.7,
-            max_tokens: 8000
-        });
+/**
+ * 解析 LLM 返回的 JSON
+ */
+function parseStoryboardResponse(response) {
+    try {
+        // 移除可能的 markdown 代码块标记
+        let cleaned = response.trim();
+        cleaned = cleaned.replace(/^```json?\s*/i, '');
+        cleaned = cleaned.replace(/\s*```$/i, '');
 
-        const url = new URL(config.llm.openai.baseUrl + '/chat/completions');
-
-        const options = {
-            hostname: url.hostname,
-            port: 443,
-            path: url.pathname,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Length': Buffer.byteLength(payload)
-            }
-        };
+        // 尝试提取 JSON 对象
+        const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+        if (jsonMatch) {
+            return JSON.parse(jsonMatch[0]);
+        }
 
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    const result = JSON.parse(data);
-                    if (result.error) {
-                        reject(new Error(result.error.message));
-                    } else {
-                        resolve(result.choices[0].message.content);
-                    }
-                } catch (e) {
-                    reject(new Error('Invalid JSON response: ' + data.substring(0, 200)));
-                }
-            });
-        });
+        return JSON.parse(cleaned);
+    } catch (e) {
+        console.error('解析分镜结果失败:', e.message);
+        console.error('原始响应:', response.substring(0, 500));
+        return null;
+    }
+}
 
-        req.on('error', reject);
-        req.write(payload);
-        req.end();
-    });
+/**
+ * 规范化负面 Prompt（模型可能返回字符串或数组）
+ * @param {*} value - 原始值
+ * @returns {string|null} 逗号分隔的负面 Prompt（为空时为 null）
+ */
+function normalizeNegativePrompt(value) {
+    const text = Array.isArray(value) ? value.filter(v => typeof v === 'string').join(', ') : value;
+    return typeof text === 'string' && text.trim() ? text.trim() : null;
 }
 
 /**
- * 调用 Gemini API
+ * 校验单条分镜
+ * @param {object} item - 分镜条目
+ * @param {number} count - 歌词数量
+ * @param {array} castIds - 角色表中的 id（为空时不校验 characters 引用）
+ * @returns {array} 错误描述（为空表示合法）
  */
-function callGemini(messages) {
-    return new Promise((resolve, reject) => {
-        const apiKey = config.llm.gemini.apiKey;
-        if (!apiKey) {
-            reject(new Error('Gemini API key not configured'));
-            return;
-        }
+function validateStoryboardItem(item, count, castIds = []) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return ['不是对象'];
+    }
 
-        // 转换消息格式
-        const contents = messages.map(msg => ({
-            role: msg.role === 'assistant' ? 'model' : msg.role,
-            parts: [{ text: msg.content }]
-        }));
-
-        // Gemini 需要将 system 消息合并到第一个 user 消息
-        if (contents[0].role === 'system') {
-            const systemContent = contents.shift().parts[0].text;
-            if (contents[0]) {
-                contents[0].parts[0].text = systemContent + '\n\n' + contents[0].parts[0].text;
-                contents[0].role = 'user';
+    const errors = [];
+    if (!Number.isInteger(item.index) || item.index < 1 || item.index > count) {
+        errors.push(`index 必须是 1-${count} 的整数`);
+    }
+    if (typeof item.prompt !== 'string' || !item.prompt.trim()) {
+        errors.push('prompt 必须是非空字符串');
+    }
+    if (!Object.values(SceneType).includes(item.sceneType)) {
+        errors.push(`sceneType 必须是 ${Object.values(SceneType).join('/')} 之一`);
+    }
+    if (typeof item.hasCharacter !== 'boolean') {
+        errors.push('hasCharacter 必须是布尔值 true/false');
+    }
+    if (item.lyric !== undefined && typeof item.lyric !== 'string') {
+        errors.push('lyric 必须是字符串');
+    }
+    if (item.characters !== undefined) {
+        if (!Array.isArray(item.characters) || item.characters.some(id => typeof id !== 'string')) {
+            errors.push('characters 必须是角色 id 字符串数组');
+        } else if (castIds.length > 0) {
+            const unknown = item.characters.filter(id => !castIds.includes(id));
+            if (unknown.length > 0) {
+                errors.push(`characters 中的 ${unknown.join(', ')} 不在 cast 中`);
             }
         }
-
-        const payload = JSON.stringify({
-            contents,
-            generationConfig: {
-                temperature: 0.7,
-                maxOutputTokens: 8000
-            }
-        });
-
-        const options = {
-            hostname: 'generativelanguage.googleapis.com',
-            port: 443,
-            path: `/v1beta/models/${config.llm.gemini.model}:generateContent?key=${apiKey}`,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(payload)
-            }
-        };
-
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    const result = JSON.parse(data);
-                    if (result.error) {
-                        let errorMsg = result.error.message || JSON.stringify(result.error);
-                        console.error('Gemini API error:', errorMsg);
-                        // 处理配额错误
-                        if (res.statusCode === 429 || errorMsg.includes('quota')) {
-                            errorMsg = 'Gemini API 配额已用完，请稍后重试或使用其他 LLM 服务';
-                        }
-                        reject(new Error(errorMsg));
-                    } else {
-                        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
-                        if (!text) {
-                            console.error('Gemini response:', JSON.stringify(result).substring(0, 500));
-                            reject(new Error('No content in Gemini response'));
-                            return;
-                        }
-                        resolve(text);
-                    }
-                } catch (e) {
-                    console.error('Gemini parse error:', data.substring(0, 500));
-                    reject(new Error('Invalid JSON response: ' + e.message));
-                }
-            });
-        });
-
-        req.on('error', reject);
-        req.write(payload);
-        req.end();
-    });
+    }
+    return errors;
 }
 
 /**
- * 调用 MiniMax LLM API (Text-01)
+ * 按 schema 校验分镜结果：必填字段、类型、sceneType 枚举和序号覆盖
+ * @param {object|null} storyboard - 解析后的分镜结果
+ * @param {number} count - 歌词数量（序号应覆盖 1..count）
+ * @returns {object} { valid, errors, items: 合法条目, missing: 缺失序号, reasons: { 序号: 原因 } }
  */
-function callMinimax(messages) {
-    return new Promise((resolve, reject) => {
-        const apiKey = config.llm.minimax.apiKey;
-        if (!apiKey) {
-            reject(new Error('MiniMax LLM API key not configured'));
-            return;
-        }
+function validateStoryboard(storyboard, count) {
+    const errors = [];
+    const reasons = {};
+    const items = new Map();
 
-        const payload = JSON.stringify({
-            model: config.llm.minimax.model,
-            messages: messages.map(msg => ({
-                role: msg.role === 'system' ? 'system' : (msg.role === 'assistant' ? 'assistant' : 'user'),
-                content: msg.content
-            })),
-            temperature: 0.7,
-            max_tokens: 8000
-        });
+    if (!storyboard || typeof storyboard !== 'object' || Array.isArray(storyboard)) {
+        errors.push('返回内容不是合法的 JSON 对象');
+    } else {
+        if (storyboard.globalStyle !== undefined &&
+            (!storyboard.globalStyle || typeof storyboard.globalStyle !== 'object')) {
+            errors.push('globalStyle 必须是对象');
+        }
+        if (storyboard.characterDescription !== undefined && typeof storyboard.characterDescription !== 'string') {
+            errors.push('characterDescription 必须是字符串');
+        }
 
-        const options = {
-            hostname: 'api.minimax.chat',
-            port: 443,
-            path: '/v1/text/chatcompletion_v2',
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Length': Buffer.byteLength(payload)
+        const castIds = [];
+        if (storyboard.cast !== undefined) {
+            if (!Array.isArray(storyboard.cast)) {
+                errors.push('cast 必须是数组');
+            } else {
+                storyboard.cast.forEach((member, pos) => {
+                    if (!member || typeof member !== 'object' || typeof member.id !== 'string' || !member.id) {
+                        errors.push(`cast 第 ${pos + 1} 项: id 必须是非空字符串`);
+                    } else if (castIds.includes(member.id)) {
+                        errors.push(`cast 第 ${pos + 1} 项: id ${member.id} 重复`);
+                    } else {
+                        castIds.push(member.id);
+                        if (typeof member.description !== 'string' || !member.description.trim()) {
+                            errors.push(`cast ${member.id}: description 必须是非空字符串`);
+                        }
+                    }
+                });
             }
-        };
+        }
 
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    const result = JSON.parse(data);
-                    if (result.base_resp && result.base_resp.status_code !== 0) {
-                        const errorMsg = result.base_resp.status_msg || 'Unknown error';
-                        console.error('MiniMax API error:', errorMsg);
-                        reject(new Error(errorMsg));
-                    } else if (result.choices && result.choices[0]) {
-                        const text = result.choices[0].message?.content || '';
-                        if (!text) {
-                            console.error('MiniMax response:', JSON.stringify(result).substring(0, 500));
-                            reject(new Error('No content in MiniMax response'));
-                            return;
-                        }
-                        resolve(text);
-                    } else {
-                        console.error('MiniMax unexpected response:', JSON.stringify(result).substring(0, 500));
-                        reject(new Error('Unexpected MiniMax response format'));
+        if (!Array.isArray(storyboard.storyboard)) {
+            errors.push('缺少 storyboard 数组');
+        } else {
+            storyboard.storyboard.forEach((item, pos) => {
+                const itemErrors = validateStoryboardItem(item, count, castIds);
+                const label = Number.isInteger(item?.index) ? `index ${item.index}` : `第 ${pos + 1} 项`;
+
+                if (itemErrors.length > 0) {
+                    errors.push(`${label}: ${itemErrors.join('，')}`);
+                    if (Number.isInteger(item?.index)) {
+                        reasons[item.index] = itemErrors.join('，');
                     }
-                } catch (e) {
-                    console.error('MiniMax parse error:', data.substring(0, 500));
-                    reject(new Error('Invalid JSON response: ' + e.message));
+                } else if (items.has(item.index)) {
+                    errors.push(`${label}: 序号重复`);
+                } else {
+                    items.set(item.index, item);
                 }
             });
-        });
+        }
+    }
 
-        req.on('error', reject);
-        req.write(payload);
-        req.end();
-    });
+    const missing = [];
+    for (let i = 1; i <= count; i++) {
+        if (!items.has(i)) {
+            missing.push(i);
+            reasons[i] = reasons[i] || '模型未返回该句分镜';
+        }
+    }
+    if (missing.length > 0 && missing.length < count) {
+        errors.push(`缺少以下序号的分镜: ${missing.join(', ')}`);
+    }
+
+    return {
+        valid: errors.length === 0 && missing.length === 0,
+        errors,
+        items: [...items.values()].sort((a, b) => a.index - b.index),
+        missing,
+        reasons
+    };
 }
 
 /**
- * 解析 LLM 返回的 JSON
+ * 构建修复提示词：把校验错误反馈给 LLM，要求返回完整修正后的 JSON
+ * @param {array} errors - 校验错误（最多列出 30 条）
+ * @param {number} count - 歌词数量
+ * @returns {string} 提示词
  */
-function parseStoryboardResponse(response) {
-    try {
-        // 移除可能的 markdown 代码块标记
-        let cleaned = response.trim();
-        cleaned = cleaned.replace(/^```json?\s*/i, '');
-        cleaned = cleaned.replace(/\s*```$/i, '');
-
-        // 尝试提取 JSON 对象
-        const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
-        }
-
-        return JSON.parse(cleaned);
-    } catch (e) {
-        console.error('解析分镜结果失败:', e.message);
-        console.error('原始响应:', response.substring(0, 500));
-        return null;
-    }
+function buildRepairPrompt(errors, count) {
+    return `你返回的分镜 JSON 未通过校验，问题如下：
+${errors.slice(0, 30).map(e => `- ${e}`).join('\n')}
+
+请修正以上问题，重新返回完整的 JSON（包含 globalStyle、cast、characterDescription、ethnicity 和全部 ${count} 条 storyboard）：
+- index 为 1-${count} 的整数，每句歌词恰好一条，不重复、不遗漏
+- prompt 为非空字符串
+- sceneType 只能是 ${Object.values(SceneType).join(' / ')}
+- hasCharacter 为布尔值 true 或 false，characters 只能引用 cast 中的 id
+- shotSize、cameraMove、subjectAction 按镜头语言要求填写
+- 只返回纯JSON，不要markdown代码块和任何解释`;
 }
 
 /**
@@ -418,47 +446,224 @@ function postProcessPrompts(storyboard, language) {
 
 /**
  * 生成分镜
+ * 结果按 schema 校验，不合格时携带错误信息让 LLM 修复；
+ * 修复后仍缺失的序号单独补生成，最终仍缺失的逐句记录在 gaps 中
  * @param {array} lyrics - 解析后的歌词数组
  * @param {string} language - 语言代码
- * @param {object} options - 可选参数（genre, styleHint, mood）
- * @returns {object} 分镜结果
+ * @param {object} options - 可选参数（genre, styleHint, mood, preset: 风格预设, fillMissing）
+ * @returns {object} 分镜结果（gaps: [{ index, lyric, reason }]）
  */
 async function generateStoryboard(lyrics, language, options = {}) {
     const messages = [
-        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'system', content: buildSystemPrompt(options.preset) },
         { role: 'user', content: buildUserPrompt(lyrics, language, options) }
     ];
 
-    let response;
-    const provider = config.llm.provider;
+    const { provider, model, host } = llmClient.getProviderInfo();
+    console.log(`使用 ${provider}（${model} @ ${host}）生成分镜...`);
 
-    console.log(`使用 ${provider} 生成分镜...`);
+    let response = await llmClient.chat(messages);
+    let parsed = parseStoryboardResponse(response);
+    let validation = validateStoryboard(parsed, lyrics.length);
 
-    if (provider === 'openai') {
-        response = await callOpenAI(messages);
-    } else if (provider === 'gemini') {
-        response = await callGemini(messages);
-    } else if (provider === 'minimax') {
-        response = await callMinimax(messages);
-    } else {
-        throw new Error(`Unsupported LLM provider: ${provider}`);
+    // 各轮中合法的条目都保留，后一轮覆盖前一轮
+    const items = new Map(validation.items.map(item => [item.index, item]));
+    let meta = parsed && typeof parsed === 'object' ? parsed : {};
+
+    for (let attempt = 1; !validation.valid && attempt <= config.llm.repairRetries; attempt++) {
+        console.warn(`分镜校验未通过（${validation.errors.length} 个问题），第 ${attempt} 次修复...`);
+        validation.errors.slice(0, 5).forEach(e => console.warn(`  - ${e}`));
+
+        messages.push(
+            { role: 'assistant', content: response },
+            { role: 'user', content: buildRepairPrompt(validation.errors, lyrics.length) }
+        );
+
+        response = await llmClient.chat(messages);
+        parsed = parseStoryboardResponse(response);
+        validation = validateStoryboard(parsed, lyrics.length);
+
+        validation.items.forEach(item => items.set(item.index, item));
+        if (parsed && typeof parsed === 'object' && parsed.globalStyle) {
+            meta = parsed;
+        }
+    }
+
+    // 全部不合格时不中断流程，每句都记为缺失（与原请求相同的补生成没有意义，直接跳过）
+    const allInvalid = items.size === 0;
+    if (allInvalid) {
+        console.error(`分镜结果校验失败: ${validation.errors.slice(0, 5).join('; ')}`);
     }
 
-    const storyboard = parseStoryboardResponse(response);
-    if (!storyboard) {
-        throw new Error('Failed to parse storyboard response');
+    // 已指定角色表时（分批、补生成、局部重新构思）沿用，不采用本次返回的角色表
+    const cast = options.cast || castModule.normalizeCast(meta);
+
+    let missing = [];
+    for (let i = 1; i <= lyrics.length; i++) {
+        if (!items.has(i)) missing.push(i);
+    }
+    const reasons = { ...validation.reasons };
+    if (allInvalid) {
+        const reason = `分镜结果校验失败: ${validation.errors.slice(0, 3).join('; ') || '模型未返回有效分镜'}`;
+        missing.forEach(index => {
+            reasons[index] = reasons[index] || reason;
+        });
     }
 
+    // 仅对仍缺失的序号补生成（沿用本次的全局风格和角色）
+    if (missing.length > 0 && !allInvalid && options.fillMissing !== false) {
+        console.warn(`分镜缺失 ${missing.length} 句（${missing.join(', ')}），单独补生成...`);
+        try {
+            const filled = await generateStoryboard(missing.map(i => lyrics[i - 1]), language, {
+                ...options,
+                fillMissing: false,
+                cast,
+                styleHint: buildFixedStyleHint(options.styleHint, meta.globalStyle, cast)
+            });
+
+            filled.storyboard.forEach(item => {
+                const index = missing[item.index - 1];
+                items.set(index, { ...item, index });
+            });
+            filled.gaps.forEach(gap => {
+                reasons[missing[gap.index - 1]] = gap.reason;
+            });
+        } catch (e) {
+            console.error('补生成分镜失败:', e.message);
+            missing.forEach(index => {
+                reasons[index] = `补生成失败: ${e.message}`;
+            });
+        }
+        missing = missing.filter(index => !items.has(index));
+    }
+
+    const gaps = missing.map(index => ({
+        index,
+        lyric: lyrics[index - 1].text,
+        reason: reasons[index] || '模型未返回该句分镜'
+    }));
+    if (gaps.length > 0) {
+        console.warn(`分镜仍缺失 ${gaps.length} 句: ${missing.join(', ')}`);
+    }
+
+    const storyboard = {
+        // 预设的全局风格作为默认值，模型返回的字段优先
+        globalStyle: options.preset?.globalStyle ? { ...options.preset.globalStyle, ...meta.globalStyle } : meta.globalStyle,
+        cast,
+        characterDescription: cast[0]?.description || meta.characterDescription,
+        ethnicity: meta.ethnicity,
+        storyboard: [...items.values()]
+            .sort((a, b) => a.index - b.index)
+            .map(item => ({
+                ...item,
+                ...cameraLanguage.normalizeCameraFields(item),
+                negativePrompt: normalizeNegativePrompt(item.negativePrompt),
+                characters: castModule.resolveShotCharacters(item, cast)
+            })),
+        gaps
+    };
+
     // 后处理确保人种正确
     return postProcessPrompts(storyboard, language);
 }
 
+/**
+ * 汇总已生成的副歌分镜，供后续批次的重复副歌呼应
+ * @param {array} lyrics - 全部歌词
+ * @param {array} storyboards - 已生成的分镜（index 为全曲序号）
+ * @returns {string} 提示文本（没有副歌时为空）
+ */
+function buildChorusHint(lyrics, storyboards) {
+    return storyboards
+        .filter(item => lyrics[item.index - 1]?.section === 'chorus')
+        .slice(0, 6)
+        .map(item => `  - 「${lyrics[item.index - 1].text}」: ${item.prompt}`)
+        .join('\n');
+}
+
+/**
+ * 构建沿用已确定全局风格和角色表的画风提示
+ * @param {string} styleHint - 原画风提示
+ * @param {object} globalStyle - 全局风格
+ * @param {array} cast - 角色表
+ * @returns {string} 画风提示
+ */
+function buildFixedStyleHint(styleHint, globalStyle, cast) {
+    return `${styleHint || ''}
+已确定的全局风格：${JSON.stringify(globalStyle || {})}
+已确定的角色表（沿用这些角色和 id，cast 原样返回）：${JSON.stringify((cast || []).map(({ id, name, description }) => ({ id, name, description })))}`;
+}
+
+/**
+ * 重新生成指定镜头的分镜
+ * 将前后相邻镜头、全局风格和角色描述作为上下文，保证与整体的连贯
+ * @param {array} shots - 全部镜头 [{ index, lyric, startTime, endTime, duration, specialType, sectionLabel, prompt, sceneType, shotSize, cameraMove }]
+ * @param {array} indices - 需要重新生成的镜头序号
+ * @param {object} context - { language, globalStyle, cast, note, contextSize, preset }
+ * @returns {object} { storyboard: 新分镜（index 为镜头序号）, gaps }
+ */
+async function regenerateStoryboardEntries(shots, indices, context = {}) {
+    const targetSet = new Set(indices);
+    const targets = shots.filter(shot => targetSet.has(shot.index));
+    if (targets.length === 0) {
+        throw new Error('没有需要重新生成的镜头');
+    }
+
+    // 每个目标镜头前后各取 contextSize 个镜头，连同目标按时间顺序列出
+    const contextSize = context.contextSize ?? 2;
+    const window = new Set();
+    shots.forEach((shot, pos) => {
+        if (!targetSet.has(shot.index)) return;
+        for (let i = Math.max(0, pos - contextSize); i <= Math.min(shots.length - 1, pos + contextSize); i++) {
+            window.add(i);
+        }
+    });
+
+    const contextHint = [...window].sort((a, b) => a - b).map(pos => {
+        const shot = shots[pos];
+        const head = `  #${shot.index} [${shot.startTime.toFixed(1)}s]${shot.sectionLabel ? ` (${shot.sectionLabel})` : ''} 「${shot.lyric}」`;
+        return targetSet.has(shot.index)
+            ? `${head} ← 待重新生成，当前 prompt: ${shot.prompt || '（无）'}`
+            : `${head} ${shot.sceneType || ''}${shot.characters?.length ? ` [${shot.characters.join('+')}]` : ''}${shot.cameraMove ? ` {${shot.shotSize || ''} ${shot.cameraMove}}` : ''}: ${shot.prompt}`;
+    }).join('\n');
+
+    const lyrics = targets.map(shot => ({
+        index: shot.index,
+        text: shot.lyric,
+        startTime: shot.startTime,
+        endTime: shot.endTime,
+        duration: shot.duration,
+        specialType: shot.specialType,
+        section: shot.section,
+        sectionLabel: shot.sectionLabel
+    }));
+
+    console.log(`重新生成 ${targets.length} 个镜头的分镜: ${targets.map(t => t.index).join(', ')}` +
+        (context.note ? `（导演意见: ${context.note}）` : ''));
+
+    const result = await generateStoryboard(lyrics, context.language, {
+        preset: context.preset || null,
+        cast: context.cast,
+        styleHint: buildFixedStyleHint('', context.globalStyle, context.cast),
+        contextHint,
+        directorNote: context.note
+    });
+
+    // 本批序号转换回镜头序号
+    return {
+        storyboard: result.storyboard.map(item => ({ ...item, index: targets[item.index - 1].index })),
+        gaps: result.gaps.map(gap => ({ ...gap, index: targets[gap.index - 1].index }))
+    };
+}
+
 /**
  * 分批生成分镜（用于歌词数量过多的情况）
+ * 某一批失败时该批歌词逐句记入 gaps，其余批次照常返回
  * @param {array} lyrics - 歌词数组
  * @param {string} language - 语言代码
  * @param {object} options - 可选参数
  * @param {number} batchSize - 每批数量
+ * @returns {object} 分镜结果（gaps: [{ index, lyric, reason }]）
  */
 async function generateStoryboardBatched(lyrics, language, options = {}, batchSize = 15) {
     if (lyrics.length <= batchSize) {
@@ -467,48 +672,74 @@ async function generateStoryboardBatched(lyrics, language, options = {}, batchSi
 
     console.log(`歌词数量 ${lyrics.length} 较多，分批处理...`);
 
-    // 先生成全局风格（使用前几句）
-    const firstBatch = lyrics.slice(0, Math.min(10, lyrics.length));
-    const globalResult = await generateStoryboard(firstBatch, language, options);
+    // 第一个有可用结果的批次确定全局风格和角色，后续批次沿用
+    let globalStyle = null;
+    let cast = [];
+    let characterDescription = null;
+    const allStoryboards = [];
+    const allGaps = [];
 
-    const globalStyle = globalResult.globalStyle;
-    const characterDescription = globalResult.characterDescription;
-    const allStoryboards = [...globalResult.storyboard];
-
-    // 分批处理剩余歌词
-    for (let i = batchSize; i < lyrics.length; i += batchSize) {
+    for (let i = 0; i < lyrics.length; i += batchSize) {
         const batch = lyrics.slice(i, i + batchSize);
 
         // 将全局风格作为额外约束
-        const batchOptions = {
+        const batchOptions = globalStyle ? {
             ...options,
-            styleHint: `${options.styleHint || ''}\n已确定的全局风格：${JSON.stringify(globalStyle)}\n角色描述：${characterDescription}`
-        };
+            cast,
+            styleHint: buildFixedStyleHint(options.styleHint, globalStyle, cast),
+            chorusHint: buildChorusHint(lyrics, allStoryboards)
+        } : options;
+
+        // 单批失败只把该批歌词记为缺失，不影响已成功的批次
+        let batchResult;
+        try {
+            batchResult = await generateStoryboard(batch, language, batchOptions);
+        } catch (e) {
+            console.error(`第 ${i + 1}-${i + batch.length} 句分镜生成失败:`, e.message);
+            batch.forEach((lyric, j) => {
+                allGaps.push({ index: i + j + 1, lyric: lyric.text, reason: `分批生成失败: ${e.message}` });
+            });
+            continue;
+        }
 
-        const batchResult = await generateStoryboard(batch, language, batchOptions);
+        if (!globalStyle && batchResult.storyboard.length > 0) {
+            globalStyle = batchResult.globalStyle;
+            cast = batchResult.cast;
+            characterDescription = batchResult.characterDescription;
+        }
 
         // 调整索引
-        if (batchResult.storyboard) {
-            batchResult.storyboard.forEach(item => {
-                item.index = item.index + i;
-            });
-            allStoryboards.push(...batchResult.storyboard);
-        }
+        batchResult.storyboard.forEach(item => {
+            allStoryboards.push({ ...item, index: item.index + i });
+        });
+        batchResult.gaps.forEach(gap => {
+            allGaps.push({ ...gap, index: gap.index + i });
+        });
 
         // 避免 API 频率限制
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        if (i + batchSize < lyrics.length) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
     }
 
     return {
         globalStyle,
+        cast,
         characterDescription,
         ethnicity: config.ethnicityMapping[language],
-        storyboard: allStoryboards
+        storyboard: allStoryboards,
+        gaps: allGaps.sort((a, b) => a.index - b.index)
     };
 }
 
 module.exports = {
     generateStoryboard,
     generateStoryboardBatched,
+    regenerateStoryboardEntries,
+    validateStoryboard,
+    buildRepairPrompt,
+    buildSystemPrompt,
+    normalizeNegativePrompt,
+    SceneType,
     SYSTEM_PROMPT
 };
@@ -0,0 +1,273 @@
+/**
+ * 分镜版本模块
+ * 每次生成分镜或手动修改 Prompt 都保存为带编号的版本，支持版本列表、逐镜头对比和恢复
+ * 生成、重新构思和恢复的版本保存完整分镜；手动修改的版本只保存相对上一版本变化的镜头（delta），
+ * 避免每次修改 Prompt 都把整份分镜复制进 project.json
+ */
+
+/**
+ * 版本来源
+ */
+const VersionSource = {
+    GENERATED: 'generated',      // 整首歌生成分镜
+    REGENERATED: 'regenerated',  // 局部重新构思
+    EDIT: 'edit',                // 手动修改 Prompt（含撤销/重做）
+    PROMOTE: 'promote'           // 恢复旧版本
+};
+
+/**
+ * 镜头差异类型
+ */
+const DiffStatus = {
+    SAME: 'same',
+    CHANGED: 'changed',
+    ADDED: 'added',      // 仅新版本有
+    REMOVED: 'removed'   // 仅旧版本有
+};
+
+// 每个项目最多保留的版本数
+const MAX_VERSIONS = 50;
+
+// 连续的 delta 版本超过该长度时保存一次完整分镜，限制还原时的回溯深度
+const MAX_DELTA_CHAIN = 20;
+
+// 参与对比的镜头字段
+const SHOT_FIELDS = ['prompt', 'sceneType', 'hasCharacter', 'shotSize', 'cameraMove', 'subjectAction', 'negativePrompt'];
+
+/**
+ * 创建空的版本库
+ * @returns {object} 版本库
+ */
+function createVersionStore() {
+    return {
+        versions: [],
+        nextId: 1,
+        currentId: null
+    };
+}
+
+/**
+ * 深拷贝 JSON 值
+ * @param {*} value - 任意 JSON 值
+ * @returns {*} 拷贝
+ */
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 还原版本的完整分镜（delta 版本沿基准版本回溯）
+ * @param {object} store - 版本库
+ * @param {object} version - 版本
+ * @returns {array} 分镜镜头（与版本库共享对象，调用方不要修改）
+ */
+function resolveStoryboard(store, version) {
+    if (!version.delta) {
+        return version.storyboard || [];
+    }
+
+    const base = store.versions.find(v => v.id === version.delta.base);
+    if (!base) {
+        throw new Error(`分镜版本 ${version.id} 的基准版本 ${version.delta.base} 已丢失`);
+    }
+
+    const removed = new Set(version.delta.removed);
+    const shots = new Map(resolveStoryboard(store, base)
+        .filter(shot => !removed.has(shot.index))
+        .map(shot => [shot.index, shot]));
+    version.delta.shots.forEach(shot => shots.set(shot.index, shot));
+    return [...shots.values()].sort((a, b) => a.index - b.index);
+}
+
+/**
+ * 计算两份分镜之间变化的镜头
+ * @param {array} baseShots - 基准分镜
+ * @param {array} shots - 新分镜
+ * @returns {object} { shots: 新增或变化的镜头, removed: 删除的镜头序号 }
+ */
+function diffShots(baseShots, shots) {
+    const base = new Map(baseShots.map(shot => [shot.index, JSON.stringify(shot)]));
+    const indices = new Set(shots.map(shot => shot.index));
+    return {
+        shots: clone(shots.filter(shot => base.get(shot.index) !== JSON.stringify(shot))),
+        removed: baseShots.filter(shot => !indices.has(shot.index)).map(shot => shot.index)
+    };
+}
+
+/**
+ * delta 版本到最近一个完整版本的距离
+ * @param {object} store - 版本库
+ * @param {object} version - 版本
+ * @returns {number} 回溯深度（完整版本为 0）
+ */
+function deltaDepth(store, version) {
+    let depth = 0;
+    let current = version;
+    while (current?.delta) {
+        depth++;
+        current = store.versions.find(v => v.id === current.delta.base);
+    }
+    return depth;
+}
+
+/**
+ * 删除版本前，把以它为基准的 delta 版本改挂到它的基准版本上（它本身是完整版本时改存完整分镜）
+ * @param {object} store - 版本库
+ * @param {object} removing - 将被删除的版本
+ */
+function detachDependents(store, removing) {
+    for (const version of store.versions) {
+        if (version.delta?.base !== removing.id) continue;
+
+        const shots = resolveStoryboard(store, version);
+        if (removing.delta) {
+            const base = store.versions.find(v => v.id === removing.delta.base);
+            version.delta = { base: base.id, ...diffShots(resolveStoryboard(store, base), shots) };
+        } else {
+            version.storyboard = clone(shots);
+            delete version.delta;
+        }
+    }
+}
+
+/**
+ * 保存一个版本并设为当前版本
+ * 手动修改的版本只保存相对当前版本变化的镜头；超出上限时优先删除最早的手动修改版本，保留生成的版本
+ * @param {object} store - 版本库
+ * @param {object} snapshot - { storyboard, globalStyle, characterDescription, ethnicity, cast, gaps }
+ * @param {object} meta - { label, source, provider, model, options, actor }
+ * @returns {object} 版本
+ */
+function addVersion(store, snapshot, meta = {}) {
+    const shots = snapshot.storyboard || [];
+    const previous = store.versions.find(v => v.id === store.currentId);
+    const useDelta = meta.source === VersionSource.EDIT && previous &&
+        deltaDepth(store, previous) < MAX_DELTA_CHAIN;
+
+    const version = {
+        id: store.nextId++,
+        label: meta.label || `版本 ${store.nextId - 1}`,
+        source: meta.source || VersionSource.GENERATED,
+        provider: meta.provider || null,
+        model: meta.model || null,
+        options: meta.options ? JSON.parse(JSON.stringify(meta.options)) : null,
+        actor: meta.actor || null,
+        basedOn: store.currentId,
+        createdAt: new Date().toISOString(),
+        shotCount: shots.length,
+        globalStyle: snapshot.globalStyle ? clone(snapshot.globalStyle) : null,
+        characterDescription: snapshot.characterDescription || null,
+        ethnicity: snapshot.ethnicity || null,
+        cast: snapshot.cast ? clone(snapshot.cast) : null,
+        gaps: clone(snapshot.gaps || [])
+    };
+    if (useDelta) {
+        version.delta = { base: previous.id, ...diffShots(resolveStoryboard(store, previous), shots) };
+    } else {
+        version.storyboard = clone(shots);
+    }
+    store.versions.push(version);
+    store.currentId = version.id;
+
+    while (store.versions.length > MAX_VERSIONS) {
+        const removable = store.versions.find(v => v.source === VersionSource.EDIT && v.id !== store.currentId)
+            || store.versions.find(v => v.id !== store.currentId);
+        detachDependents(store, removable);
+        store.versions.splice(store.versions.indexOf(removable), 1);
+    }
+
+    return version;
+}
+
+/**
+ * 按编号获取版本（delta 版本还原为完整分镜）
+ * @param {object} store - 版本库
+ * @param {number} id - 版本编号
+ * @returns {object|null} 版本（storyboard 为完整分镜的拷贝）
+ */
+function getVersion(store, id) {
+    const version = store.versions.find(v => v.id === id);
+    if (!version) return null;
+
+    const { delta, ...rest } = version;
+    return { ...rest, storyboard: clone(resolveStoryboard(store, version)) };
+}
+
+/**
+ * 版本列表（不含分镜内容，按时间倒序）
+ * @param {object} store - 版本库
+ * @returns {array} 版本摘要
+ */
+function listVersions(store) {
+    return store.versions.map(v => ({
+        id: v.id,
+        label: v.label,
+        source: v.source,
+        provider: v.provider,
+        model: v.model,
+        options: v.options,
+        actor: v.actor,
+        basedOn: v.basedOn,
+        createdAt: v.createdAt,
+        shotCount: v.shotCount ?? resolveStoryboard(store, v).length,
+        current: v.id === store.currentId
+    })).reverse();
+}
+
+/**
+ * 逐镜头对比两个版本
+ * @param {object} from - 旧版本
+ * @param {object} to - 新版本
+ * @returns {object} { from, to, globalStyleChanged, characterDescriptionChanged, changedCount, shots }
+ */
+function diffVersions(from, to) {
+    const fromShots = new Map(from.storyboard.map(s => [s.index, s]));
+    const toShots = new Map(to.storyboard.map(s => [s.index, s]));
+    const indices = [...new Set([...fromShots.keys(), ...toShots.keys()])].sort((a, b) => a - b);
+
+    const pick = shot => shot ? Object.fromEntries(SHOT_FIELDS.map(f => [f, shot[f] ?? null])) : null;
+
+    const shots = indices.map(index => {
+        const before = fromShots.get(index);
+        const after = toShots.get(index);
+
+        let status = DiffStatus.SAME;
+        let fields = [];
+        if (!before) {
+            status = DiffStatus.ADDED;
+        } else if (!after) {
+            status = DiffStatus.REMOVED;
+        } else {
+            fields = SHOT_FIELDS.filter(f => JSON.stringify(before[f] ?? null) !== JSON.stringify(after[f] ?? null));
+            if (fields.length > 0) status = DiffStatus.CHANGED;
+        }
+
+        return {
+            index,
+            lyric: (after || before).lyric || null,
+            status,
+            fields,
+            before: pick(before),
+            after: pick(after)
+        };
+    });
+
+    return {
+        from: from.id,
+        to: to.id,
+        globalStyleChanged: JSON.stringify(from.globalStyle) !== JSON.stringify(to.globalStyle),
+        characterDescriptionChanged: from.characterDescription !== to.characterDescription,
+        changedCount: shots.filter(s => s.status !== DiffStatus.SAME).length,
+        shots
+    };
+}
+
+module.exports = {
+    VersionSource,
+    DiffStatus,
+    createVersionStore,
+    addVersion,
+    getVersion,
+    listVersions,
+    diffVersions
+};
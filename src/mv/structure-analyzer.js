@@ -0,0 +1,450 @@
+/**
+ * 歌曲结构分析模块
+ * 根据歌词文本重复（归一化文本相似度）、音频能量和能量轮廓自相似度
+ * 识别前奏、主歌、导歌、副歌、桥段、间奏、尾奏
+ */
+
+/**
+ * 段落类型
+ */
+const SectionType = {
+    INTRO: 'intro',
+    VERSE: 'verse',
+    PRE_CHORUS: 'pre-chorus',
+    CHORUS: 'chorus',
+    BRIDGE: 'bridge',
+    INTERLUDE: 'interlude',
+    OUTRO: 'outro'
+};
+
+const SECTION_NAMES = {
+    [SectionType.INTRO]: '前奏',
+    [SectionType.VERSE]: '主歌',
+    [SectionType.PRE_CHORUS]: '导歌',
+    [SectionType.CHORUS]: '副歌',
+    [SectionType.BRIDGE]: '桥段',
+    [SectionType.INTERLUDE]: '间奏',
+    [SectionType.OUTRO]: '尾奏'
+};
+
+// 特殊片段（lrc-parser.detectSpecialSegment）对应的段落
+const SPECIAL_SECTIONS = {
+    prelude: SectionType.INTRO,
+    interlude: SectionType.INTERLUDE,
+    outro: SectionType.OUTRO,
+    chorus: SectionType.CHORUS,
+    bridge: SectionType.BRIDGE
+};
+
+// 分析参数
+const TEXT_MATCH = 0.8;         // 文本相似度达到该值视为重复句
+const TEXT_WEAK_MATCH = 0.5;    // 文本较相似时，再参考能量轮廓
+const CONTOUR_MATCH = 0.7;      // 能量轮廓相关系数阈值
+const CONTOUR_POINTS = 16;      // 能量轮廓重采样点数
+const MIN_BLOCK_LINES = 2;      // 重复段落最少行数
+const SECTION_GAP = 4;          // 句间空隙超过该值（秒）视为新段落
+const MAX_PRE_CHORUS_LINES = 4;
+const MAX_OUTRO_LINES = 4;
+
+/**
+ * 归一化文本（小写，去除空白、标点和符号）
+ * @param {string} text - 歌词文本
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return (text || '').toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '');
+}
+
+/**
+ * 字符二元组相似度（Dice 系数）
+ * @param {string} a - 归一化文本
+ * @param {string} b - 归一化文本
+ * @returns {number} 0 ~ 1
+ */
+function textSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const bigrams = (s) => {
+        const chars = Array.from(s);
+        if (chars.length < 2) return chars;
+        return chars.slice(1).map((c, i) => chars[i] + c);
+    };
+
+    const counts = new Map();
+    const aGrams = bigrams(a);
+    for (const g of aGrams) counts.set(g, (counts.get(g) || 0) + 1);
+
+    const bGrams = bigrams(b);
+    let common = 0;
+    for (const g of bGrams) {
+        const n = counts.get(g) || 0;
+        if (n > 0) {
+            common++;
+            counts.set(g, n - 1);
+        }
+    }
+
+    return 2 * common / (aGrams.length + bGrams.length);
+}
+
+/**
+ * 取歌词时间范围内的能量值
+ * @param {object} lyric - 歌词对象
+ * @param {object} energy - 能量包络 { frameDuration, values }
+ * @returns {array}
+ */
+function energySlice(lyric, energy) {
+    if (!energy || !energy.values || energy.values.length === 0) return [];
+    const from = Math.max(0, Math.floor(lyric.startTime / energy.frameDuration));
+    const to = Math.min(energy.values.length, Math.ceil(lyric.endTime / energy.frameDuration));
+    return energy.values.slice(from, to);
+}
+
+/**
+ * 能量轮廓：重采样到固定点数并去均值、归一化
+ * @param {array} values - 能量值
+ * @returns {array|null}
+ */
+function energyContour(values) {
+    if (values.length < 4) return null;
+
+    const points = Array.from({ length: CONTOUR_POINTS }, (_, i) =>
+        values[Math.min(values.length - 1, Math.floor(i * values.length / CONTOUR_POINTS))]);
+    const mean = points.reduce((a, b) => a + b, 0) / points.length;
+    const centered = points.map(v => v - mean);
+    const norm = Math.sqrt(centered.reduce((sum, v) => sum + v * v, 0));
+
+    return norm > 0 ? centered.map(v => v / norm) : null;
+}
+
+/**
+ * 计算两句是否为重复句
+ * 文本高度相似直接认定；文本较相似时需能量轮廓也相似（同一旋律）
+ * @param {array} lines - 句子特征 [{ text, contour, special }]
+ * @returns {array} 二维布尔矩阵 matches[i][j]
+ */
+function buildMatchMatrix(lines) {
+    const n = lines.length;
+    const matches = Array.from({ length: n }, () => new Array(n).fill(false));
+
+    for (let i = 0; i < n; i++) {
+        if (lines[i].special || !lines[i].text) continue;
+        for (let j = i + 1; j < n; j++) {
+            if (lines[j].special || !lines[j].text) continue;
+
+            const similarity = textSimilarity(lines[i].text, lines[j].text);
+            let match = similarity >= TEXT_MATCH;
+            if (!match && similarity >= TEXT_WEAK_MATCH && lines[i].contour && lines[j].contour) {
+                const correlation = lines[i].contour.reduce((sum, v, k) => sum + v * lines[j].contour[k], 0);
+                match = correlation >= CONTOUR_MATCH;
+            }
+            matches[i][j] = matches[j][i] = match;
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * 沿自相似矩阵对角线查找重复段落，并将互相重叠的重复归为同一族
+ * @param {array} matches - 重复句矩阵
+ * @returns {array} 重复族 [{ occurrences: [{ start, end }] }]（end 含）
+ */
+function findRepeatedFamilies(matches) {
+    const n = matches.length;
+    const runs = [];
+
+    for (let offset = 1; offset < n; offset++) {
+        let runStart = -1;
+        for (let i = 0; i + offset <= n; i++) {
+            const matched = i + offset < n && matches[i][i + offset];
+            if (matched && runStart < 0) {
+                runStart = i;
+            } else if (!matched && runStart >= 0) {
+                // 同一对角线上的重复不能与自身重叠
+                const length = Math.min(i - runStart, offset);
+                if (length >= MIN_BLOCK_LINES) {
+                    runs.push([
+                        { start: runStart, end: runStart + length - 1 },
+                        { start: runStart + offset, end: runStart + offset + length - 1 }
+                    ]);
+                }
+                runStart = -1;
+            }
+        }
+    }
+
+    // 范围重叠的重复合并为一族
+    const overlaps = (a, b) => a.start <= b.end && b.start <= a.end;
+    const families = [];
+    for (const ranges of runs) {
+        const related = families.filter(f => f.some(r => ranges.some(x => overlaps(r, x))));
+        const merged = related.flat().concat(ranges);
+        related.forEach(f => families.splice(families.indexOf(f), 1));
+        families.push(merged);
+    }
+
+    return families.map(ranges => {
+        const sorted = [...ranges].sort((a, b) => a.start - b.start);
+        const occurrences = [];
+        for (const range of sorted) {
+            const last = occurrences[occurrences.length - 1];
+            if (last && range.start <= last.end + 1) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                occurrences.push({ ...range });
+            }
+        }
+        return { occurrences };
+    }).filter(f => f.occurrences.length >= 2);
+}
+
+/**
+ * 选出副歌族：出现次数 × 平均长度，按能量加权（副歌通常比主歌更响）
+ * @param {array} families - 重复族
+ * @param {array} lines - 句子特征（含 energy）
+ * @param {number} meanEnergy - 全曲平均能量（无音频时为 null）
+ * @returns {object|null}
+ */
+function pickChorusFamily(families, lines, meanEnergy) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const family of families) {
+        const indices = family.occurrences.flatMap(o =>
+            Array.from({ length: o.end - o.start + 1 }, (_, k) => o.start + k));
+        const avgLength = indices.length / family.occurrences.length;
+        let score = family.occurrences.length * avgLength;
+
+        if (meanEnergy) {
+            const energies = indices.map(i => lines[i].energy).filter(e => e !== null);
+            if (energies.length > 0) {
+                const familyEnergy = energies.reduce((a, b) => a + b, 0) / energies.length;
+                score *= Math.max(0.5, Math.min(2, familyEnergy / meanEnergy));
+            }
+        }
+
+        if (score > bestScore) {
+            best = family;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * 从副歌族中拆出导歌：只在部分副歌前出现的开头几句
+ * （最后一遍副歌常省略导歌，此时导歌与副歌会被合并为同一族）
+ * @param {object} family - 副歌族
+ * @param {array} matches - 重复句矩阵
+ * @returns {object} { chorus: 副歌范围, preChorus: 导歌范围 }
+ */
+function splitPreChorus(family, matches) {
+    const { occurrences } = family;
+    const contains = (o, i) => matches[i].some((m, j) => m && j >= o.start && j <= o.end);
+    const repeatCount = (i, self) => occurrences.filter(o => o !== self && contains(o, i)).length;
+
+    const chorus = [];
+    const preChorus = [];
+    for (const o of occurrences) {
+        let start = o.start;
+        while (start < o.end && start - o.start < MAX_PRE_CHORUS_LINES &&
+            repeatCount(start, o) < occurrences.length - 1) {
+            start++;
+        }
+
+        if (start > o.start && o.end - start + 1 >= MIN_BLOCK_LINES) {
+            preChorus.push({ start: o.start, end: start - 1 });
+            chorus.push({ start, end: o.end });
+        } else {
+            chorus.push({ ...o });
+        }
+    }
+
+    return { chorus, preChorus };
+}
+
+/**
+ * 分析歌曲结构（主入口）
+ * @param {array} lyrics - 歌词数组
+ * @param {object} analysis - 音频节奏分析结果（可选，使用其中的 energy）
+ * @returns {object} { sections, labels: [{ section, sectionIndex, sectionLabel, repeatOf }] }
+ */
+function analyzeStructure(lyrics, analysis = null) {
+    const energy = analysis && analysis.energy;
+
+    const lines = lyrics.map(lyric => {
+        const values = energySlice(lyric, energy);
+        return {
+            text: normalizeText(lyric.text),
+            special: lyric.specialType || null,
+            energy: values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null,
+            contour: energyContour(values)
+        };
+    });
+
+    const known = lines.map(l => l.energy).filter(e => e !== null);
+    const meanEnergy = known.length > 0 ? known.reduce((a, b) => a + b, 0) / known.length : null;
+
+    const matches = buildMatchMatrix(lines);
+    const families = findRepeatedFamilies(matches);
+    const chorusFamily = pickChorusFamily(families, lines, meanEnergy);
+
+    // 每句所属段落类型与段落实例编号（同一实例内的句子 key 相同）
+    const types = new Array(lyrics.length).fill(null);
+    const keys = new Array(lyrics.length).fill(null);
+    let nextKey = 1;
+
+    const assign = (start, end, type) => {
+        const key = nextKey++;
+        for (let i = start; i <= end; i++) {
+            if (types[i] === null) {
+                types[i] = type;
+                keys[i] = key;
+            }
+        }
+    };
+
+    // 1. 标注行：[前奏] [间奏] [尾奏] 仅标记自身；[副歌] [桥段] 标记其后直到下一个标注行的歌词
+    lines.forEach((line, i) => {
+        if (!line.special) return;
+        const type = SPECIAL_SECTIONS[line.special];
+        if (type !== SectionType.CHORUS && type !== SectionType.BRIDGE) {
+            assign(i, i, type);
+            return;
+        }
+        let end = i;
+        while (end + 1 < lines.length && !lines[end + 1].special) end++;
+        assign(i, end, type);
+    });
+
+    // 2. 副歌：最显著的重复段落（拆出其中的导歌）
+    const { chorus: chorusOccurrences, preChorus } = chorusFamily
+        ? splitPreChorus(chorusFamily, matches)
+        : { chorus: [], preChorus: [] };
+    preChorus.forEach(o => assign(o.start, o.end, SectionType.PRE_CHORUS));
+    chorusOccurrences.forEach(o => assign(o.start, o.end, SectionType.CHORUS));
+
+    // 3. 导歌：多次紧接在副歌之前出现的较短重复段落
+    const chorusStarts = new Set(lines.map((_, i) => i).filter(i =>
+        types[i] === SectionType.CHORUS && (i === 0 || keys[i - 1] !== keys[i])));
+    for (const family of families) {
+        if (family === chorusFamily) continue;
+        const leading = family.occurrences.filter(o =>
+            o.end - o.start + 1 <= MAX_PRE_CHORUS_LINES && chorusStarts.has(o.end + 1));
+        if (leading.length >= 2) {
+            leading.forEach(o => assign(o.start, o.end, SectionType.PRE_CHORUS));
+        }
+    }
+
+    // 4. 其余歌词按已标注段落和长空隙切分为连续段
+    const repeated = new Set(families.flatMap(f => f.occurrences.flatMap(o =>
+        Array.from({ length: o.end - o.start + 1 }, (_, k) => o.start + k))));
+    const runs = [];
+    for (let i = 0; i < lyrics.length; i++) {
+        if (types[i] !== null) continue;
+        const last = runs[runs.length - 1];
+        const gap = i > 0 ? lyrics[i].startTime - lyrics[i - 1].endTime : 0;
+        if (last && last.end === i - 1 && gap <= SECTION_GAP) {
+            last.end = i;
+        } else {
+            runs.push({ start: i, end: i });
+        }
+    }
+
+    const chorusBefore = (i) => new Set(keys.slice(0, i).filter((k, j) => types[j] === SectionType.CHORUS)).size;
+    const chorusAfter = (i) => types.slice(i + 1).includes(SectionType.CHORUS);
+    const hasLyricsBefore = (i) => lines.slice(0, i).some(l => !l.special);
+
+    for (const run of runs) {
+        const length = run.end - run.start + 1;
+        const isRepeated = Array.from({ length }, (_, k) => run.start + k).some(i => repeated.has(i));
+        let type = SectionType.VERSE;
+
+        if (chorusOccurrences.length > 0 && !chorusAfter(run.end) && hasLyricsBefore(run.start) &&
+            !isRepeated && length <= MAX_OUTRO_LINES) {
+            type = SectionType.OUTRO;
+        } else if (chorusBefore(run.start) >= 2 && chorusAfter(run.end) && !isRepeated) {
+            type = SectionType.BRIDGE;
+        }
+        assign(run.start, run.end, type);
+    }
+
+    // 5. 段落实例编号与标签
+    const sections = [];
+    const typeCounts = {};
+    lyrics.forEach((lyric, i) => {
+        const last = sections[sections.length - 1];
+        if (last && last.key === keys[i]) {
+            last.endIndex = lyric.index ?? i + 1;
+            last.endTime = lyric.endTime;
+            last.lines.push(i);
+            return;
+        }
+        typeCounts[types[i]] = (typeCounts[types[i]] || 0) + 1;
+        sections.push({
+            key: keys[i],
+            type: types[i],
+            index: typeCounts[types[i]],
+            startIndex: lyric.index ?? i + 1,
+            endIndex: lyric.index ?? i + 1,
+            startTime: lyric.startTime,
+            endTime: lyric.endTime,
+            lines: [i]
+        });
+    });
+
+    const labels = new Array(lyrics.length);
+    const result = sections.map(section => {
+        const label = SECTION_NAMES[section.type] + (typeCounts[section.type] > 1 ? ` ${section.index}` : '');
+        const energies = section.lines.map(i => lines[i].energy).filter(e => e !== null);
+
+        for (const i of section.lines) {
+            // 与更早段落中的重复句对应，便于画面呼应
+            const first = matches[i].findIndex((m, j) => m && j < i && keys[j] !== keys[i]);
+            labels[i] = {
+                section: section.type,
+                sectionIndex: section.index,
+                sectionLabel: label,
+                repeatOf: first >= 0 ? (lyrics[first].index ?? first + 1) : null
+            };
+        }
+
+        return {
+            type: section.type,
+            index: section.index,
+            label,
+            startIndex: section.startIndex,
+            endIndex: section.endIndex,
+            startTime: section.startTime,
+            endTime: section.endTime,
+            energy: energies.length > 0
+                ? Math.round(energies.reduce((a, b) => a + b, 0) / energies.length * 1000) / 1000
+                : null
+        };
+    });
+
+    return { sections: result, labels };
+}
+
+/**
+ * 将结构分析结果写入歌词对象（section / sectionIndex / sectionLabel / repeatOf）
+ * @param {array} lyrics - 歌词数组（原地修改）
+ * @param {object} structure - analyzeStructure 的返回值
+ * @returns {array} 歌词数组
+ */
+function applyStructure(lyrics, structure) {
+    lyrics.forEach((lyric, i) => Object.assign(lyric, structure.labels[i]));
+    return lyrics;
+}
+
+module.exports = {
+    SectionType,
+    SECTION_NAMES,
+    normalizeText,
+    textSimilarity,
+    analyzeStructure,
+    applyStructure
+};
@@ -0,0 +1,244 @@
+/**
+ * 风格预设模块
+ * 按曲风打包分镜规则、人物/空镜比例、全局风格默认值、负面词和 Ken Burns 效果
+ * 内置预设之外，可从 STYLE_PRESETS_DIR 目录下的 JSON 文件加载团队自定义预设（同 id 覆盖内置预设）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { AnimationEffect } = require('./image-animator');
+
+// 未选择预设时使用的默认预设（原有的抒情歌分镜规则）
+const DEFAULT_PRESET_ID = 'ballad';
+
+/**
+ * 内置预设
+ * characterRatio 为人物镜头占比区间（%），kenBurns 为未指定运镜时轮换的动画效果
+ */
+const BUILTIN_PRESETS = [
+    {
+        id: 'ballad',
+        name: '抒情',
+        version: 1,
+        description: '华语抒情歌：人物与空镜交替，意境化的自然景物',
+        characterRatio: [40, 50],
+        systemPrompt: '',
+        globalStyle: null,
+        negativeTerms: [],
+        kenBurns: null
+    },
+    {
+        id: 'anime',
+        name: '日系动画',
+        version: 1,
+        description: '赛璐璐动画风格，色彩明快，人物表情丰富',
+        characterRatio: [55, 65],
+        systemPrompt: `- 所有画面都是 2D 日系动画风格（anime key visual），不要写 photorealistic、film grain 等写实词
+- 人物镜头多用表情特写和动作瞬间，背景可以是天空、街道、教室、电车等日常场景
+- 空镜多用天空、云、光斑、飞舞的花瓣等动画常见意象`,
+        globalStyle: {
+            aesthetic: 'anime key visual, cel shading, clean line art',
+            colorTone: 'vibrant saturated colors, soft sky blue and warm sunlight',
+            quality: 'highly detailed anime illustration, 4K'
+        },
+        negativeTerms: ['photorealistic', '3d render', 'film grain', 'deformed hands'],
+        kenBurns: [AnimationEffect.ZOOM_IN, AnimationEffect.PAN_LEFT, AnimationEffect.PAN_RIGHT, AnimationEffect.HOLD]
+    },
+    {
+        id: 'cyberpunk',
+        name: '赛博朋克',
+        version: 1,
+        description: '霓虹雨夜的未来都市，高对比冷暖撞色',
+        characterRatio: [40, 50],
+        systemPrompt: `- 场景设定在近未来的霓虹都市：雨夜街道、全息广告、高架轨道、狭窄巷弄
+- 空镜突出城市建筑、霓虹招牌、雨水反光和机械细节
+- 人物可带有赛博义体、发光配饰等元素，但保持角色外貌一致`,
+        globalStyle: {
+            aesthetic: 'cyberpunk, neon-lit futuristic city, blade runner atmosphere',
+            colorTone: 'neon magenta and cyan, deep shadows, wet reflections',
+            quality: '8K, cinematic lighting, volumetric fog'
+        },
+        negativeTerms: ['daylight', 'pastoral', 'cartoon', 'low contrast'],
+        kenBurns: [AnimationEffect.ZOOM_IN_PAN_LEFT, AnimationEffect.ZOOM_IN_PAN_RIGHT, AnimationEffect.PAN_UP, AnimationEffect.HANDHELD]
+    },
+    {
+        id: 'film_noir',
+        name: '黑色电影',
+        version: 1,
+        description: '黑白高反差，硬光和阴影讲故事',
+        characterRatio: [50, 60],
+        systemPrompt: `- 所有画面为黑白（black and white），用硬光、百叶窗阴影、剪影和烟雾营造悬疑感
+- 场景偏向夜晚的城市、酒吧、楼梯间、雨中的路灯
+- 空镜多用光影构图：窗影、门缝光、路灯下的雨`,
+        globalStyle: {
+            aesthetic: 'film noir, 1940s cinema, dramatic chiaroscuro',
+            colorTone: 'black and white, high contrast, deep blacks',
+            quality: '35mm film still, sharp focus, film grain'
+        },
+        negativeTerms: ['color', 'saturated', 'bright daylight', 'cartoon'],
+        kenBurns: [AnimationEffect.ZOOM_IN, AnimationEffect.HOLD, AnimationEffect.ZOOM_OUT]
+    },
+    {
+        id: 'lofi',
+        name: 'Lo-fi',
+        version: 1,
+        description: '慵懒的日常与怀旧色调，画面安静缓慢',
+        characterRatio: [30, 40],
+        systemPrompt: `- 画面安静、慵懒、怀旧：卧室书桌、窗边雨天、深夜便利店、黄昏的屋顶
+- 多用空镜和物品特写（耳机、咖啡杯、猫、台灯、黑胶唱片）
+- 动作幅度小，节奏缓慢`,
+        globalStyle: {
+            aesthetic: 'lo-fi illustration, cozy nostalgic mood',
+            colorTone: 'muted warm pastel, soft purple dusk light',
+            quality: 'soft focus, subtle grain, detailed'
+        },
+        negativeTerms: ['action', 'explosion', 'harsh lighting', 'crowd'],
+        kenBurns: [AnimationEffect.HOLD, AnimationEffect.ZOOM_IN, AnimationEffect.PAN_RIGHT]
+    },
+    {
+        id: 'documentary',
+        name: '纪实',
+        version: 1,
+        description: '真实场景与自然光，像纪录片一样克制',
+        characterRatio: [35, 45],
+        systemPrompt: `- 画面追求真实：真实地点、自然光、普通人的生活细节，不要奇幻和超现实元素
+- 人物镜头多为抓拍感的中景，表情自然，不摆拍
+- 空镜记录环境：街道、市场、田野、车窗外的风景`,
+        globalStyle: {
+            aesthetic: 'documentary photography, candid, observational',
+            colorTone: 'natural colors, available light',
+            quality: 'shot on 35mm, realistic, sharp detail'
+        },
+        negativeTerms: ['fantasy', 'surreal', 'cartoon', 'heavy makeup', 'studio lighting'],
+        kenBurns: [AnimationEffect.HANDHELD, AnimationEffect.ZOOM_IN, AnimationEffect.PAN_LEFT, AnimationEffect.PAN_RIGHT]
+    },
+    {
+        id: 'kpop',
+        name: 'K-pop',
+        version: 1,
+        description: '偶像 MV：造型感强、舞台与棚拍布景、色彩鲜明',
+        characterRatio: [65, 75],
+        systemPrompt: `- 以人物为中心：舞蹈动作、造型特写、对镜头的眼神，棚拍布景和舞台灯光
+- 每个段落换一套色彩鲜明的布景（糖果色房间、霓虹舞台、镜面空间）
+- 空镜主要用于转场：布景细节、灯光、道具`,
+        globalStyle: {
+            aesthetic: 'K-pop music video, stylish idol fashion, studio set design',
+            colorTone: 'bold candy colors, glossy highlights',
+            quality: '8K, commercial photography lighting, sharp'
+        },
+        negativeTerms: ['dull colors', 'messy background', 'low fashion'],
+        kenBurns: [AnimationEffect.ZOOM_IN, AnimationEffect.ZOOM_OUT, AnimationEffect.ZOOM_IN_PAN_LEFT, AnimationEffect.ZOOM_IN_PAN_RIGHT]
+    }
+];
+
+/**
+ * 校验并规范化预设
+ * @param {object} preset - 预设定义
+ * @returns {object} 规范化后的预设
+ */
+function normalizePreset(preset) {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        throw new Error('预设必须是对象');
+    }
+    if (typeof preset.id !== 'string' || !/^[\w-]+$/.test(preset.id)) {
+        throw new Error('id 只能包含字母、数字、下划线和连字符');
+    }
+
+    const ratio = preset.characterRatio || [40, 50];
+    if (!Array.isArray(ratio) || ratio.length !== 2 ||
+        !ratio.every(n => typeof n === 'number' && n >= 0 && n <= 100) || ratio[0] > ratio[1]) {
+        throw new Error('characterRatio 必须是 [最小, 最大] 百分比');
+    }
+
+    const effects = Object.values(AnimationEffect);
+    if (preset.kenBurns && (!Array.isArray(preset.kenBurns) || preset.kenBurns.some(e => !effects.includes(e)))) {
+        throw new Error(`kenBurns 只能包含 ${effects.join('/')}`);
+    }
+
+    return {
+        id: preset.id,
+        name: preset.name || preset.id,
+        version: Number.isInteger(preset.version) && preset.version > 0 ? preset.version : 1,
+        description: preset.description || '',
+        characterRatio: ratio,
+        systemPrompt: preset.systemPrompt || '',
+        genre: preset.genre || null,
+        mood: preset.mood || null,
+        styleHint: preset.styleHint || null,
+        globalStyle: preset.globalStyle || null,
+        negativeTerms: Array.isArray(preset.negativeTerms) ? preset.negativeTerms.map(String) : [],
+        kenBurns: preset.kenBurns?.length ? preset.kenBurns : null
+    };
+}
+
+/**
+ * 加载自定义预设目录中的 JSON 文件（每个文件为一个预设或预设数组），无效的文件或条目跳过
+ * @param {string} dir - 预设目录（相对路径相对于项目根目录）
+ * @returns {array} 自定义预设
+ */
+function loadCustomPresets(dir = config.paths.stylePresets) {
+    // 相对路径按项目根目录解析，与服务启动目录无关
+    const presetDir = path.isAbsolute(dir) ? dir : path.join(__dirname, '../..', dir);
+    if (!fs.existsSync(presetDir)) return [];
+
+    const presets = [];
+    for (const file of fs.readdirSync(presetDir).filter(f => f.endsWith('.json')).sort()) {
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(path.join(presetDir, file), 'utf-8'));
+        } catch (e) {
+            console.warn(`风格预设 ${file} 加载失败，已跳过:`, e.message);
+            continue;
+        }
+
+        (Array.isArray(content) ? content : [content]).forEach((item, i) => {
+            try {
+                presets.push({ ...normalizePreset(item), source: 'custom', file });
+            } catch (e) {
+                console.warn(`风格预设 ${file} 第 ${i + 1} 项无效，已跳过:`, e.message);
+            }
+        });
+    }
+    return presets;
+}
+
+/**
+ * 全部可用预设（自定义预设覆盖同 id 的内置预设）
+ * @returns {array} 预设
+ */
+function getAllPresets() {
+    const presets = new Map(BUILTIN_PRESETS.map(p => [p.id, { ...normalizePreset(p), source: 'builtin' }]));
+    for (const preset of loadCustomPresets()) {
+        presets.set(preset.id, preset);
+    }
+    return [...presets.values()];
+}
+
+/**
+ * 按 id 获取预设
+ * @param {string} id - 预设 id
+ * @returns {object|null} 预设
+ */
+function getPreset(id) {
+    return getAllPresets().find(p => p.id === id) || null;
+}
+
+/**
+ * 预设列表（用于选择）
+ * @returns {array} [{ id, name, version, description, source }]
+ */
+function listPresets() {
+    return getAllPresets().map(({ id, name, version, description, source }) => ({
+        id, name, version, description, source, isDefault: id === DEFAULT_PRESET_ID
+    }));
+}
+
+module.exports = {
+    DEFAULT_PRESET_ID,
+    BUILTIN_PRESETS,
+    normalizePreset,
+    loadCustomPresets,
+    getPreset,
+    listPresets
+};
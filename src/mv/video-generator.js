@@ -8,6 +8,8 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const config = require('../config');
+const cameraLanguage = require('./camera-language');
+const mockVideo = require('../mock/mock-video-service');
 
 /**
  * 超长片段阈值 (秒)
@@ -328,6 +330,18 @@ function getVideoDownloadUrl(fileId, retries = 3) {
     });
 }
 
+/**
+ * 计算接口返回的视频时长（6 / 10 秒；超长片段由多个 10 秒视频拼接）
+ * @param {number} segmentDuration - 片段时长（秒）
+ * @returns {number} 视频时长（秒）
+ */
+function getClipDuration(segmentDuration) {
+    if (segmentDuration > LONG_SEGMENT_THRESHOLD) {
+        return Math.ceil(segmentDuration / 10) * 10;
+    }
+    return segmentDuration <= 6 ? 6 : 10;
+}
+
 /**
  * 将图片文件转为 Base64
  * @param {string} imagePath - 图片路径
@@ -473,6 +487,43 @@ async function concatVideos(videoPaths, outputPath) {
     }
 }
 
+/**
+ * 从已有视频中截取一段（重复段落复用视频）
+ * 默认截取源视频末尾，与源片段合成时使用的开头部分错开；源视频不够长时从头截取
+ * @param {string} inputPath - 源视频路径
+ * @param {string} outputPath - 输出路径
+ * @param {number} duration - 目标时长（秒）
+ * @param {object} options - { startTime: 指定截取起点（秒） }
+ * @returns {Promise<object>} { success, path, startTime, duration }
+ */
+async function trimVideoClip(inputPath, outputPath, duration, options = {}) {
+    if (!fs.existsSync(inputPath)) {
+        throw new Error(`Source video not found: ${inputPath}`);
+    }
+
+    let sourceDuration = 0;
+    try {
+        const durationStr = execSync(
+            `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${inputPath}"`,
+            { encoding: 'utf-8' }
+        ).trim();
+        sourceDuration = parseFloat(durationStr) || 0;
+    } catch(e) {}
+
+    const startTime = options.startTime ?? Math.max(0, sourceDuration - duration);
+
+    execSync(`ffmpeg -y -ss ${startTime.toFixed(3)} -i "${path.resolve(inputPath)}" -t ${duration.toFixed(3)} -c:v libx264 -preset fast -crf 23 -an "${path.resolve(outputPath)}"`, {
+        maxBuffer: 100 * 1024 * 1024
+    });
+
+    return {
+        success: true,
+        path: outputPath,
+        startTime,
+        duration: sourceDuration > 0 ? Math.min(duration, sourceDuration - startTime) : duration
+    };
+}
+
 /**
  * 生成单个视频 (支持超长片段多视频拼接)
  * @param {object} segment - 分段数据
@@ -484,14 +535,23 @@ async function concatVideos(videoPaths, outputPath) {
 async function generateVideo(segment, imagePath, outputPath, options = {}) {
     console.log(`Generating video for segment ${segment.index}: ${segment.lyric.substring(0, 30)}...`);
 
+    // 已设置视频 Prompt（手动填写或重复段落的镜头运动变化）时优先使用，否则按分镜的镜头语言组合
+    const videoPrompt = cameraLanguage.buildVideoPrompt(segment);
+
     try {
         // 读取首帧图片
         if (!fs.existsSync(imagePath)) {
             throw new Error(`First frame image not found: ${imagePath}`);
         }
-        const firstFrameImage = imageToBase64(imagePath);
         const segmentDuration = segment.duration || segment.videoDuration || 6;
 
+        // 模拟模式：本地生成运镜片段
+        if (config.videoGeneration.provider === 'mock') {
+            return await mockVideo.generateClip(segment, imagePath, outputPath, getClipDuration(segmentDuration), options);
+        }
+
+        const firstFrameImage = imageToBase64(imagePath);
+
         // 检查是否是超长片段 (需要多个视频拼接)
         if (segmentDuration > LONG_SEGMENT_THRESHOLD) {
             console.log(`  🎬 超长片段 (${segmentDuration.toFixed(2)}s > ${LONG_SEGMENT_THRESHOLD}s)，将生成多个视频拼接`);
@@ -515,7 +575,7 @@ async function generateVideo(segment, imagePath, outputPath, options = {}) {
                 console.log(`  [${i + 1}/${numVideos}] 生成视频片段...`);
 
                 try {
-                    await generateSingleVideoClip(currentFirstFrame, segment.prompt, clipPath, 10, options);
+                    await generateSingleVideoClip(currentFirstFrame, videoPrompt, clipPath, 10, options);
                     clipPaths.push(clipPath);
                     console.log(`  [${i + 1}/${numVideos}] ✓ 完成`);
 
@@ -582,7 +642,7 @@ async function generateVideo(segment, imagePath, outputPath, options = {}) {
         const createResult = await createVideoTask({
             model: options.model || config.videoGeneration.minimax.model,
             firstFrameImage: firstFrameImage,
-            prompt: segment.prompt,
+            prompt: videoPrompt,
             promptOptimizer: options.promptOptimizer !== false,
             duration: apiVideoDuration,
             aigcWatermark: options.aigcWatermark !== false // 默认添加水印
@@ -745,7 +805,7 @@ async function generateVideos(segments, imageDir, videoDir, options = {}, onProg
                     path.join(imageDir, `image_${paddedIndex}.png`),
                     path.join(videoDir, `animated_${paddedIndex}.mp4`),
                     segment.duration,
-                    {}
+                    { effect: imageAnimator.getShotEffect(segment, segment.index, options.kenBurnsEffects) }
                 );
                 console.log(`  ✓ 动画备份 ${paddedIndex}: ${animResult.effect}`);
             } catch (animError) {
@@ -762,6 +822,9 @@ async function generateVideos(segments, imageDir, videoDir, options = {}, onProg
  * @returns {Promise<boolean>}
  */
 async function checkAPIConnection() {
+    if (config.videoGeneration.provider === 'mock') {
+        return true;
+    }
     try {
         const apiKey = config.videoGeneration.minimax.apiKey;
         if (!apiKey) {
@@ -786,17 +849,24 @@ async function checkAPIConnection() {
 async function regenerateVideo(segment, imagePath, outputPath, customPrompt = null, options = {}) {
     console.log(`Regenerating video for segment ${segment.index}: ${segment.lyric.substring(0, 30)}...`);
 
-    // 使用自定义 prompt 或原始 prompt
-    const videoPrompt = customPrompt || segment.videoPrompt || segment.prompt || '';
+    // 使用自定义 prompt，否则按分镜的镜头语言组合
+    const videoPrompt = customPrompt || cameraLanguage.buildVideoPrompt(segment);
 
     try {
         // 读取首帧图片
         if (!fs.existsSync(imagePath)) {
             throw new Error(`First frame image not found: ${imagePath}`);
         }
-        const firstFrameImage = imageToBase64(imagePath);
         const segmentDuration = segment.duration || segment.videoDuration || 6;
 
+        // 模拟模式：本地生成运镜片段
+        if (config.videoGeneration.provider === 'mock') {
+            const result = await mockVideo.generateClip(segment, imagePath, outputPath, getClipDuration(segmentDuration), options);
+            return { ...result, videoPrompt };
+        }
+
+        const firstFrameImage = imageToBase64(imagePath);
+
         // 检查是否是超长片段 (需要多个视频拼接)
         if (segmentDuration > LONG_SEGMENT_THRESHOLD) {
             console.log(`  Regenerating long segment (${segmentDuration.toFixed(2)}s > ${LONG_SEGMENT_THRESHOLD}s)`);
@@ -933,5 +1003,6 @@ module.exports = {
     downloadVideo,
     getVideoDownloadUrl,
     imageToBase64,
+    trimVideoClip,
     checkAPIConnection
 };
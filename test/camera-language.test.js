@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeCameraFields, buildVideoPrompt, ShotSize, CameraMove } = require('../src/mv/camera-language');
+
+test('normalizeCameraFields 识别 LLM 常见写法', () => {
+    assert.deepStrictEqual(
+        normalizeCameraFields({ shotSize: ' Close-Up ', cameraMove: 'Zoom  In', subjectAction: '  she turns around ' }),
+        { shotSize: ShotSize.CLOSE_UP, cameraMove: CameraMove.PUSH_IN, subjectAction: 'she turns around' }
+    );
+    assert.strictEqual(normalizeCameraFields({ cameraMove: 'pan right' }).cameraMove, CameraMove.PAN_RIGHT);
+    assert.strictEqual(normalizeCameraFields({ shotSize: 'wide shot' }).shotSize, ShotSize.WIDE);
+});
+
+test('normalizeCameraFields 无法识别的值置为 null', () => {
+    assert.deepStrictEqual(
+        normalizeCameraFields({ shotSize: 'bird view', cameraMove: 42, subjectAction: '   ' }),
+        { shotSize: null, cameraMove: null, subjectAction: null }
+    );
+    assert.deepStrictEqual(normalizeCameraFields(), { shotSize: null, cameraMove: null, subjectAction: null });
+});
+
+test('buildVideoPrompt 组合运镜指令、主体动作和景别', () => {
+    const prompt = buildVideoPrompt({
+        prompt: 'girl by the window',
+        shotSize: ShotSize.MEDIUM,
+        cameraMove: CameraMove.ORBIT,
+        subjectAction: 'she looks up'
+    });
+    assert.strictEqual(prompt, '[Truck left,Pan right] she looks up, medium shot, girl by the window');
+});
+
+test('buildVideoPrompt 没有镜头语言时只用画面描述，手动填写的 videoPrompt 优先', () => {
+    assert.strictEqual(buildVideoPrompt({ prompt: 'city at night' }), 'city at night');
+    assert.strictEqual(
+        buildVideoPrompt({ prompt: 'city at night', cameraMove: CameraMove.STATIC, videoPrompt: 'custom' }),
+        'custom'
+    );
+});
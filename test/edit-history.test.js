@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const editHistory = require('../src/mv/edit-history');
+
+const { EditScope, EditType } = editHistory;
+
+function record(history, scope, before, after) {
+    return editHistory.recordEdit(history, { scope, type: EditType.TEXT, index: 0, before, after });
+}
+
+test('撤销/重做按作用域独立查找', () => {
+    const history = editHistory.createHistory();
+    const first = record(history, EditScope.LYRICS, 'a', 'b');
+    const second = record(history, EditScope.LYRICS, 'b', 'c');
+    const prompt = record(history, EditScope.PROMPTS, 'p', 'q');
+
+    assert.strictEqual(editHistory.findUndo(history, EditScope.LYRICS), second);
+    assert.strictEqual(editHistory.findUndo(history, EditScope.PROMPTS), prompt);
+
+    second.undone = true;
+    first.undone = true;
+    assert.strictEqual(editHistory.findUndo(history, EditScope.LYRICS), null);
+    assert.strictEqual(editHistory.findRedo(history, EditScope.LYRICS), first);
+    assert.deepStrictEqual(editHistory.getUndoState(history, EditScope.LYRICS), { canUndo: false, canRedo: true });
+});
+
+test('新编辑丢弃同作用域中可重做的记录', () => {
+    const history = editHistory.createHistory();
+    const undone = record(history, EditScope.LYRICS, 'a', 'b');
+    const prompt = record(history, EditScope.PROMPTS, 'p', 'q');
+    prompt.undone = true;
+    undone.undone = true;
+
+    record(history, EditScope.LYRICS, 'a', 'x');
+    assert.ok(!history.entries.includes(undone));
+    assert.ok(history.entries.includes(prompt));
+    assert.strictEqual(editHistory.findRedo(history, EditScope.LYRICS), null);
+});
+
+test('记录保存的是快照，不受后续修改影响', () => {
+    const history = editHistory.createHistory();
+    const lyric = { text: 'a', startTime: 0, endTime: 1 };
+    const entry = record(history, EditScope.LYRICS, null, lyric);
+    lyric.text = 'changed';
+    assert.strictEqual(entry.after.text, 'a');
+});
+
+test('整份替换只保存变化的行，可按任一侧还原', () => {
+    const line = (text, start) => ({ text, startTime: start, endTime: start + 1 });
+    const before = [line('a', 0), line('b', 1), line('c', 2)];
+    const after = [line('a', 0), line('B', 1)];
+
+    const change = editHistory.diffLyricLines(before, after);
+    assert.deepStrictEqual(change.before.lines.map(l => l.index), [1, 2]);
+    assert.strictEqual(change.after.count, 2);
+
+    assert.ok(editHistory.matchLyricLines(after, change.after));
+    assert.deepStrictEqual(editHistory.applyLyricLines(after, change.before), before);
+    assert.deepStrictEqual(editHistory.applyLyricLines(before, change.after), after);
+    assert.ok(!editHistory.matchLyricLines(before, change.after));
+});
+
+test('首次识别/导入的整份替换不可撤销', () => {
+    const history = editHistory.createHistory();
+    const change = editHistory.diffLyricLines(null, [{ text: 'a', startTime: 0, endTime: 1 }]);
+    assert.strictEqual(change.before, null);
+
+    editHistory.recordEdit(history, { scope: EditScope.LYRICS, type: EditType.REPLACE, ...change });
+    assert.strictEqual(editHistory.findUndo(history, EditScope.LYRICS), null);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { getImageDimensions } = require('../src/mv/image-provider');
+const { renderPlaceholder } = require('../src/mv/placeholder-image-service');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * CRC32（按位计算，独立于被测实现）
+ * @param {Buffer} buffer - 数据
+ * @returns {number}
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) {
+            crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 按块拆分 PNG
+ * @param {Buffer} png - PNG 文件
+ * @returns {array} [{ type, data, crc, body }]
+ */
+function readChunks(png) {
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    while (offset < png.length) {
+        const length = png.readUInt32BE(offset);
+        chunks.push({
+            type: png.toString('ascii', offset + 4, offset + 8),
+            data: png.subarray(offset + 8, offset + 8 + length),
+            crc: png.readUInt32BE(offset + 8 + length),
+            body: png.subarray(offset + 4, offset + 8 + length)
+        });
+        offset += length + 12;
+    }
+    return chunks;
+}
+
+test('getImageDimensions 按比例和尺寸计算宽高（短边对齐到 8）', () => {
+    assert.deepStrictEqual(getImageDimensions('16:9', '1K'), { width: 1024, height: 576 });
+    assert.deepStrictEqual(getImageDimensions('9:16', '2K'), { width: 1152, height: 2048 });
+    assert.deepStrictEqual(getImageDimensions('1:1', '4K'), { width: 4096, height: 4096 });
+    assert.deepStrictEqual(getImageDimensions('4:3', 'unknown'), { width: 1024, height: 768 });
+    assert.deepStrictEqual(getImageDimensions('auto'), { width: 1024, height: 1024 });
+});
+
+test('renderPlaceholder 输出有效的 RGB PNG', () => {
+    const png = renderPlaceholder('moonlight over a lake', { width: 64, height: 36 });
+    assert.ok(png.subarray(0, 8).equals(PNG_SIGNATURE));
+
+    const chunks = readChunks(png);
+    assert.deepStrictEqual(chunks.map(c => c.type), ['IHDR', 'IDAT', 'IEND']);
+    for (const chunk of chunks) {
+        assert.strictEqual(chunk.crc, crc32(chunk.body));
+    }
+
+    const header = chunks[0].data;
+    assert.strictEqual(header.readUInt32BE(0), 64);
+    assert.strictEqual(header.readUInt32BE(4), 36);
+    assert.strictEqual(header[8], 8);
+    assert.strictEqual(header[9], 2);
+
+    const raw = zlib.inflateSync(chunks[1].data);
+    assert.strictEqual(raw.length, (64 * 3 + 1) * 36);
+});
+
+test('renderPlaceholder 相同输入得到相同图片，种子不同则不同', () => {
+    const a = renderPlaceholder('city at night', { width: 32, height: 32, seed: 1 });
+    const b = renderPlaceholder('city at night', { width: 32, height: 32, seed: 1 });
+    const c = renderPlaceholder('city at night', { width: 32, height: 32, seed: 2 });
+    assert.ok(a.equals(b));
+    assert.ok(!a.equals(c));
+});
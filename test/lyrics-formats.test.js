@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const lyricsFormats = require('../src/lyrics/lyrics-formats');
+
+const { LyricsFormat } = lyricsFormats;
+
+const LYRICS = [
+    { startTime: 1.5, endTime: 4.25, duration: 2.75, text: '第一句歌词' },
+    { startTime: 4.25, endTime: 8, duration: 3.75, text: 'second line' },
+    { startTime: 9.1, endTime: 12.6, duration: 3.5, text: '第三句' }
+];
+
+function roundTrip(format) {
+    const text = lyricsFormats.serializeLyrics(LYRICS, format);
+    assert.strictEqual(lyricsFormats.detectFormat(text), format);
+    return lyricsFormats.parseLyrics(text).lyrics;
+}
+
+for (const format of [LyricsFormat.SRT, LyricsFormat.VTT, LyricsFormat.ASS]) {
+    test(`${format} 导出后导入保留文本和起止时间`, () => {
+        const parsed = roundTrip(format);
+        assert.deepStrictEqual(parsed.map(l => l.text), LYRICS.map(l => l.text));
+        parsed.forEach((lyric, i) => {
+            assert.ok(Math.abs(lyric.startTime - LYRICS[i].startTime) < 0.011);
+            assert.ok(Math.abs(lyric.endTime - LYRICS[i].endTime) < 0.011);
+        });
+    });
+}
+
+test('lrc 导出后导入保留文本和开始时间', () => {
+    const parsed = roundTrip(LyricsFormat.LRC);
+    assert.deepStrictEqual(parsed.map(l => l.text), LYRICS.map(l => l.text));
+    parsed.forEach((lyric, i) => {
+        assert.ok(Math.abs(lyric.startTime - LYRICS[i].startTime) < 0.011);
+    });
+});
+
+test('增强 LRC 逐字时间往返', () => {
+    const lyrics = [{
+        startTime: 2,
+        endTime: 4,
+        duration: 2,
+        text: '你好',
+        words: [{ text: '你', startTime: 2, endTime: 3 }, { text: '好', startTime: 3, endTime: 4 }]
+    }];
+    const text = lyricsFormats.serializeLyrics(lyrics, LyricsFormat.LRC);
+    const [parsed] = lyricsFormats.parseLyrics(text, { format: LyricsFormat.LRC }).lyrics;
+
+    assert.strictEqual(parsed.text, '你好');
+    assert.deepStrictEqual(parsed.words.map(w => [w.text, w.startTime]), [['你', 2], ['好', 3]]);
+});
+
+test('一行多个时间戳的 LRC 每个时间戳各生成一句', () => {
+    const { format, lyrics } = lyricsFormats.parseLyrics('[00:10.00][01:20.00]副歌这一句\n[00:15.00]第二句\n', { audioDuration: 120 });
+
+    assert.strictEqual(format, LyricsFormat.LRC);
+    assert.deepStrictEqual(lyrics.map(l => [l.startTime, l.text]), [
+        [10, '副歌这一句'],
+        [15, '第二句'],
+        [80, '副歌这一句']
+    ]);
+    assert.strictEqual(lyrics[1].endTime, 80);
+    assert.strictEqual(lyrics[2].endTime, 90);
+});
+
+test('LRC [offset:] 标签应用到行和逐字时间，[length:] 限制最后一句', () => {
+    const text = '[offset:500]\n[length:00:30]\n[00:10.00]第一句\n[00:25.00]<00:25.00>最<00:26.00>后<00:27.00>\n';
+    const { lyrics, metadata } = lyricsFormats.parseLyrics(text);
+
+    assert.deepStrictEqual(lyrics.map(l => l.startTime), [9.5, 24.5]);
+    assert.deepStrictEqual(lyrics[1].words.map(w => w.startTime), [24.5, 25.5]);
+    assert.strictEqual(lyrics[1].endTime, 30);
+    assert.strictEqual(metadata.offset, undefined);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const lyricsFormats = require('../src/lyrics/lyrics-formats');
+const segmentClassifier = require('../src/mv/segment-classifier');
+
+const { ReuseMode } = segmentClassifier;
+
+test('多时间戳 LRC 的重复副歌复用源片段画面', () => {
+    const lrc = [
+        '[00:05.00]第一句主歌',
+        '[00:12.00][00:40.00]副歌这一句',
+        '[00:20.00]第二句主歌',
+        '[00:30.00]第三句主歌'
+    ].join('\n');
+    const { lyrics } = lyricsFormats.parseLyrics(lrc, { audioDuration: 60 });
+    const storyboard = lyrics.map((lyric, i) => ({
+        index: i + 1,
+        prompt: `shot ${i + 1}`,
+        sceneType: 'landscape',
+        hasCharacter: false
+    }));
+
+    const classified = segmentClassifier.classifySegments(lyrics, storyboard);
+    segmentClassifier.markRepeatedSegments(classified, { reuseRepeats: ReuseMode.DERIVED });
+
+    const chorus = classified.filter(s => s.lyric === '副歌这一句');
+    assert.strictEqual(chorus.length, 2);
+    assert.strictEqual(chorus[0].reuse, undefined);
+    assert.deepStrictEqual(chorus[1].reuse, { mode: ReuseMode.DERIVED, sourceIndex: chorus[0].index, occurrence: 2 });
+    assert.strictEqual(chorus[1].prompt, chorus[0].prompt);
+    assert.ok(classified.filter(s => s.lyric !== '副歌这一句').every(s => !s.reuse));
+});
+
+test('合并短片段后记录每个片段包含的歌词序号', () => {
+    const lyrics = [0, 1, 2, 3].map(i => ({ text: `line ${i + 1}`, startTime: i, endTime: i + 1, duration: 1 }));
+    lyrics.push({ text: 'long line', startTime: 4, endTime: 12, duration: 8 });
+
+    const classified = segmentClassifier.classifySegments(lyrics, []);
+    classified.forEach(item => { item.renderType = segmentClassifier.RenderType.ANIMATION; });
+    const merged = segmentClassifier.mergeAdjacentSegments(classified);
+
+    assert.deepStrictEqual(merged.map(item => [item.index, item.lyricIndices]), [
+        [1, [1, 2]],
+        [2, [3, 4]],
+        [3, [5]]
+    ]);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const llmClient = require('../src/mv/llm-client');
+const storyboardGenerator = require('../src/mv/storyboard-generator');
+
+const { SceneType } = storyboardGenerator;
+
+function shot(index, extra = {}) {
+    return { index, prompt: `shot ${index}`, sceneType: SceneType.LANDSCAPE, hasCharacter: false, ...extra };
+}
+
+function lyricLines(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        index: i + 1,
+        text: `line ${i + 1}`,
+        startTime: i * 4,
+        endTime: i * 4 + 4,
+        duration: 4
+    }));
+}
+
+test('validateStoryboard 接受覆盖全部序号的合法结果', () => {
+    const result = storyboardGenerator.validateStoryboard({ globalStyle: {}, storyboard: [shot(1), shot(2)] }, 2);
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.items.map(item => item.index), [1, 2]);
+});
+
+test('validateStoryboard 保留合法条目并逐句记录不合格原因', () => {
+    const result = storyboardGenerator.validateStoryboard({
+        storyboard: [
+            shot(1),
+            shot(2, { sceneType: 'portrait', hasCharacter: 'yes' }),
+            shot(1),
+            shot(9)
+        ]
+    }, 3);
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.items.map(item => item.index), [1]);
+    assert.deepStrictEqual(result.missing, [2, 3]);
+    assert.match(result.reasons[2], /sceneType/);
+    assert.match(result.reasons[2], /hasCharacter/);
+    assert.strictEqual(result.reasons[3], '模型未返回该句分镜');
+    assert.ok(result.errors.some(e => e.includes('序号重复')));
+    assert.ok(result.errors.some(e => e.startsWith('index 9')));
+    assert.ok(result.errors.some(e => e.includes('缺少以下序号的分镜: 2, 3')));
+});
+
+test('validateStoryboard 非对象结果全部记为缺失', () => {
+    const result = storyboardGenerator.validateStoryboard(null, 2);
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors, ['返回内容不是合法的 JSON 对象']);
+    assert.deepStrictEqual(result.missing, [1, 2]);
+});
+
+test('buildRepairPrompt 列出校验错误（最多 30 条）和序号范围', () => {
+    const errors = Array.from({ length: 40 }, (_, i) => `错误 ${i + 1}`);
+    const prompt = storyboardGenerator.buildRepairPrompt(errors, 12);
+
+    assert.ok(prompt.includes('- 错误 1\n'));
+    assert.ok(prompt.includes('- 错误 30\n'));
+    assert.ok(!prompt.includes('错误 31'));
+    assert.ok(prompt.includes('全部 12 条 storyboard'));
+    assert.ok(prompt.includes('index 为 1-12 的整数'));
+});
+
+test('分批生成时失败批次的歌词按全曲序号记入 gaps', async (t) => {
+    // 三批（3 + 3 + 1 句），第二批请求失败
+    const responses = [
+        () => JSON.stringify({ globalStyle: { aesthetic: 'calm' }, storyboard: [shot(1), shot(2), shot(3)] }),
+        () => { throw new Error('网络错误'); },
+        () => JSON.stringify({ globalStyle: { aesthetic: 'calm' }, storyboard: [shot(1)] })
+    ];
+    t.mock.method(llmClient, 'chat', async () => responses.shift()());
+
+    const lyrics = lyricLines(7);
+    const result = await storyboardGenerator.generateStoryboardBatched(lyrics, 'english', {}, 3);
+
+    assert.deepStrictEqual(result.storyboard.map(item => item.index), [1, 2, 3, 7]);
+    assert.deepStrictEqual(result.gaps.map(gap => [gap.index, gap.lyric]), [
+        [4, 'line 4'],
+        [5, 'line 5'],
+        [6, 'line 6']
+    ]);
+    assert.ok(result.gaps.every(gap => gap.reason.includes('网络错误')));
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const storyboardVersions = require('../src/mv/storyboard-versions');
+
+const { VersionSource, DiffStatus } = storyboardVersions;
+
+function shot(index, prompt, extra = {}) {
+    return { index, lyric: `line ${index}`, prompt, sceneType: 'landscape', hasCharacter: false, ...extra };
+}
+
+test('diffVersions 逐镜头标记变化、新增和删除', () => {
+    const from = { id: 1, globalStyle: { aesthetic: 'a' }, characterDescription: 'x', storyboard: [shot(1, 'p1'), shot(2, 'p2'), shot(3, 'p3')] };
+    const to = { id: 2, globalStyle: { aesthetic: 'a' }, characterDescription: 'y', storyboard: [shot(1, 'p1'), shot(2, 'p2b', { cameraMove: 'push_in' }), shot(4, 'p4')] };
+
+    const diff = storyboardVersions.diffVersions(from, to);
+    assert.strictEqual(diff.from, 1);
+    assert.strictEqual(diff.to, 2);
+    assert.strictEqual(diff.globalStyleChanged, false);
+    assert.strictEqual(diff.characterDescriptionChanged, true);
+    assert.strictEqual(diff.changedCount, 3);
+    assert.deepStrictEqual(diff.shots.map(s => [s.index, s.status]), [
+        [1, DiffStatus.SAME],
+        [2, DiffStatus.CHANGED],
+        [3, DiffStatus.REMOVED],
+        [4, DiffStatus.ADDED]
+    ]);
+    assert.deepStrictEqual(diff.shots[1].fields, ['prompt', 'cameraMove']);
+    assert.strictEqual(diff.shots[2].after, null);
+    assert.strictEqual(diff.shots[3].before, null);
+});
+
+test('手动修改的版本只保存变化的镜头，读取时还原完整分镜', () => {
+    const store = storyboardVersions.createVersionStore();
+    const storyboard = [shot(1, 'p1'), shot(2, 'p2'), shot(3, 'p3')];
+    storyboardVersions.addVersion(store, { storyboard, cast: [{ id: 'A', name: 'A', description: 'd' }] });
+
+    const edited = storyboard.map(s => (s.index === 2 ? { ...s, prompt: 'p2b' } : s));
+    const version = storyboardVersions.addVersion(store, { storyboard: edited }, { source: VersionSource.EDIT });
+
+    assert.strictEqual(version.storyboard, undefined);
+    assert.deepStrictEqual(version.delta.shots.map(s => s.index), [2]);
+    assert.deepStrictEqual(storyboardVersions.getVersion(store, version.id).storyboard, edited);
+    assert.deepStrictEqual(storyboardVersions.getVersion(store, 1).cast, [{ id: 'A', name: 'A', description: 'd' }]);
+    assert.strictEqual(storyboardVersions.listVersions(store)[0].shotCount, 3);
+});
+
+test('超出上限删除旧版本后，依赖它的版本仍能还原', () => {
+    const store = storyboardVersions.createVersionStore();
+    const snapshots = new Map();
+    for (let n = 0; n < 80; n++) {
+        const storyboard = [1, 2, 3].map(i => shot(i, i === n % 3 + 1 ? `p${i}-${n}` : `p${i}`));
+        const version = storyboardVersions.addVersion(store, { storyboard }, {
+            source: n % 30 === 0 ? VersionSource.GENERATED : VersionSource.EDIT
+        });
+        snapshots.set(version.id, storyboard);
+    }
+
+    assert.strictEqual(store.versions.length, 50);
+    for (const version of store.versions) {
+        assert.deepStrictEqual(storyboardVersions.getVersion(store, version.id).storyboard, snapshots.get(version.id));
+    }
+});
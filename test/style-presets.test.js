@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const stylePresets = require('../src/mv/style-presets');
+const { buildSystemPrompt, SYSTEM_PROMPT } = require('../src/mv/storyboard-generator');
+
+test('normalizePreset 补全默认值', () => {
+    const preset = stylePresets.normalizePreset({ id: 'team-rock', negativeTerms: ['blur', 3] });
+    assert.strictEqual(preset.name, 'team-rock');
+    assert.strictEqual(preset.version, 1);
+    assert.deepStrictEqual(preset.characterRatio, [40, 50]);
+    assert.deepStrictEqual(preset.negativeTerms, ['blur', '3']);
+    assert.strictEqual(preset.kenBurns, null);
+    assert.strictEqual(preset.globalStyle, null);
+});
+
+test('normalizePreset 拒绝无效的定义', () => {
+    assert.throws(() => stylePresets.normalizePreset(null), /预设必须是对象/);
+    assert.throws(() => stylePresets.normalizePreset({ id: 'bad id' }), /id/);
+    assert.throws(() => stylePresets.normalizePreset({ id: 'x', characterRatio: [60, 40] }), /characterRatio/);
+    assert.throws(() => stylePresets.normalizePreset({ id: 'x', kenBurns: ['spin'] }), /kenBurns/);
+});
+
+test('buildSystemPrompt 未选择预设时使用原有规则', () => {
+    assert.strictEqual(buildSystemPrompt(null), SYSTEM_PROMPT);
+});
+
+test('buildSystemPrompt 按预设替换人物比例并追加规则和风格', () => {
+    const preset = stylePresets.normalizePreset({
+        id: 'idol',
+        name: '偶像',
+        characterRatio: [65, 75],
+        systemPrompt: '- 以人物为中心',
+        globalStyle: { aesthetic: 'glossy' }
+    });
+    const prompt = buildSystemPrompt(preset);
+
+    assert.ok(prompt.includes('约占 65-75%'));
+    assert.ok(prompt.includes('约占 25-35%'));
+    assert.ok(!prompt.includes('约占 40-50%'));
+    assert.ok(prompt.includes('## 风格预设：偶像'));
+    assert.ok(prompt.includes('- 以人物为中心'));
+    assert.ok(prompt.includes('{"aesthetic":"glossy"}'));
+});